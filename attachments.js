@@ -0,0 +1,191 @@
+/**
+ * Attachments
+ * Message attachments (name, content type, Base64 content) carried next to the body
+ *
+ * Shapes:
+ *   CPI Helper payload  << input.attachments: [{ name, contentType, content }]  (content is Base64)
+ *   Contiva object      << attachments: [{ name, contentType, content }]
+ *   Files               << attachments/<file> with the decoded bytes, plus attachments/manifest.json
+ *                          (dump folders, session folders, the Contiva archive and test projects)
+ *
+ * Manifest entries are { name, contentType, file, size }: name is the attachment name as captured,
+ * file the name on disk, since captured names may hold characters or paths that are unsafe as file names.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultLogger } = require('./logger');
+
+const ATTACHMENT_FOLDER = 'attachments/';
+const MANIFEST_FILE = 'manifest.json';
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+// Base64 with optional line breaks; also used by the schemas in payload-schemas.js
+const ATTACHMENT_CONTENT_PATTERN = /^[A-Za-z0-9+/\s]*={0,2}\s*$/;
+
+/**
+ * Whether a manifest file entry names a file directly inside the attachment folder
+ */
+function isPlainFileName(file) {
+  return typeof file === 'string' && file !== '' && file !== '.' && file !== '..' && path.basename(file) === file;
+}
+
+/**
+ * Returns a payload's attachments, or an empty list when it has none
+ */
+function getAttachments(cpiHelperData) {
+  const input = (cpiHelperData && cpiHelperData.input) || {};
+  return Array.isArray(input.attachments) ? input.attachments : [];
+}
+
+/**
+ * Turns an attachment name into a file name that is unique within the folder
+ *
+ * @param {string} name - Attachment name as captured
+ * @param {Set<string>} taken - Lower-case file names already used (updated)
+ * @returns {string}
+ */
+function toAttachmentFileName(name, taken) {
+  const base = String(name || '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^[._]+/, '') || 'attachment';
+  const extension = path.extname(base);
+  const stem = base.slice(0, base.length - extension.length) || 'attachment';
+
+  let file = base;
+  for (let i = 2; taken.has(file.toLowerCase()) || file.toLowerCase() === MANIFEST_FILE; i++) {
+    file = `${stem}-${i}${extension}`;
+  }
+  taken.add(file.toLowerCase());
+  return file;
+}
+
+/**
+ * Maps attachments to a file name → content object plus the manifest describing them
+ * Attachments without a name or with content that is not Base64 are skipped with a warning
+ *
+ * @param {Array<{name: string, contentType?: string, content: string}>} attachments
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Folder prepended to every file name (default "attachments/")
+ * @param {Object} [options.logger] - Logger for skipped attachments
+ * @returns {{ files: Object<string, Buffer|string>, manifest: Array<{name: string, contentType: string, file: string, size: number}> }}
+ *   files is empty when there are no attachments, and includes <prefix>manifest.json otherwise
+ */
+function buildAttachmentFiles(attachments, { prefix = ATTACHMENT_FOLDER, logger = getDefaultLogger() } = {}) {
+  const files = {};
+  const manifest = [];
+  const taken = new Set();
+
+  for (const attachment of attachments || []) {
+    const name = attachment && attachment.name;
+    const content = attachment && attachment.content;
+    if (typeof name !== 'string' || name === '') {
+      logger.warn('Skipping attachment without a name');
+      continue;
+    }
+    if (typeof content !== 'string' || !ATTACHMENT_CONTENT_PATTERN.test(content)) {
+      logger.warn(`Skipping attachment ${JSON.stringify(name)}: content is not Base64`);
+      continue;
+    }
+    const bytes = Buffer.from(content, 'base64');
+    const file = toAttachmentFileName(name, taken);
+    files[`${prefix}${file}`] = bytes;
+    manifest.push({ name, contentType: attachment.contentType || DEFAULT_CONTENT_TYPE, file, size: bytes.length });
+  }
+
+  if (manifest.length > 0) {
+    files[`${prefix}${MANIFEST_FILE}`] = JSON.stringify(manifest, null, 2);
+  }
+  return { files, manifest };
+}
+
+/**
+ * Rebuilds attachments from a manifest and the bytes of its files
+ * Manifest entries whose file is missing are skipped with a warning
+ *
+ * @param {Array<{name: string, contentType: string, file: string}>} manifest
+ * @param {Function} readFile - file → Buffer, or null when the file does not exist
+ * @param {Object} [options]
+ * @param {Object} [options.logger]
+ * @returns {Array<{name: string, contentType: string, content: string}>}
+ */
+function attachmentsFromManifest(manifest, readFile, { logger = getDefaultLogger() } = {}) {
+  if (!Array.isArray(manifest)) {
+    throw new Error(`Attachment ${MANIFEST_FILE} must hold a list`);
+  }
+  const attachments = [];
+  for (const entry of manifest) {
+    const bytes = entry && isPlainFileName(entry.file) ? readFile(entry.file) : null;
+    if (!bytes) {
+      logger.warn(`Skipping attachment ${JSON.stringify(entry && entry.name)}: file ${JSON.stringify(entry && entry.file)} not found`);
+      continue;
+    }
+    attachments.push({
+      name: entry.name || entry.file,
+      contentType: entry.contentType || DEFAULT_CONTENT_TYPE,
+      content: bytes.toString('base64')
+    });
+  }
+  return attachments;
+}
+
+/**
+ * Reads the attachments saved in a folder (its manifest.json and the files it lists)
+ *
+ * @param {string} dir - Attachment folder, e.g. <session>/attachments
+ * @param {Object} [options]
+ * @param {Object} [options.logger]
+ * @returns {Array<{name: string, contentType: string, content: string}>} Empty when the folder has no manifest
+ */
+function loadAttachmentFolder(dir, { logger = getDefaultLogger() } = {}) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return [];
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  return attachmentsFromManifest(manifest, (file) => {
+    const filePath = path.join(dir, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+  }, { logger });
+}
+
+/**
+ * Deletes the files a folder's manifest lists, and the manifest itself
+ * Other files in the folder are left alone; the folder is removed once empty
+ *
+ * @param {string} dir - Attachment folder
+ */
+function clearAttachmentFolder(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return;
+  }
+  let manifest = [];
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (err) {
+    // An unreadable manifest is replaced; its files cannot be identified
+  }
+  for (const entry of Array.isArray(manifest) ? manifest : []) {
+    if (entry && isPlainFileName(entry.file)) {
+      fs.rmSync(path.join(dir, entry.file), { force: true });
+    }
+  }
+  fs.rmSync(manifestPath, { force: true });
+  if (fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+  }
+}
+
+module.exports = {
+  ATTACHMENT_CONTENT_PATTERN,
+  ATTACHMENT_FOLDER,
+  DEFAULT_CONTENT_TYPE,
+  MANIFEST_FILE,
+  attachmentsFromManifest,
+  buildAttachmentFiles,
+  clearAttachmentFolder,
+  getAttachments,
+  loadAttachmentFolder,
+  toAttachmentFileName
+};
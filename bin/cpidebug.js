@@ -0,0 +1,664 @@
+#!/usr/bin/env node
+
+/**
+ * cpidebug
+ * Command-line tool to decode, encode and convert CPI Helper and Contiva payloads without the server
+ *
+ * Usage:
+ *   cpidebug decode <input>        << Any supported input → CPI Helper payload JSON (or CPIViewer files)
+ *   cpidebug encode <input>        << Payload JSON → CPI Helper string (or link)
+ *   cpidebug to-contiva <input>    << Any supported input → Contiva string, IDE URL or Contiva JSON
+ *   cpidebug to-cpihelper <input>  << Any supported input → CPI Helper string, link or payload JSON
+ *   cpidebug inspect <input>       << Summary of format, script, body, headers and properties
+ *   cpidebug open <input>          << Open the payload in the configured IDE
+ *   cpidebug replay <input>        << Send the captured message to an HTTP endpoint
+ *   cpidebug workspace <input>     << Write the payload as an editable folder (see workspace.js)
+ *   cpidebug watch <dir>           << Rebuild the IDE URL whenever a workspace file is saved
+ *   cpidebug cert                  << Fingerprint and location of the HTTPS certificate, to trust it
+ *
+ * Input is the argument, --input <file>, or stdin ("-" or no argument); watch takes a workspace folder,
+ * cert no input.
+ * The format is detected by codec-registry.js: CPI Helper strings and links, Contiva strings and IDE URLs,
+ * Base64 JSON, CPI Helper payload JSON and Contiva JSON.
+ * IDE, browser, link base and file base name default to the server configuration (see config.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadConfig } = require('../config');
+const { createLogger } = require('../logger');
+const { buildIdeUrl, openInIde, BROWSERS } = require('../ide-launcher');
+const { BODY_FORMATS, describeBody } = require('../body-format');
+const { encodeContivaData } = require('../contiva-encoder');
+const { decodeAny, DecodeError } = require('../codec-registry');
+const { buildLibraryFiles, loadScriptLibrary, withScriptLibraries } = require('../script-library');
+const { buildAttachmentFiles } = require('../attachments');
+const { MAX_REPEAT, REPLAY_METHODS, replayCapture } = require('../capture-replay');
+const { formatTimestamp } = require('../capture-store');
+const { DEFAULT_DEBOUNCE_MS, exportWorkspace, loadWorkspace, watchWorkspace } = require('../workspace');
+const { resolveCertificate } = require('../https-certificate');
+const {
+  buildCaptureFiles,
+  cpiHelperToContiva,
+  decodeGroovyString,
+  encodeGroovyString
+} = require('../cpihelper-codec');
+
+/**
+ * Thrown for invalid command lines; exits with code 2 instead of 1
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const COMMON_OPTIONS = {
+  input: { type: 'string', short: 'i' },
+  output: { type: 'string', short: 'o' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMON_USAGE = `  -i, --input <file>       Read the input from a file (default: argument or stdin)
+  -o, --output <file>      Write the result to a file instead of stdout
+  -v, --verbose            Log every decoding/encoding step to stderr
+  -h, --help               Show this help`;
+
+// ════════════════════════════════════════════════════════════
+// 📥 INPUT / OUTPUT
+// ════════════════════════════════════════════════════════════
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf-8');
+}
+
+async function readInput(values, positionals) {
+  if (values.input) {
+    return fs.readFileSync(values.input, 'utf-8');
+  }
+  if (positionals.length > 1) {
+    throw new UsageError('Pass a single input argument (quote links containing "&")');
+  }
+  if (positionals.length === 1 && positionals[0] !== '-') {
+    return positionals[0];
+  }
+  if (process.stdin.isTTY) {
+    throw new UsageError('No input: pass it as an argument, with --input <file> or on stdin');
+  }
+  return readStdin();
+}
+
+function writeOutput(values, text) {
+  const content = text.endsWith('\n') ? text : `${text}\n`;
+  if (values.output) {
+    fs.writeFileSync(values.output, content, 'utf-8');
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+/**
+ * Writes the CPIViewer layout (<base>.body, <base>.header, <base>.properties, script.groovy) into a folder
+ * Script libraries go to scripts/<name>; the typed body copy to <base>.<type> (see body-format.js);
+ * attachments to attachments/<file> with attachments/manifest.json
+ */
+function writeCaptureFiles(dir, payload, baseName, { bodyFormat, typedCopy, logger }) {
+  const content = buildCaptureFiles(payload, { bodyFormat, typedCopy, logger });
+  const files = {
+    [`${baseName}.body`]: content.body,
+    ...(content.typedBody ? { [`${baseName}.${content.typedBody.extension}`]: content.typedBody.content } : {}),
+    [`${baseName}.header`]: content.header,
+    [`${baseName}.properties`]: content.properties,
+    'script.groovy': content.script,
+    ...buildLibraryFiles(content.libraries, { logger }),
+    ...buildAttachmentFiles(content.attachments, { logger }).files
+  };
+  return Object.entries(files).map(([name, content]) => {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  });
+}
+
+/**
+ * Returns the Contiva object for a decoded input, with the files of a script collection added
+ * Contiva input is passed through unchanged when there is no script collection and no body formatting
+ */
+function toContivaData(input, libraryDir, { bodyFormat = 'none', logger }) {
+  if (!libraryDir && bodyFormat === 'none' && input.contivaData) {
+    return input.contivaData;
+  }
+  const libraries = libraryDir ? loadScriptLibrary(path.resolve(libraryDir), { logger }) : [];
+  return cpiHelperToContiva(withScriptLibraries(input.payload, libraries), { bodyFormat, logger });
+}
+
+/**
+ * Returns the --body-format value, or the configured default
+ */
+function bodyFormatOption(values, fallback) {
+  const format = values['body-format'] || fallback;
+  if (!BODY_FORMATS.includes(format)) {
+    throw new UsageError(`Invalid --body-format "${format}" (use one of: ${BODY_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+// ════════════════════════════════════════════════════════════
+// 🧰 COMMANDS
+// ════════════════════════════════════════════════════════════
+
+const COMMANDS = {
+  decode: {
+    summary: 'Decode any supported input into a CPI Helper payload',
+    usage: `  --out-dir <dir>          Write the CPIViewer files (debug.body, debug.header, ...) instead of JSON
+  --base-name <name>       Base name of the CPIViewer files (default: files.baseName)
+  --body-format <mode>     ${BODY_FORMATS.join(' | ')}: reformat XML and JSON bodies in the files (default: body.format)
+  --compact                Print JSON on one line`,
+    options: {
+      'out-dir': { type: 'string' },
+      'base-name': { type: 'string' },
+      'body-format': { type: 'string' },
+      compact: { type: 'boolean' }
+    },
+    async run({ values, text, logger, config }) {
+      const bodyFormat = bodyFormatOption(values, config.body.format);
+      const { payload } = await decodeAny(text, { logger });
+      if (values['out-dir']) {
+        const files = writeCaptureFiles(values['out-dir'], payload, values['base-name'] || config.files.baseName, {
+          bodyFormat,
+          typedCopy: config.body.typedCopy,
+          logger
+        });
+        writeOutput(values, files.join('\n'));
+        return;
+      }
+      writeOutput(values, JSON.stringify(payload, null, values.compact ? 0 : 2));
+    }
+  },
+
+  encode: {
+    summary: 'Encode a payload into a CPI Helper string',
+    usage: `  --link                   Print a CPI Helper link instead of the bare string
+  --link-base <url>        Link prefix (default: cpiHelper.linkBase)`,
+    options: {
+      link: { type: 'boolean' },
+      'link-base': { type: 'string' }
+    },
+    async run({ values, text, logger, config }) {
+      const { payload } = await decodeAny(text, { logger });
+      const encoded = encodeGroovyString(payload, { logger });
+      writeOutput(values, values.link ? `${values['link-base'] || config.cpiHelper.linkBase}${encoded}` : encoded);
+    }
+  },
+
+  'to-contiva': {
+    summary: 'Convert any supported input into Contiva format',
+    usage: `  --url                    Print the IDE URL instead of the bare string
+  --json                   Print the Contiva object as JSON
+  --ide-target <id>        IDE target (default: ide.target)
+  --ide-url <url>          IDE base URL (default: ide.baseUrl)
+  --script-library <dir>   Add the .groovy files of a script collection (default: scripts.libraryDir)
+  --body-format <mode>     ${BODY_FORMATS.join(' | ')}: reformat an XML or JSON body (default: body.ideFormat)`,
+    options: {
+      url: { type: 'boolean' },
+      json: { type: 'boolean' },
+      'ide-target': { type: 'string' },
+      'ide-url': { type: 'string' },
+      'script-library': { type: 'string' },
+      'body-format': { type: 'string' }
+    },
+    async run({ values, text, logger, config }) {
+      const bodyFormat = bodyFormatOption(values, config.body.ideFormat);
+      const input = await decodeAny(text, { logger });
+      const contivaData = toContivaData(input, values['script-library'] || config.scripts.libraryDir, { bodyFormat, logger });
+      if (values.json) {
+        writeOutput(values, JSON.stringify(contivaData, null, 2));
+        return;
+      }
+      const encoded = await encodeContivaData(contivaData, { logger });
+      writeOutput(values, values.url
+        ? buildIdeUrl(encoded, {
+          target: values['ide-target'] || config.ide.target,
+          baseUrl: values['ide-url'] || config.ide.baseUrl || undefined
+        })
+        : encoded);
+    }
+  },
+
+  'to-cpihelper': {
+    summary: 'Convert any supported input into a CPI Helper string',
+    usage: `  --link                   Print a CPI Helper link instead of the bare string
+  --link-base <url>        Link prefix (default: cpiHelper.linkBase)
+  --json                   Print the CPI Helper payload as JSON`,
+    options: {
+      link: { type: 'boolean' },
+      'link-base': { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    async run({ values, text, logger, config }) {
+      const { payload } = await decodeAny(text, { logger });
+      if (values.json) {
+        writeOutput(values, JSON.stringify(payload, null, 2));
+        return;
+      }
+      const encoded = encodeGroovyString(payload, { logger });
+
+      // Same check as POST /cpihelper: the string must decode back to the same payload
+      if (JSON.stringify(decodeGroovyString(encoded, { logger })) !== JSON.stringify(payload)) {
+        throw new Error('Encoded CPIHelper string does not decode back to the same payload');
+      }
+      writeOutput(values, values.link ? `${values['link-base'] || config.cpiHelper.linkBase}${encoded}` : encoded);
+    }
+  },
+
+  inspect: {
+    summary: 'Show what an input contains',
+    usage: `  --json                   Print the summary as JSON`,
+    options: {
+      json: { type: 'boolean' }
+    },
+    async run({ values, text, logger }) {
+      const { format, payload, inputLength, link } = await decodeAny(text, { logger });
+      const input = payload.input || {};
+      const script = payload.script || {};
+      const body = typeof input.body === 'string' ? input.body : JSON.stringify(input.body || '');
+      const bodyInfo = describeBody(body, input);
+      const code = script.code || '';
+      const summary = {
+        format: format.id,
+        link: Boolean(link),
+        inputLength,
+        functionName: script.function || 'processData',
+        script: { lines: code ? code.split(/\r?\n/).length : 0, chars: code.length },
+        body: {
+          type: bodyInfo.type,
+          mediaType: bodyInfo.mediaType,
+          charset: bodyInfo.charset,
+          chars: body.length,
+          content: bodyInfo.binary ? { mediaType: bodyInfo.binary.mediaType, bytes: bodyInfo.binary.bytes.length } : null
+        },
+        libraries: (script.libraries || []).map((library) => library.name),
+        attachments: (input.attachments || []).map((attachment) => ({
+          name: attachment.name,
+          contentType: attachment.contentType || null,
+          bytes: Buffer.from(attachment.content || '', 'base64').length
+        })),
+        headers: Object.keys(input.headers || {}),
+        properties: Object.keys(input.properties || {})
+      };
+
+      if (values.json) {
+        writeOutput(values, JSON.stringify(summary, null, 2));
+        return;
+      }
+      const list = (names) => (names.length > 0 ? `${names.length} (${names.join(', ')})` : '0');
+      writeOutput(values, [
+        `Format:      ${format.name}${link ? ' link' : ''} (${inputLength} chars; ${format.reason})`,
+        `Function:    ${summary.functionName}`,
+        `Script:      ${summary.script.lines} lines, ${summary.script.chars} chars`,
+        `Libraries:   ${list(summary.libraries)}`,
+        `Body:        ${summary.body.type.toUpperCase()}, ${summary.body.chars} chars, ${summary.body.charset}` +
+          (summary.body.content ? ` (${summary.body.content.mediaType}, ${summary.body.content.bytes} bytes)` : ''),
+        `Attachments: ${list(summary.attachments.map((attachment) => `${attachment.name} ${attachment.bytes} bytes`))}`,
+        `Headers:     ${list(summary.headers)}`,
+        `Properties:  ${list(summary.properties)}`
+      ].join('\n'));
+    }
+  },
+
+  open: {
+    summary: 'Open any supported input in the IDE',
+    usage: `  --browser <name>         ${BROWSERS.join(' | ')} (default: ide.browser)
+  --ide-target <id>        IDE target (default: ide.target)
+  --ide-url <url>          IDE base URL (default: ide.baseUrl)
+  --script-library <dir>   Add the .groovy files of a script collection (default: scripts.libraryDir)
+  --body-format <mode>     ${BODY_FORMATS.join(' | ')}: reformat an XML or JSON body (default: body.ideFormat)`,
+    options: {
+      browser: { type: 'string' },
+      'ide-target': { type: 'string' },
+      'ide-url': { type: 'string' },
+      'script-library': { type: 'string' },
+      'body-format': { type: 'string' }
+    },
+    async run({ values, text, logger, config }) {
+      const bodyFormat = bodyFormatOption(values, config.body.ideFormat);
+      const input = await decodeAny(text, { logger });
+      const contivaData = toContivaData(input, values['script-library'] || config.scripts.libraryDir, { bodyFormat, logger });
+      const encoded = await encodeContivaData(contivaData, { logger });
+      const launch = await openInIde(encoded, {
+        target: values['ide-target'] || config.ide.target,
+        baseUrl: values['ide-url'] || config.ide.baseUrl || undefined,
+        browser: values.browser || config.ide.browser
+      });
+
+      if (!launch.launched && launch.browser !== 'none') {
+        logger.warn(`Could not open ${launch.browser}: ${launch.error}`);
+      }
+      writeOutput(values, launch.url);
+    }
+  },
+
+  replay: {
+    summary: 'Send the captured message to an HTTP endpoint',
+    usage: `  --url <url>              Target URL (default: replay.url)
+  --method <method>        ${REPLAY_METHODS.join(' | ')} (default: replay.method)
+  --content-type <type>    Content-Type override (default: captured header, else derived from the body)
+  --properties             Also send properties as headers (default: replay.includeProperties)
+  --property-prefix <p>    Header prefix for properties (default: replay.propertyPrefix)
+  --header <name:value>    Extra header, repeatable
+  --repeat <n>             Number of requests, 1 to ${MAX_REPEAT} (default 1)
+  --record-dir <dir>       Also save the result as <dir>/replays/<timestamp>.json (e.g. a capture folder)
+  --json                   Print the full result (responses included) as JSON`,
+    options: {
+      url: { type: 'string' },
+      method: { type: 'string' },
+      'content-type': { type: 'string' },
+      properties: { type: 'boolean' },
+      'property-prefix': { type: 'string' },
+      header: { type: 'string', multiple: true },
+      repeat: { type: 'string' },
+      'record-dir': { type: 'string' },
+      json: { type: 'boolean' }
+    },
+    async run({ values, text, logger, config }) {
+      const url = values.url || config.replay.url;
+      if (!url) {
+        throw new UsageError('No target: pass --url or set replay.url');
+      }
+      const headers = {};
+      for (const header of values.header || []) {
+        const separator = header.indexOf(':');
+        if (separator < 1) {
+          throw new UsageError(`Invalid --header "${header}" (expected name:value)`);
+        }
+        headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+      }
+
+      const { payload } = await decodeAny(text, { logger });
+      const result = await replayCapture(payload, {
+        url,
+        allowedHosts: ['*'], // Chosen by whoever runs the command; replay.allowedHosts guards the server
+        method: values.method || config.replay.method,
+        contentType: values['content-type'],
+        includeProperties: values.properties || config.replay.includeProperties,
+        propertyPrefix: values['property-prefix'] || config.replay.propertyPrefix,
+        headers,
+        repeat: values.repeat !== undefined ? Number(values.repeat) : 1,
+        timeoutMs: config.replay.timeoutMs,
+        logger
+      });
+
+      if (values['record-dir']) {
+        const file = path.join(values['record-dir'], 'replays', `${formatTimestamp(new Date())}.json`);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(result, null, 2), 'utf-8');
+        logger.info(`Replay result saved: ${file}`);
+      }
+
+      if (values.json) {
+        writeOutput(values, JSON.stringify(result, null, 2));
+      } else {
+        writeOutput(values, [
+          `${result.method} ${result.url}`,
+          ...result.responses.map((response) => `  #${response.attempt}  ${response.error
+            ? `failed: ${response.error}`
+            : `${response.status} ${response.statusText}`} (${response.durationMs} ms)`),
+          ...result.request.skippedHeaders.map(({ name, reason }) => `  skipped header ${name}: ${reason}`)
+        ].join('\n'));
+      }
+      if (result.summary.failed > 0) {
+        throw new Error(`${result.summary.failed} of ${result.summary.attempts} replay request(s) failed`);
+      }
+    }
+  },
+
+  workspace: {
+    summary: 'Write any supported input as an editable workspace folder',
+    usage: `  --dir <dir>              Workspace folder (required; a previous export there is replaced)
+  --body-format <mode>     ${BODY_FORMATS.join(' | ')}: reformat an XML or JSON body (default: body.format)`,
+    options: {
+      dir: { type: 'string' },
+      'body-format': { type: 'string' }
+    },
+    async run({ values, text, logger, config }) {
+      if (!values.dir) {
+        throw new UsageError('No workspace folder: pass --dir <dir>');
+      }
+      const bodyFormat = bodyFormatOption(values, config.body.format);
+      const { payload } = await decodeAny(text, { logger });
+      const { files } = exportWorkspace(payload, path.resolve(values.dir), { bodyFormat, logger });
+      writeOutput(values, files.join('\n'));
+    }
+  },
+
+  watch: {
+    summary: 'Rebuild the IDE URL whenever a file of a workspace folder is saved',
+    arguments: '<dir>',
+    readsInput: false,
+    usage: `  --open                   Also open every URL in the browser
+  --quiet                  Do not print the URLs (with --open)
+  --browser <name>         ${BROWSERS.join(' | ')} (default: ide.browser)
+  --ide-target <id>        IDE target (default: ide.target)
+  --ide-url <url>          IDE base URL (default: ide.baseUrl)
+  --script-library <dir>   Add the .groovy files of a script collection (default: scripts.libraryDir)
+  --body-format <mode>     ${BODY_FORMATS.join(' | ')}: reformat an XML or JSON body (default: body.ideFormat)
+  --debounce <ms>          Quiet time after the last save before rebuilding (default ${DEFAULT_DEBOUNCE_MS})
+
+Prints a URL right away and after every burst of saves until Ctrl+C. With --output the file always
+holds the latest URL.`,
+    options: {
+      open: { type: 'boolean' },
+      quiet: { type: 'boolean' },
+      browser: { type: 'string' },
+      'ide-target': { type: 'string' },
+      'ide-url': { type: 'string' },
+      'script-library': { type: 'string' },
+      'body-format': { type: 'string' },
+      debounce: { type: 'string' }
+    },
+    async run({ values, positionals, logger, config }) {
+      if (positionals.length !== 1) {
+        throw new UsageError('Pass the workspace folder: cpidebug watch <dir>');
+      }
+      const debounceMs = values.debounce !== undefined ? Number(values.debounce) : DEFAULT_DEBOUNCE_MS;
+      if (!Number.isInteger(debounceMs) || debounceMs < 0) {
+        throw new UsageError(`Invalid --debounce "${values.debounce}" (use a number of milliseconds)`);
+      }
+      const bodyFormat = bodyFormatOption(values, config.body.ideFormat);
+      const libraryDir = values['script-library'] || config.scripts.libraryDir;
+      const dir = path.resolve(positionals[0]);
+      const ideOptions = {
+        target: values['ide-target'] || config.ide.target,
+        baseUrl: values['ide-url'] || config.ide.baseUrl || undefined,
+        browser: values.open ? values.browser || config.ide.browser : 'none'
+      };
+
+      const publish = async (payload) => {
+        const contivaData = toContivaData({ payload }, libraryDir, { bodyFormat, logger });
+        const encoded = await encodeContivaData(contivaData, { logger });
+        const launch = await openInIde(encoded, ideOptions);
+        if (!launch.launched && launch.browser !== 'none') {
+          logger.warn(`Could not open ${launch.browser}: ${launch.error}`);
+        }
+        if (!values.quiet) {
+          writeOutput(values, launch.url);
+        }
+      };
+
+      // Status lines go to stderr so stdout only carries URLs
+      await publish(loadWorkspace(dir, { logger }));
+      const watcher = watchWorkspace(dir, {
+        debounceMs,
+        logger,
+        onChange: async (payload, changedFiles) => {
+          console.error(`🔄 ${formatTimestamp(new Date())} ${changedFiles.join(', ')} changed`);
+          await publish(payload);
+        },
+        onError: (err) => console.error(`⚠️  ${err.message}`)
+      });
+      console.error(`👀 Watching ${dir} (Ctrl+C to stop)`);
+
+      await new Promise((resolve) => {
+        process.once('SIGINT', resolve);
+      });
+      watcher.close();
+    }
+  },
+
+  cert: {
+    summary: 'Print the fingerprint and location of the HTTPS certificate, to trust it in the browser',
+    arguments: '',
+    readsInput: false,
+    usage: `  --cert <file>            PEM certificate to describe (default: https.certFile)
+  --key <file>             Its private key (default: https.keyFile)
+  --cert-dir <dir>         Folder of the generated certificate (default: https.certDir)
+  --pem                    Print the certificate itself, e.g. to import it elsewhere
+
+Without a configured certificate pair the generated localhost certificate is described; it is created
+now if the server has not done so yet.`,
+    options: {
+      cert: { type: 'string' },
+      key: { type: 'string' },
+      'cert-dir': { type: 'string' },
+      pem: { type: 'boolean' }
+    },
+    async run({ values, logger, config }) {
+      const provided = values.cert || values.key
+        ? { certFile: values.cert, keyFile: values.key }
+        : { certFile: config.https.certFile, keyFile: config.https.keyFile };
+      if (Boolean(provided.certFile) !== Boolean(provided.keyFile)) {
+        throw new UsageError('Pass --cert and --key together');
+      }
+      const certificate = await resolveCertificate({
+        certFile: provided.certFile && path.resolve(provided.certFile),
+        keyFile: provided.keyFile && path.resolve(provided.keyFile),
+        certDir: values['cert-dir'] ? path.resolve(values['cert-dir']) : config.https.certDir,
+        logger
+      });
+      if (values.pem) {
+        writeOutput(values, certificate.cert.toString('utf-8').trim());
+        return;
+      }
+
+      const { details } = certificate;
+      const lines = [
+        `Certificate: ${certificate.certFile}${certificate.created ? ' (generated now)' : ''}`,
+        `Subject:     ${details.subject.replace(/\n/g, ', ')}`,
+        `Names:       ${details.subjectAltName || 'none'}`,
+        `Valid:       ${details.validFrom.toISOString()} – ${details.validTo.toISOString()}`,
+        `SHA-256:     ${details.fingerprint256}`,
+        `SHA-1:       ${details.fingerprint}`
+      ];
+      if (certificate.generated) {
+        lines.push(
+          '',
+          'Trust it once, then check that the browser shows the same SHA-256 fingerprint:',
+          `  macOS:   sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain "${certificate.certFile}"`,
+          `  Windows: certutil -user -addstore Root "${certificate.certFile}"`,
+          `  Linux:   certutil -d sql:$HOME/.pki/nssdb -A -t "P,," -n cpidebug-localhost -i "${certificate.certFile}"`,
+          '  Firefox: Settings → Privacy & Security → Certificates → View Certificates → Servers → Import',
+          `  Node.js clients: NODE_EXTRA_CA_CERTS="${certificate.certFile}"`
+        );
+      }
+      writeOutput(values, lines.join('\n'));
+    }
+  }
+};
+
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  return `Usage: cpidebug <command> [input] [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.summary}`).join('\n')}
+
+Input: the argument, --input <file>, or stdin. The format is detected automatically: CPI Helper
+strings/links, Contiva strings/IDE URLs, Base64 JSON, CPI Helper payload JSON and Contiva JSON.
+
+Run "cpidebug <command> --help" for the options of a command.`;
+}
+
+function commandUsage(name) {
+  const args = COMMANDS[name].arguments !== undefined ? COMMANDS[name].arguments : '[input]';
+  return `Usage: ${['cpidebug', name, args, '[options]'].filter(Boolean).join(' ')}
+
+${COMMANDS[name].summary}
+
+Options:
+${COMMANDS[name].usage}
+${COMMON_USAGE}`;
+}
+
+// ════════════════════════════════════════════════════════════
+// 🚀 MAIN
+// ════════════════════════════════════════════════════════════
+
+async function main(argv) {
+  const [name, ...args] = argv;
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    process.stdout.write(`${usage()}\n`);
+    return 0;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command "${name}"\n\n${usage()}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: { ...COMMON_OPTIONS, ...command.options },
+      strict: true,
+      allowPositionals: true
+    });
+  } catch (err) {
+    throw new UsageError(`${err.message}\n\n${commandUsage(name)}`);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    process.stdout.write(`${commandUsage(name)}\n`);
+    return 0;
+  }
+
+  // Logs go to stderr so stdout only carries the result
+  const logger = createLogger({
+    level: values.verbose ? 'debug' : 'warn',
+    output: { log: console.error, error: console.error }
+  });
+  // Defaults come from the same config files and environment variables as the server
+  const { config } = loadConfig({ argv: [] });
+  const text = command.readsInput === false ? null : await readInput(values, positionals);
+
+  await command.run({ values, positionals, text, logger, config });
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (err) => {
+      console.error(`❌ ${err.message}`);
+      if (err instanceof DecodeError && err.diagnostics.length > 1) {
+        for (const diagnostic of err.diagnostics) {
+          console.error(`   ${diagnostic.id}: ${diagnostic.error}`);
+        }
+      }
+      process.exitCode = err instanceof UsageError ? 2 : 1;
+    }
+  );
+}
+
+module.exports = { main };
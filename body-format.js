@@ -0,0 +1,347 @@
+/**
+ * Body Format
+ * Sniffs the message body, pretty-prints or minifies it and encodes it for disk in its own charset
+ *
+ * Types:
+ *   xml       << Starts with "<" (charset from the XML declaration)
+ *   json      << Parses as JSON
+ *   edifact   << UNA / UNB segments
+ *   x12       << ISA interchange header
+ *   idoc      << IDoc flat file (EDI_DC40 control record)
+ *   csv       << Two or more lines with the same number of , ; tab or | delimiters
+ *   base64    << Base64 of binary content (PDF, ZIP, images, ...) or of an XML/JSON document
+ *   text      << Anything else
+ *
+ * Charset, in order: XML declaration, charset of the Content-Type header, CamelCharsetName, UTF-8.
+ * Node encodes UTF-8, UTF-16, ISO-8859-1/US-ASCII and windows-1252; other charsets fall back to UTF-8.
+ */
+
+const { prettyPrintXml } = require('./capture-diff');
+
+const BODY_FORMATS = ['none', 'pretty', 'minify'];
+
+const BODY_TYPES = {
+  xml: { extension: 'xml', mediaType: 'application/xml' },
+  json: { extension: 'json', mediaType: 'application/json' },
+  edifact: { extension: 'edi', mediaType: 'application/EDIFACT' },
+  x12: { extension: 'x12', mediaType: 'application/EDI-X12' },
+  idoc: { extension: 'idoc', mediaType: 'text/plain' },
+  csv: { extension: 'csv', mediaType: 'text/csv' },
+  base64: { extension: 'b64', mediaType: 'text/plain' },
+  text: { extension: 'txt', mediaType: 'text/plain' }
+};
+
+// Magic bytes of binary content commonly sent Base64-encoded
+const BINARY_SIGNATURES = [
+  { bytes: [0x25, 0x50, 0x44, 0x46], extension: 'pdf', mediaType: 'application/pdf' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], extension: 'zip', mediaType: 'application/zip' },
+  { bytes: [0x1f, 0x8b], extension: 'gz', mediaType: 'application/gzip' },
+  { bytes: [0x89, 0x50, 0x4e, 0x47], extension: 'png', mediaType: 'image/png' },
+  { bytes: [0xff, 0xd8, 0xff], extension: 'jpg', mediaType: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], extension: 'gif', mediaType: 'image/gif' }
+];
+
+// Extensions a typed body copy can have, so stale copies of earlier captures can be found
+const TYPED_EXTENSIONS = [
+  ...new Set([
+    ...Object.values(BODY_TYPES).map((type) => type.extension),
+    ...BINARY_SIGNATURES.map((signature) => signature.extension),
+    'bin'
+  ])
+].filter((extension) => extension !== 'b64' && extension !== 'txt');
+
+// windows-1252 code points for bytes 0x80-0x9F (the rest matches ISO-8859-1)
+const CP1252_SPECIALS = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+  0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c, 0x017d: 0x8e, 0x2018: 0x91,
+  0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98,
+  0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b, 0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+};
+
+const BASE64_BODY_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const MIN_BINARY_LENGTH = 64;
+
+/**
+ * Returns the body as text; CPI Helper passes non-string bodies (rare) through as JSON
+ */
+function bodyToText(body) {
+  if (typeof body === 'string') {
+    return body;
+  }
+  return body === undefined || body === null ? '' : JSON.stringify(body);
+}
+
+function findValue(map, name) {
+  const key = Object.keys(map || {}).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : map[key];
+}
+
+function isJson(text) {
+  if (!/^[{[]/.test(text)) {
+    return false;
+  }
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function isCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '').slice(0, 10);
+  if (lines.length < 2) {
+    return false;
+  }
+  return [',', ';', '\t', '|'].some((delimiter) => {
+    const counts = lines.map((line) => line.split(delimiter).length - 1);
+    return counts[0] > 0 && counts.every((count) => count === counts[0]);
+  });
+}
+
+function hasControlBytes(buffer) {
+  return buffer.some((byte) => byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d);
+}
+
+/**
+ * Decodes a Base64 body and names its content, or returns null when the body is not Base64 of a known kind
+ * Plain words are valid Base64 too, so text is only accepted when it decodes to XML or JSON
+ */
+function sniffBase64(text) {
+  const compact = text.replace(/\s+/g, '');
+  if (compact.length < 16 || compact.length % 4 !== 0 || !BASE64_BODY_PATTERN.test(compact)) {
+    return null;
+  }
+  const bytes = Buffer.from(compact, 'base64');
+  const signature = BINARY_SIGNATURES.find((candidate) => candidate.bytes.every((byte, i) => bytes[i] === byte));
+  if (signature) {
+    return { bytes, extension: signature.extension, mediaType: signature.mediaType };
+  }
+  // Short tokens (IDs, hashes) decode to control bytes as well, so unknown binary needs some length
+  if (compact.length >= MIN_BINARY_LENGTH && hasControlBytes(bytes.subarray(0, 512))) {
+    return { bytes, extension: 'bin', mediaType: 'application/octet-stream' };
+  }
+  const inner = bytes.toString('utf-8').replace(/^\uFEFF/, '').trim();
+  if (inner.startsWith('<')) {
+    return { bytes, extension: 'xml', mediaType: BODY_TYPES.xml.mediaType };
+  }
+  if (isJson(inner)) {
+    return { bytes, extension: 'json', mediaType: BODY_TYPES.json.mediaType };
+  }
+  return null;
+}
+
+/**
+ * Detects the type and charset of a message body
+ *
+ * @param {*} body - input.body of a CPI Helper payload
+ * @param {Object} [context]
+ * @param {Object} [context.headers] - input.headers (Content-Type charset, CamelCharsetName)
+ * @param {Object} [context.properties] - input.properties (CamelCharsetName)
+ * @returns {{ type: string, extension: string, mediaType: string, charset: string, binary: Object|null }}
+ *   binary is { bytes, extension, mediaType } for Base64 bodies
+ */
+function describeBody(body, { headers = {}, properties = {} } = {}) {
+  const text = bodyToText(body).replace(/^\uFEFF/, '');
+  const trimmed = text.trim();
+
+  let type = 'text';
+  let binary = null;
+  if (trimmed.startsWith('<')) {
+    type = 'xml';
+  } else if (isJson(trimmed)) {
+    type = 'json';
+  } else if (/^(UNA.{6}\s*)?UNB\+/.test(trimmed)) {
+    type = 'edifact';
+  } else if (/^ISA[^A-Za-z0-9\s]/.test(trimmed)) {
+    type = 'x12';
+  } else if (/^EDI_DC40/.test(trimmed)) {
+    type = 'idoc';
+  } else if ((binary = sniffBase64(trimmed))) {
+    type = 'base64';
+  } else if (isCsv(trimmed)) {
+    type = 'csv';
+  }
+
+  const declared = type === 'xml' ? trimmed.match(/^<\?xml[^>]*\bencoding\s*=\s*["']([\w.:-]+)["']/i) : null;
+  const contentType = findValue(headers, 'Content-Type');
+  const fromContentType = typeof contentType === 'string' ? contentType.match(/;\s*charset\s*=\s*"?([\w.:-]+)"?/i) : null;
+  const camelCharset = findValue(properties, 'CamelCharsetName') || findValue(headers, 'CamelCharsetName');
+  const charset = (declared && declared[1]) || (fromContentType && fromContentType[1]) ||
+    (typeof camelCharset === 'string' && camelCharset) || 'UTF-8';
+
+  return { type, ...BODY_TYPES[type], charset, binary };
+}
+
+/**
+ * Pretty-prints or minifies XML and JSON bodies; other types and malformed documents are returned unchanged
+ *
+ * @param {string} text - Body text
+ * @param {string} type - Type from describeBody
+ * @param {string} mode - none | pretty | minify
+ * @returns {{ text: string, formatted: boolean, error?: string }}
+ */
+function formatBody(text, type, mode) {
+  if (mode === 'none' || (type !== 'xml' && type !== 'json')) {
+    return { text, formatted: false };
+  }
+  try {
+    if (type === 'json') {
+      const parsed = JSON.parse(text);
+      return { text: mode === 'pretty' ? JSON.stringify(parsed, null, 2) : JSON.stringify(parsed), formatted: true };
+    }
+    if (mode === 'pretty') {
+      return { text: prettyPrintXml(text), formatted: true };
+    }
+    prettyPrintXml(text); // Only checks that the document is well-formed
+    // Whitespace-only text between tags is dropped; text inside elements is kept
+    return { text: text.trim().replace(/>\s+</g, '><'), formatted: true };
+  } catch (err) {
+    return { text, formatted: false, error: err.message };
+  }
+}
+
+/**
+ * Encodes body text in a charset
+ *
+ * @returns {{ buffer: Buffer, charset: string, fallback: boolean }} fallback is true when UTF-8 was used
+ *   instead of the requested charset (unsupported charset, or characters it cannot represent)
+ */
+function encodeBody(text, charset = 'UTF-8') {
+  const name = String(charset).toLowerCase().replace(/_/g, '-');
+  const utf8 = (fallback) => ({ buffer: Buffer.from(text, 'utf-8'), charset: 'UTF-8', fallback });
+
+  if (name === 'utf-8' || name === 'utf8') {
+    return utf8(false);
+  }
+  if (['iso-8859-1', 'latin1', 'latin-1', 'us-ascii', 'ascii'].includes(name)) {
+    const limit = name.includes('ascii') ? 0x7f : 0xff;
+    return [...text].every((char) => char.codePointAt(0) <= limit)
+      ? { buffer: Buffer.from(text, 'latin1'), charset, fallback: false }
+      : utf8(true);
+  }
+  if (name === 'windows-1252' || name === 'cp1252') {
+    const bytes = [];
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (CP1252_SPECIALS[code] !== undefined) {
+        bytes.push(CP1252_SPECIALS[code]);
+      } else if (code <= 0xff && (code < 0x80 || code > 0x9f)) {
+        bytes.push(code);
+      } else {
+        return utf8(true);
+      }
+    }
+    return { buffer: Buffer.from(bytes), charset, fallback: false };
+  }
+  if (name === 'utf-16le' || name === 'utf-16') {
+    // Plain UTF-16 needs a byte order mark; UTF-16LE does not
+    const body = Buffer.from(name === 'utf-16' ? text.replace(/^\uFEFF/, '') : text, 'utf16le');
+    return { buffer: name === 'utf-16' ? Buffer.concat([Buffer.from([0xff, 0xfe]), body]) : body, charset, fallback: false };
+  }
+  if (name === 'utf-16be') {
+    return { buffer: Buffer.from(text, 'utf16le').swap16(), charset, fallback: false };
+  }
+  return utf8(true);
+}
+
+/**
+ * Decodes a body file written by buildBodyFiles (or edited by hand) back to text
+ * A byte order mark wins; otherwise the charset is detected as in describeBody, with the XML declaration
+ * read from the ASCII-compatible start of the file
+ *
+ * @param {Buffer} buffer - File content
+ * @param {Object} [context] - { headers, properties } of the same capture
+ * @returns {{ text: string, charset: string }}
+ */
+function decodeBody(buffer, context = {}) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: buffer.subarray(2).toString('utf16le'), charset: 'UTF-16' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: Buffer.from(buffer.subarray(2)).swap16().toString('utf16le'), charset: 'UTF-16' };
+  }
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.toString('utf-8'), charset: 'UTF-8' };
+  }
+
+  const { charset } = describeBody(buffer.subarray(0, 1024).toString('latin1'), context);
+  const name = charset.toLowerCase().replace(/_/g, '-');
+  if (['iso-8859-1', 'latin1', 'latin-1', 'us-ascii', 'ascii'].includes(name)) {
+    return { text: buffer.toString('latin1'), charset };
+  }
+  if (name === 'utf-16le' || name === 'utf-16') {
+    return { text: buffer.toString('utf16le'), charset };
+  }
+  if (name === 'windows-1252' || name === 'cp1252') {
+    const codePoints = Object.fromEntries(Object.entries(CP1252_SPECIALS).map(([code, byte]) => [byte, Number(code)]));
+    return { text: Array.from(buffer, (byte) => String.fromCharCode(codePoints[byte] || byte)).join(''), charset };
+  }
+  if (name === 'utf-16be') {
+    return { text: Buffer.from(buffer).swap16().toString('utf16le'), charset };
+  }
+  try {
+    // Other legacy charsets Node knows through ICU
+    return { text: new TextDecoder(name).decode(buffer), charset };
+  } catch (err) {
+    return { text: buffer.toString('utf-8'), charset: 'UTF-8' };
+  }
+}
+
+/**
+ * Builds the body files of a capture: the .body file and a copy named after the content type
+ *
+ * @param {Object} cpiHelperData - Decoded CPI Helper payload ({ input, script })
+ * @param {Object} [options]
+ * @param {string} [options.format] - none | pretty | minify (default none)
+ * @param {boolean} [options.typedCopy] - Also return the copy with the proper extension (default true)
+ * @returns {{ info: Object, body: Buffer, typed: { extension: string, content: Buffer }|null, warnings: string[] }}
+ *   Base64 bodies stay Base64 in body; their typed copy holds the decoded bytes (.pdf, .zip, ...)
+ */
+function buildBodyFiles(cpiHelperData, { format = 'none', typedCopy = true } = {}) {
+  const input = (cpiHelperData && cpiHelperData.input) || {};
+  const text = bodyToText(input.body);
+  const info = describeBody(text, input);
+  const warnings = [];
+
+  const formatted = formatBody(text, info.type, format);
+  if (formatted.error) {
+    warnings.push(`Body left as received, ${info.type.toUpperCase()} could not be formatted: ${formatted.error}`);
+  }
+  const encoded = encodeBody(formatted.text, info.charset);
+  if (encoded.fallback) {
+    warnings.push(`Body saved as UTF-8, charset ${info.charset} is not supported or cannot represent every character`);
+  }
+
+  let typed = null;
+  if (typedCopy && info.binary) {
+    typed = { extension: info.binary.extension, content: info.binary.bytes };
+  } else if (typedCopy && info.type !== 'text') {
+    typed = { extension: info.extension, content: encoded.buffer };
+  }
+
+  const { binary, ...summary } = info;
+  return {
+    info: {
+      ...summary,
+      binary: binary ? { extension: binary.extension, mediaType: binary.mediaType, bytes: binary.bytes.length } : null,
+      savedCharset: encoded.charset,
+      formatted: formatted.formatted
+    },
+    body: encoded.buffer,
+    typed,
+    warnings
+  };
+}
+
+module.exports = {
+  BODY_FORMATS,
+  BODY_TYPES,
+  TYPED_EXTENSIONS,
+  bodyToText,
+  buildBodyFiles,
+  decodeBody,
+  describeBody,
+  encodeBody,
+  formatBody
+};
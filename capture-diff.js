@@ -0,0 +1,448 @@
+/**
+ * Capture Diff
+ * Compares two decoded CPI Helper payloads (input.body, input.headers, input.properties, script.code)
+ *
+ * Result:
+ *   script      << Line diff of script.code plus a changed function name
+ *   body        << Line diff (JSON/XML pretty-printed first) and a structural diff by JSONPath/XPath
+ *   headers     << Added, removed and changed headers
+ *   properties  << Added, removed and changed exchange properties
+ *   summary     << Counts per section, identical when nothing differs
+ */
+
+const { detectBodyType } = require('./redaction');
+
+// Line diffs needing more edits than this are reported as "everything replaced"
+const MAX_EDIT_DISTANCE = 4000;
+
+// ════════════════════════════════════════════════════════════
+// 📏 LINE DIFF
+// ════════════════════════════════════════════════════════════
+
+/**
+ * Myers diff of two string arrays
+ *
+ * @returns {Array<{ type: string, text: string }>} equal | removed | added operations in order
+ */
+function diffSequences(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d..d are read when backtracking, so keep just that window
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return [
+    ...a.map((text) => ({ type: 'removed', text })),
+    ...b.map((text) => ({ type: 'added', text }))
+  ];
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const window = trace[d];
+    const at = (k) => window[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', text: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'added', text: b[y - 1] });
+      } else {
+        ops.push({ type: 'removed', text: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Line diff of two texts
+ *
+ * @returns {Array<{ type: string, text: string, oldLine: number|null, newLine: number|null }>}
+ */
+function diffLines(oldText, newText) {
+  const oldLines = oldText === '' ? [] : String(oldText).split(/\r?\n/);
+  const newLines = newText === '' ? [] : String(newText).split(/\r?\n/);
+
+  // Common prefix and suffix need no edit search
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = [
+    ...oldLines.slice(0, prefix).map((text) => ({ type: 'equal', text })),
+    ...diffSequences(
+      oldLines.slice(prefix, oldLines.length - suffix),
+      newLines.slice(prefix, newLines.length - suffix)
+    ),
+    ...oldLines.slice(oldLines.length - suffix).map((text) => ({ type: 'equal', text }))
+  ];
+
+  let oldLine = 0;
+  let newLine = 0;
+  return ops.map((op) => ({
+    ...op,
+    oldLine: op.type === 'added' ? null : ++oldLine,
+    newLine: op.type === 'removed' ? null : ++newLine
+  }));
+}
+
+// ════════════════════════════════════════════════════════════
+// 🗂️  MAP DIFF
+// ════════════════════════════════════════════════════════════
+
+/**
+ * Compares two flat name → value maps (headers, properties, flattened bodies)
+ *
+ * @returns {{ added: Array, removed: Array, changed: Array, unchanged: number }}
+ */
+function diffMaps(oldMap, newMap) {
+  const before = oldMap || {};
+  const after = newMap || {};
+  const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) {
+      result.removed.push({ key, value: before[key] });
+    } else if (!same(before[key], after[key])) {
+      result.changed.push({ key, from: before[key], to: after[key] });
+    } else {
+      result.unchanged++;
+    }
+  }
+  for (const key of Object.keys(after)) {
+    if (!(key in before)) {
+      result.added.push({ key, value: after[key] });
+    }
+  }
+
+  return result;
+}
+
+// ════════════════════════════════════════════════════════════
+// 🧾 BODY
+// ════════════════════════════════════════════════════════════
+
+const XML_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+
+/**
+ * Walks an XML string, calling handlers for elements, attributes and text; throws on unbalanced tags
+ */
+function walkXml(xml, { open, close, text }) {
+  const stack = [];
+  let match;
+  XML_TOKEN.lastIndex = 0;
+
+  while ((match = XML_TOKEN.exec(xml)) !== null) {
+    const [token, cdata, closingName, openingName, attributes, selfClosing, chars] = match;
+    if (chars !== undefined || cdata !== undefined) {
+      text(cdata !== undefined ? cdata : chars, stack.length, true);
+    } else if (closingName) {
+      if (stack.pop() !== closingName) {
+        throw new Error(`Unexpected </${closingName}>`);
+      }
+      close(closingName, stack.length);
+    } else if (openingName) {
+      const attributeMap = {};
+      attributes.replace(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (all, name, quoted, double, single) => {
+        attributeMap[name] = double !== undefined ? double : single;
+      });
+      open(openingName, attributeMap, stack.length, Boolean(selfClosing), token);
+      if (selfClosing) {
+        close(openingName, stack.length, true);
+      } else {
+        stack.push(openingName);
+      }
+    } else {
+      text(token, stack.length, false);
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new Error(`Unclosed <${stack[stack.length - 1]}>`);
+  }
+}
+
+/**
+ * Re-indents XML one element per line; elements holding only text stay on one line
+ */
+function prettyPrintXml(xml) {
+  const lines = [];
+  let pendingOpen = null;
+  let pendingText = '';
+
+  const flushOpen = () => {
+    if (pendingOpen) {
+      lines.push(pendingOpen.line);
+      if (pendingText.trim() !== '') {
+        // Mixed content: text before the first child element
+        lines.push('  '.repeat(pendingOpen.depth + 1) + pendingText.trim());
+      }
+      pendingOpen = null;
+      pendingText = '';
+    }
+  };
+
+  walkXml(xml, {
+    open: (name, attributes, depth, selfClosing, token) => {
+      flushOpen();
+      const line = '  '.repeat(depth) + token.trim();
+      if (selfClosing) {
+        lines.push(line);
+      } else {
+        pendingOpen = { line, depth };
+        pendingText = '';
+      }
+    },
+    close: (name, depth, selfClosing) => {
+      if (selfClosing) {
+        return;
+      }
+      if (pendingOpen) {
+        lines.push(`${pendingOpen.line}${pendingText.trim()}</${name}>`);
+        pendingOpen = null;
+      } else {
+        lines.push(`${'  '.repeat(depth)}</${name}>`);
+      }
+      pendingText = '';
+    },
+    text: (chars, depth, isText) => {
+      if (!isText) {
+        flushOpen();
+        lines.push('  '.repeat(depth) + chars.trim());
+      } else if (chars.trim() !== '') {
+        if (pendingOpen) {
+          pendingText += chars;
+        } else {
+          lines.push('  '.repeat(depth) + chars.trim());
+        }
+      }
+    }
+  });
+  flushOpen();
+
+  return lines.join('\n');
+}
+
+/**
+ * Flattens XML into path → value: element text at /a/b, attributes at /a/b/@id,
+ * repeated siblings as /a/b[2]
+ */
+function flattenXml(xml) {
+  const values = {};
+  const path = [];
+  const siblingCounts = [{}];
+
+  walkXml(xml, {
+    open: (name, attributes) => {
+      const counts = siblingCounts[siblingCounts.length - 1];
+      counts[name] = (counts[name] || 0) + 1;
+      path.push(counts[name] > 1 ? `${name}[${counts[name]}]` : name);
+      siblingCounts.push({});
+
+      const elementPath = `/${path.join('/')}`;
+      values[elementPath] = '';
+      for (const [attribute, value] of Object.entries(attributes)) {
+        values[`${elementPath}/@${attribute}`] = value;
+      }
+    },
+    close: () => {
+      path.pop();
+      siblingCounts.pop();
+    },
+    text: (chars, depth, isText) => {
+      if (isText && path.length > 0 && chars.trim() !== '') {
+        const elementPath = `/${path.join('/')}`;
+        values[elementPath] = `${values[elementPath]}${chars.trim()}`;
+      }
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Flattens JSON into JSONPath → leaf value; empty objects and arrays are leaves too
+ */
+function flattenJson(value, prefix = '$', values = {}) {
+  const isContainer = value !== null && typeof value === 'object';
+  const entries = isContainer ? Object.entries(value) : [];
+
+  if (!isContainer || entries.length === 0) {
+    values[prefix] = value;
+    return values;
+  }
+  for (const [key, child] of entries) {
+    const childPath = Array.isArray(value)
+      ? `${prefix}[${key}]`
+      : /^[A-Za-z_$][\w$]*$/.test(key) ? `${prefix}.${key}` : `${prefix}['${key.replace(/'/g, "\\'")}']`;
+    flattenJson(child, childPath, values);
+  }
+  return values;
+}
+
+function bodyToText(body) {
+  if (body == null) {
+    return '';
+  }
+  return typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+}
+
+/**
+ * Compares two bodies: a line diff (pretty-printed when both are JSON or both XML) and,
+ * for matching structured types, a path-level diff
+ */
+function diffBodies(oldBody, newBody, { pretty = true } = {}) {
+  const oldText = bodyToText(oldBody);
+  const newText = bodyToText(newBody);
+  const oldType = detectBodyType(oldText);
+  const newType = detectBodyType(newText);
+  const type = oldType === newType ? oldType : 'text';
+
+  let structure = null;
+  let oldLines = oldText;
+  let newLines = newText;
+
+  try {
+    if (type === 'json') {
+      structure = diffMaps(flattenJson(JSON.parse(oldText)), flattenJson(JSON.parse(newText)));
+      if (pretty) {
+        oldLines = JSON.stringify(JSON.parse(oldText), null, 2);
+        newLines = JSON.stringify(JSON.parse(newText), null, 2);
+      }
+    } else if (type === 'xml') {
+      structure = diffMaps(flattenXml(oldText), flattenXml(newText));
+      if (pretty) {
+        oldLines = prettyPrintXml(oldText);
+        newLines = prettyPrintXml(newText);
+      }
+    }
+  } catch (err) {
+    // Malformed XML falls back to a plain line diff
+    structure = null;
+    oldLines = oldText;
+    newLines = newText;
+  }
+
+  return {
+    type: structure ? type : 'text',
+    types: { old: oldType, new: newType },
+    identical: oldText === newText,
+    lines: diffLines(oldLines, newLines),
+    structure
+  };
+}
+
+// ════════════════════════════════════════════════════════════
+// 🔀 CAPTURE DIFF
+// ════════════════════════════════════════════════════════════
+
+function countLineChanges(lines) {
+  return lines.filter((line) => line.type !== 'equal').length;
+}
+
+function countMapChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length;
+}
+
+/**
+ * Compares two decoded CPI Helper payloads
+ *
+ * @param {Object} oldPayload - Left side ({ input: { body, headers, properties }, script: { code, function } })
+ * @param {Object} newPayload - Right side
+ * @param {Object} [options]
+ * @param {boolean} [options.pretty=true] - Pretty-print JSON/XML bodies before the line diff
+ * @returns {Object} { identical, summary, script, body, headers, properties }
+ */
+function diffCaptures(oldPayload, newPayload, { pretty = true } = {}) {
+  const oldInput = (oldPayload && oldPayload.input) || {};
+  const newInput = (newPayload && newPayload.input) || {};
+  const oldScript = (oldPayload && oldPayload.script) || {};
+  const newScript = (newPayload && newPayload.script) || {};
+
+  const scriptLines = diffLines(oldScript.code || '', newScript.code || '');
+  const oldFunction = oldScript.function || 'processData';
+  const newFunction = newScript.function || 'processData';
+  const body = diffBodies(oldInput.body, newInput.body, { pretty });
+  const headers = diffMaps(oldInput.headers, newInput.headers);
+  const properties = diffMaps(oldInput.properties, newInput.properties);
+
+  const summary = {
+    scriptLines: countLineChanges(scriptLines),
+    functionChanged: oldFunction !== newFunction,
+    bodyLines: body.identical ? 0 : countLineChanges(body.lines),
+    bodyPaths: body.structure ? countMapChanges(body.structure) : null,
+    headers: countMapChanges(headers),
+    properties: countMapChanges(properties)
+  };
+
+  return {
+    identical: summary.scriptLines === 0 && !summary.functionChanged && body.identical &&
+      summary.headers === 0 && summary.properties === 0,
+    summary,
+    script: {
+      identical: summary.scriptLines === 0 && !summary.functionChanged,
+      function: { old: oldFunction, new: newFunction },
+      lines: scriptLines
+    },
+    body,
+    headers,
+    properties
+  };
+}
+
+module.exports = {
+  diffCaptures,
+  diffBodies,
+  diffLines,
+  diffMaps,
+  flattenJson,
+  flattenXml,
+  prettyPrintXml
+};
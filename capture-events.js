@@ -0,0 +1,158 @@
+/**
+ * Capture Events
+ * Live feed of decoded captures as Server-Sent Events (GET /events)
+ *
+ * Events:
+ *   capture         << A payload was decoded: { captureId, source, functionName, scriptName, bodyLength,
+ *                      bodyType, messageProcessingLogId, ... } (the capture summary, see capture-store.js)
+ *   capture-status  << Outcome for the same capture: { captureId, saved, error, launch }
+ *                      (launch is null unless the request opens the IDE)
+ *
+ * Wire format: "id: <bootId>-<seq>", "event: <type>", "data: <JSON { id, type, time, data }>".
+ * The boot id changes on every server start, so a client reconnecting with a Last-Event-ID from an
+ * earlier run gets the whole history instead of nothing. Late subscribers ask for ?replay=<n>.
+ */
+
+const crypto = require('crypto');
+const { getDefaultLogger } = require('./logger');
+
+const EVENT_TYPES = ['capture', 'capture-status'];
+
+/**
+ * Formats an event as a Server-Sent Events message
+ */
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Creates an in-memory event hub that keeps the last historySize events
+ *
+ * @param {Object} [options]
+ * @param {number} [options.historySize] - Events kept for replay (default 50)
+ * @param {number} [options.heartbeatMs] - Comment line sent to idle streams so proxies keep them open (default 15000)
+ * @param {number} [options.retryMs] - Reconnect delay suggested to EventSource clients (default 3000)
+ * @param {Object} [options.logger] - Logger for subscribe / unsubscribe messages
+ * @returns {Object} Hub API: publish, subscribe, recent, handleStream, close, clientCount
+ */
+function createEventHub({ historySize = 50, heartbeatMs = 15000, retryMs = 3000, logger = getDefaultLogger() } = {}) {
+  const bootId = crypto.randomBytes(3).toString('hex');
+  const history = [];
+  const listeners = new Set();
+  const streams = new Set();
+  let sequence = 0;
+
+  /**
+   * Records an event and sends it to every subscriber
+   *
+   * @param {string} type - Event type (see EVENT_TYPES)
+   * @param {Object} data - Event data
+   * @returns {{ id: string, type: string, time: string, data: Object }}
+   */
+  function publish(type, data) {
+    const event = { id: `${bootId}-${++sequence}`, type, time: new Date().toISOString(), data };
+    history.push(event);
+    if (history.length > historySize) {
+      history.shift();
+    }
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        logger.warn(`Event listener failed: ${err.message}`);
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Returns the recorded events after lastEventId, or the last count events
+   * An id from another server run (or one that fell out of the history) returns the whole history
+   */
+  function recent({ lastEventId, count } = {}) {
+    if (lastEventId) {
+      const index = history.findIndex((event) => event.id === lastEventId);
+      return index === -1 ? [...history] : history.slice(index + 1);
+    }
+    return count > 0 ? history.slice(-count) : [];
+  }
+
+  /**
+   * Calls listener for every new event, after the backlog selected as in recent()
+   *
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(listener, options = {}) {
+    for (const event of recent(options)) {
+      listener(event);
+    }
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Express handler streaming the events to one client
+   * Backlog: events after the Last-Event-ID header (set by EventSource on reconnect) or ?lastEventId,
+   * otherwise the last ?replay=<n> events (0 to historySize, default 0)
+   */
+  function handleStream(req, res) {
+    const replay = req.query.replay === undefined ? 0 : Number(req.query.replay);
+    if (!Number.isInteger(replay) || replay < 0 || replay > historySize) {
+      return res.status(400).json({
+        success: false,
+        message: `replay must be an integer between 0 and ${historySize}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const unsubscribe = subscribe((event) => res.write(formatEvent(event)), { lastEventId, count: replay });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+    heartbeat.unref();
+    streams.add(res);
+    logger.debug(`Event stream opened (${streams.size} open)`);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      streams.delete(res);
+      logger.debug(`Event stream closed (${streams.size} open)`);
+    });
+  }
+
+  /**
+   * Ends every open stream (server shutdown); clients reconnect to the next server
+   */
+  function close() {
+    for (const res of streams) {
+      res.end();
+    }
+    streams.clear();
+  }
+
+  return {
+    publish,
+    subscribe,
+    recent,
+    handleStream,
+    close,
+    get clientCount() {
+      return streams.size;
+    }
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createEventHub,
+  formatEvent
+};
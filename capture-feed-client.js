@@ -0,0 +1,144 @@
+/**
+ * Capture Feed Client
+ * Subscribes to the live capture feed of a running server (GET /events, see capture-events.js)
+ *
+ * Reconnects after errors and restarts with growing delays, resuming from the last event it saw
+ * (Last-Event-ID), so no capture is missed while the history still holds it. Runs wherever fetch
+ * can stream response bodies (Node 18+, browsers); pages can also use EventSource directly.
+ *
+ * Usage:
+ *   const feed = subscribeToCaptures('http://localhost:4004', {
+ *     replay: 10,
+ *     onEvent: (event) => console.log(event.type, event.data.captureId)
+ *   });
+ *   feed.close();
+ */
+
+/**
+ * Parses one Server-Sent Events message block into { id, event, data }, or null for comments
+ */
+function parseMessage(block) {
+  const message = { id: null, event: 'message', data: [] };
+  for (const line of block.split(/\r?\n/)) {
+    if (line === '' || line.startsWith(':')) {
+      continue;
+    }
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'data') {
+      message.data.push(value);
+    } else if (field === 'id' || field === 'event') {
+      message[field] = value;
+    }
+  }
+  return message.data.length > 0 ? { ...message, data: message.data.join('\n') } : null;
+}
+
+/**
+ * Subscribes to the capture feed of a server
+ *
+ * @param {string} baseUrl - Server URL, e.g. http://localhost:4004 (or the path createApp is mounted at)
+ * @param {Object} [options]
+ * @param {number} [options.replay] - Recorded events to receive first on the initial connection (default 0)
+ * @param {string[]} [options.types] - Only pass these event types to onEvent (default: all)
+ * @param {Function} [options.onEvent] - Called with { id, type, time, data } for every event
+ * @param {Function} [options.onOpen] - Called after each (re)connection
+ * @param {Function} [options.onError] - Called with the error before each reconnect
+ * @param {number} [options.retryMs] - First reconnect delay, doubled up to maxRetryMs (default 1000)
+ * @param {number} [options.maxRetryMs] - Longest reconnect delay (default 30000)
+ * @param {Object} [options.headers] - Extra request headers (e.g. an access token)
+ * @returns {{ close: Function, lastEventId: string|null }}
+ */
+function subscribeToCaptures(baseUrl, {
+  replay = 0,
+  types,
+  onEvent = () => {},
+  onOpen = () => {},
+  onError = () => {},
+  retryMs = 1000,
+  maxRetryMs = 30000,
+  headers = {}
+} = {}) {
+  // Relative to baseUrl, so servers mounted under a path (e.g. http://host/cpi) work too
+  const url = new URL('events', baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  let lastEventId = null;
+  let closed = false;
+  let controller = null;
+  let delay = retryMs;
+  let timer = null;
+
+  async function connect() {
+    controller = new AbortController();
+    const target = new URL(url);
+    if (lastEventId === null && replay > 0) {
+      target.searchParams.set('replay', String(replay));
+    }
+
+    const response = await fetch(target, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+        ...headers
+      },
+      signal: controller.signal
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Capture feed answered ${response.status} ${response.statusText}`);
+    }
+    delay = retryMs;
+    onOpen();
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const message = parseMessage(block);
+        if (!message) {
+          continue;
+        }
+        if (message.id) {
+          lastEventId = message.id;
+        }
+        const event = JSON.parse(message.data);
+        if (!types || types.includes(event.type)) {
+          onEvent(event);
+        }
+      }
+    }
+    throw new Error('Capture feed closed by the server');
+  }
+
+  function run() {
+    connect().catch((err) => {
+      if (closed) {
+        return;
+      }
+      onError(err);
+      timer = setTimeout(run, delay);
+      delay = Math.min(delay * 2, maxRetryMs);
+    });
+  }
+  run();
+
+  return {
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      if (controller) {
+        controller.abort();
+      }
+    },
+    get lastEventId() {
+      return lastEventId;
+    }
+  };
+}
+
+module.exports = {
+  parseMessage,
+  subscribeToCaptures
+};
@@ -0,0 +1,274 @@
+/**
+ * Capture Replay
+ * Sends a captured message to an HTTP endpoint (local iFlow simulator, mock server, ...)
+ *
+ * Mapping:
+ *   input.body        << Request body, encoded in its charset (not sent for GET and HEAD)
+ *   input.headers     << HTTP headers
+ *   input.properties  << <propertyPrefix><name> headers, only with includeProperties
+ *
+ * Headers that cannot or should not be forwarded are skipped and reported: hop-by-hop and
+ * length headers (Host, Content-Length, Connection, ...), Camel* routing headers, names that are
+ * not valid HTTP tokens and values with line breaks or characters outside Latin-1.
+ *
+ * The body is sent in the charset of the final Content-Type header, or the one detected by
+ * body-format.js (XML declaration, CamelCharsetName), so Latin-1 and UTF-16 messages arrive byte-exact.
+ *
+ * Targets are limited to this machine (localhost, 127.x.x.x, [::1]) unless their host is listed in
+ * allowedHosts, so captured headers and properties are not sent anywhere by accident or on request of
+ * a web page.
+ */
+
+const { getDefaultLogger } = require('./logger');
+const { bodyToText, describeBody, encodeBody } = require('./body-format');
+const { isLoopbackHost } = require('./security');
+
+const REPLAY_METHODS = ['POST', 'PUT', 'PATCH', 'GET', 'DELETE', 'HEAD', 'OPTIONS'];
+const MAX_REPEAT = 100;
+
+// Set by the HTTP client for the request it actually sends
+const SKIPPED_HEADERS = [
+  'host', 'content-length', 'connection', 'keep-alive', 'transfer-encoding', 'te', 'trailer',
+  'upgrade', 'expect', 'proxy-authorization', 'proxy-connection'
+];
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const CHARSET_PATTERN = /;\s*charset\s*=\s*"?([\w.:-]+)"?/i;
+
+function headerValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Whether a replay may be sent to a URL
+ * Loopback hosts always may; other hosts must match an allowedHosts entry by name ("mock.internal")
+ * or name and port ("mock.internal:8080"). "*" allows any host.
+ *
+ * @param {string|URL} url - Target URL
+ * @param {string[]} [allowedHosts] - Extra hosts (default none)
+ * @returns {boolean}
+ */
+function isReplayTargetAllowed(url, allowedHosts = []) {
+  const target = url instanceof URL ? url : new URL(url);
+  const hostname = target.hostname.toLowerCase();
+  if (allowedHosts.includes('*') || isLoopbackHost(hostname.replace(/^\[(.*)\]$/, '$1'))) {
+    return true;
+  }
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+  return allowedHosts.some((entry) => {
+    const allowed = String(entry).toLowerCase();
+    return allowed === hostname || allowed === `${hostname}:${port}`;
+  });
+}
+
+/**
+ * Returns why a header cannot be forwarded, or null
+ */
+function skipReason(name, value) {
+  if (!HEADER_NAME_PATTERN.test(name)) {
+    return 'not a valid HTTP header name';
+  }
+  if (SKIPPED_HEADERS.includes(name.toLowerCase())) {
+    return 'set by the HTTP client';
+  }
+  if (/^camel/i.test(name)) {
+    return 'Camel routing header';
+  }
+  if (/[\r\n]/.test(value)) {
+    return 'value contains a line break';
+  }
+  if (/[^\u0000-\u00ff]/.test(value)) {
+    return 'value contains characters outside Latin-1';
+  }
+  return null;
+}
+
+/**
+ * Builds the HTTP request for a capture without sending it
+ *
+ * @param {Object} cpiHelperData - Decoded CPI Helper payload ({ input, script })
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default POST)
+ * @param {string} [options.contentType] - Content-Type override; otherwise the captured Content-Type
+ *   header, or one derived from the body (XML, JSON, CSV, EDI, ...)
+ * @param {boolean} [options.includeProperties] - Also send the exchange properties as headers
+ * @param {string} [options.propertyPrefix] - Header name prefix for properties (default "X-Property-")
+ * @param {Object<string, string>} [options.headers] - Extra headers, applied last
+ * @returns {{ method: string, headers: Object<string, string>, body: Buffer|null, skipped: Array<{name: string, reason: string}> }}
+ * @throws {Error} When the method is not supported
+ */
+function buildReplayRequest(cpiHelperData, {
+  method = 'POST',
+  contentType,
+  includeProperties = false,
+  propertyPrefix = 'X-Property-',
+  headers: extraHeaders = {}
+} = {}) {
+  const upperMethod = String(method).toUpperCase();
+  if (!REPLAY_METHODS.includes(upperMethod)) {
+    throw new Error(`Unsupported method "${method}" (use one of: ${REPLAY_METHODS.join(', ')})`);
+  }
+
+  const input = (cpiHelperData && cpiHelperData.input) || {};
+  const bodyInfo = describeBody(input.body, input);
+  const headers = {};
+  const skipped = [];
+
+  const add = (name, rawValue) => {
+    const value = headerValue(rawValue);
+    const reason = skipReason(name, value);
+    if (reason) {
+      skipped.push({ name, reason });
+      return;
+    }
+    // Header names are case-insensitive; the last one wins
+    for (const existing of Object.keys(headers)) {
+      if (existing.toLowerCase() === name.toLowerCase()) {
+        delete headers[existing];
+      }
+    }
+    headers[name] = value;
+  };
+
+  for (const [name, value] of Object.entries(input.headers || {})) {
+    add(name, value);
+  }
+  if (includeProperties) {
+    for (const [name, value] of Object.entries(input.properties || {})) {
+      add(`${propertyPrefix}${name}`, value);
+    }
+  }
+  for (const [name, value] of Object.entries(extraHeaders)) {
+    add(name, value);
+  }
+
+  const hasBody = upperMethod !== 'GET' && upperMethod !== 'HEAD';
+  const capturedType = Object.keys(headers).find((name) => name.toLowerCase() === 'content-type');
+  if (contentType) {
+    if (capturedType) {
+      delete headers[capturedType];
+    }
+    headers['Content-Type'] = contentType;
+  } else if (!capturedType && hasBody) {
+    headers['Content-Type'] = `${bodyInfo.mediaType}; charset=${bodyInfo.charset}`;
+  }
+
+  if (!hasBody) {
+    return { method: upperMethod, headers, body: null, skipped };
+  }
+  const typeName = Object.keys(headers).find((name) => name.toLowerCase() === 'content-type');
+  const declared = typeName ? headers[typeName].match(CHARSET_PATTERN) : null;
+  const encoded = encodeBody(bodyToText(input.body), declared ? declared[1] : bodyInfo.charset);
+  if (encoded.fallback && typeName) {
+    // The receiver must not decode UTF-8 bytes with a charset they were not encoded in
+    headers[typeName] = declared
+      ? headers[typeName].replace(CHARSET_PATTERN, '; charset=UTF-8')
+      : `${headers[typeName]}; charset=UTF-8`;
+  }
+  return { method: upperMethod, headers, body: encoded.buffer, skipped };
+}
+
+/**
+ * Sends a capture to an HTTP endpoint, repeat times in a row
+ * Network errors and timeouts are recorded per attempt instead of being thrown
+ *
+ * @param {Object} cpiHelperData - Decoded CPI Helper payload ({ input, script })
+ * @param {Object} options - buildReplayRequest options, plus:
+ * @param {string} options.url - Target URL (http or https)
+ * @param {string[]} [options.allowedHosts] - Hosts besides loopback the URL may point at (see isReplayTargetAllowed)
+ * @param {number} [options.repeat] - Number of requests, 1 to 100 (default 1)
+ * @param {number} [options.timeoutMs] - Timeout per request (default 30000)
+ * @param {Object} [options.logger] - Logger for each attempt
+ * @returns {Promise<{ url: string, method: string, startedAt: string, request: Object, responses: Array<Object>, summary: Object }>}
+ * @throws {Error} When the URL, method or repeat count is invalid, or the host is not allowed
+ */
+async function replayCapture(cpiHelperData, {
+  url,
+  allowedHosts = [],
+  repeat = 1,
+  timeoutMs = 30000,
+  logger = getDefaultLogger(),
+  ...options
+} = {}) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (err) {
+    throw new Error(`Invalid replay URL ${JSON.stringify(url)}`);
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new Error(`Replay URL must use http or https (got ${target.protocol})`);
+  }
+  if (!isReplayTargetAllowed(target, allowedHosts)) {
+    throw new Error(`Replay target ${target.host} is not allowed: only this machine and replay.allowedHosts can be targeted`);
+  }
+  const count = Number(repeat);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_REPEAT) {
+    throw new Error(`repeat must be an integer between 1 and ${MAX_REPEAT} (got ${JSON.stringify(repeat)})`);
+  }
+
+  const request = buildReplayRequest(cpiHelperData, options);
+  for (const { name, reason } of request.skipped) {
+    logger.debug(`Not replaying header ${name}: ${reason}`);
+  }
+
+  const startedAt = new Date().toISOString();
+  const responses = [];
+  for (let attempt = 1; attempt <= count; attempt++) {
+    const started = Date.now();
+    try {
+      const response = await fetch(target, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const body = await response.text();
+      responses.push({
+        attempt,
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        body,
+        durationMs: Date.now() - started
+      });
+      logger.info(`Replay ${attempt}/${count}: ${request.method} ${target.href} → ${response.status} in ${Date.now() - started} ms`);
+    } catch (err) {
+      const error = err.name === 'TimeoutError'
+        ? `Timed out after ${timeoutMs} ms`
+        : (err.cause && err.cause.message) || err.message;
+      responses.push({ attempt, status: null, error, durationMs: Date.now() - started });
+      logger.warn(`Replay ${attempt}/${count}: ${request.method} ${target.href} failed: ${error}`);
+    }
+  }
+
+  const failed = responses.filter((response) => response.error || response.status >= 400).length;
+  return {
+    url: target.href,
+    method: request.method,
+    startedAt,
+    request: {
+      headers: request.headers,
+      bodyLength: request.body === null ? 0 : request.body.length,
+      skippedHeaders: request.skipped
+    },
+    responses,
+    summary: {
+      attempts: responses.length,
+      succeeded: responses.length - failed,
+      failed,
+      statuses: [...new Set(responses.map((response) => response.status))]
+    }
+  };
+}
+
+module.exports = {
+  MAX_REPEAT,
+  REPLAY_METHODS,
+  buildReplayRequest,
+  isReplayTargetAllowed,
+  replayCapture
+};
@@ -0,0 +1,298 @@
+/**
+ * Capture Store
+ * Keeps every decoded capture as its own session folder instead of
+ * overwriting a single set of files.
+ *
+ * Layout:
+ *   <baseDir>/index.json                      << Newest-first list of capture summaries
+ *   <baseDir>/<yyyyMMdd_HHmmss_SSS>_<rand>/   << One folder per capture (folder name = capture id,
+ *                                                pattern configurable via folderPattern)
+ *     capture.json                            << Capture summary (same entry as in index.json)
+ *     payload.json                            << Decoded CPI Helper payload
+ *     encoded.txt                             << Raw encoded string as received
+ *     replays/<timestamp>.json                << Replay results (see capture-replay.js)
+ *     ...                                     << Any extra files passed by the caller
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { describeBody } = require('./body-format');
+
+const INDEX_FILE = 'index.json';
+const CAPTURE_FILE = 'capture.json';
+const PAYLOAD_FILE = 'payload.json';
+const ENCODED_FILE = 'encoded.txt';
+
+// Capture ids double as folder names, so only allow characters that cannot escape baseDir
+const CAPTURE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Formats a date as yyyyMMdd_HHmmss_SSS (local time), matching the Groovy listener
+ */
+function formatTimestamp(date) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `_${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+    `_${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * Builds a capture folder name from a pattern with {timestamp}, {random}, {function} and {mplId} tokens
+ */
+function buildCaptureId(folderPattern, createdAt, payload) {
+  const summary = summarizePayload(payload);
+  const tokens = {
+    timestamp: formatTimestamp(createdAt),
+    random: crypto.randomBytes(4).toString('hex'),
+    function: summary.functionName || 'processData',
+    mplId: summary.messageProcessingLogId || 'noMPL'
+  };
+  return folderPattern
+    .replace(/\{(\w+)\}/g, (token, name) => (name in tokens ? tokens[name] : token))
+    .replace(/[^A-Za-z0-9_-]+/g, '-');
+}
+
+/**
+ * Writes a file via a temporary sibling and a rename so readers never see a half-written file
+ */
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  fs.writeFileSync(tmpPath, content, 'utf-8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Builds the summary stored in index.json for a decoded CPI Helper payload
+ */
+function summarizePayload(decodedData) {
+  const input = (decodedData && decodedData.input) || {};
+  const script = (decodedData && decodedData.script) || {};
+  const headers = input.headers || {};
+
+  return {
+    functionName: script.function || null,
+    messageProcessingLogId: headers.SAP_MessageProcessingLogID || null,
+    bodyLength: typeof input.body === 'string' ? input.body.length : 0,
+    bodyType: describeBody(input.body, input).type,
+    headerCount: Object.keys(headers).length,
+    propertyCount: Object.keys(input.properties || {}).length,
+    attachmentCount: Array.isArray(input.attachments) ? input.attachments.length : 0,
+    scriptLength: typeof script.code === 'string' ? script.code.length : 0
+  };
+}
+
+/**
+ * Creates a capture store rooted at baseDir
+ *
+ * @param {Object} options
+ * @param {string} options.baseDir - Folder holding index.json and one sub-folder per capture
+ * @param {string} [options.folderPattern] - Capture folder name pattern (default '{timestamp}_{random}')
+ * @returns {Object} Store API: saveCapture, listCaptures, getCapture, getCaptureFilePath, addCaptureFiles, deleteCapture
+ */
+function createCaptureStore({ baseDir, folderPattern = '{timestamp}_{random}' }) {
+  const indexPath = path.join(baseDir, INDEX_FILE);
+
+  function ensureBaseDir() {
+    if (!fs.existsSync(baseDir)) {
+      fs.mkdirSync(baseDir, { recursive: true });
+    }
+  }
+
+  function readIndex() {
+    if (!fs.existsSync(indexPath)) {
+      return [];
+    }
+    try {
+      const entries = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+      return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+      // A corrupt index should not take the store down; it is rebuilt from the capture folders
+      return rebuildIndex();
+    }
+  }
+
+  function writeIndex(entries) {
+    ensureBaseDir();
+    writeFileAtomic(indexPath, JSON.stringify(entries, null, 2));
+  }
+
+  /**
+   * Recreates index.json from the capture.json files found in baseDir
+   */
+  function rebuildIndex() {
+    if (!fs.existsSync(baseDir)) {
+      return [];
+    }
+    const entries = fs.readdirSync(baseDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && CAPTURE_ID_PATTERN.test(entry.name))
+      .map((entry) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(baseDir, entry.name, CAPTURE_FILE), 'utf-8'));
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    writeIndex(entries);
+    return entries;
+  }
+
+  function captureDir(id) {
+    if (typeof id !== 'string' || !CAPTURE_ID_PATTERN.test(id)) {
+      return null;
+    }
+    const dir = path.join(baseDir, id);
+    return fs.existsSync(path.join(dir, CAPTURE_FILE)) ? dir : null;
+  }
+
+  /**
+   * Saves a capture into a new session folder and adds it to the index
+   *
+   * @param {Object} capture
+   * @param {Object} capture.payload - Decoded CPI Helper payload
+   * @param {string} [capture.encoded] - Raw encoded string as received
+   * @param {string} [capture.source] - Which endpoint produced the capture (e.g. 'debug', 'contiva')
+   * @param {Object<string, string>} [capture.files] - Extra files to write (file name → content)
+   * @param {boolean} [capture.redacted] - Whether secrets were masked before saving
+   * @returns {Object} The index entry for the new capture, including its folder and file paths
+   */
+  function saveCapture({ payload, encoded, source = 'debug', files = {}, redacted = false }) {
+    ensureBaseDir();
+
+    const createdAt = new Date();
+    let id = buildCaptureId(folderPattern, createdAt, payload);
+    if (fs.existsSync(path.join(baseDir, id))) {
+      // Patterns without {random} can repeat (e.g. two captures in the same millisecond)
+      id = `${id}_${crypto.randomBytes(2).toString('hex')}`;
+    }
+    const dir = path.join(baseDir, id);
+    fs.mkdirSync(dir);
+
+    const fileNames = Object.keys(files);
+    for (const name of fileNames) {
+      // Names may contain folders (e.g. scripts/com/acme/Mapper.groovy)
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), files[name], 'utf-8');
+    }
+    fs.writeFileSync(path.join(dir, PAYLOAD_FILE), JSON.stringify(payload, null, 2), 'utf-8');
+    if (encoded) {
+      fs.writeFileSync(path.join(dir, ENCODED_FILE), encoded, 'utf-8');
+    }
+
+    const entry = {
+      id,
+      createdAt: createdAt.toISOString(),
+      source,
+      redacted,
+      ...summarizePayload(payload),
+      encodedLength: encoded ? encoded.length : 0,
+      files: [...fileNames, PAYLOAD_FILE, ...(encoded ? [ENCODED_FILE] : [])]
+    };
+    fs.writeFileSync(path.join(dir, CAPTURE_FILE), JSON.stringify(entry, null, 2), 'utf-8');
+
+    writeIndex([entry, ...readIndex().filter((existing) => existing.id !== id)]);
+
+    return { ...entry, dir };
+  }
+
+  /**
+   * Lists capture summaries, newest first
+   */
+  function listCaptures() {
+    return readIndex();
+  }
+
+  /**
+   * Loads a capture summary together with its decoded payload and raw encoded string
+   *
+   * @returns {Object|null} null when the capture does not exist
+   */
+  function getCapture(id) {
+    const dir = captureDir(id);
+    if (!dir) {
+      return null;
+    }
+
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, CAPTURE_FILE), 'utf-8'));
+    const payload = JSON.parse(fs.readFileSync(path.join(dir, PAYLOAD_FILE), 'utf-8'));
+    const encodedPath = path.join(dir, ENCODED_FILE);
+    const encoded = fs.existsSync(encodedPath) ? fs.readFileSync(encodedPath, 'utf-8') : null;
+
+    return { ...entry, dir, payload, encoded };
+  }
+
+  /**
+   * Resolves the path of one of a capture's files, or null if it is not part of the capture
+   */
+  function getCaptureFilePath(id, fileName) {
+    const dir = captureDir(id);
+    if (!dir) {
+      return null;
+    }
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, CAPTURE_FILE), 'utf-8'));
+    if (!entry.files.includes(fileName)) {
+      return null;
+    }
+    return path.join(dir, fileName);
+  }
+
+  /**
+   * Writes additional files into an existing capture and lists them in capture.json and the index
+   *
+   * @param {string} id - Capture id
+   * @param {Object<string, string>} files - File name (may contain folders) → content
+   * @returns {Object|null} The updated index entry, or null when the capture does not exist
+   */
+  function addCaptureFiles(id, files) {
+    const dir = captureDir(id);
+    if (!dir) {
+      return null;
+    }
+    const fileNames = Object.keys(files);
+    for (const name of fileNames) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.writeFileSync(path.join(dir, name), files[name], 'utf-8');
+    }
+
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, CAPTURE_FILE), 'utf-8'));
+    entry.files = [...new Set([...entry.files, ...fileNames])];
+    fs.writeFileSync(path.join(dir, CAPTURE_FILE), JSON.stringify(entry, null, 2), 'utf-8');
+    writeIndex(readIndex().map((existing) => (existing.id === id ? entry : existing)));
+
+    return { ...entry, dir };
+  }
+
+  /**
+   * Deletes a capture folder and removes it from the index
+   *
+   * @returns {boolean} false when the capture does not exist
+   */
+  function deleteCapture(id) {
+    const dir = captureDir(id);
+    if (!dir) {
+      return false;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    writeIndex(readIndex().filter((entry) => entry.id !== id));
+    return true;
+  }
+
+  return {
+    baseDir,
+    saveCapture,
+    listCaptures,
+    getCapture,
+    getCaptureFilePath,
+    addCaptureFiles,
+    deleteCapture,
+    rebuildIndex
+  };
+}
+
+module.exports = {
+  createCaptureStore,
+  formatTimestamp,
+  summarizePayload
+};
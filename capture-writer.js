@@ -0,0 +1,178 @@
+/**
+ * Capture Writer
+ * Saves decoded captures: a new session folder per capture plus the "latest" CPIViewer files
+ *
+ * Layout:
+ *   <dataDump.sessionsDir>/<session>/              << Every capture (see capture-store.js)
+ *   <dataDump.debugDir>/<baseName>.body            << Latest body, in its own charset
+ *   <dataDump.debugDir>/<baseName>.<type>          << Same body named after its type (.xml, .json, .csv, .edi, .pdf, ...)
+ *   <dataDump.debugDir>/<baseName>.header          << Latest headers (.properties format)
+ *   <dataDump.propertiesDir>/<baseName>.properties << Latest properties (.properties format)
+ *   <dataDump.debugDir>/attachments/               << Latest attachments plus manifest.json, only when there are any
+ *
+ * Script libraries (script.libraries) are kept in the session folder as scripts/<name>, attachments
+ * (input.attachments) as attachments/<file> with attachments/manifest.json (see attachments.js).
+ * Bodies are formatted according to body.format and typed copies written unless body.typedCopy is false
+ * (see body-format.js); Base64 bodies of binary content get their decoded bytes as typed copy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ATTACHMENT_FOLDER, buildAttachmentFiles, clearAttachmentFolder } = require('./attachments');
+const { TYPED_EXTENSIONS } = require('./body-format');
+const { createCaptureStore } = require('./capture-store');
+const { buildCaptureFiles, encodeGroovyString } = require('./cpihelper-codec');
+const { getDefaultLogger } = require('./logger');
+const { buildLibraryFiles } = require('./script-library');
+
+/**
+ * Creates a capture writer for the dataDump, files and body sections of the configuration (see config.js)
+ *
+ * @param {Object} options
+ * @param {Object} options.dataDump - { debugDir, propertiesDir, sessionsDir }
+ * @param {Object} [options.files] - { baseName, sessionFolder }
+ * @param {Object} [options.body] - { format, typedCopy }
+ * @param {Object} [options.captureStore] - Existing store for the sessions folder (created when omitted)
+ * @param {Object} [options.logger] - Logger for the save steps
+ * @returns {{ captureStore: Object, saveDecodedData: Function }}
+ */
+function createCaptureWriter({ dataDump, files = {}, body = {}, captureStore, logger = getDefaultLogger() }) {
+  const { baseName = 'debug', sessionFolder = '{timestamp}_{random}' } = files;
+  const { format: bodyFormat = 'none', typedCopy = true } = body;
+  const store = captureStore || createCaptureStore({ baseDir: dataDump.sessionsDir, folderPattern: sessionFolder });
+
+  /**
+   * Saves decoded data as a new capture session and refreshes the "latest" files
+   * Each capture gets its own folder under Sessions (body, headers, properties, script, encoded string);
+   * debug.body, debug.header and debug.properties are still rewritten for tools reading the CPIViewer layout
+   * decodedData must already be redacted (see redaction.js); pass redacted: true when it was
+   *
+   * @returns {{ success: boolean, captureId?: string, sessionDir?: string, files?: Object, error?: string }}
+   */
+  function saveDecodedData(decodedData, { encoded, source = 'debug', redacted = false } = {}) {
+    try {
+      const content = buildCaptureFiles(decodedData, { bodyFormat, typedCopy, logger });
+      const fixedFilename = baseName;
+      const typedName = content.typedBody ? `${fixedFilename}.${content.typedBody.extension}` : null;
+      logger.debug(`Body: ${content.bodyInfo.type} (${content.bodyInfo.savedCharset})`);
+      const attachmentFiles = buildAttachmentFiles(content.attachments, { logger });
+
+      // Save the capture as its own session first so it survives later captures
+      logger.debug(`Saving capture session in ${dataDump.sessionsDir}`);
+      const capture = store.saveCapture({
+        payload: decodedData,
+        // The string as received still holds the masked values, so keep the redacted payload re-encoded instead
+        encoded: redacted ? encodeGroovyString(decodedData, { logger }) : encoded,
+        source,
+        redacted,
+        files: {
+          [`${fixedFilename}.body`]: content.body,
+          ...(typedName ? { [typedName]: content.typedBody.content } : {}),
+          [`${fixedFilename}.header`]: content.header,
+          [`${fixedFilename}.properties`]: content.properties,
+          'script.groovy': content.script,
+          ...buildLibraryFiles(content.libraries, { logger }),
+          ...attachmentFiles.files
+        }
+      });
+      logger.success(`Session saved: ${capture.dir}`);
+
+      // Ensure directories exist
+      if (!fs.existsSync(dataDump.debugDir)) {
+        fs.mkdirSync(dataDump.debugDir, { recursive: true });
+        logger.debug(`Created Debug directory: ${dataDump.debugDir}`);
+      }
+
+      if (!fs.existsSync(dataDump.propertiesDir)) {
+        fs.mkdirSync(dataDump.propertiesDir, { recursive: true });
+        logger.debug(`Created Properties directory: ${dataDump.propertiesDir}`);
+      }
+
+      // Save body with .body extension (bytes in the body's charset)
+      try {
+        const bodyPath = path.join(dataDump.debugDir, `${fixedFilename}.body`);
+        fs.writeFileSync(bodyPath, content.body);
+        logger.debug(`Body saved: ${bodyPath}`);
+      } catch (err) {
+        logger.error(`Error saving body: ${err.message}`);
+      }
+
+      // Save the typed copy and drop the one of an earlier capture with another type
+      try {
+        for (const extension of TYPED_EXTENSIONS) {
+          const stalePath = path.join(dataDump.debugDir, `${fixedFilename}.${extension}`);
+          if (`${fixedFilename}.${extension}` !== typedName && fs.existsSync(stalePath)) {
+            fs.unlinkSync(stalePath);
+          }
+        }
+        if (typedName) {
+          fs.writeFileSync(path.join(dataDump.debugDir, typedName), content.typedBody.content);
+          logger.debug(`Typed body saved: ${path.join(dataDump.debugDir, typedName)}`);
+        }
+      } catch (err) {
+        logger.error(`Error saving typed body: ${err.message}`);
+      }
+
+      // Save headers with .header extension (properties format)
+      try {
+        const headersPath = path.join(dataDump.debugDir, `${fixedFilename}.header`);
+        fs.writeFileSync(headersPath, content.header, 'utf-8');
+        logger.debug(`Headers saved: ${headersPath}`);
+      } catch (err) {
+        logger.error(`Error saving headers: ${err.message}`);
+      }
+
+      // Save properties with .properties extension (properties format)
+      try {
+        const propertiesPath = path.join(dataDump.propertiesDir, `${fixedFilename}.properties`);
+        logger.debug(`Properties content length: ${content.properties.length} chars`);
+        fs.writeFileSync(propertiesPath, content.properties, 'utf-8');
+        logger.debug(`Properties saved: ${propertiesPath}`);
+      } catch (err) {
+        logger.error(`Error saving properties: ${err.message}`);
+      }
+
+      // Replace the attachments of the previous capture; files not listed in its manifest are kept
+      const attachmentDir = path.join(dataDump.debugDir, path.basename(ATTACHMENT_FOLDER));
+      try {
+        clearAttachmentFolder(attachmentDir);
+        for (const [name, data] of Object.entries(attachmentFiles.files)) {
+          fs.mkdirSync(path.dirname(path.join(dataDump.debugDir, name)), { recursive: true });
+          fs.writeFileSync(path.join(dataDump.debugDir, name), data);
+        }
+        if (attachmentFiles.manifest.length > 0) {
+          logger.debug(`Attachments saved: ${attachmentFiles.manifest.map((entry) => entry.file).join(', ')}`);
+        }
+      } catch (err) {
+        logger.error(`Error saving attachments: ${err.message}`);
+      }
+
+      return {
+        success: true,
+        captureId: capture.id,
+        sessionDir: capture.dir,
+        bodyType: content.bodyInfo.type,
+        files: {
+          body: path.join(dataDump.debugDir, `${fixedFilename}.body`),
+          ...(typedName ? { typedBody: path.join(dataDump.debugDir, typedName) } : {}),
+          header: path.join(dataDump.debugDir, `${fixedFilename}.header`),
+          properties: path.join(dataDump.propertiesDir, `${fixedFilename}.properties`),
+          ...(attachmentFiles.manifest.length > 0 ? { attachments: attachmentDir } : {})
+        }
+      };
+    } catch (error) {
+      logger.error(`Error in saveDecodedData: ${error.message}`);
+      logger.debug(error.stack);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  return { captureStore: store, saveDecodedData };
+}
+
+module.exports = {
+  createCaptureWriter
+};
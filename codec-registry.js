@@ -0,0 +1,337 @@
+/**
+ * Codec Registry
+ * Detects the format of an encoded debug string and decodes it into a CPI Helper payload
+ *
+ * Formats (sniffed in this order):
+ *   contiva-json     << Already decoded Contiva object ({ scriptInput, script, ... })
+ *   cpihelper-json   << Already decoded CPI Helper payload ({ input, script })
+ *   contiva          << URL-encoded Base64 of gzip (magic bytes 1f 8b) + ZIP with data.json
+ *   base64-json      << Plain Base64 of JSON text (either of the JSON shapes above)
+ *   cpihelper        << URL-safe Base64 of raw Deflate, no padding (no magic bytes)
+ *
+ * Whole links are unwrapped first: the "data" query value of IDE URLs, or the last path
+ * segment of CPI Helper links (http://localhost:4004/debug/<data>).
+ */
+
+const { getDefaultLogger } = require('./logger');
+const { contivaToCpiHelper, decodeGroovyString, extractCpiHelperData } = require('./cpihelper-codec');
+const { MAX_DECODED_BYTES, decodeContivaData, extractContivaData, validateContivaData } = require('./contiva-encoder');
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+={0,2}$/;
+
+/**
+ * Thrown when no registered codec recognizes or decodes the input
+ * diagnostics lists, per attempted format, why decoding failed; status is the HTTP status to answer with
+ * (413 when the data inflated beyond maxDecodedBytes, 422 otherwise)
+ */
+class DecodeError extends Error {
+  constructor(message, { diagnostics = [], input = null, status = 422 } = {}) {
+    super(message);
+    this.name = 'DecodeError';
+    this.diagnostics = diagnostics;
+    this.input = input;
+    this.status = status;
+  }
+}
+
+/**
+ * Whether decoding stopped because the data inflated beyond maxDecodedBytes (zlib maxOutputLength or a ZIP entry)
+ */
+function isDecodedTooLarge(error) {
+  return Boolean(error) && error.code === 'ERR_BUFFER_TOO_LARGE';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isContivaObject(json) {
+  return isPlainObject(json) && ('scriptInput' in json || 'currentSessionType' in json);
+}
+
+function isCpiHelperPayload(json) {
+  return isPlainObject(json) && (isPlainObject(json.input) || isPlainObject(json.script));
+}
+
+/**
+ * Turns decoded JSON (either shape) into { payload, contivaData }
+ */
+function fromJson(json, { logger }) {
+  if (isContivaObject(json)) {
+    const validation = validateContivaData(json);
+    if (!validation.valid) {
+      throw new Error(`Invalid Contiva data: ${validation.errors.join('; ')}`);
+    }
+    return { payload: contivaToCpiHelper(json, { logger }), contivaData: json };
+  }
+  if (isCpiHelperPayload(json)) {
+    return { payload: json, contivaData: null };
+  }
+  throw new Error('JSON has neither CPI Helper fields (input, script) nor Contiva fields (scriptInput, currentSessionType)');
+}
+
+// ════════════════════════════════════════════════════════════
+// 🔎 PROBING
+// ════════════════════════════════════════════════════════════
+
+/**
+ * Unwraps IDE URLs, CPI Helper links and "data=" query strings to the encoded value
+ */
+function unwrapLink(raw) {
+  if (/^https?:\/\//i.test(raw)) {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (err) {
+      return { value: raw, link: null };
+    }
+    if (/(?:^|[?&#])data=/.test(`${url.search}${url.hash}`)) {
+      return { value: extractContivaData(raw), link: { host: url.host, from: 'data parameter' } };
+    }
+    return { value: extractCpiHelperData(raw), link: { host: url.host, from: 'path' } };
+  }
+  if (/(?:^|[?&#])data=/.test(raw)) {
+    return { value: extractContivaData(raw), link: { host: null, from: 'data parameter' } };
+  }
+  return { value: raw, link: null };
+}
+
+/**
+ * Computes everything the sniffers look at, once per input
+ *
+ * @param {string} input - Encoded string, link or JSON text
+ * @returns {{ raw: string, value: string, text: string, link: Object|null, json: *, alphabet: string|null, bytes: Buffer|null }}
+ */
+function probeInput(input) {
+  const raw = String(input == null ? '' : input).trim();
+  const { value, link } = unwrapLink(raw);
+
+  let json;
+  if (/^[{[]/.test(value)) {
+    try {
+      json = JSON.parse(value);
+    } catch (err) {
+      json = undefined;
+    }
+  }
+
+  // Contiva values are URL-encoded; CPI Helper values never contain "%"
+  let text = value;
+  if (/%[0-9A-Fa-f]{2}/.test(text)) {
+    try {
+      text = decodeURIComponent(text);
+    } catch (err) {
+      text = value;
+    }
+  }
+
+  // Line-wrapped Base64 is common when copying from mails and logs
+  const compact = text.replace(/\s+/g, '');
+  let alphabet = null;
+  if (json === undefined && compact.length > 0) {
+    if (BASE64_PATTERN.test(compact)) {
+      alphabet = 'base64';
+    } else if (BASE64URL_PATTERN.test(compact)) {
+      alphabet = 'base64url';
+    }
+  }
+  const bytes = alphabet
+    ? Buffer.from(compact.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+    : null;
+
+  return { raw, value, text, link, json, alphabet, bytes };
+}
+
+function startsWithBytes(bytes, magic) {
+  return Boolean(bytes) && bytes.length >= magic.length && magic.every((byte, i) => bytes[i] === byte);
+}
+
+function looksLikeJsonText(bytes) {
+  const head = bytes ? bytes.slice(0, 64).toString('utf-8').trimStart() : '';
+  return head.startsWith('{');
+}
+
+// ════════════════════════════════════════════════════════════
+// 📚 REGISTRY
+// ════════════════════════════════════════════════════════════
+
+// sniff(probe) returns the reason the format matches, or null; decode(probe, { logger, maxDecodedBytes })
+// resolves with { payload, contivaData }
+const CODECS = {
+  'contiva-json': {
+    name: 'Contiva JSON',
+    sniff: (probe) => (isContivaObject(probe.json) ? 'JSON object with Contiva fields' : null),
+    decode: async (probe, { logger }) => fromJson(probe.json, { logger })
+  },
+  'cpihelper-json': {
+    name: 'CPI Helper payload JSON',
+    sniff: (probe) => (isCpiHelperPayload(probe.json) ? 'JSON object with CPI Helper fields (input, script)' : null),
+    decode: async (probe, { logger }) => fromJson(probe.json, { logger })
+  },
+  contiva: {
+    name: 'Contiva (gzip + ZIP, URL-encoded Base64)',
+    sniff: (probe) => (startsWithBytes(probe.bytes, GZIP_MAGIC) ? 'gzip magic bytes (1f 8b) after Base64 decoding' : null),
+    decode: async (probe, { logger, maxDecodedBytes }) => {
+      let contivaData;
+      try {
+        ({ contivaData } = await decodeContivaData(probe.value, { logger, maxDecodedBytes }));
+      } catch (err) {
+        if (isDecodedTooLarge(err)) {
+          throw err;
+        }
+        throw new Error(`Not a valid Contiva archive (${err.message})`);
+      }
+      return { payload: contivaToCpiHelper(contivaData, { logger }), contivaData };
+    }
+  },
+  'base64-json': {
+    name: 'Base64-encoded JSON',
+    sniff: (probe) => (looksLikeJsonText(probe.bytes) ? 'Base64 that decodes to JSON text' : null),
+    decode: async (probe, { logger }) => {
+      let json;
+      try {
+        json = JSON.parse(probe.bytes.toString('utf-8'));
+      } catch (err) {
+        throw new Error(`Base64 content is not valid JSON (${err.message})`);
+      }
+      return fromJson(json, { logger });
+    }
+  },
+  cpihelper: {
+    name: 'CPI Helper (raw Deflate, URL-safe Base64)',
+    // Raw Deflate has no magic bytes; block type 11 in the first byte is invalid, so that rules it out
+    sniff: (probe) => (probe.bytes && probe.bytes.length > 0 && (probe.bytes[0] & 0x06) !== 0x06
+      ? `${probe.alphabet === 'base64url' ? 'URL-safe ' : ''}Base64 without gzip or JSON signature`
+      : null),
+    decode: async (probe, { logger, maxDecodedBytes }) => {
+      let payload;
+      try {
+        payload = decodeGroovyString(probe.text.replace(/\s+/g, ''), { logger, maxDecodedBytes });
+      } catch (err) {
+        if (isDecodedTooLarge(err)) {
+          throw err;
+        }
+        throw new Error(`Not valid raw Deflate data (${err.message})`);
+      }
+      if (!isCpiHelperPayload(payload)) {
+        throw new Error('Decoded JSON is not a CPI Helper payload (no input or script)');
+      }
+      return { payload, contivaData: null };
+    }
+  }
+};
+
+/**
+ * Adds or replaces a codec in the registry
+ * New codecs are sniffed after the built-in ones
+ *
+ * @param {string} id - Format id reported by detection (e.g. 'my-format')
+ * @param {{name: string, sniff: Function, decode: Function}} codec
+ */
+function registerCodec(id, codec) {
+  CODECS[id] = { ...codec };
+}
+
+/**
+ * Lists the formats whose sniffer matches the input, most specific first
+ *
+ * @param {string} input - Encoded string, link or JSON text
+ * @returns {{ probe: Object, candidates: Array<{id: string, name: string, reason: string}> }}
+ */
+function detectFormat(input) {
+  const probe = probeInput(input);
+  const candidates = [];
+
+  for (const [id, codec] of Object.entries(CODECS)) {
+    const reason = codec.sniff(probe);
+    if (reason) {
+      candidates.push({ id, name: codec.name, reason });
+    }
+  }
+  return { probe, candidates };
+}
+
+/**
+ * Describes input no sniffer recognized, without echoing its content
+ */
+function describeUnrecognized(probe) {
+  if (!probe.raw) {
+    return 'Input is empty';
+  }
+  if (probe.json !== undefined) {
+    return 'JSON has neither CPI Helper fields (input, script) nor Contiva fields (scriptInput, currentSessionType)';
+  }
+  if (/^[{[]/.test(probe.value)) {
+    return 'Input starts like JSON but is not valid JSON';
+  }
+  if (!probe.alphabet) {
+    const invalid = [...new Set(probe.text.replace(/[A-Za-z0-9+/=_\s-]/g, ''))].slice(0, 5);
+    return `Input is neither JSON nor Base64 (unexpected characters: ${invalid.map((char) => JSON.stringify(char)).join(', ')})`;
+  }
+  return 'Base64 content has no known signature (gzip, JSON or raw Deflate)';
+}
+
+/**
+ * Detects the format of the input and decodes it
+ * Candidates are tried in order; the first one that decodes wins
+ *
+ * @param {string} input - Encoded string, link or JSON text
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger for detection and decoding steps
+ * @param {number} [options.maxDecodedBytes] - Cap on decompressed bytes (default: MAX_DECODED_BYTES of contiva-encoder.js)
+ * @returns {Promise<{ format: Object, payload: Object, contivaData: Object|null, link: Object|null, inputLength: number }>}
+ * @throws {DecodeError} When no format matches or every candidate fails to decode (422), or the data inflates
+ *   beyond maxDecodedBytes (413; no further candidates are tried)
+ */
+async function decodeAny(input, { logger = getDefaultLogger(), maxDecodedBytes = MAX_DECODED_BYTES } = {}) {
+  const { probe, candidates } = detectFormat(input);
+  const summary = { length: probe.raw.length, link: probe.link };
+
+  if (candidates.length === 0) {
+    throw new DecodeError(`Unrecognized input: ${describeUnrecognized(probe)}`, { input: summary });
+  }
+  logger.debug(`Format candidates: ${candidates.map((candidate) => candidate.id).join(', ')}`);
+
+  const diagnostics = [];
+  for (const candidate of candidates) {
+    try {
+      const { payload, contivaData } = await CODECS[candidate.id].decode(probe, { logger, maxDecodedBytes });
+      logger.debug(`Detected format: ${candidate.id} (${candidate.reason})`);
+      return {
+        format: candidate,
+        payload,
+        contivaData,
+        link: probe.link,
+        inputLength: probe.value.length
+      };
+    } catch (err) {
+      if (isDecodedTooLarge(err)) {
+        throw new DecodeError(`${candidate.name}: ${err.message}`, {
+          diagnostics: [...diagnostics, { ...candidate, error: err.message }],
+          input: summary,
+          status: 413
+        });
+      }
+      logger.debug(`Not ${candidate.id}: ${err.message}`);
+      diagnostics.push({ ...candidate, error: err.message });
+    }
+  }
+
+  const tried = diagnostics.map((diagnostic) => diagnostic.name).join(', ');
+  throw new DecodeError(`Input looked like ${tried} but could not be decoded: ${diagnostics[0].error}`, {
+    diagnostics,
+    input: summary
+  });
+}
+
+module.exports = {
+  CODECS,
+  DecodeError,
+  decodeAny,
+  detectFormat,
+  isDecodedTooLarge,
+  probeInput,
+  registerCodec
+};
@@ -0,0 +1,743 @@
+/**
+ * Configuration
+ * Resolves server settings from defaults, config files, environment variables and command-line flags
+ *
+ * Precedence (later wins):
+ *   1. Built-in defaults
+ *   2. Home config file     ~/.cpidebug/config.{json,yaml,yml}
+ *   3. Project config file  ./cpidebug.config.{json,yaml,yml}
+ *      (--config <file> or CPIDEBUG_CONFIG replaces 2 and 3)
+ *   4. Environment variables (PORT, HOST, DATA_DUMP_PATH, ...)
+ *   5. Command-line flags (--port, --host, --dump-dir, ...)
+ *
+ * Redaction rules (lists of patterns/selectors) can only be set in config files; environment
+ * and flags can switch redaction and its per-request bypass on or off.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { IDE_TARGETS, BROWSERS } = require('./ide-launcher');
+const { LEVELS, LOG_FORMATS } = require('./logger');
+const { BODY_FORMATS } = require('./body-format');
+const { REPLAY_METHODS } = require('./capture-replay');
+const { DEFAULT_REPLACEMENT, DEFAULT_SENSITIVE_NAMES, validateRedactionRules } = require('./redaction');
+const { TOKEN_PATTERN } = require('./security');
+
+const LOG_LEVELS = Object.keys(LEVELS);
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+const PROJECT_CONFIG_FILE_NAMES = ['cpidebug.config.json', 'cpidebug.config.yaml', 'cpidebug.config.yml'];
+const SESSION_FOLDER_TOKENS = ['timestamp', 'random', 'function', 'mplId'];
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Thrown when configuration cannot be loaded or fails validation
+ */
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Built-in defaults; null paths are derived from dataDump.baseDir after merging
+ */
+function getDefaults() {
+  return {
+    port: 4004,
+    host: '127.0.0.1',      // Loopback only; 0.0.0.0 accepts other machines (set security.token then)
+    dataDump: {
+      baseDir: process.platform === 'win32'
+        ? 'C:\\CPIViewer\\DataDump'
+        : path.join(os.homedir(), 'CPIViewer', 'DataDump'),
+      debugDir: null,       // <baseDir>/Debug
+      propertiesDir: null,  // Same as debugDir (CPIViewer reads both from Debug)
+      sessionsDir: null,    // <baseDir>/Sessions
+      workspacesDir: null   // <baseDir>/Workspaces (POST /sessions/:id/workspace)
+    },
+    files: {
+      baseName: 'debug',                      // debug.body, debug.header, debug.properties
+      sessionFolder: '{timestamp}_{random}'   // Tokens: {timestamp}, {random}, {function}, {mplId}
+    },
+    body: {
+      format: 'none',       // none | pretty | minify (XML and JSON bodies in the saved files)
+      ideFormat: 'none',    // Same for the body sent to the IDE
+      typedCopy: true       // Also save debug.xml, debug.json, debug.pdf, ... next to debug.body
+    },
+    ide: {
+      target: 'contiva',
+      baseUrl: null,        // Target default
+      browser: 'chrome',    // chrome | firefox | edge | default | none
+      staging: false        // GET /contiva/:data shows an editable form first (?stage=true|false per request)
+    },
+    cpiHelper: {
+      linkBase: null        // http(s)://localhost:<port>/debug/
+    },
+    https: {
+      enabled: false,       // Serve HTTPS instead of HTTP (see https-certificate.js)
+      certFile: null,       // PEM certificate and key to use; both null = generated localhost certificate
+      keyFile: null,
+      certDir: null         // Where the generated certificate is kept (default ~/.cpidebug/certs)
+    },
+    scripts: {
+      libraryDir: null      // Local script collection; its .groovy files are added to every Contiva archive
+    },
+    replay: {
+      url: null,            // Default target of POST /sessions/:id/replay and cpidebug replay
+      allowedHosts: [],     // Hosts besides this machine the server may replay to ("host" or "host:port"; * = any)
+      method: 'POST',
+      includeProperties: false,   // Also send exchange properties as <propertyPrefix><name> headers
+      propertyPrefix: 'X-Property-',
+      timeoutMs: 30000      // Per request
+    },
+    events: {
+      history: 50           // Events kept for late subscribers of GET /events (?replay=<n>)
+    },
+    security: {
+      token: null,          // Shared token every request must carry (see security.js); null = no check
+      corsOrigins: [],      // Browser origins allowed to call the API, e.g. chrome-extension://<id>; * = any
+      allowedHosts: [],     // Host header names accepted besides localhost, 127.0.0.1, [::1] and the bind address
+      rateLimit: {
+        max: 300,           // Requests per client address and window; 0 = no limit
+        windowMs: 60000
+      },
+      launchesPerMinute: 10 // Browser launches per rolling minute; 0 = no cap
+    },
+    validation: {
+      strict: false         // true: reject payloads that do not match the schemas (422) instead of reporting them
+    },
+    limits: {
+      body: '10mb',         // JSON, form and text request bodies
+      upload: '25mb'        // Files uploaded to POST /contiva (multipart/form-data)
+    },
+    logLevel: 'info',       // silent | error | warn | info | debug
+    logFormat: 'pretty',    // pretty | json
+    redaction: {
+      enabled: true,
+      allowBypass: true,    // ?redact=false / X-Redact: false return and save raw data
+      replacement: DEFAULT_REPLACEMENT,
+      headers: [...DEFAULT_SENSITIVE_NAMES],     // Name patterns, * wildcard or /regex/flags
+      properties: [...DEFAULT_SENSITIVE_NAMES],
+      jsonPaths: [],        // $.customer.email, $..iban
+      xpaths: [],           // /Order/Customer/Email, //Card/@number
+      bodyPatterns: []      // Regular expressions masked anywhere in the body
+    }
+  };
+}
+
+// Environment variable → config path
+const ENV_MAPPING = {
+  PORT: 'port',
+  HOST: 'host',
+  DATA_DUMP_PATH: 'dataDump.baseDir',
+  DATA_DUMP_DEBUG_PATH: 'dataDump.debugDir',
+  DATA_DUMP_PROPERTIES_PATH: 'dataDump.propertiesDir',
+  DATA_DUMP_SESSIONS_PATH: 'dataDump.sessionsDir',
+  DATA_DUMP_WORKSPACES_PATH: 'dataDump.workspacesDir',
+  FILE_BASE_NAME: 'files.baseName',
+  SESSION_FOLDER_PATTERN: 'files.sessionFolder',
+  BODY_FORMAT: 'body.format',
+  IDE_TARGET: 'ide.target',
+  IDE_BASE_URL: 'ide.baseUrl',
+  IDE_BROWSER: 'ide.browser',
+  IDE_STAGING: 'ide.staging',
+  CPIHELPER_LINK_BASE: 'cpiHelper.linkBase',
+  HTTPS_ENABLED: 'https.enabled',
+  HTTPS_CERT: 'https.certFile',
+  HTTPS_KEY: 'https.keyFile',
+  HTTPS_CERT_DIR: 'https.certDir',
+  SCRIPT_LIBRARY_DIR: 'scripts.libraryDir',
+  REPLAY_URL: 'replay.url',
+  REPLAY_ALLOWED_HOSTS: 'replay.allowedHosts',
+  EVENT_HISTORY: 'events.history',
+  CPIDEBUG_TOKEN: 'security.token',
+  CORS_ORIGINS: 'security.corsOrigins',
+  ALLOWED_HOSTS: 'security.allowedHosts',
+  RATE_LIMIT: 'security.rateLimit.max',
+  LAUNCH_LIMIT: 'security.launchesPerMinute',
+  VALIDATION_STRICT: 'validation.strict',
+  BODY_LIMIT: 'limits.body',
+  UPLOAD_LIMIT: 'limits.upload',
+  LOG_LEVEL: 'logLevel',
+  LOG_FORMAT: 'logFormat',
+  REDACTION_ENABLED: 'redaction.enabled',
+  REDACTION_ALLOW_BYPASS: 'redaction.allowBypass'
+};
+
+// Command-line flag → config path
+const FLAG_MAPPING = {
+  port: 'port',
+  host: 'host',
+  'dump-dir': 'dataDump.baseDir',
+  'debug-dir': 'dataDump.debugDir',
+  'properties-dir': 'dataDump.propertiesDir',
+  'sessions-dir': 'dataDump.sessionsDir',
+  'workspaces-dir': 'dataDump.workspacesDir',
+  'file-base-name': 'files.baseName',
+  'session-folder': 'files.sessionFolder',
+  'body-format': 'body.format',
+  'ide-target': 'ide.target',
+  'ide-url': 'ide.baseUrl',
+  browser: 'ide.browser',
+  'cpihelper-link-base': 'cpiHelper.linkBase',
+  cert: 'https.certFile',
+  key: 'https.keyFile',
+  'cert-dir': 'https.certDir',
+  'script-library': 'scripts.libraryDir',
+  'replay-url': 'replay.url',
+  'replay-allowed-hosts': 'replay.allowedHosts',
+  'event-history': 'events.history',
+  token: 'security.token',
+  'cors-origins': 'security.corsOrigins',
+  'allowed-hosts': 'security.allowedHosts',
+  'rate-limit': 'security.rateLimit.max',
+  'launch-limit': 'security.launchesPerMinute',
+  'body-limit': 'limits.body',
+  'upload-limit': 'limits.upload',
+  'log-level': 'logLevel',
+  'log-format': 'logFormat'
+};
+
+const CLI_OPTIONS = {
+  ...Object.fromEntries(Object.keys(FLAG_MAPPING).map((flag) => [flag, { type: 'string' }])),
+  config: { type: 'string', short: 'c' },
+  'no-launch': { type: 'boolean' },
+  'no-redact': { type: 'boolean' },
+  'no-redact-bypass': { type: 'boolean' },
+  strict: { type: 'boolean' },
+  https: { type: 'boolean' },
+  stage: { type: 'boolean' },
+  'print-config': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Usage: node groovy-server.js [options]
+
+Options:
+  -c, --config <file>            Config file (JSON or YAML) instead of the default locations
+      --port <port>              Port to listen on (default 4004)
+      --host <host>              Interface to bind (default 127.0.0.1, 0.0.0.0 for all)
+      --dump-dir <dir>           Data dump base directory
+      --debug-dir <dir>          Folder for debug.body / debug.header (default <dump-dir>/Debug)
+      --properties-dir <dir>     Folder for debug.properties (default: debug folder)
+      --sessions-dir <dir>       Folder for capture sessions (default <dump-dir>/Sessions)
+      --workspaces-dir <dir>     Folder for editable workspaces (default <dump-dir>/Workspaces)
+      --file-base-name <name>    Base name of the latest capture files (default "debug")
+      --session-folder <pattern> Session folder pattern, tokens {timestamp} {random} {function} {mplId}
+      --body-format <mode>       ${BODY_FORMATS.join(' | ')}: reformat saved XML and JSON bodies (default none)
+      --ide-target <id>          IDE target (${Object.keys(IDE_TARGETS).join(', ')})
+      --ide-url <url>            Base URL of a self-hosted or staging IDE
+      --browser <name>           ${BROWSERS.join(' | ')}
+      --no-launch                Only return IDE URLs, never start a browser (same as --browser none)
+      --stage                    Show an editable staging form on GET /contiva/:data before opening the IDE
+      --cpihelper-link-base <url> Prefix for generated CPI Helper links
+      --https                    Serve HTTPS (generated localhost certificate unless --cert/--key are set)
+      --cert <file>              PEM certificate for --https
+      --key <file>               PEM private key for --https
+      --cert-dir <dir>           Folder for the generated certificate (default ~/.cpidebug/certs)
+      --script-library <dir>     Script collection folder added to every Contiva archive
+      --replay-url <url>         Default target for replaying captures
+      --replay-allowed-hosts <list> Comma-separated hosts besides this machine the server may replay to
+      --event-history <n>        Events kept for late subscribers of GET /events (default 50)
+      --token <token>            Require this shared token on every request (also /token/<token>/ URLs)
+      --cors-origins <list>      Comma-separated browser origins allowed to call the API
+      --allowed-hosts <list>     Comma-separated host names to accept besides localhost (e.g. with --host 0.0.0.0)
+      --rate-limit <n>           Requests per client and minute, 0 = no limit (default 300)
+      --launch-limit <n>         Browser launches per minute, 0 = no cap (default 10)
+      --body-limit <size>        Maximum JSON/text request body, e.g. 10mb (default 10mb)
+      --upload-limit <size>      Maximum uploaded file for POST /contiva (default 25mb)
+      --log-level <level>        ${LOG_LEVELS.join(' | ')}
+      --log-format <format>      ${LOG_FORMATS.join(' | ')} (json: one JSON object per line)
+      --no-redact                Save, log and return captures without masking secrets
+      --no-redact-bypass         Ignore ?redact=false and X-Redact: false, always mask captures
+      --strict                   Reject payloads that do not match the JSON Schemas (see /openapi.json)
+      --print-config             Print the resolved configuration and exit
+  -h, --help                     Show this help
+`;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Deep-merges plain objects; arrays and scalars from source replace those in target
+ */
+function mergeConfig(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? mergeConfig(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Throws when a section that is an object in the defaults (e.g. security, security.rateLimit)
+ * is set to anything else, such as "events: null" in a YAML file
+ *
+ * @param {Object} source - Values from one config file or the overrides
+ * @param {string} origin - Where they came from, for the message (e.g. "Config file /path/cpidebug.config.yaml")
+ * @throws {ConfigError}
+ */
+function checkSectionTypes(source, origin, defaults = getDefaults(), prefix = '') {
+  for (const [key, value] of Object.entries(source)) {
+    if (!isPlainObject(defaults[key])) {
+      continue;
+    }
+    if (!isPlainObject(value)) {
+      const actual = value === null ? 'null' : Array.isArray(value) ? 'a list' : `${typeof value} ${JSON.stringify(value)}`;
+      throw new ConfigError(`${origin}: ${prefix}${key} must be an object (got ${actual})`);
+    }
+    checkSectionTypes(value, origin, defaults[key], `${prefix}${key}.`);
+  }
+}
+
+/**
+ * Reads a JSON or YAML config file (chosen by extension)
+ */
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    throw new ConfigError(`Cannot read config file ${filePath}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(`Cannot parse config file ${filePath}: ${err.message}`);
+  }
+
+  if (parsed == null) {
+    return {};
+  }
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(`Config file ${filePath} must contain an object`);
+  }
+  checkSectionTypes(parsed, `Config file ${filePath}`);
+  return parsed;
+}
+
+/**
+ * Returns the config files to load, lowest precedence first
+ */
+function findConfigFiles({ explicitPath, cwd, homeDir, search = true }) {
+  if (explicitPath) {
+    return [path.resolve(cwd, explicitPath)];
+  }
+  if (!search) {
+    return [];
+  }
+
+  const homeFile = CONFIG_FILE_NAMES
+    .map((name) => path.join(homeDir, '.cpidebug', name))
+    .find((file) => fs.existsSync(file));
+  const projectFile = PROJECT_CONFIG_FILE_NAMES
+    .map((name) => path.join(cwd, name))
+    .find((file) => fs.existsSync(file));
+
+  return [homeFile, projectFile].filter(Boolean);
+}
+
+function fromEnvironment(env) {
+  const config = {};
+  for (const [name, configPath] of Object.entries(ENV_MAPPING)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(config, configPath, env[name]);
+    }
+  }
+  return config;
+}
+
+function fromFlags(values) {
+  const config = {};
+  for (const [flag, configPath] of Object.entries(FLAG_MAPPING)) {
+    if (values[flag] !== undefined) {
+      setPath(config, configPath, values[flag]);
+    }
+  }
+  if (values['no-launch']) {
+    setPath(config, 'ide.browser', 'none');
+  }
+  if (values['no-redact']) {
+    setPath(config, 'redaction.enabled', false);
+  }
+  if (values['no-redact-bypass']) {
+    setPath(config, 'redaction.allowBypass', false);
+  }
+  if (values.strict) {
+    setPath(config, 'validation.strict', true);
+  }
+  if (values.stage) {
+    setPath(config, 'ide.staging', true);
+  }
+  if (values.https) {
+    setPath(config, 'https.enabled', true);
+  }
+  return config;
+}
+
+/**
+ * Resolves a configured path, expanding a leading "~" to the home directory
+ */
+function resolvePath(value, homeDir) {
+  const expanded = value === '~' || /^~[\\/]/.test(value) ? path.join(homeDir, value.slice(1)) : value;
+  return path.resolve(expanded);
+}
+
+/**
+ * Converts "true"/"1"/"on"/"yes" and "false"/"0"/"off"/"no" to booleans; anything else is returned unchanged
+ */
+function toBoolean(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const flag = value.trim().toLowerCase();
+  if (['true', '1', 'on', 'yes'].includes(flag)) {
+    return true;
+  }
+  if (['false', '0', 'off', 'no'].includes(flag)) {
+    return false;
+  }
+  return value;
+}
+
+/**
+ * Converts string values coming from files, env and flags and fills in derived paths
+ */
+function normalizeConfig(config, homeDir) {
+  const normalized = mergeConfig({}, config);
+
+  if (typeof normalized.port === 'string' && /^\d+$/.test(normalized.port.trim())) {
+    normalized.port = Number(normalized.port.trim());
+  }
+  const toInteger = (value) => (typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value.trim()) : value);
+  normalized.events.history = toInteger(normalized.events.history);
+  normalized.security.rateLimit.max = toInteger(normalized.security.rateLimit.max);
+  normalized.security.rateLimit.windowMs = toInteger(normalized.security.rateLimit.windowMs);
+  normalized.security.launchesPerMinute = toInteger(normalized.security.launchesPerMinute);
+  if (typeof normalized.replay.allowedHosts === 'string') {
+    normalized.replay.allowedHosts = normalized.replay.allowedHosts.split(',').map((host) => host.trim()).filter(Boolean);
+  }
+  if (typeof normalized.security.allowedHosts === 'string') {
+    normalized.security.allowedHosts = normalized.security.allowedHosts.split(',').map((host) => host.trim()).filter(Boolean);
+  }
+  if (typeof normalized.security.corsOrigins === 'string') {
+    // Environment variables and flags carry the list comma-separated
+    normalized.security.corsOrigins = normalized.security.corsOrigins.split(',').map((origin) => origin.trim()).filter(Boolean);
+  }
+  if (normalized.security.token === '') {
+    normalized.security.token = null;
+  }
+
+  const dump = normalized.dataDump;
+  if (typeof dump.baseDir === 'string') {
+    dump.baseDir = resolvePath(dump.baseDir, homeDir);
+    dump.debugDir = dump.debugDir ? resolvePath(dump.debugDir, homeDir) : path.join(dump.baseDir, 'Debug');
+    dump.propertiesDir = dump.propertiesDir ? resolvePath(dump.propertiesDir, homeDir) : dump.debugDir;
+    dump.sessionsDir = dump.sessionsDir
+      ? resolvePath(dump.sessionsDir, homeDir)
+      : path.join(dump.baseDir, 'Sessions');
+    dump.workspacesDir = dump.workspacesDir
+      ? resolvePath(dump.workspacesDir, homeDir)
+      : path.join(dump.baseDir, 'Workspaces');
+  }
+
+  const { https } = normalized;
+  for (const key of ['certFile', 'keyFile']) {
+    if (https[key] === '') {
+      https[key] = null;
+    } else if (typeof https[key] === 'string') {
+      https[key] = resolvePath(https[key], homeDir);
+    }
+  }
+  https.certDir = https.certDir ? resolvePath(https.certDir, homeDir) : path.join(homeDir, '.cpidebug', 'certs');
+
+  if (typeof normalized.scripts.libraryDir === 'string' && normalized.scripts.libraryDir !== '') {
+    normalized.scripts.libraryDir = resolvePath(normalized.scripts.libraryDir, homeDir);
+  }
+
+  normalized.body.typedCopy = toBoolean(normalized.body.typedCopy);
+  normalized.replay.includeProperties = toBoolean(normalized.replay.includeProperties);
+  normalized.redaction.enabled = toBoolean(normalized.redaction.enabled);
+  normalized.redaction.allowBypass = toBoolean(normalized.redaction.allowBypass);
+  normalized.validation.strict = toBoolean(normalized.validation.strict);
+  normalized.ide.staging = toBoolean(normalized.ide.staging);
+  https.enabled = toBoolean(https.enabled);
+
+  if (!normalized.cpiHelper.linkBase) {
+    // With a token, links carry it in the path so they work as they are
+    const tokenPrefix = normalized.security.token ? `token/${normalized.security.token}/` : '';
+    const scheme = https.enabled === true ? 'https' : 'http';
+    normalized.cpiHelper.linkBase = `${scheme}://localhost:${normalized.port}/${tokenPrefix}debug/`;
+  }
+
+  return normalized;
+}
+
+/**
+ * Converts a size such as "512kb" or "10mb" (or a number of bytes) to bytes, with the same units as express
+ *
+ * @throws {ConfigError} When the value is not a size
+ */
+function parseSize(value) {
+  if (Number.isInteger(value)) {
+    return value;
+  }
+  const match = String(value).trim().match(SIZE_PATTERN);
+  if (!match) {
+    throw new ConfigError(`Invalid size ${JSON.stringify(value)}`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Validates a normalized config, returning a list of problems
+ */
+function validateConfig(config) {
+  const errors = [];
+  const isValidUrl = (value) => {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (err) {
+      return false;
+    }
+  };
+  // scheme://host[:port] without path; URL#origin is "null" for schemes like chrome-extension:
+  const isOrigin = (value) => {
+    try {
+      const url = new URL(value);
+      return url.host !== '' && `${url.protocol}//${url.host}` === value;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    errors.push(`port must be an integer between 0 and 65535 (got ${JSON.stringify(config.port)})`);
+  }
+  if (typeof config.host !== 'string' || config.host.trim() === '') {
+    errors.push('host must be a non-empty string');
+  }
+
+  for (const key of ['baseDir', 'debugDir', 'propertiesDir', 'sessionsDir', 'workspacesDir']) {
+    if (typeof config.dataDump[key] !== 'string' || config.dataDump[key] === '') {
+      errors.push(`dataDump.${key} must be a path`);
+    }
+  }
+
+  if (typeof config.files.baseName !== 'string' || !/^[\w.-]+$/.test(config.files.baseName)) {
+    errors.push('files.baseName may only contain letters, digits, ".", "_" and "-"');
+  }
+  const folderPattern = config.files.sessionFolder;
+  if (typeof folderPattern !== 'string' || !/\{(timestamp|random)\}/.test(folderPattern)) {
+    errors.push('files.sessionFolder must contain {timestamp} or {random}');
+  } else {
+    const unknown = (folderPattern.match(/\{(\w+)\}/g) || [])
+      .map((token) => token.slice(1, -1))
+      .filter((token) => !SESSION_FOLDER_TOKENS.includes(token));
+    if (unknown.length > 0) {
+      errors.push(`files.sessionFolder has unknown tokens: ${unknown.join(', ')}`);
+    }
+    if (/[^\w{}-]/.test(folderPattern)) {
+      errors.push('files.sessionFolder may only contain letters, digits, "_", "-" and tokens');
+    }
+  }
+
+  if (!IDE_TARGETS[config.ide.target]) {
+    errors.push(`ide.target must be one of: ${Object.keys(IDE_TARGETS).join(', ')}`);
+  }
+  if (config.ide.baseUrl && !isValidUrl(config.ide.baseUrl)) {
+    errors.push('ide.baseUrl must be an http(s) URL');
+  }
+  if (!BROWSERS.includes(config.ide.browser)) {
+    errors.push(`ide.browser must be one of: ${BROWSERS.join(', ')}`);
+  }
+  if (typeof config.ide.staging !== 'boolean') {
+    errors.push('ide.staging must be true or false');
+  }
+  if (!isValidUrl(config.cpiHelper.linkBase)) {
+    errors.push('cpiHelper.linkBase must be an http(s) URL');
+  }
+  const { https } = config;
+  if (typeof https.enabled !== 'boolean') {
+    errors.push('https.enabled must be true or false');
+  }
+  if (Boolean(https.certFile) !== Boolean(https.keyFile)) {
+    errors.push('https.certFile and https.keyFile must be set together');
+  }
+  for (const key of ['certFile', 'keyFile']) {
+    if (https[key] && (typeof https[key] !== 'string' || !fs.existsSync(https[key]) || !fs.statSync(https[key]).isFile())) {
+      errors.push(`https.${key} is not a file: ${https[key]}`);
+    }
+  }
+  if (typeof https.certDir !== 'string' || https.certDir === '') {
+    errors.push('https.certDir must be a path');
+  }
+  const { libraryDir } = config.scripts;
+  if (libraryDir != null && libraryDir !== '') {
+    if (typeof libraryDir !== 'string') {
+      errors.push('scripts.libraryDir must be a path');
+    } else if (!fs.existsSync(libraryDir) || !fs.statSync(libraryDir).isDirectory()) {
+      errors.push(`scripts.libraryDir is not a folder: ${libraryDir}`);
+    }
+  }
+  for (const key of ['format', 'ideFormat']) {
+    if (!BODY_FORMATS.includes(config.body[key])) {
+      errors.push(`body.${key} must be one of: ${BODY_FORMATS.join(', ')}`);
+    }
+  }
+  if (typeof config.body.typedCopy !== 'boolean') {
+    errors.push('body.typedCopy must be true or false');
+  }
+  if (!Number.isInteger(config.events.history) || config.events.history < 0 || config.events.history > 1000) {
+    errors.push(`events.history must be an integer between 0 and 1000 (got ${JSON.stringify(config.events.history)})`);
+  }
+
+  const { security } = config;
+  if (security.token !== null && (typeof security.token !== 'string' || !TOKEN_PATTERN.test(security.token))) {
+    errors.push('security.token must be 8 to 256 letters, digits, ".", "_", "~" or "-"');
+  }
+  if (!Array.isArray(security.corsOrigins) || !security.corsOrigins.every((origin) => origin === '*' || isOrigin(origin))) {
+    errors.push('security.corsOrigins must be a list of origins such as chrome-extension://<id> or https://host:port');
+  }
+  if (!Array.isArray(security.allowedHosts) || !security.allowedHosts.every((host) => typeof host === 'string' && /^([\w.-]+|\[[\da-f:.]+\])$/i.test(host))) {
+    errors.push('security.allowedHosts must be a list of host names without port, such as myhost.example.com');
+  }
+  if (!Number.isInteger(security.rateLimit.max) || security.rateLimit.max < 0) {
+    errors.push(`security.rateLimit.max must be a non-negative integer (got ${JSON.stringify(security.rateLimit.max)})`);
+  }
+  if (!Number.isInteger(security.rateLimit.windowMs) || security.rateLimit.windowMs < 1000) {
+    errors.push(`security.rateLimit.windowMs must be an integer of at least 1000 (got ${JSON.stringify(security.rateLimit.windowMs)})`);
+  }
+  if (!Number.isInteger(security.launchesPerMinute) || security.launchesPerMinute < 0) {
+    errors.push(`security.launchesPerMinute must be a non-negative integer (got ${JSON.stringify(security.launchesPerMinute)})`);
+  }
+  const { replay } = config;
+  if (replay.url && !isValidUrl(replay.url)) {
+    errors.push('replay.url must be an http(s) URL');
+  }
+  if (!Array.isArray(replay.allowedHosts) || !replay.allowedHosts.every((host) => typeof host === 'string' && /^(\*|[\w.-]+(:\d+)?|\[[\da-f:.]+\](:\d+)?)$/i.test(host))) {
+    errors.push('replay.allowedHosts must be a list of host names, optionally with a port (host:port), or *');
+  }
+  if (!REPLAY_METHODS.includes(String(replay.method).toUpperCase())) {
+    errors.push(`replay.method must be one of: ${REPLAY_METHODS.join(', ')}`);
+  }
+  if (typeof replay.includeProperties !== 'boolean') {
+    errors.push('replay.includeProperties must be true or false');
+  }
+  if (typeof replay.propertyPrefix !== 'string' || !/^[!#$%&'*+.^_`|~0-9A-Za-z-]*$/.test(replay.propertyPrefix)) {
+    errors.push('replay.propertyPrefix may only contain characters allowed in HTTP header names');
+  }
+  if (!Number.isInteger(replay.timeoutMs) || replay.timeoutMs <= 0) {
+    errors.push(`replay.timeoutMs must be a positive number of milliseconds (got ${JSON.stringify(replay.timeoutMs)})`);
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    errors.push(`logLevel must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(config.logFormat)) {
+    errors.push(`logFormat must be one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  for (const key of ['body', 'upload']) {
+    const limit = config.limits[key];
+    if (!(Number.isInteger(limit) && limit > 0) && !(typeof limit === 'string' && SIZE_PATTERN.test(limit.trim()))) {
+      errors.push(`limits.${key} must be a size such as 512kb, 10mb or a number of bytes (got ${JSON.stringify(limit)})`);
+    }
+  }
+  if (typeof config.redaction.enabled !== 'boolean') {
+    errors.push('redaction.enabled must be true or false');
+  }
+  if (typeof config.redaction.allowBypass !== 'boolean') {
+    errors.push('redaction.allowBypass must be true or false');
+  }
+  if (typeof config.validation.strict !== 'boolean') {
+    errors.push('validation.strict must be true or false');
+  }
+  errors.push(...validateRedactionRules(config.redaction));
+
+  return errors;
+}
+
+/**
+ * Loads the configuration
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.argv] - Command-line arguments (without node and script)
+ * @param {Object} [options.env] - Environment variables
+ * @param {string} [options.cwd] - Directory searched for the project config file
+ * @param {string} [options.homeDir] - Directory searched for ~/.cpidebug
+ * @param {boolean} [options.searchConfigFiles=true] - false: read no project or ~/.cpidebug file, only --config / CPIDEBUG_CONFIG
+ * @param {Object} [options.overrides] - Applied last, for programmatic use
+ * @returns {{ config: Object, sources: string[], printConfig: boolean, help: boolean }}
+ * @throws {ConfigError} When a file cannot be read or the result is invalid
+ */
+function loadConfig({
+  argv = [],
+  env = process.env,
+  cwd = process.cwd(),
+  homeDir = os.homedir(),
+  searchConfigFiles = true,
+  overrides = {}
+} = {}) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: CLI_OPTIONS, strict: true, allowPositionals: false }));
+  } catch (err) {
+    throw new ConfigError(`${err.message}\n\n${USAGE}`);
+  }
+
+  const files = findConfigFiles({ explicitPath: values.config || env.CPIDEBUG_CONFIG, cwd, homeDir, search: searchConfigFiles });
+
+  let merged = getDefaults();
+  for (const file of files) {
+    merged = mergeConfig(merged, readConfigFile(file));
+  }
+  merged = mergeConfig(merged, fromEnvironment(env));
+  merged = mergeConfig(merged, fromFlags(values));
+  checkSectionTypes(overrides, 'Config overrides');
+  merged = mergeConfig(merged, overrides);
+
+  const config = normalizeConfig(merged, homeDir);
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError('Invalid configuration', errors);
+  }
+
+  return {
+    config,
+    sources: ['defaults', ...files, 'environment', 'command line'],
+    printConfig: Boolean(values['print-config']),
+    help: Boolean(values.help)
+  };
+}
+
+module.exports = {
+  ConfigError,
+  LOG_LEVELS,
+  USAGE,
+  getDefaults,
+  loadConfig,
+  parseSize,
+  validateConfig
+};
@@ -4,7 +4,8 @@
  * Encoder: Contiva Format → Encoded Base64 String
  * 
  * Reverses the decode steps:
- * 1. JSON → ZIP file
+ * 1. JSON → ZIP file (data.json, plus scripts/<name> for each script library and
+ *    attachments/<file> with attachments/manifest.json for message attachments)
  * 2. ZIP → Gzip compress
  * 3. Gzip → Base64 encode (STANDARD base64, not URL-safe)
  * 4. Base64 → URL-encode
@@ -12,81 +13,85 @@
 
 const zlib = require('zlib');
 const archiver = require('archiver');
+const unzipper = require('unzipper');
 const { PassThrough } = require('stream');
-const { exec } = require('child_process');
-const path = require('path');
+const { openInIde } = require('./ide-launcher');
+const { createLogger, getDefaultLogger, setDefaultLogger } = require('./logger');
+const { formatFieldErrors, validatePayload } = require('./payload-schemas');
+const { normalizeLibraryName } = require('./script-library');
+const { ATTACHMENT_FOLDER, MANIFEST_FILE, attachmentsFromManifest, buildAttachmentFiles } = require('./attachments');
+
+// Name of the JSON entry inside the Contiva ZIP archive
+const CONTIVA_DATA_ENTRY = 'data.json';
+
+// Folder inside the archive holding the script libraries (contivaData.libraries)
+const CONTIVA_LIBRARY_PREFIX = 'scripts/';
+
+// Default cap on decompressed bytes (10 × the default limits.body), once for the gzip stream and once
+// for all ZIP entries together; a few KB of crafted input could otherwise inflate to gigabytes
+const MAX_DECODED_BYTES = 100 * 1024 * 1024;
 
 /**
- * Encodes Contiva data to an encoded base64 string
- * Reverses: JSON → ZIP → gzip → base64 → URL-safe → URL-encoded
- * 
- * @param {Object} contivaData - The Contiva format object
- * @returns {Promise<string>} URL-encoded base64 string
+ * Error for decoded data beyond maxDecodedBytes; same code as zlib's maxOutputLength error
+ */
+function decodedTooLarge(limit) {
+  const error = new RangeError(`Decoded data exceeds ${limit} bytes (decompression bomb or oversized payload)`);
+  error.code = 'ERR_BUFFER_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Reads a ZIP entry, counting its bytes against the archive's budget
+ * Streams the entry so that a false size in the ZIP directory cannot make it inflate past the budget
+ *
+ * @param {Object} file - unzipper entry
+ * @param {{limit: number, remaining: number}} budget - Decoded bytes left for the whole archive
+ * @returns {Promise<Buffer>}
  */
-async function encodeContivaData(contivaData) {
+async function readZipEntry(file, budget) {
+  const chunks = [];
+  for await (const chunk of file.stream()) {
+    budget.remaining -= chunk.length;
+    if (budget.remaining < 0) {
+      throw decodedTooLarge(budget.limit);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Builds a ZIP archive in memory
+ * All entries get the epoch as timestamp so the same input always yields the same bytes
+ *
+ * @param {Array<{name: string, content: string|Buffer}>} entries - Files to add to the archive
+ * @returns {Promise<Buffer>} ZIP file contents
+ */
+function createZipBuffer(entries) {
   return new Promise((resolve, reject) => {
     try {
-      // Step 1: Convert to JSON string
-      const jsonString = JSON.stringify(contivaData);
-      console.log(`  📝 JSON string length: ${jsonString.length} bytes`);
-
-      // Step 2: Create ZIP archive
       const output = new PassThrough();
       const archive = archiver('zip', { 
         zlib: { level: 9 },
         date: new Date(0)  // Use epoch time for deterministic timestamps
       });
-      
-      let zipBuffer = Buffer.alloc(0);
-      output.on('data', (chunk) => {
-        zipBuffer = Buffer.concat([zipBuffer, chunk]);
-      });
 
-      output.on('end', () => {
-        try {
-          console.log(`  📦 ZIP archive size: ${zipBuffer.length} bytes`);
-          console.log(`  📦 ZIP hex start: ${zipBuffer.slice(0, 16).toString('hex')}`);
-          console.log(`  📦 ZIP hex end: ${zipBuffer.slice(-16).toString('hex')}`);
-
-          // Step 3: Compress ZIP with gzip (disable timestamp to make it deterministic)
-          const compressed = zlib.gzipSync(zipBuffer, { mtime: 0 });
-          console.log(`  📦 Gzipped size: ${compressed.length} bytes`);
-          console.log(`  📦 Gzipped hex start: ${compressed.slice(0, 16).toString('hex')}`);
-          console.log(`  📦 Gzipped hex end: ${compressed.slice(-16).toString('hex')}`);
-
-          // Step 4: Encode to STANDARD base64 (NOT URL-safe - keep + and /)
-          let base64 = compressed.toString('base64');
-          console.log(`  🔤 Base64 length before padding: ${base64.length} chars`);
-          
-          // Standard base64 padding
-          const paddingNeeded = (4 - (base64.length % 4)) % 4;
-          base64 += '='.repeat(paddingNeeded);
-          console.log(`  🔤 Base64 length with padding: ${base64.length} chars (added ${paddingNeeded} padding chars)`);
-          console.log(`  🔤 First 30 chars: ${base64.slice(0, 30)}`);
-          console.log(`  🔤 Ends with: ...${base64.slice(-10)}`);
-
-          // Step 5: URL-encode the STANDARD base64 string
-          // This converts: + to %2B, / to %2F, = to %3D
-          const urlEncoded = encodeURIComponent(base64);
-          console.log(`  🌐 URL-encoded length: ${urlEncoded.length} chars`);
-          console.log(`  🌐 First 30 chars: ${urlEncoded.slice(0, 30)}`);
-          console.log(`  🌐 Ends with: ...${urlEncoded.slice(-30)}`);
-
-          resolve(urlEncoded);
-        } catch (error) {
-          console.error(`  ❌ Error in output.on('end'): ${error.message}`);
-          reject(error);
-        }
+      const chunks = [];
+      output.on('data', (chunk) => {
+        chunks.push(chunk);
       });
+      output.on('end', () => resolve(Buffer.concat(chunks)));
 
       output.on('error', reject);
       archive.on('error', reject);
 
       archive.pipe(output);
-      archive.append(jsonString, { 
-        name: 'data.json',
-        date: new Date(0)  // Fixed epoch date for deterministic output
-      });
+      for (const entry of entries) {
+        archive.append(entry.content, { 
+          name: entry.name,
+          date: new Date(0)  // Fixed epoch date for deterministic output
+        });
+      }
       archive.finalize();
     } catch (error) {
       reject(error);
@@ -94,48 +99,133 @@ async function encodeContivaData(contivaData) {
   });
 }
 
+/**
+ * Encodes Contiva data to an encoded base64 string
+ * Reverses: JSON → ZIP → gzip → base64 → URL-safe → URL-encoded
+ * contivaData.libraries is not part of data.json; each library becomes a scripts/<name> entry
+ * contivaData.attachments neither; they become attachments/<file> entries with their decoded bytes
+ * 
+ * @param {Object} contivaData - The Contiva format object
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger for the step-by-step debug output
+ * @returns {Promise<string>} URL-encoded base64 string
+ */
+async function encodeContivaData(contivaData, { logger = getDefaultLogger() } = {}) {
+  // Step 1: Convert to JSON string
+  const { libraries = [], attachments = [], ...data } = contivaData;
+  const jsonString = JSON.stringify(data);
+  logger.debug(`JSON string length: ${jsonString.length} bytes`);
+
+  // Step 2: Create ZIP archive
+  const entries = [
+    { name: CONTIVA_DATA_ENTRY, content: jsonString },
+    ...libraries.map((library) => ({
+      name: `${CONTIVA_LIBRARY_PREFIX}${normalizeLibraryName(library.name)}`,
+      content: library.script || ''
+    })),
+    ...Object.entries(buildAttachmentFiles(attachments, { logger }).files).map(([name, content]) => ({ name, content }))
+  ];
+  const zipBuffer = await createZipBuffer(entries);
+  logger.debug(`ZIP archive size: ${zipBuffer.length} bytes (${entries.length} entries)`);
+  logger.debug(`ZIP hex start: ${zipBuffer.slice(0, 16).toString('hex')}`);
+  logger.debug(`ZIP hex end: ${zipBuffer.slice(-16).toString('hex')}`);
+
+  // Step 3: Compress ZIP with gzip (disable timestamp to make it deterministic)
+  const compressed = zlib.gzipSync(zipBuffer, { mtime: 0 });
+  logger.debug(`Gzipped size: ${compressed.length} bytes`);
+  logger.debug(`Gzipped hex start: ${compressed.slice(0, 16).toString('hex')}`);
+  logger.debug(`Gzipped hex end: ${compressed.slice(-16).toString('hex')}`);
+
+  // Step 4: Encode to STANDARD base64 (NOT URL-safe - keep + and /)
+  let base64 = compressed.toString('base64');
+  logger.debug(`Base64 length before padding: ${base64.length} chars`);
+  
+  // Standard base64 padding
+  const paddingNeeded = (4 - (base64.length % 4)) % 4;
+  base64 += '='.repeat(paddingNeeded);
+  logger.debug(`Base64 length with padding: ${base64.length} chars (added ${paddingNeeded} padding chars)`);
+  logger.debug(`First 30 chars: ${base64.slice(0, 30)}`);
+  logger.debug(`Ends with: ...${base64.slice(-10)}`);
+
+  // Step 5: URL-encode the STANDARD base64 string
+  // This converts: + to %2B, / to %2F, = to %3D
+  const urlEncoded = encodeURIComponent(base64);
+  logger.debug(`URL-encoded length: ${urlEncoded.length} chars`);
+  logger.debug(`First 30 chars: ${urlEncoded.slice(0, 30)}`);
+  logger.debug(`Ends with: ...${urlEncoded.slice(-30)}`);
+
+  return urlEncoded;
+}
+
 /**
  * Opens Chrome with the Contiva IDE URL containing the encoded data
+ * Target, base URL and browser can be overridden; see ide-launcher.js
  * 
  * @param {string} encodedData - The URL-encoded base64 string
- * @returns {Promise<void>}
+ * @param {Object} [options] - { target, baseUrl, browser } passed to openInIde, plus { logger }
+ * @returns {Promise<string>} The IDE URL
  */
-function openInChrome(encodedData) {
-  return new Promise((resolve, reject) => {
-    const url = `https://ide.contiva.com/cpi/script/debug?data=${encodedData}`;
-    console.log(`\n🌐 Opening Chrome with URL:`);
-    console.log(`${url}\n`);
-
-    let command;
-    
-    if (process.platform === 'win32') {
-      // Windows
-      command = `start chrome "${url}"`;
-    } else if (process.platform === 'darwin') {
-      // macOS
-      command = `open -a "Google Chrome" "${url}"`;
-    } else {
-      // Linux
-      command = `google-chrome "${url}"`;
-    }
+async function openInChrome(encodedData, { logger = getDefaultLogger(), ...options } = {}) {
+  const result = await openInIde(encodedData, { browser: 'chrome', ...options });
+  logger.info(`IDE URL (${result.browser}): ${result.url}`);
 
-    exec(command, (error) => {
-      if (error) {
-        console.error(`⚠️  Could not open Chrome: ${error.message}`);
-        console.log(`ℹ️  Try opening this URL manually:`);
-        console.log(`${url}`);
-        resolve(); // Don't reject, just inform the user
-      } else {
-        console.log(`✅ Chrome opened successfully!`);
-        resolve();
-      }
-    });
-  });
+  if (result.launched) {
+    logger.success(`Browser opened successfully!`);
+  } else if (result.browser !== 'none') {
+    logger.warn(`Could not open ${result.browser}: ${result.error}`);
+    logger.info(`Try opening this URL manually: ${result.url}`);
+  }
+  return result.url;
+}
+
+/**
+ * Extracts the encoded data from a Contiva IDE link
+ * Accepts a full link (https://ide.contiva.com/cpi/script/debug?data=...), a "data=..." fragment
+ * or the bare encoded value. The value is returned still URL-encoded.
+ *
+ * @param {string} linkOrData - Contiva link, query string or encoded value
+ * @returns {string} URL-encoded base64 string
+ */
+function extractContivaData(linkOrData) {
+  const value = String(linkOrData || '').trim();
+
+  // Read the raw query value rather than using URLSearchParams, which would turn '+' into spaces
+  const match = value.match(/(?:^|[?&#])data=([^&#]*)/);
+  const encodedData = match ? match[1] : value;
+
+  if (!encodedData) {
+    throw new Error('No Contiva data found in the link');
+  }
+  return encodedData;
+}
+
+/**
+ * Validates a decoded Contiva object against the ContivaData schema (payload-schemas.js)
+ *
+ * @param {Object} contivaData - The Contiva format object
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateContivaData(contivaData) {
+  const { valid, errors } = validatePayload('ContivaData', contivaData);
+  return { valid, errors: formatFieldErrors(errors) };
 }
-function decodeContivaData(encodedData) {
+
+/**
+ * Decodes an encoded Contiva string back into the Contiva object
+ * Reverses: URL-encoded → base64 → gunzip → ZIP → data.json → JSON
+ * scripts/<name> entries are read back into contivaData.libraries, attachments/ into contivaData.attachments
+ *
+ * @param {string} encodedData - URL-encoded base64 string (the "data" value of a Contiva link)
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger for the step-by-step debug output
+ * @param {number} [options.maxDecodedBytes] - Cap on the gunzipped archive and on its entries together
+ * @returns {Promise<{contivaData: Object, zipBuffer: Buffer, entries: string[]}>}
+ * @throws {RangeError} With code ERR_BUFFER_TOO_LARGE when the data inflates beyond maxDecodedBytes
+ */
+async function decodeContivaData(encodedData, { logger = getDefaultLogger(), maxDecodedBytes = MAX_DECODED_BYTES } = {}) {
   // Step 1: URL-decode
   let decodedUrl = decodeURIComponent(encodedData);
-  console.log(`  🌐 URL-decoded length: ${decodedUrl.length} chars`);
+  logger.debug(`URL-decoded length: ${decodedUrl.length} chars`);
 
   // Step 2: Restore standard Base64 from URL-safe format
   let standardBase64 = decodedUrl
@@ -143,24 +233,75 @@ function decodeContivaData(encodedData) {
     .replace(/_/g, '/');
   // Note: Padding '=' is already present, no need to add
 
-  console.log(`  🔤 Standard Base64 length: ${standardBase64.length} chars`);
+  logger.debug(`Standard Base64 length: ${standardBase64.length} chars`);
 
   // Step 3: Decode Base64 to binary
   const buffer = Buffer.from(standardBase64, 'base64');
-  console.log(`  📦 Base64 decoded: ${buffer.length} bytes`);
+  logger.debug(`Base64 decoded: ${buffer.length} bytes`);
+
+  // Step 4: Decompress with gzip, stopping at maxDecodedBytes
+  let decompressed;
+  try {
+    decompressed = zlib.gunzipSync(buffer, { maxOutputLength: maxDecodedBytes });
+  } catch (error) {
+    throw error.code === 'ERR_BUFFER_TOO_LARGE' ? decodedTooLarge(maxDecodedBytes) : error;
+  }
+  logger.debug(`Gzipped decompressed: ${decompressed.length} bytes`);
+  logger.debug(`Magic bytes: ${decompressed.slice(0, 4).toString('hex')} (ZIP file)`);
+
+  // Step 5: Open the ZIP archive and read data.json; entries share one maxDecodedBytes budget
+  const budget = { limit: maxDecodedBytes, remaining: maxDecodedBytes };
+  const directory = await unzipper.Open.buffer(decompressed);
+  const files = directory.files.filter((file) => file.type === 'File');
+  const entries = files.map((file) => file.path);
+  logger.debug(`ZIP entries: ${entries.join(', ')}`);
+
+  const dataEntry = files.find((file) => file.path === CONTIVA_DATA_ENTRY);
+  if (!dataEntry) {
+    throw new Error(`ZIP archive does not contain ${CONTIVA_DATA_ENTRY}`);
+  }
+  // Editors on Windows may save data.json with a UTF-8 byte order mark
+  const jsonString = (await readZipEntry(dataEntry, budget)).toString('utf-8').replace(/^\uFEFF/, '');
+  logger.debug(`JSON string length: ${jsonString.length} bytes`);
+
+  // Step 6: Parse JSON and add the script libraries and attachments
+  const contivaData = JSON.parse(jsonString);
+  const libraryEntries = files.filter((file) => file.path.startsWith(CONTIVA_LIBRARY_PREFIX));
+  if (libraryEntries.length > 0) {
+    const libraries = [];
+    for (const file of libraryEntries) {
+      libraries.push({
+        name: file.path.slice(CONTIVA_LIBRARY_PREFIX.length),
+        script: (await readZipEntry(file, budget)).toString('utf-8')
+      });
+    }
+    contivaData.libraries = [...(contivaData.libraries || []), ...libraries];
+    logger.debug(`Script libraries: ${libraries.map((library) => library.name).join(', ')}`);
+  }
+  const manifestEntry = files.find((file) => file.path === `${ATTACHMENT_FOLDER}${MANIFEST_FILE}`);
+  if (manifestEntry) {
+    const contents = new Map();
+    for (const file of files.filter((entry) => entry.path.startsWith(ATTACHMENT_FOLDER))) {
+      contents.set(file.path.slice(ATTACHMENT_FOLDER.length), await readZipEntry(file, budget));
+    }
+    const manifest = JSON.parse(contents.get(MANIFEST_FILE).toString('utf-8'));
+    contivaData.attachments = attachmentsFromManifest(manifest, (name) => contents.get(name) || null, { logger });
+    logger.debug(`Attachments: ${contivaData.attachments.map((attachment) => attachment.name).join(', ')}`);
+  }
 
-  // Step 4: Decompress with gzip
-  const decompressed = zlib.gunzipSync(buffer);
-  console.log(`  📦 Gzipped decompressed: ${decompressed.length} bytes`);
-  console.log(`  🎁 Magic bytes: ${decompressed.slice(0, 4).toString('hex')} (ZIP file)`);
+  // Step 7: Validate
+  const validation = validateContivaData(contivaData);
+  if (!validation.valid) {
+    throw new Error(`Invalid Contiva data: ${validation.errors.join('; ')}`);
+  }
 
   return {
+    contivaData,
     zipBuffer: decompressed,
-    message: 'This is a ZIP archive. Extract with a ZIP tool or use the archiver library to read.'
+    entries
   };
 }
 
-
 // ============================================================================
 // EXAMPLE USAGE
 // ============================================================================
@@ -168,6 +309,9 @@ function decodeContivaData(encodedData) {
 if (require.main === module) {
   console.log('🔐 Contiva Format Encoder/Decoder\n');
 
+  // Show every encoding/decoding step in the demo
+  setDefaultLogger(createLogger({ level: 'debug' }));
+
   // Example Contiva data
   const contivaExample = {
     currentSessionType: 'groovy',
@@ -202,16 +346,23 @@ if (require.main === module) {
       // Decode back to verify
       console.log('\n4️⃣  Decoding Back to Verify...');
       console.log('─'.repeat(60));
-      const decoded = decodeContivaData(encoded);
+      return decodeContivaData(encoded).then((decoded) => {
+        console.log('\n5️⃣  Decoded Result:');
+        console.log('═'.repeat(60));
+        console.log(JSON.stringify(decoded.contivaData, null, 2));
+        console.log(`ZIP size: ${decoded.zipBuffer.length} bytes`);
 
-      console.log('\n5️⃣  Decoded Result:');
-      console.log('═'.repeat(60));
-      console.log(`Type: ${decoded.message}`);
-      console.log(`Size: ${decoded.zipBuffer.length} bytes`);
-      console.log(`\n✅ Encoding/decoding successful!`);
-      
-      // Open in Chrome
-      return openInChrome(encoded);
+        if (JSON.stringify(decoded.contivaData) !== JSON.stringify(contivaExample)) {
+          throw new Error('Decoded data does not match the original');
+        }
+        console.log(`\n✅ Encoding/decoding successful!`);
+
+        // Only launch a browser when asked: node contiva-encoder.js --open
+        if (process.argv.includes('--open')) {
+          return openInChrome(encoded);
+        }
+        console.log(`\n🔗 Open with: node contiva-encoder.js --open`);
+      });
     })
     .catch((error) => {
       console.error('❌ Error:', error.message);
@@ -220,7 +371,12 @@ if (require.main === module) {
 }
 
 module.exports = {
+  MAX_DECODED_BYTES,
+  createZipBuffer,
+  decodedTooLarge,
   encodeContivaData,
   decodeContivaData,
+  extractContivaData,
+  validateContivaData,
   openInChrome
 };
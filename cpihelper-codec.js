@@ -0,0 +1,219 @@
+/**
+ * CPI Helper Codec
+ * Encodes and decodes the CPI Helper / Groovy IDE string format and converts to and from Contiva
+ *
+ * Format:
+ *   JSON → raw Deflate → Base64 → URL-safe Base64 (- and _ instead of + and /, no padding)
+ *
+ * Payload:
+ *   { input: { body, headers, properties, attachments? }, script: { code, function, libraries? } }
+ *   (libraries: extra script files, see script-library.js; attachments: see attachments.js)
+ */
+
+const zlib = require('zlib');
+const { getDefaultLogger } = require('./logger');
+const { DEFAULT_CONTENT_TYPE, getAttachments } = require('./attachments');
+const { bodyToText, buildBodyFiles, formatBody, describeBody } = require('./body-format');
+const { stringifyProperties } = require('./properties-format');
+const { MAX_DECODED_BYTES, decodedTooLarge } = require('./contiva-encoder');
+
+/**
+ * Decodes a Groovy Debugger encoded string
+ * Reverses: URL-safe Base64 -> Standard Base64 -> Inflate -> JSON
+ * Inflating stops at maxDecodedBytes (RangeError with code ERR_BUFFER_TOO_LARGE)
+ */
+function decodeGroovyString(urlSafeBase64, { logger = getDefaultLogger(), maxDecodedBytes = MAX_DECODED_BYTES } = {}) {
+  logger.debug(`Starting decode: ${urlSafeBase64.substring(0, 40)}...`);
+
+  // Step 1: Restore standard Base64 from URL-safe format
+  let standardBase64 = urlSafeBase64
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  logger.debug(`Step 1: Converted URL-safe to standard Base64 (${standardBase64.length} chars)`);
+
+  // Step 2: Restore padding
+  const paddingNeeded = (4 - (standardBase64.length % 4)) % 4;
+  standardBase64 += '='.repeat(paddingNeeded);
+  logger.debug(`Step 2: Added ${paddingNeeded} padding chars`);
+
+  // Step 3: Decode Base64 to binary
+  const buffer = Buffer.from(standardBase64, 'base64');
+  logger.debug(`Step 3: Decoded Base64 to binary (${buffer.length} bytes)`);
+
+  // Step 4: Inflate (decompress) the raw Deflate data, stopping at maxDecodedBytes
+  let decompressed;
+  try {
+    decompressed = zlib.inflateRawSync(buffer, { maxOutputLength: maxDecodedBytes });
+  } catch (error) {
+    throw error.code === 'ERR_BUFFER_TOO_LARGE' ? decodedTooLarge(maxDecodedBytes) : error;
+  }
+  logger.debug(`Step 4: Decompressed data (${decompressed.length} bytes)`);
+
+  // Step 5: Convert to UTF-8 string
+  const jsonString = decompressed.toString('utf-8');
+  logger.debug(`Step 5: Converted to UTF-8 string (${jsonString.length} chars)`);
+
+  // Step 6: Parse JSON
+  const parsed = JSON.parse(jsonString);
+  logger.debug(`Step 6: Parsed JSON`);
+
+  return parsed;
+}
+
+/**
+ * Encodes data into the Groovy Debugger (CPI Helper) string format
+ * Reverses decodeGroovyString: JSON -> Deflate (raw) -> Standard Base64 -> URL-safe Base64 (no padding)
+ */
+function encodeGroovyString(data, { logger = getDefaultLogger() } = {}) {
+  // Step 1: Serialize to JSON
+  const jsonString = JSON.stringify(data);
+  logger.debug(`Step 1: Serialized to JSON (${jsonString.length} chars)`);
+
+  // Step 2: Compress with raw Deflate (no zlib header, matching inflateRawSync)
+  const compressed = zlib.deflateRawSync(Buffer.from(jsonString, 'utf-8'));
+  logger.debug(`Step 2: Compressed data (${compressed.length} bytes)`);
+
+  // Step 3: Encode to URL-safe Base64 without padding
+  const urlSafeBase64 = compressed.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  logger.debug(`Step 3: Encoded to URL-safe Base64 (${urlSafeBase64.length} chars)`);
+
+  return urlSafeBase64;
+}
+
+/**
+ * Extracts the encoded string from a CPI Helper link (e.g. http://localhost:4004/debug/<data>)
+ * Anything that is not a URL is returned trimmed, as-is
+ */
+function extractCpiHelperData(linkOrData) {
+  const value = String(linkOrData).trim();
+  if (!/^https?:\/\//i.test(value)) {
+    return value;
+  }
+  const { pathname } = new URL(value);
+  return pathname.slice(pathname.lastIndexOf('/') + 1);
+}
+
+/**
+ * Copies an attachment with its known fields only ({ name, contentType, content })
+ */
+function copyAttachment(attachment) {
+  return {
+    name: attachment.name,
+    contentType: attachment.contentType || DEFAULT_CONTENT_TYPE,
+    content: attachment.content || ''
+  };
+}
+
+/**
+ * Converts CPIHelper format to Contiva format
+ * bodyFormat (none | pretty | minify) reformats XML and JSON bodies for the IDE; the text itself is
+ * never re-encoded, so non-ASCII characters reach the Contiva archive (UTF-8 JSON) unchanged
+ */
+function cpiHelperToContiva(cpiHelperData, { bodyFormat = 'none', logger = getDefaultLogger() } = {}) {
+  logger.debug(`Converting CPIHelper to Contiva format`);
+
+  const input = cpiHelperData.input || {};
+  const script = cpiHelperData.script || {};
+
+  logger.debug(`  Input keys: ${Object.keys(input).join(', ')}`);
+  logger.debug(`  Script keys: ${Object.keys(script).join(', ')}`);
+
+  const body = formatBody(bodyToText(input.body), describeBody(input.body, input).type, bodyFormat);
+  if (body.error) {
+    logger.warn(`Body left as received, it could not be formatted: ${body.error}`);
+  }
+
+  const contiva = {
+    currentSessionType: 'groovy',
+    scriptInput: body.text,
+    script: script.code || '',
+    functionName: script.function || 'processData',
+    headers: input.headers || {},
+    properties: input.properties || {}
+  };
+  if (Array.isArray(script.libraries) && script.libraries.length > 0) {
+    contiva.libraries = script.libraries.map((library) => ({ name: library.name, script: library.code || '' }));
+    logger.debug(`  Script libraries: ${contiva.libraries.map((library) => library.name).join(', ')}`);
+  }
+  if (Array.isArray(input.attachments) && input.attachments.length > 0) {
+    contiva.attachments = input.attachments.map(copyAttachment);
+    logger.debug(`  Attachments: ${contiva.attachments.map((attachment) => attachment.name).join(', ')}`);
+  }
+
+  logger.debug(`Converted to Contiva format with ${Object.keys(contiva).length} fields`);
+  return contiva;
+}
+
+/**
+ * Converts Contiva format back to CPIHelper format
+ */
+function contivaToCpiHelper(contivaData, { logger = getDefaultLogger() } = {}) {
+  logger.debug(`Converting Contiva to CPIHelper format`);
+
+  const cpiHelper = {
+    input: {
+      body: contivaData.scriptInput || '',
+      headers: contivaData.headers || {},
+      properties: contivaData.properties || {}
+    },
+    script: {
+      code: contivaData.script || '',
+      function: contivaData.functionName || 'processData'
+    }
+  };
+  if (Array.isArray(contivaData.libraries) && contivaData.libraries.length > 0) {
+    cpiHelper.script.libraries = contivaData.libraries.map((library) => ({ name: library.name, code: library.script || '' }));
+  }
+  if (Array.isArray(contivaData.attachments) && contivaData.attachments.length > 0) {
+    cpiHelper.input.attachments = contivaData.attachments.map(copyAttachment);
+  }
+
+  logger.debug(`Converted to CPIHelper format`);
+  return cpiHelper;
+}
+
+/**
+ * Builds the CPIViewer file set for a decoded payload
+ * Body as bytes in its own charset (optionally pretty-printed or minified, see body-format.js);
+ * headers and properties in Java .properties file format; libraries as { name, code } list;
+ * attachments as { name, contentType, content } list (see attachments.js for their files)
+ *
+ * @param {Object} decodedData - Decoded CPI Helper payload
+ * @param {Object} [options]
+ * @param {string} [options.bodyFormat] - none | pretty | minify (default none)
+ * @param {boolean} [options.typedCopy] - Also build the body copy named after its type (default true)
+ * @param {Object} [options.logger] - Logger for bodies that cannot be formatted or encoded as declared
+ * @returns {{ body: Buffer, bodyInfo: Object, typedBody: Object|null, header: string, properties: string, script: string, libraries: Array, attachments: Array }}
+ *   typedBody is { extension, content }, e.g. { extension: 'xml', ... } or the decoded bytes of a Base64 PDF
+ */
+function buildCaptureFiles(decodedData, { bodyFormat = 'none', typedCopy = true, logger = getDefaultLogger() } = {}) {
+  const input = decodedData.input || {};
+  const script = decodedData.script || {};
+  const bodyFiles = buildBodyFiles(decodedData, { format: bodyFormat, typedCopy });
+  for (const warning of bodyFiles.warnings) {
+    logger.warn(warning);
+  }
+
+  return {
+    body: bodyFiles.body,
+    bodyInfo: bodyFiles.info,
+    typedBody: bodyFiles.typed,
+    header: stringifyProperties(input.headers || {}, { comment: 'Header Contents' }),
+    properties: stringifyProperties(input.properties || {}, { comment: 'Properties Contents' }),
+    script: script.code || '',
+    libraries: Array.isArray(script.libraries) ? script.libraries : [],
+    attachments: getAttachments(decodedData)
+  };
+}
+
+module.exports = {
+  buildCaptureFiles,
+  contivaToCpiHelper,
+  cpiHelperToContiva,
+  decodeGroovyString,
+  encodeGroovyString,
+  extractCpiHelperData
+};
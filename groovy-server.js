@@ -5,507 +5,96 @@
  * Express.js server for receiving and decoding Groovy debugger encoded data via URL
  * 
  * Usage:
- *   node groovy-server.js
+ *   node groovy-server.js [--port 4004] [--dump-dir <dir>] [--config <file>] [--print-config]
+ *   node groovy-server.js --help       << All options; see config.js for config files and env variables
  * 
  * Then visit:
  *   http://localhost:4004/debug/      << Use this to save data locally
  *   http://localhost:4004/contiva/      << Add this URL to cpi helper plugin to convert and reroute to Contiva IDE
+ *   http://localhost:4004/token/<token>/contiva/  << Same, when security.token is set (see security.js)
+ *   https://localhost:4004/contiva/     << With --https (see https-certificate.js)
+ *   http://localhost:4004/contiva/stage/  << Edit body, headers, properties and function before opening the IDE
  * 
  * The server decodes the data, saves it to files, and can open Contiva IDE in Chrome.
+ *
+ * Library use (requiring this module has no side effects):
+ *   createApp(options)     << Express app with all routes, to mount in another app or test
+ *   startServer(options)   << createApp + listen + startup banner
  */
 
 const express = require('express');
-const zlib = require('zlib');
+const multer = require('multer');
+const http = require('http');
+const https = require('https');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
-const { encodeContivaData , openInChrome } = require('./contiva-encoder');
-
-const app = express();
-const PORT = process.env.PORT || 4004;
-
-// ════════════════════════════════════════════════════════════
-// 📋 LOGGING UTILITY
-// ════════════════════════════════════════════════════════════
-const logger = {
-  info: (msg) => console.log(`   ℹ️  ${msg}`),
-  success: (msg) => console.log(`   ✅ ${msg}`),
-  error: (msg) => console.error(`   ❌ ${msg}`),
-  warn: (msg) => console.warn(`   ⚠️  ${msg}`),
-  debug: (msg) => console.log(`   🔍 ${msg}`),
-  section: (msg) => console.log(`\n${'═'.repeat(60)}\n${msg}\n${'═'.repeat(60)}`),
-  table: (title, data) => {
-    console.log(`   📊 ${title}:`);
-    Object.entries(data).forEach(([key, value]) => {
-      console.log(`      ${key}: ${value}`);
-    });
-  }
-};
-
-// Configuration for data dump location
-const DATA_DUMP_BASE = process.env.DATA_DUMP_PATH || 'C:\\CPIViewer\\DataDump';
-const DATA_DUMP_DEBUG = path.join(DATA_DUMP_BASE, 'Debug');
-const DATA_DUMP_PROPERTIES = path.join(DATA_DUMP_BASE, 'Debug');
-
-logger.debug(`Data dump base path: ${DATA_DUMP_BASE}`);
-
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Serve static files (optional - for a simple dashboard)
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`\n📡 [${timestamp}] ${req.method} ${req.path}`);
-  
-  // Log request body if present (truncate if too long)
-  if (req.body && Object.keys(req.body).length > 0) {
-    const bodyStr = JSON.stringify(req.body);
-    if (bodyStr.length > 200) {
-      logger.debug(`Body: ${bodyStr.substring(0, 200)}... (${bodyStr.length} total chars)`);
-    } else {
-      logger.debug(`Body: ${bodyStr}`);
-    }
-  }
-  
-  // Log response
-  const originalSend = res.send;
-  res.send = function(data) {
-    logger.debug(`Response: ${res.statusCode} - ${typeof data === 'string' ? data.substring(0, 100) : 'JSON'}`);
-    return originalSend.call(this, data);
-  };
-  
-  next();
-});
-
-/**
- * Decodes a Groovy Debugger encoded string
- * Reverses: URL-safe Base64 -> Standard Base64 -> Inflate -> JSON
- */
-function decodeGroovyString(urlSafeBase64) {
-  logger.debug(`Starting decode: ${urlSafeBase64.substring(0, 40)}...`);
-  
-  // Step 1: Restore standard Base64 from URL-safe format
-  let standardBase64 = urlSafeBase64
-    .replace(/-/g, '+')
-    .replace(/_/g, '/');
-  logger.debug(`Step 1: Converted URL-safe to standard Base64 (${standardBase64.length} chars)`);
-
-  // Step 2: Restore padding
-  const paddingNeeded = (4 - (standardBase64.length % 4)) % 4;
-  standardBase64 += '='.repeat(paddingNeeded);
-  logger.debug(`Step 2: Added ${paddingNeeded} padding chars`);
-
-  // Step 3: Decode Base64 to binary
-  const buffer = Buffer.from(standardBase64, 'base64');
-  logger.debug(`Step 3: Decoded Base64 to binary (${buffer.length} bytes)`);
-
-  // Step 4: Inflate (decompress) the raw Deflate data
-  const decompressed = zlib.inflateRawSync(buffer);
-  logger.debug(`Step 4: Decompressed data (${decompressed.length} bytes)`);
-
-  // Step 5: Convert to UTF-8 string
-  const jsonString = decompressed.toString('utf-8');
-  logger.debug(`Step 5: Converted to UTF-8 string (${jsonString.length} chars)`);
-
-  // Step 6: Parse JSON
-  const parsed = JSON.parse(jsonString);
-  logger.success(`Decoded successfully`);
-  
-  return parsed;
-}
-
-/**
- * Converts CPIHelper format to Contiva format
- */
-function cpiHelperToContiva(cpiHelperData) {
-  logger.debug(`Converting CPIHelper to Contiva format`, cpiHelperData);
-  
-  const input = cpiHelperData.input || {};
-  const script = cpiHelperData.script || {};
-  
-  logger.debug(`  Input keys: ${Object.keys(input).join(', ')}`);
-  logger.debug(`  Script keys: ${Object.keys(script).join(', ')}`);
-
-  const contiva = {
-    currentSessionType: 'groovy',
-    scriptInput: input.body || '',
-    script: script.code || '',
-    functionName: script.function || 'processData',
-    headers: input.headers || {},
-    properties: input.properties || {}
-  };
-  
-  logger.success(`Converted to Contiva format with ${Object.keys(contiva).length} fields`);
-  return contiva;
-}
-
-
-
-/**
- * Converts an object to Java .properties file format
- * Format: #Comment
- * #Wed Jan 14 11:53:18 UTC 2026
- * key=value
- */
-function objectToPropertiesFormat(obj, title = 'Contents') {
-  const lines = [];
-  
-  // Add header comments
-  lines.push(`#${title}`);
-  
-  // Add timestamp comment in Java properties format
-  const now = new Date();
-  const dateStr = now.toUTCString();
-  lines.push(`#${dateStr}`);
-  
-  // Add key=value pairs
-  if (typeof obj === 'object' && obj !== null) {
-    for (const [key, value] of Object.entries(obj)) {
-      let val = value;
-      if (typeof value === 'object') {
-        val = JSON.stringify(value);
-      }
-      // Escape special characters in properties format
-      const escapedVal = String(val).replace(/[=:\t]/g, '\\$&');
-      lines.push(`${key}=${escapedVal}`);
-    }
-  }
-  
-  return lines.join('\n');
-}
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { encodeContivaData, decodeContivaData, extractContivaData } = require('./contiva-encoder');
+const { openInIde } = require('./ide-launcher');
+const { createCaptureWriter } = require('./capture-writer');
+const { generateTestProject } = require('./test-project-generator');
+const { diffCaptures } = require('./capture-diff');
+const { parseProperties } = require('./properties-format');
+const {
+  contivaToCpiHelper,
+  cpiHelperToContiva,
+  decodeGroovyString,
+  encodeGroovyString
+} = require('./cpihelper-codec');
+const { loadConfig, parseSize, USAGE } = require('./config');
+const { createLogger } = require('./logger');
+const { createRedactor } = require('./redaction');
+const { decodeAny, detectFormat, DecodeError, isDecodedTooLarge } = require('./codec-registry');
+const { formatFieldErrors, validatePayload } = require('./payload-schemas');
+const { buildOpenApiDocument } = require('./openapi');
+const { loadScriptLibrary, withScriptLibraries } = require('./script-library');
+const { isReplayTargetAllowed, replayCapture } = require('./capture-replay');
+const { formatTimestamp, summarizePayload } = require('./capture-store');
+const { createEventHub } = require('./capture-events');
+const { exportWorkspace, watchWorkspace } = require('./workspace');
+const {
+  createAccessGuard,
+  createCorsPolicy,
+  createHostGuard,
+  createLaunchLimiter,
+  createNavigationGuard,
+  createRateLimiter,
+  TOKEN_PATH_PREFIX,
+  isLoopbackHost,
+  withoutCredentials,
+  withoutTokenInUrl
+} = require('./security');
+const { resolveCertificate } = require('./https-certificate');
+const { renderStagingPage } = require('./staging-page');
+const { decodeBody } = require('./body-format');
+const { ATTACHMENT_FOLDER, MANIFEST_FILE, loadAttachmentFolder } = require('./attachments');
+
+const PACKAGE_VERSION = require('./package.json').version;
+
+// Encoded inputs may decompress to this many times limits.body; beyond that decoding stops with 413
+const DECODED_SIZE_FACTOR = 10;
 
 /**
- * Saves decoded data to files in the configured directory structure
- * Creates three files with fixed names: debug.body, debug.header, debug.properties
- * Headers and properties use Java .properties file format
+ * Base URL of this server as a request reached it: its scheme, the local address and port of the
+ * connection ("localhost" for loopback addresses) and the path the app is mounted on
  */
-function saveDecodedData(decodedData) {
-  try {
-    // Ensure directories exist
-    console.log(`  📁 Checking directories...`);
-    
-    if (!fs.existsSync(DATA_DUMP_DEBUG)) {
-      fs.mkdirSync(DATA_DUMP_DEBUG, { recursive: true });
-      console.log(`    ✓ Created Debug directory: ${DATA_DUMP_DEBUG}`);
-    } else {
-      console.log(`    ✓ Debug directory exists: ${DATA_DUMP_DEBUG}`);
-    }
-    
-    if (!fs.existsSync(DATA_DUMP_PROPERTIES)) {
-      fs.mkdirSync(DATA_DUMP_PROPERTIES, { recursive: true });
-      console.log(`    ✓ Created Properties directory: ${DATA_DUMP_PROPERTIES}`);
-    } else {
-      console.log(`    ✓ Properties directory exists: ${DATA_DUMP_PROPERTIES}`);
-    }
-
-    const input = decodedData.input || {};
-    const fixedFilename = 'debug';
-    
-    // Save body with .body extension (as-is)
-    try {
-      const bodyPath = path.join(DATA_DUMP_DEBUG, `${fixedFilename}.body`);
-      const bodyContent = input.body || '';
-      fs.writeFileSync(bodyPath, bodyContent, 'utf-8');
-      console.log(`  📄 Body saved: ${bodyPath}`);
-    } catch (err) {
-      console.error(`  ❌ Error saving body: ${err.message}`);
-    }
-
-    // Save headers with .header extension (properties format)
-    try {
-      const headersPath = path.join(DATA_DUMP_DEBUG, `${fixedFilename}.header`);
-      const headersContent = objectToPropertiesFormat(input.headers || {}, 'Header Contents');
-      fs.writeFileSync(headersPath, headersContent, 'utf-8');
-      console.log(`  📄 Headers saved: ${headersPath}`);
-    } catch (err) {
-      console.error(`  ❌ Error saving headers: ${err.message}`);
-    }
-
-    // Save properties with .properties extension (properties format)
-    try {
-      const propertiesPath = path.join(DATA_DUMP_PROPERTIES, `${fixedFilename}.properties`);
-      const propertiesContent = objectToPropertiesFormat(input.properties || {}, 'Properties Contents');
-      console.log(`  🔍 Properties content length: ${propertiesContent.length} chars`);
-      fs.writeFileSync(propertiesPath, propertiesContent, 'utf-8');
-      console.log(`  📄 Properties saved: ${propertiesPath}`);
-    } catch (err) {
-      console.error(`  ❌ Error saving properties: ${err.message}`);
-    }
-
-    return {
-      success: true,
-      files: {
-        body: path.join(DATA_DUMP_DEBUG, `${fixedFilename}.body`),
-        header: path.join(DATA_DUMP_DEBUG, `${fixedFilename}.header`),
-        properties: path.join(DATA_DUMP_PROPERTIES, `${fixedFilename}.properties`)
-      }
-    };
-  } catch (error) {
-    console.error(`  ❌ Error in saveDecodedData: ${error.message}`);
-    console.error(error.stack);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+function getRequestBaseUrl(req) {
+  const address = (req.socket.localAddress || '').replace(/^::ffff:/, '');
+  const host = !address || isLoopbackHost(address) ? 'localhost' : address.includes(':') ? `[${address}]` : address;
+  return `${req.protocol}://${host}:${req.socket.localPort}${req.baseUrl}`;
 }
 
 /**
- * GET /debug/:data
- * Decodes Groovy debugger data from URL parameter
- */
-app.get('/debug/:data', (req, res) => {
-  try {
-    const encodedData = req.params.data;
-    logger.info(`Starting decode from URL parameter`);
-    logger.debug(`Encoded data length: ${encodedData.length} chars`);
-    
-    const decodedData = decodeGroovyString(encodedData);
-
-    // Save decoded data to files
-    logger.info(`Saving decoded data to files...`);
-    const saveResult = saveDecodedData(decodedData);
-    logger.success(`All files saved successfully`);
-
-    res.json({
-      success: true,
-      message: 'Data decoded successfully',
-      data: decodedData,
-      files: saveResult.files || null,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error(`Decode error: ${error.message}`);
-
-    res.status(400).json({
-      success: false,
-      message: 'Failed to decode data',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * POST /debug
- * Decodes Groovy debugger data from POST body
- */
-app.post('/debug', (req, res) => {
-  try {
-    const { data } = req.body;
-
-    if (!data) {
-      logger.error(`Missing "data" field in POST body`);
-      return res.status(400).json({
-        success: false,
-        message: 'Missing "data" field in request body',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    logger.info(`Decoding data from POST body`);
-    logger.debug(`Data length: ${data.length} chars`);
-    
-    const decodedData = decodeGroovyString(data);
-
-    // Save decoded data to files
-    logger.info(`Saving decoded data to files...`);
-    const saveResult = saveDecodedData(decodedData);
-    logger.success(`All files saved successfully`);
-
-    res.json({
-      success: true,
-      message: 'Data decoded successfully',
-      data: decodedData,
-      files: saveResult.files || null,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error(`Decode error: ${error.message}`);
-
-    res.status(400).json({
-      success: false,
-      message: 'Failed to decode data',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * GET /contiva/test
- * TEST ENDPOINT: Uses hardcoded Contiva data to test encoding directly
- */
-app.get('/contiva/test', async (req, res) => {
-  try {
-    logger.info(`Testing /contiva/test endpoint with hardcoded Contiva data`);
-
-    // // Hardcoded test data (same as in contiva-encoder.js)
-    // const contivaData = {
-    //   currentSessionType: "groovy",
-    //   scriptInput: '{ "test": "testval3" }',
-    //   script:
-    //     "import com.sap.gateway.ip.core.customdev.util.Message;\n\ndef Message processData(Message message) {\n    return message;\n}",
-    //   functionName: "processData",
-    //   headers: {
-    //     SAP_MessageProcessingLogID: "AGlnwRPCOT1y6HLEfkmHVDXWnnu0",
-    //     SAP_TRACE_HEADER_1768407316206_MessageType: "STEP",
-    //   },
-    //   properties: {
-    //     AnotherProp: "conf1",
-    //     TestingProp: "conf2",
-    //   },
-    // };
-    
-    logger.info(`Contiva data prepared`);
-    
-    // Encode Contiva data
-    const encodedContivaData = await encodeContivaData(contivaData);
-    logger.info(`Encoded to Contiva format (${encodedContivaData.length} chars)`);
-    logger.info(` ${encodedContivaData}`);
-    
-    // Open in Chrome
-    try {
-      const url = await openInChrome(encodedContivaData);
-      logger.success(`Full /contiva/test request completed`);
-      
-      res.json({
-        success: true,
-        message: 'Test data encoded and opened in Contiva IDE',
-        encoded: encodedContivaData,
-        encodedLength: encodedContivaData.length,
-        url: url,
-        timestamp: new Date().toISOString()
-      });
-    } catch (chromeError) {
-      logger.warn(`Browser opening failed: ${chromeError.message}`);
-      
-      res.json({
-        success: true,
-        message: 'Data encoded successfully (browser opening failed)',
-        encoded: encodedContivaData,
-        encodedLength: encodedContivaData.length,
-        warning: chromeError.message,
-        timestamp: new Date().toISOString()
-      });
-    }
-  } catch (error) {
-    logger.error(`Error in /contiva/test: ${error.message}`);
-    res.status(500).json({
-      success: false,
-      message: 'Error processing test data',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * GET /contiva/:data
- * Decodes CPIHelper encoded data from URL parameter, converts to Contiva format, and opens in IDE
- */
-app.get('/contiva/:data', async (req, res) => {
-  try {
-    const encodedData = req.params.data;
-    logger.info(`Starting decode from URL parameter`);
-    logger.debug(`Encoded data length: ${encodedData.length} chars`);
-
-    // Decode the URL-safe base64 CPIHelper data
-    const cpiHelperData = decodeGroovyString(encodedData);
-
-    logger.success(`Decoded CPIHelper format`, cpiHelperData);
-
-    if (!cpiHelperData || typeof cpiHelperData !== "object") {
-      logger.error(`Invalid decoded data type: ${typeof cpiHelperData}`);
-      return res.status(400).json({
-        success: false,
-        message: "Decoded data is not a valid object",
-        timestamp: new Date().toISOString(),
-      });
-    }
-
-    logger.info(`Checking for required fields...`);
-    const hasInput = !!cpiHelperData.input;
-    const hasScript = !!cpiHelperData.script;
-    logger.debug(`  input field: ${hasInput ? "✓" : "✗"}`);
-    logger.debug(`  script field: ${hasScript ? "✓" : "✗"}`);
-
-    // Convert CPIHelper to Contiva format
-    const contivaData = cpiHelperToContiva(cpiHelperData);
-    // Hardcoded test data (same as in contiva-encoder.js)
-    // const contivaData = {
-    //   currentSessionType: "groovy",
-    //   scriptInput: '{ "test": "testval3" }',
-    //   script:
-    //     "//import com.sap.gateway.ip.core.customdev.util.Message;\n\ndef Message processData(Message message) {\n    return message;\n}",
-    //   functionName: "processData",
-    //   headers: {
-    //     SAP_MessageProcessingLogID: "AGlnwRPCOT1y6HLEfkmHVDXWnnu0",
-    //     SAP_TRACE_HEADER_1768407316206_MessageType: "STEP",
-    //   },
-    //   properties: {
-    //     AnotherProp: "conf1",
-    //     TestingProp: "conf2",
-    //   },
-    // };
-    logger.info(`Converted to Contiva format`);
-
-    // Encode Contiva data
-    const encodedContivaData = await encodeContivaData(contivaData);
-    logger.info(
-      `Encoded to Contiva format (${encodedContivaData.length} chars)`
-    );
-
-    // Open in Chrome
-    try {
-      const url = await openInChrome(encodedContivaData);
-      logger.success(`Full /contiva request completed`);
-
-      res.json({
-        success: true,
-        message: "Data converted and opened in Contiva IDE",
-        contivaData: contivaData,
-        encoded: encodedContivaData.substring(0, 100) + "...",
-        encodedLength: encodedContivaData.length,
-        url: url,
-        timestamp: new Date().toISOString(),
-      });
-    } catch (chromeError) {
-      // Still return success but note that browser opening failed
-      logger.warn(`Browser opening failed: ${chromeError.message}`);
-
-      res.json({
-        success: true,
-        message: "Data converted successfully (browser opening failed)",
-        contivaData: contivaData,
-        encoded: encodedData.substring(0, 100) + "...",
-        encodedLength: encodedData.length,
-        warning: chromeError.message,
-        timestamp: new Date().toISOString(),
-      });
-    }
-  } catch (error) {
-    logger.error(`/contiva request error: ${error.message}`);
-
-    res.status(400).json({
-      success: false,
-      message: 'Failed to convert and encode data',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * GET /
- * Welcome page with usage information
+ * Welcome page listing the endpoints
+ *
+ * @param {string} baseUrl - Scheme, host, port and mount path the server was reached on (e.g. https://localhost:4004)
+ * @param {Object} [options]
+ * @param {string|null} [options.token] - security.token; the examples then use the /token/<token> prefix
  */
-app.get('/', (req, res) => {
-  const html = `
+function renderWelcomePage(baseUrl, { token = null } = {}) {
+  const apiUrl = token ? `${baseUrl}${TOKEN_PATH_PREFIX}${token}` : baseUrl;
+  return `
     <!DOCTYPE html>
     <html>
     <head>
@@ -519,6 +108,7 @@ app.get('/', (req, res) => {
         .method { color: #fff; padding: 3px 8px; border-radius: 3px; margin-right: 10px; font-weight: bold; }
         .method.get { background: #61affe; }
         .method.post { background: #49cc90; }
+        .method.delete { background: #f93e3e; }
         code { background: #f0f0f0; padding: 2px 6px; border-radius: 3px; }
         .example { background: #f0f8ff; padding: 15px; margin: 15px 0; border-radius: 4px; border-left: 4px solid #0066cc; }
         .example code { background: #e0e8ff; }
@@ -531,6 +121,10 @@ app.get('/', (req, res) => {
         <h1>🔍 Groovy Debugger Server</h1>
         <p>This server decodes Groovy Debugger encoded data sent from the browser plugin.</p>
 
+        <div class="note">
+          <strong>📋 Dashboard:</strong> Browse received captures at <a href="/dashboard/">/dashboard/</a>
+        </div>
+
         <h2>Available Endpoints</h2>
 
         <div class="endpoint">
@@ -538,7 +132,7 @@ app.get('/', (req, res) => {
           <p>Decode data passed as URL parameter</p>
           <div class="example">
             <strong>Example:</strong><br>
-            <code>http://localhost:4004/debug/LYxBCsAgEAO_UnL2BZ77DC9Wt1QoKu5aKOLfu0hvmTDJQMq1C-zAUeILi7E5CLE42D89_nbYJgwu8pEaqz0NaiuVmiRarAWHluq6CiWSXuni7DlIKllJ_UDMuxePOT8</code>
+            <code>${apiUrl}/debug/LYxBCsAgEAO_UnL2BZ77DC9Wt1QoKu5aKOLfu0hvmTDJQMq1C-zAUeILi7E5CLE42D89_nbYJgwu8pEaqz0NaiuVmiRarAWHluq6CiWSXuni7DlIKllJ_UDMuxePOT8</code>
           </div>
         </div>
 
@@ -547,18 +141,29 @@ app.get('/', (req, res) => {
           <p>Decode data passed in JSON request body</p>
           <div class="example">
             <strong>Example:</strong><br>
-            <pre>curl -X POST http://localhost:4004/debug \\
+            <pre>curl -X POST ${apiUrl}/debug \\
   -H "Content-Type: application/json" \\
   -d '{"data":"LYxBCsAgEAO_UnL2BZ77DC9..."}'</pre>
           </div>
         </div>
 
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/decode</code></div>
+          <p>Detect the format of any encoded string or link (CPI Helper, Contiva, Base64 JSON, decoded JSON), decode it and save it as a capture</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/decode \\
+  -H "Content-Type: text/plain" \\
+  --data-binary 'https://ide.contiva.com/cpi/script/debug?data=H4sIAAAAAAAA...'</pre>
+          </div>
+        </div>
+
         <div class="endpoint">
           <div><span class="method post">POST</span> <code>/contiva</code></div>
-          <p>Convert CPIHelper format to Contiva format, encode, and open in Contiva IDE (opens Chrome)</p>
+          <p>Convert a CPIHelper payload to Contiva format, save it, and open it in the IDE. Accepts raw JSON, <code>{"data": "..."}</code>, a text body, or a file upload (field <code>file</code>) for payloads too large for a URL</p>
           <div class="example">
             <strong>Example:</strong><br>
-            <pre>curl -X POST http://localhost:4004/contiva \\
+            <pre>curl -X POST ${apiUrl}/contiva \\
   -H "Content-Type: application/json" \\
   -d '{
     "input": {
@@ -570,128 +175,2254 @@ app.get('/', (req, res) => {
       "code": "import com.sap.gateway.ip.core.customdev.util.Message;\\ndef Message processData(Message message) { return message; }",
       "function": "processData"
     }
-  }'</pre>
+  }'
+
+curl -X POST ${apiUrl}/contiva -F "file=@encoded.txt"</pre>
           </div>
         </div>
 
-        <h2>Response Format</h2>
-        <p>Both endpoints return JSON with the following structure:</p>
-        <pre>{
-  "success": true,
-  "message": "Data decoded successfully",
-  "data": { /* decoded Groovy data */ },
-  "timestamp": "2026-01-14T12:34:56.789Z"
-}</pre>
-
-        <h2>Error Handling</h2>
-        <p>If decoding fails, the response will include an error message:</p>
-        <pre>{
-  "success": false,
-  "message": "Failed to decode data",
-  "error": "Error description",
-  "timestamp": "2026-01-14T12:34:56.789Z"
-}</pre>
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/contiva/stage/{encoded-string}</code></div>
+          <p>Show the converted data in an editable form first: body, headers, properties and function name. Nothing is encoded or opened until you press <em>Send to IDE</em>. <code>/contiva/{encoded-string}?stage=true|false</code> chooses per request; <code>ide.staging</code> (<code>--stage</code>) sets the default</p>
+          <div class="example">
+            <strong>CPI Helper URL:</strong><br>
+            <code>${apiUrl}/contiva/stage/</code>
+          </div>
+        </div>
 
-        <div class="note">
-          <strong>ℹ️ Note:</strong> The server expects URL-safe Base64 encoded, Deflate-compressed JSON data as generated by the Groovy Debugger plugin.
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/contiva/send</code></div>
+          <p>Send of the staging form: saves the edited Contiva object (<code>{"contivaData": {...}}</code>) as a capture, encodes it and opens the IDE</p>
         </div>
 
-        <h2>Starting the Server</h2>
-        <pre>npm run server
-# or
-node groovy-server.js
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/contiva/test</code></div>
+          <p>Self-test: encode fixed Contiva data, verify it decodes back unchanged, and open it in the IDE</p>
+        </div>
 
-# With custom port:
-PORT=8080 node groovy-server.js</pre>
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/contiva/decode</code></div>
+          <p>Decode a Contiva IDE link back into a Contiva object and save it as a capture</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/contiva/decode \\
+  -H "Content-Type: application/json" \\
+  -d '{"link":"https://ide.contiva.com/cpi/script/debug?data=H4sIAAAAAAAA..."}'</pre>
+          </div>
+        </div>
 
-        <p style="margin-top: 40px; color: #666; border-top: 1px solid #ddd; padding-top: 20px;">
-          Server running on <code>localhost:${PORT}</code>
-        </p>
-      </div>
-    </body>
-    </html>
-  `;
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/cpihelper</code></div>
+          <p>Convert a Contiva object (or Contiva link) back into an encoded CPI Helper / Groovy IDE string and link</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/cpihelper \\
+  -H "Content-Type: application/json" \\
+  -d '{
+    "currentSessionType": "groovy",
+    "scriptInput": "your body content",
+    "script": "def Message processData(Message message) { return message; }",
+    "functionName": "processData",
+    "headers": { "Header1": "value1" },
+    "properties": { "Prop1": "value1" }
+  }'</pre>
+          </div>
+        </div>
 
-  res.send(html);
-});
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/import</code></div>
+          <p>Rebuild a capture from edited <code>debug.body</code>, <code>debug.header</code> and <code>debug.properties</code> files: <code>"from": "latest"</code> reads the Debug folder, <code>"from": "{session id}"</code> a session folder, and <code>body</code>/<code>header</code>/<code>properties</code>/<code>script</code> text in the request override the files. Attachments come from the <code>attachments/</code> folder (<code>manifest.json</code>) unless the request has an <code>attachments</code> list. Returns the re-encoded CPI Helper string and link; <code>"openInContiva": true</code> also opens it in the IDE.</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/import \\
+  -H "Content-Type: application/json" \\
+  -d '{"from":"latest","openInContiva":true}'</pre>
+          </div>
+        </div>
 
-/**
- * Health check endpoint
- */
-app.get('/health', (req, res) => {
-  logger.debug(`Health check requested`);
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
-});
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/project/{encoded-string}</code> &nbsp; <span class="method post">POST</span> <code>/project</code></div>
+          <p>Download a runnable Gradle/Spock test project (ZIP) with the script, a <code>Message</code> stub and a spec pre-loaded with the captured body, headers and properties</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/project \\
+  -H "Content-Type: application/json" \\
+  -d '{"data":"LYxBCsAgEAO_UnL2BZ77DC9...","projectName":"my-script"}' \\
+  -o my-script.zip</pre>
+          </div>
+        </div>
 
-/**
- * 404 handler
- */
-app.use((req, res) => {
-  logger.warn(`404 Not Found: ${req.method} ${req.path}`);
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found',
-    path: req.path,
-    method: req.method,
-    timestamp: new Date().toISOString()
-  });
-});
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/sessions</code></div>
+          <p>List saved capture sessions (newest first). Every decoded capture is kept in its own folder under <code>Sessions</code>.</p>
+        </div>
 
-/**
- * Error handler
- */
-app.use((err, req, res, next) => {
-  logger.error(`Unhandled error on ${req.method} ${req.path}: ${err.message}`);
-  logger.debug(`Stack: ${err.stack}`);
-  
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: err.message,
-    timestamp: new Date().toISOString()
-  });
-});
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/sessions/{id}</code></div>
+          <p>Fetch a capture session with its decoded payload, raw encoded string and CPI Helper link</p>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/sessions/{id}/files/{name}</code></div>
+          <p>Download one of the files saved for a capture session (e.g. <code>debug.body</code>, <code>script.groovy</code>)</p>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/sessions/{id}/contiva</code></div>
+          <p>Re-open a saved capture session in Contiva IDE</p>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/sessions/{id}/replay</code></div>
+          <p>Send a saved capture to an HTTP endpoint: body as-is, headers as HTTP headers, optionally properties as <code>X-Property-*</code> headers. Method, content type and repeat count can be overridden; every response is saved in the session as <code>replays/&lt;timestamp&gt;.json</code>. <code>/echo</code> answers with the request it received and works as a stand-in target.</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/sessions/20260114_115318_042_1a2b3c4d/replay \\
+  -H "Content-Type: application/json" \\
+  -d '{"url":"${apiUrl}/echo","includeProperties":true,"repeat":3}'</pre>
+          </div>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/sessions/{id}/project</code></div>
+          <p>Download the Gradle/Spock test project (ZIP) for a saved capture session</p>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/sessions/{id}/diff/{otherId}</code> &nbsp; <span class="method post">POST</span> <code>/sessions/{id}/diff</code></div>
+          <p>Compare two capture sessions, or a capture session with an uploaded payload: line diff of script and body, JSON/XML structural diff of the body, and added/removed/changed headers and properties. <code>?pretty=false</code> diffs the body as received instead of pretty-printed.</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/sessions/20260114_115318_042_1a2b3c4d/diff \\
+  -H "Content-Type: application/json" \\
+  -d '{"data":"LYxBCsAgEAO_UnL2BZ77DC9..."}'</pre>
+          </div>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method delete">DELETE</span> <code>/sessions/{id}</code></div>
+          <p>Delete a saved capture session</p>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method post">POST</span> <code>/sessions/{id}/workspace</code> &nbsp; <span class="method delete">DELETE</span> <code>/sessions/{id}/workspace</code></div>
+          <p>Export a capture session as an editable folder (<code>script.groovy</code>, <code>body</code>, <code>headers.properties</code>, <code>properties.properties</code>) below the workspaces folder. With <code>"watch": true</code> every save is stored as a new capture and turned into a fresh IDE URL (logged and sent on <code>/events</code>); <code>"open": true</code> also opens it in the browser. <code>DELETE</code> stops watching.</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -X POST ${apiUrl}/sessions/20260114_115318_042_1a2b3c4d/workspace \\
+  -H "Content-Type: application/json" \\
+  -d '{"watch":true,"open":true}'</pre>
+          </div>
+        </div>
+
+        <div class="endpoint">
+          <div><span class="method get">GET</span> <code>/events</code></div>
+          <p>Live capture feed as Server-Sent Events: a <code>capture</code> event for every decoded payload (capture summary) and a <code>capture-status</code> event once it is saved and, for Contiva requests, the IDE was launched. <code>?replay=&lt;n&gt;</code> sends the last recorded events first; reconnecting clients resume via <code>Last-Event-ID</code>.</p>
+          <div class="example">
+            <strong>Example:</strong><br>
+            <pre>curl -N "${apiUrl}/events?replay=5"</pre>
+          </div>
+        </div>
+
+        <h2>Response Format</h2>
+        <p>Both endpoints return JSON with the following structure:</p>
+        <pre>{
+  "success": true,
+  "message": "Data decoded successfully",
+  "data": { /* decoded Groovy data */ },
+  "validation": { "schema": "CpiHelperPayload", "valid": true, "strict": false, "errors": [] },
+  "timestamp": "2026-01-14T12:34:56.789Z"
+}</pre>
+        <p>Payloads are checked against the <code>CpiHelperPayload</code> and <code>ContivaData</code> JSON Schemas; <code>validation.errors</code> lists each failing field. With <code>--strict</code> (or <code>?strict=true</code>) invalid payloads are rejected with 422. All routes and schemas are described in <a href="/openapi.json">/openapi.json</a>.</p>
+
+        <h2>Error Handling</h2>
+        <p>If decoding fails, the response will include an error message:</p>
+        <pre>{
+  "success": false,
+  "message": "Failed to decode data",
+  "error": "Error description",
+  "timestamp": "2026-01-14T12:34:56.789Z"
+}</pre>
+
+        <div class="note">
+          <strong>ℹ️ Note:</strong> The server expects URL-safe Base64 encoded, Deflate-compressed JSON data as generated by the Groovy Debugger plugin.
+        </div>
+
+        <h2>Starting the Server</h2>
+        <pre>npm run server
+# or
+node groovy-server.js
+
+# With custom port and dump folder:
+node groovy-server.js --port 8080 --dump-dir ~/CPIViewer/DataDump
+
+# All options / resolved configuration:
+node groovy-server.js --help
+node groovy-server.js --print-config
+
+# Reachable from other machines, with a shared token:
+node groovy-server.js --host 0.0.0.0 --token &lt;token&gt;
+
+# HTTPS with a generated localhost certificate, or your own:
+node groovy-server.js --https
+node groovy-server.js --https --cert localhost.pem --key localhost-key.pem
+npx cpidebug cert              # Fingerprint and location of the certificate to trust</pre>
+        <p>The server listens on <code>127.0.0.1</code> by default. With a token, every request must carry it: as a path prefix in the CPI Helper URL (<code>${token ? `${apiUrl}/debug/` : `${baseUrl}${TOKEN_PATH_PREFIX}&lt;token&gt;/debug/`}</code>), as <code>?token=</code>, or as an <code>Authorization: Bearer</code> header. Requests from other web pages are rejected unless their origin is listed in <code>security.corsOrigins</code>, and they cannot load the capture and launch URLs in the background, only open them as a page. Host names other than <code>localhost</code> and the bind address must be listed in <code>security.allowedHosts</code>; requests per client and browser launches per minute are capped.</p>
+        <p>CPI Helper runs on the HTTPS CPI web UI, where browsers may block calls to an <code>http://</code> address. With <code>--https</code> the server generates a self-signed certificate for <code>localhost</code> on first start and keeps it in <code>~/.cpidebug/certs</code>; trust it once in your browser or operating system and compare the fingerprint with <code>cpidebug cert</code>. Until then, pass <code>--cacert ~/.cpidebug/certs/localhost.crt</code> (or <code>-k</code>) to the curl examples.</p>
+
+        <p style="margin-top: 40px; color: #666; border-top: 1px solid #ddd; padding-top: 20px;">
+          Server running on <code>${baseUrl}</code>
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Creates the debugger app with all routes, without listening or touching the process
+ * Mount it in another Express app (app.use('/cpi', createApp())) or start it with startServer()
+ * Without env and cwd the configuration is the defaults plus options.config: process.env, the host
+ * project's cpidebug.config.* and ~/.cpidebug are only read when passed (as the command line does)
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuration overrides, applied over defaults, config files and environment (see config.js)
+ * @param {string[]} [options.argv] - Command-line flags, e.g. ['--port', '4005']
+ * @param {Object} [options.env] - Environment variables to read, e.g. process.env (default: none)
+ * @param {string} [options.cwd] - Directory searched for cpidebug.config.*, also enables ~/.cpidebug (default: no search)
+ * @param {Object} [options.logger] - Logger from logger.js (default: config.logLevel with request ids)
+ * @returns {express.Application} The app; app.locals.cpidebug holds { config, sources, logger, captureStore, saveDecodedData }
+ * @throws {ConfigError} When the configuration is invalid
+ */
+function createApp({ config: overrides = {}, argv = [], env = {}, cwd = null, logger: customLogger } = {}) {
+  // Configuration: defaults < config files < environment < command line < overrides (see config.js)
+  const { config, sources } = loadConfig({
+    argv,
+    env,
+    cwd: cwd || process.cwd(),
+    searchConfigFiles: cwd !== null,
+    overrides
+  });
+
+  const app = express();
+
+  // ════════════════════════════════════════════════════════════
+  // 📋 LOGGING UTILITY
+  // ════════════════════════════════════════════════════════════
+  // Per-request context (correlation id) picked up by every log entry made while handling the request
+  const requestContext = new AsyncLocalStorage();
+
+  const logger = customLogger || createLogger({
+    level: config.logLevel,
+    format: config.logFormat,
+    context: () => requestContext.getStore()
+  });
+
+  // Configuration for data dump location
+  const DATA_DUMP_DEBUG = config.dataDump.debugDir;
+  const DATA_DUMP_PROPERTIES = config.dataDump.propertiesDir;
+  const FILE_BASE_NAME = config.files.baseName;
+
+  // Session folders plus the "latest" CPIViewer files (see capture-writer.js)
+  const { captureStore, saveDecodedData } = createCaptureWriter({
+    dataDump: config.dataDump,
+    files: config.files,
+    body: config.body,
+    logger
+  });
+
+  // Live capture feed (GET /events)
+  const captureEvents = createEventHub({ historySize: config.events.history, logger });
+
+  // Watched workspace folders by capture id (POST /sessions/:id/workspace)
+  const workspaceWatchers = new Map();
+
+  // IDE target and browser used when handing data to the IDE
+  // browser: chrome | firefox | edge | default (OS opener) | none (only return the URL)
+  const IDE_OPTIONS = {
+    target: config.ide.target,
+    baseUrl: config.ide.baseUrl || undefined,
+    browser: config.ide.browser
+  };
+
+  // Base URL that CPI Helper links are built from (the encoded string is appended)
+  const CPIHELPER_LINK_BASE = config.cpiHelper.linkBase;
+
+  // Every browser launch counts against security.launchesPerMinute
+  const launchLimiter = createLaunchLimiter({ perMinute: config.security.launchesPerMinute });
+
+  // Masks secrets and personal data before captures are saved, logged, returned or sent to the IDE
+  const redactor = createRedactor(config.redaction);
+
+  logger.debug(`Data dump base path: ${config.dataDump.baseDir}`);
+
+  // ════════════════════════════════════════════════════════════
+  // 🔒 SECURITY
+  // ════════════════════════════════════════════════════════════
+  // Runs before body parsing and static files: rejected requests cost no parsing, and a
+  // /token/<token>/ prefix is removed before routing (see security.js)
+  app.use(createHostGuard({ bindHost: config.host, allowedHosts: config.security.allowedHosts, logger }));
+  app.use(createCorsPolicy({ origins: config.security.corsOrigins, logger }));
+  if (config.security.rateLimit.max > 0) {
+    app.use(createRateLimiter({ ...config.security.rateLimit, logger }));
+  }
+  if (config.security.token) {
+    app.use(createAccessGuard({ token: config.security.token, logger }));
+  }
+
+  // For GET routes that save captures or start a browser: no background loads from other sites
+  const navigationOnly = createNavigationGuard({ logger });
+
+  // Cap on decompressed bytes per decode (gzip, raw Deflate and ZIP entries), see codec-registry.js
+  const DECODED_LIMIT = parseSize(config.limits.body) * DECODED_SIZE_FACTOR;
+
+  // Middleware; body size limits come from limits.body / limits.upload
+  app.use(express.json({ limit: config.limits.body }));
+  app.use(express.urlencoded({ extended: true, limit: config.limits.body }));
+
+  // Route-level parsers for plain-text bodies and single file uploads (multipart field "file")
+  const textBody = express.text({ type: 'text/*', limit: config.limits.body });
+  const fileUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: parseSize(config.limits.upload), files: 1 }
+  });
+
+  // Serve static files (capture dashboard at /dashboard/)
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Request logging middleware
+  // Every request gets a correlation id (taken from X-Request-Id when the caller sends one) that is
+  // echoed back in the response and prefixed to all log entries written while handling it
+  const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+  app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId)
+      ? incomingId
+      : crypto.randomBytes(6).toString('hex');
+    const startedAt = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    requestContext.run({ requestId }, () => {
+      // Encoded captures in the path decode to the raw message, so only their length is logged
+      logger.info(`${req.method} ${req.path.replace(/[^/]{64,}/g, (segment) => `<${segment.length} chars>`)}`);
+
+      // Log request body if present (masked, truncated if too long)
+      if (req.body && Object.keys(req.body).length > 0) {
+        const bodyStr = JSON.stringify(redactor.redactForLog(req.body));
+        if (bodyStr.length > 200) {
+          logger.debug(`Body: ${bodyStr.substring(0, 200)}... (${bodyStr.length} total chars)`);
+        } else {
+          logger.debug(`Body: ${bodyStr}`);
+        }
+      }
+
+      res.on('finish', () => {
+        logger.debug(`Response: ${res.statusCode} in ${Date.now() - startedAt} ms`);
+      });
+
+      next();
+    });
+  });
+
+  /**
+   * Whether the caller asked for raw data with ?redact=false or an "X-Redact: false" header
+   */
+  function isRedactionBypassed(req) {
+    const value = req.query.redact !== undefined ? req.query.redact : req.get('X-Redact');
+    return value !== undefined && /^(false|0|off|no)$/i.test(String(value));
+  }
+
+  /**
+   * Applies the redaction rules to a decoded payload unless the request bypasses them (and redaction.allowBypass permits it)
+   *
+   * @returns {{ payload: Object, redacted: boolean }} The payload to save, return and forward
+   */
+  function redactForRequest(req, payload) {
+    if (!redactor.enabled) {
+      return { payload, redacted: false };
+    }
+    if (isRedactionBypassed(req)) {
+      if (config.redaction.allowBypass) {
+        logger.warn(`Redaction bypassed for this request, raw data is saved and returned`);
+        return { payload, redacted: false };
+      }
+      logger.warn(`Redaction bypass ignored, redaction.allowBypass is false`);
+    }
+    const result = redactor.redactPayload(payload);
+    logger.debug(`Redaction masked ${result.count} value(s)`);
+    return { payload: result.payload, redacted: true };
+  }
+
+  /**
+   * Whether payloads failing schema validation are rejected: validation.strict, or ?strict=true|false per request
+   */
+  function isStrictValidation(req) {
+    if (req.query.strict === undefined) {
+      return config.validation.strict;
+    }
+    return !/^(false|0|off|no)$/i.test(String(req.query.strict));
+  }
+
+  /**
+   * Whether GET /contiva/:data shows the staging form: ide.staging, or ?stage=true|false per request
+   */
+  function isStagingRequested(req) {
+    if (req.query.stage === undefined) {
+      return config.ide.staging;
+    }
+    return !/^(false|0|off|no)$/i.test(String(req.query.stage));
+  }
+
+  /**
+   * Validates a payload against a schema from payload-schemas.js and logs the failing fields
+   * Callers reject the request with sendValidationError when the result is invalid and strict
+   *
+   * @param {string} schema - 'CpiHelperPayload' or 'ContivaData'
+   * @returns {{ schema: string, valid: boolean, strict: boolean, errors: Array<{path: string, message: string}> }}
+   */
+  function validateForRequest(req, schema, data) {
+    const { valid, errors } = validatePayload(schema, data);
+    const strict = isStrictValidation(req);
+    if (!valid) {
+      logger.warn(`${schema} validation failed${strict ? ' (strict)' : ''}: ${formatFieldErrors(errors).join('; ')}`);
+    }
+    return { schema, valid, strict, errors };
+  }
+
+  /**
+   * Sends the 422 response for a payload rejected by strict validation
+   */
+  function sendValidationError(res, validation) {
+    res.status(422).json({
+      success: false,
+      message: `Payload does not match the ${validation.schema} schema`,
+      validation: validation,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Reads the encoded input of /decode and POST /contiva
+   * Order: uploaded file, text body, "data"/"link" field, then the JSON body itself (already decoded payload)
+   *
+   * @returns {string|null} The input, or null when the request carries none
+   */
+  function readEncodedInput(req) {
+    let input = null;
+    if (req.file) {
+      input = req.file.buffer.toString('utf-8');
+    } else if (typeof req.body === 'string') {
+      input = req.body;
+    } else if (req.body && (req.body.data || req.body.link)) {
+      input = req.body.data || req.body.link;
+    } else if (req.body && Object.keys(req.body).length > 0) {
+      input = JSON.stringify(req.body);
+    }
+    return typeof input === 'string' && input.trim() ? input : null;
+  }
+
+  /**
+   * Sends the 422 response for input that codec-registry.js could not recognize or decode,
+   * or 413 for input that inflated beyond DECODED_LIMIT
+   */
+  function sendDecodeError(res, error) {
+    const status = error.status || (isDecodedTooLarge(error) ? 413 : 422);
+    logger.warn(`${status === 413 ? 'Oversized' : 'Unsupported'} input: ${error.message}`);
+    res.status(status).json({
+      success: false,
+      message: status === 413
+        ? `Decoded data exceeds the limit of ${DECODED_LIMIT} bytes (${DECODED_SIZE_FACTOR} × limits.body)`
+        : 'Input format not recognized or not decodable',
+      error: error.message,
+      diagnostics: error.diagnostics,
+      input: error.input,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Suggests /decode when a format-specific endpoint received data in another format
+   *
+   * @param {string} input - The data the endpoint failed to decode
+   * @param {string[]} expected - Codec ids the endpoint handles (see codec-registry.js)
+   * @returns {string|null}
+   */
+  function formatHint(input, expected) {
+    try {
+      const { candidates } = detectFormat(input);
+      if (candidates.length > 0 && !candidates.some((candidate) => expected.includes(candidate.id))) {
+        return `Input looks like ${candidates[0].name}; POST it to /decode to detect the format automatically`;
+      }
+    } catch (err) {
+      logger.debug(`No format hint: ${err.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Saves a decoded payload as a capture and announces it on the live feed (GET /events)
+   * capture-status follows right away, or via announceCaptureStatus() once the IDE launch is done
+   *
+   * @param {Object} payload - Redacted payload
+   * @param {Object} options - saveDecodedData options ({ encoded, source, redacted })
+   * @param {Object} [feed]
+   * @param {boolean} [feed.launching] - The request still opens the IDE
+   */
+  function recordCapture(payload, options, { launching = false } = {}) {
+    const saveResult = saveDecodedData(payload, options);
+    const script = payload.script || {};
+    captureEvents.publish('capture', {
+      captureId: saveResult.captureId || null,
+      source: options.source,
+      redacted: Boolean(options.redacted),
+      scriptName: script.name || null,
+      ...summarizePayload(payload)
+    });
+    if (!launching) {
+      announceCaptureStatus(saveResult, null);
+    }
+    return saveResult;
+  }
+
+  /**
+   * Publishes whether a capture was saved and, for IDE requests, whether the launch worked
+   *
+   * @param {Object} saveResult - Result of saveDecodedData
+   * @param {Object|null} launch - Result of launchIde, null when the IDE was not involved
+   * @param {Error} [error] - Error that stopped the request after saving
+   */
+  function announceCaptureStatus(saveResult, launch, error) {
+    captureEvents.publish('capture-status', {
+      captureId: saveResult.captureId || null,
+      saved: Boolean(saveResult.success),
+      error: error ? error.message : saveResult.error || null,
+      launch: launch
+        ? { url: launch.url, launched: launch.launched, browser: launch.browser, error: launch.error || null }
+        : null
+    });
+  }
+
+  /**
+   * Converts a payload to Contiva format, adding the files of the configured script library (scripts.libraryDir)
+   * and formatting the body as set by body.ideFormat
+   * The folder is read on every conversion so edited helper scripts are picked up without a restart
+   */
+  function toContivaData(cpiHelperData) {
+    const { libraryDir } = config.scripts;
+    const libraries = libraryDir ? loadScriptLibrary(libraryDir, { logger }) : [];
+    return cpiHelperToContiva(withScriptLibraries(cpiHelperData, libraries), { bodyFormat: config.body.ideFormat, logger });
+  }
+
+  /**
+   * Opens encoded Contiva data in the configured IDE and logs the outcome
+   * Resolves with the IDE URL and launch result; a failed launch is not an error
+   *
+   * @param {string} encodedContivaData
+   * @param {Object} [options]
+   * @param {boolean} [options.open] - false only builds the URL, whatever ide.browser is
+   */
+  async function launchIde(encodedContivaData, { open = true } = {}) {
+    if (open && IDE_OPTIONS.browser !== 'none' && !launchLimiter.tryAcquire()) {
+      const limited = await openInIde(encodedContivaData, { ...IDE_OPTIONS, browser: 'none' });
+      const error = `Launch limit of ${launchLimiter.perMinute} per minute reached (security.launchesPerMinute)`;
+      logger.warn(`${error}, open the URL manually: ${limited.url}`);
+      return { ...limited, browser: IDE_OPTIONS.browser, error };
+    }
+    const launch = await openInIde(encodedContivaData, open ? IDE_OPTIONS : { ...IDE_OPTIONS, browser: 'none' });
+    logger.info(`IDE URL: ${launch.url}`);
+
+    if (launch.launched) {
+      logger.success(`Opened ${launch.target} in ${launch.browser}`);
+    } else if (launch.browser === 'none') {
+      logger.info(`Browser launch disabled, open the URL manually`);
+    } else {
+      logger.warn(`Browser opening failed: ${launch.error}`);
+    }
+    return launch;
+  }
+
+  /**
+   * GET /debug/:data
+   * Decodes Groovy debugger data from URL parameter
+   */
+  app.get('/debug/:data', navigationOnly, (req, res) => {
+    try {
+      const encodedData = req.params.data;
+      logger.info(`Starting decode from URL parameter`);
+      logger.debug(`Encoded data length: ${encodedData.length} chars`);
+
+      const decoded = decodeGroovyString(encodedData, { logger, maxDecodedBytes: DECODED_LIMIT });
+      const validation = validateForRequest(req, 'CpiHelperPayload', decoded);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+      const { payload, redacted } = redactForRequest(req, decoded);
+
+      // Save decoded data to files
+      logger.info(`Saving decoded data to files...`);
+      const saveResult = recordCapture(payload, { encoded: encodedData, source: 'debug', redacted });
+      logger.success(`All files saved successfully`);
+
+      res.json({
+        success: true,
+        message: 'Data decoded successfully',
+        data: payload,
+        redacted: redacted,
+        validation: validation,
+        captureId: saveResult.captureId || null,
+        files: saveResult.files || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`Decode error: ${error.message}`);
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to decode data',
+        error: error.message,
+        hint: formatHint(req.params.data, ['cpihelper']),
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * POST /debug
+   * Decodes Groovy debugger data from POST body
+   */
+  app.post('/debug', (req, res) => {
+    try {
+      const { data } = req.body;
+
+      if (!data) {
+        logger.error(`Missing "data" field in POST body`);
+        return res.status(400).json({
+          success: false,
+          message: 'Missing "data" field in request body',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info(`Decoding data from POST body`);
+      logger.debug(`Data length: ${data.length} chars`);
+
+      const decoded = decodeGroovyString(data, { logger, maxDecodedBytes: DECODED_LIMIT });
+      const validation = validateForRequest(req, 'CpiHelperPayload', decoded);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+      const { payload, redacted } = redactForRequest(req, decoded);
+
+      // Save decoded data to files
+      logger.info(`Saving decoded data to files...`);
+      const saveResult = recordCapture(payload, { encoded: data, source: 'debug', redacted });
+      logger.success(`All files saved successfully`);
+
+      res.json({
+        success: true,
+        message: 'Data decoded successfully',
+        data: payload,
+        redacted: redacted,
+        validation: validation,
+        captureId: saveResult.captureId || null,
+        files: saveResult.files || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`Decode error: ${error.message}`);
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to decode data',
+        error: error.message,
+        hint: formatHint(req.body.data, ['cpihelper']),
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * POST /decode
+   * Detects the format of any encoded debug string (CPI Helper, Contiva, IDE/CPI Helper link,
+   * Base64 JSON or decoded JSON), decodes it and saves it as a capture
+   * Body: { "data": "..." } / { "link": "..." }, a plain-text body, or the decoded JSON itself
+   */
+  app.post('/decode', textBody, async (req, res) => {
+    try {
+      const input = readEncodedInput(req);
+
+      if (!input) {
+        logger.error(`Missing input for /decode`);
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must contain "data" or "link", a text body, or the decoded JSON',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info(`Detecting format of ${input.length} chars`);
+      const decoded = await decodeAny(input, { logger, maxDecodedBytes: DECODED_LIMIT });
+      logger.success(`Detected format: ${decoded.format.name}`);
+
+      const validation = validateForRequest(req, 'CpiHelperPayload', decoded.payload);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+      const { payload, redacted } = redactForRequest(req, decoded.payload);
+
+      logger.info(`Saving decoded data to files...`);
+      const saveResult = recordCapture(payload, { encoded: input.trim(), source: `decode:${decoded.format.id}`, redacted });
+      logger.success(`All files saved successfully`);
+
+      res.json({
+        success: true,
+        message: 'Data decoded successfully',
+        format: decoded.format,
+        link: decoded.link,
+        data: payload,
+        contivaData: decoded.contivaData ? (redacted ? cpiHelperToContiva(payload, { logger }) : decoded.contivaData) : null,
+        redacted: redacted,
+        validation: validation,
+        captureId: saveResult.captureId || null,
+        files: saveResult.files || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error instanceof DecodeError) {
+        return sendDecodeError(res, error);
+      }
+
+      logger.error(`Decode error: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to decode data',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  // Self-test data for GET /contiva/test (same as the contiva-encoder.js demo)
+  const CONTIVA_TEST_DATA = {
+    currentSessionType: 'groovy',
+    scriptInput: '{ "test": "testval3" }',
+    script: 'import com.sap.gateway.ip.core.customdev.util.Message;\n\ndef Message processData(Message message) {\n    return message;\n}',
+    functionName: 'processData',
+    headers: {
+      SAP_MessageProcessingLogID: 'AGlnwRPCOT1y6HLEfkmHVDXWnnu0',
+      SAP_TRACE_HEADER_1768407316206_MessageType: 'STEP'
+    },
+    properties: {
+      AnotherProp: 'conf1',
+      TestingProp: 'conf2'
+    }
+  };
+
+  /**
+   * GET /contiva/test
+   * Self-test: encodes fixed Contiva data, checks it decodes back unchanged and opens it in the IDE
+   */
+  app.get('/contiva/test', navigationOnly, async (req, res) => {
+    try {
+      logger.info(`Testing /contiva/test endpoint with hardcoded Contiva data`);
+
+      // Encode Contiva data
+      const encodedContivaData = await encodeContivaData(CONTIVA_TEST_DATA, { logger });
+      logger.info(`Encoded to Contiva format (${encodedContivaData.length} chars)`);
+
+      // Round trip: the encoded string must decode to the same object
+      const { contivaData } = await decodeContivaData(encodedContivaData, { logger });
+      if (JSON.stringify(contivaData) !== JSON.stringify(CONTIVA_TEST_DATA)) {
+        throw new Error('Encoded test data does not decode back to the same Contiva object');
+      }
+      logger.success(`Round trip verified`);
+
+      // Open in the IDE
+      const launch = await launchIde(encodedContivaData);
+      logger.success(`Full /contiva/test request completed`);
+
+      res.json({
+        success: true,
+        message: launch.launched
+          ? 'Test data encoded and opened in Contiva IDE'
+          : 'Data encoded successfully (browser not opened)',
+        encoded: encodedContivaData,
+        encodedLength: encodedContivaData.length,
+        url: launch.url,
+        launched: launch.launched,
+        browser: launch.browser,
+        warning: launch.error,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error in /contiva/test: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing test data',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * Saves a CPI Helper payload as a capture, converts it to Contiva format and opens it in the IDE
+   * Shared by GET /contiva/:data and POST /contiva; with stage, the converted object is shown in the
+   * staging form instead and only POST /contiva/send encodes and opens it
+   */
+  async function sendToContiva(req, res, { cpiHelperData, encoded, stage = false }) {
+    if (!cpiHelperData || typeof cpiHelperData !== 'object') {
+      logger.error(`Invalid decoded data type: ${typeof cpiHelperData}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Decoded data is not a valid object',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Missing input or script would otherwise open an empty Contiva session
+    const validation = validateForRequest(req, 'CpiHelperPayload', cpiHelperData);
+    if (!validation.valid && validation.strict) {
+      return sendValidationError(res, validation);
+    }
+
+    // Keep the capture in the session history before handing it to Contiva
+    const { payload, redacted } = redactForRequest(req, cpiHelperData);
+    const saveResult = recordCapture(payload, { encoded, source: 'contiva', redacted }, { launching: !stage });
+
+    if (stage) {
+      logger.info(`Showing the staging form, nothing is sent to the IDE yet`);
+      res.set('Cache-Control', 'no-store');
+      return res.send(renderStagingPage({
+        contivaData: toContivaData(payload),
+        // A raw capture stays raw when it is sent
+        sendUrl: `${req.baseUrl}/contiva/send${isRedactionBypassed(req) ? '?redact=false' : ''}`,
+        basePath: req.baseUrl,
+        captureId: saveResult.captureId || null,
+        redacted,
+        validation
+      }));
+    }
+
+    let contivaData;
+    let encodedContivaData;
+    let launch;
+    try {
+      // Convert CPIHelper to Contiva format
+      contivaData = toContivaData(payload);
+      logger.info(`Converted to Contiva format`);
+
+      // Encode Contiva data
+      encodedContivaData = await encodeContivaData(contivaData, { logger });
+      logger.info(`Encoded to Contiva format (${encodedContivaData.length} chars)`);
+
+      // Open in the IDE; still return success if the browser could not be opened
+      launch = await launchIde(encodedContivaData);
+    } catch (error) {
+      announceCaptureStatus(saveResult, null, error);
+      throw error;
+    }
+    announceCaptureStatus(saveResult, launch);
+    logger.success(`Full /contiva request completed`);
+
+    res.json({
+      success: true,
+      message: launch.launched
+        ? 'Data converted and opened in Contiva IDE'
+        : 'Data converted successfully (browser not opened)',
+      captureId: saveResult.captureId || null,
+      redacted: redacted,
+      validation: validation,
+      contivaData: contivaData,
+      encoded: encodedContivaData.substring(0, 100) + '...',
+      encodedLength: encodedContivaData.length,
+      url: launch.url,
+      launched: launch.launched,
+      browser: launch.browser,
+      warning: launch.error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * GET /contiva/stage/:data
+   * Always shows the staging form; use http://localhost:4004/contiva/stage/ as the CPI Helper URL
+   * Registered before /contiva/:data, which would otherwise take "stage" for the data
+   */
+  app.get('/contiva/stage/:data', navigationOnly, (req, res) => openContivaLink(req, res, { stage: true }));
+
+  /**
+   * GET /contiva/stage/ without data
+   * Usage hint instead of decoding "stage" as a CPI Helper string
+   */
+  app.get('/contiva/stage', (req, res) => {
+    res.status(400).json({
+      success: false,
+      message: 'Missing CPI Helper data after /contiva/stage/',
+      hint: `Append the encoded string (${req.baseUrl}/contiva/stage/<data>), or enter ${getRequestBaseUrl(req)}/contiva/stage/ as the URL in CPI Helper`,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /contiva/:data
+   * Decodes CPIHelper encoded data from URL parameter, converts to Contiva format, and opens in IDE
+   * With ide.staging or ?stage=true the staging form is shown first (see staging-page.js)
+   */
+  app.get('/contiva/:data', navigationOnly, (req, res) => openContivaLink(req, res, { stage: isStagingRequested(req) }));
+
+  /**
+   * Decodes the CPI Helper string in the path and hands it to sendToContiva
+   */
+  async function openContivaLink(req, res, { stage }) {
+    try {
+      const encodedData = req.params.data;
+      logger.info(`Starting decode from URL parameter`);
+      logger.debug(`Encoded data length: ${encodedData.length} chars`);
+
+      // Decode the URL-safe base64 CPIHelper data
+      const cpiHelperData = decodeGroovyString(encodedData, { logger, maxDecodedBytes: DECODED_LIMIT });
+      logger.success(`Decoded CPIHelper format`);
+
+      await sendToContiva(req, res, { cpiHelperData, encoded: encodedData, stage });
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`/contiva request error: ${error.message}`);
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to convert and encode data',
+        error: error.message,
+        hint: formatHint(req.params.data, ['cpihelper']),
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /contiva
+   * Same as GET /contiva/:data for payloads too large for a URL
+   * Body: raw CPI Helper JSON, { "data": "<encoded>" } / { "link": "..." }, a text/plain body,
+   * or a multipart/form-data upload in the field "file"; any format codec-registry.js detects
+   */
+  app.post('/contiva', fileUpload.single('file'), textBody, async (req, res) => {
+    try {
+      const input = readEncodedInput(req);
+
+      if (!input) {
+        logger.error(`Missing input for POST /contiva`);
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must be CPI Helper JSON, contain "data" or "link", be a text body, or upload a "file"',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info(`Decoding ${req.file ? `uploaded file ${req.file.originalname}` : 'request body'} (${input.length} chars)`);
+      const decoded = await decodeAny(input, { logger, maxDecodedBytes: DECODED_LIMIT });
+      logger.success(`Detected format: ${decoded.format.name}`);
+
+      await sendToContiva(req, res, { cpiHelperData: decoded.payload, encoded: input.trim() });
+    } catch (error) {
+      if (error instanceof DecodeError) {
+        return sendDecodeError(res, error);
+      }
+
+      logger.error(`/contiva request error: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to convert and encode data',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * POST /contiva/send
+   * "Send to IDE" of the staging form: saves the edited Contiva object as a capture, encodes it and opens the IDE
+   * Body: { "contivaData": { ... }, "captureId": "<capture the form was opened for>" }
+   */
+  app.post('/contiva/send', async (req, res) => {
+    const { contivaData, captureId = null } = req.body || {};
+    if (!contivaData || typeof contivaData !== 'object' || Array.isArray(contivaData)) {
+      logger.error(`Missing "contivaData" object in POST body`);
+      return res.status(400).json({
+        success: false,
+        message: 'Request body must contain the edited Contiva object as "contivaData"',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const validation = validateForRequest(req, 'ContivaData', contivaData);
+    if (!validation.valid && validation.strict) {
+      return sendValidationError(res, validation);
+    }
+
+    let saveResult = null;
+    try {
+      logger.info(`Sending staged data${captureId ? ` of capture ${captureId}` : ''} to the IDE`);
+      // Edits are saved and masked like any other capture; the IDE gets the saved version
+      const { payload, redacted } = redactForRequest(req, contivaToCpiHelper(contivaData, { logger }));
+      saveResult = recordCapture(payload, {
+        encoded: encodeGroovyString(payload, { logger }),
+        source: 'staged',
+        redacted
+      }, { launching: true });
+
+      // Libraries and body formatting were already applied when the form was built
+      const ideData = cpiHelperToContiva(payload, { logger });
+      const encodedContivaData = await encodeContivaData(ideData, { logger });
+      const launch = await launchIde(encodedContivaData);
+      announceCaptureStatus(saveResult, launch);
+      logger.success(`Staged data sent to the IDE`);
+
+      res.json({
+        success: true,
+        message: launch.launched
+          ? 'Staged data opened in Contiva IDE'
+          : 'Staged data encoded successfully (browser not opened)',
+        captureId: saveResult.captureId || null,
+        stagedFrom: captureId,
+        redacted: redacted,
+        validation: validation,
+        encodedLength: encodedContivaData.length,
+        url: launch.url,
+        launched: launch.launched,
+        browser: launch.browser,
+        warning: launch.error,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (saveResult) {
+        announceCaptureStatus(saveResult, null, error);
+      }
+      logger.error(`/contiva/send error: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to send the staged data',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * POST /contiva/decode
+   * Decodes a Contiva IDE link (or its data= value) back into a Contiva object and saves it as a capture
+   */
+  app.post('/contiva/decode', async (req, res) => {
+    try {
+      const { link, data } = req.body;
+
+      if (!link && !data) {
+        logger.error(`Missing "link" or "data" field in POST body`);
+        return res.status(400).json({
+          success: false,
+          message: 'Missing "link" or "data" field in request body',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const encodedData = extractContivaData(link || data);
+      logger.info(`Decoding Contiva data`);
+      logger.debug(`Encoded data length: ${encodedData.length} chars`);
+
+      const { contivaData, entries } = await decodeContivaData(encodedData, { logger, maxDecodedBytes: DECODED_LIMIT });
+      logger.success(`Decoded Contiva archive (${entries.join(', ')})`);
+
+      // Store it in the same shape as a CPI Helper capture
+      const { payload, redacted } = redactForRequest(req, contivaToCpiHelper(contivaData, { logger }));
+
+      logger.info(`Saving decoded data to files...`);
+      const saveResult = recordCapture(payload, { encoded: encodedData, source: 'contiva-link', redacted });
+      logger.success(`All files saved successfully`);
+
+      res.json({
+        success: true,
+        message: 'Contiva data decoded successfully',
+        contivaData: redacted ? cpiHelperToContiva(payload, { logger }) : contivaData,
+        data: payload,
+        redacted: redacted,
+        captureId: saveResult.captureId || null,
+        files: saveResult.files || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`Contiva decode error: ${error.message}`);
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to decode Contiva data',
+        error: error.message,
+        hint: formatHint(req.body.link || req.body.data, ['contiva']),
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * POST /cpihelper
+   * Converts a Contiva object (or Contiva link) back into an encoded CPI Helper / Groovy IDE string
+   */
+  app.post('/cpihelper', async (req, res) => {
+    try {
+      let contivaData = req.body.contivaData || null;
+
+      if (!contivaData && (req.body.link || req.body.data)) {
+        logger.info(`Decoding Contiva link before conversion`);
+        ({ contivaData } = await decodeContivaData(extractContivaData(req.body.link || req.body.data), {
+          logger,
+          maxDecodedBytes: DECODED_LIMIT
+        }));
+      }
+
+      if (!contivaData && typeof req.body.script === 'string') {
+        // The body itself is a Contiva object
+        contivaData = req.body;
+      }
+
+      if (!contivaData || typeof contivaData !== 'object') {
+        logger.error(`Missing Contiva data in POST body`);
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must be a Contiva object, {"contivaData": {...}}, or {"link": "..."}',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validation = validateForRequest(req, 'ContivaData', contivaData);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+
+      const { payload: cpiHelperData, redacted } = redactForRequest(req, contivaToCpiHelper(contivaData, { logger }));
+      const encoded = encodeGroovyString(cpiHelperData, { logger });
+      logger.info(`Encoded to CPIHelper format (${encoded.length} chars)`);
+
+      res.json({
+        success: true,
+        message: 'Contiva data converted to CPIHelper format',
+        data: cpiHelperData,
+        redacted: redacted,
+        validation: validation,
+        encoded: encoded,
+        encodedLength: encoded.length,
+        link: `${CPIHELPER_LINK_BASE}${encoded}`,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`/cpihelper request error: ${error.message}`);
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to convert Contiva data to CPIHelper format',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * Reads a CPIViewer file set (body, header, properties, script) from the latest files ("latest")
+   * or from a capture session folder; missing files come back as null, an unknown session as null
+   * The body is decoded in the charset it was saved in (see body-format.js); attachments are read from
+   * the attachments/ folder and its manifest.json
+   */
+  function readCaptureFileSet(from) {
+    const read = (filePath) => (filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null);
+    const readBody = (filePath, header, properties) => {
+      if (!filePath || !fs.existsSync(filePath)) {
+        return null;
+      }
+      const context = {
+        headers: header ? parseProperties(header) : {},
+        properties: properties ? parseProperties(properties) : {}
+      };
+      return decodeBody(fs.readFileSync(filePath), context).text;
+    };
+
+    if (from === 'latest') {
+      // The Debug folder holds no script, so it comes from the newest capture session
+      const newest = captureStore.listCaptures()[0];
+      const header = read(path.join(DATA_DUMP_DEBUG, `${FILE_BASE_NAME}.header`));
+      const properties = read(path.join(DATA_DUMP_PROPERTIES, `${FILE_BASE_NAME}.properties`));
+      return {
+        body: readBody(path.join(DATA_DUMP_DEBUG, `${FILE_BASE_NAME}.body`), header, properties),
+        header,
+        properties,
+        script: newest ? read(captureStore.getCaptureFilePath(newest.id, 'script.groovy')) : null,
+        functionName: newest ? newest.functionName : null,
+        attachments: loadAttachmentFolder(path.join(DATA_DUMP_DEBUG, path.basename(ATTACHMENT_FOLDER)), { logger })
+      };
+    }
+
+    const capture = captureStore.getCapture(from);
+    if (!capture) {
+      return null;
+    }
+    const header = read(captureStore.getCaptureFilePath(capture.id, `${FILE_BASE_NAME}.header`));
+    const properties = read(captureStore.getCaptureFilePath(capture.id, `${FILE_BASE_NAME}.properties`));
+    const manifestPath = captureStore.getCaptureFilePath(capture.id, `${ATTACHMENT_FOLDER}${MANIFEST_FILE}`);
+    return {
+      body: readBody(captureStore.getCaptureFilePath(capture.id, `${FILE_BASE_NAME}.body`), header, properties),
+      header,
+      properties,
+      script: read(captureStore.getCaptureFilePath(capture.id, 'script.groovy')),
+      functionName: capture.functionName,
+      attachments: manifestPath ? loadAttachmentFolder(path.dirname(manifestPath), { logger }) : []
+    };
+  }
+
+  /**
+   * POST /import
+   * Rebuilds a CPIHelper payload from an edited debug.body / debug.header / debug.properties set,
+   * saves it as a capture and returns it re-encoded; "openInContiva": true also sends it to the IDE
+   */
+  app.post('/import', async (req, res) => {
+    try {
+      const { from, openInContiva } = req.body;
+      const files = from ? readCaptureFileSet(from) : {};
+
+      if (!files) {
+        logger.warn(`Capture session not found: ${from}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Capture session not found',
+          id: from,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Text sent in the request overrides the file read from disk
+      const pick = (name) => (typeof req.body[name] === 'string' ? req.body[name] : files[name]);
+      const body = pick('body');
+      const header = pick('header');
+      const properties = pick('properties');
+      const attachments = Array.isArray(req.body.attachments) ? req.body.attachments : files.attachments || [];
+
+      if (body == null && header == null && properties == null) {
+        logger.error(`Nothing to import`);
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must contain "body", "header" and/or "properties" text, or "from": "latest" | "<session id>"',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info(`Importing capture files${from ? ` from ${from}` : ''}`);
+      const imported = {
+        input: {
+          body: body || '',
+          headers: header ? parseProperties(header) : {},
+          properties: properties ? parseProperties(properties) : {},
+          ...(attachments.length > 0 ? { attachments } : {})
+        },
+        script: {
+          code: pick('script') || '',
+          function: req.body.functionName || files.functionName || 'processData'
+        }
+      };
+      const validation = validateForRequest(req, 'CpiHelperPayload', imported);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+      const { payload, redacted } = redactForRequest(req, imported);
+
+      const encoded = encodeGroovyString(payload, { logger });
+      const saveResult = recordCapture(payload, { encoded, source: 'import', redacted }, { launching: Boolean(openInContiva) });
+      logger.success(`Imported ${Object.keys(payload.input.headers).length} headers and ` +
+        `${Object.keys(payload.input.properties).length} properties`);
+
+      let launch = null;
+      if (openInContiva) {
+        try {
+          const encodedContivaData = await encodeContivaData(toContivaData(payload), { logger });
+          launch = await launchIde(encodedContivaData);
+        } catch (error) {
+          announceCaptureStatus(saveResult, null, error);
+          throw error;
+        }
+        announceCaptureStatus(saveResult, launch);
+      }
+
+      res.json({
+        success: true,
+        message: 'Capture files imported',
+        data: payload,
+        redacted: redacted,
+        validation: validation,
+        captureId: saveResult.captureId || null,
+        encoded: encoded,
+        encodedLength: encoded.length,
+        link: `${CPIHELPER_LINK_BASE}${encoded}`,
+        contiva: launch
+          ? { url: launch.url, launched: launch.launched, browser: launch.browser, warning: launch.error }
+          : null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Import error: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to import capture files',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * Generates the local Groovy test project for a decoded payload and sends it as a ZIP download
+   */
+  async function sendTestProject(res, cpiHelperData, projectName) {
+    const { projectName: name, zipBuffer } = await generateTestProject(cpiHelperData, { projectName });
+    logger.success(`Generated test project ${name} (${zipBuffer.length} bytes)`);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${name}.zip"`
+    });
+    res.send(zipBuffer);
+  }
+
+  /**
+   * GET /project/:data
+   * Decodes CPIHelper data from URL parameter and returns a runnable Gradle/Spock test project (ZIP)
+   */
+  app.get('/project/:data', async (req, res) => {
+    try {
+      logger.info(`Generating test project from URL parameter`);
+      const decoded = decodeGroovyString(req.params.data, { logger, maxDecodedBytes: DECODED_LIMIT });
+      const validation = validateForRequest(req, 'CpiHelperPayload', decoded);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+      const { payload } = redactForRequest(req, decoded);
+      res.set('X-Validation-Errors', String(validation.errors.length));
+      await sendTestProject(res, payload, req.query.name);
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`Test project error: ${error.message}`);
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to generate test project',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * POST /project
+   * Returns a runnable Gradle/Spock test project (ZIP) for a decoded CPIHelper payload
+   * or an encoded string in the "data" field
+   */
+  app.post('/project', async (req, res) => {
+    try {
+      const { data, projectName } = req.body;
+      const cpiHelperData = data ? decodeGroovyString(data, { logger, maxDecodedBytes: DECODED_LIMIT }) : req.body;
+
+      if (!cpiHelperData || !cpiHelperData.script) {
+        logger.error(`Missing "script" or "data" field in POST body`);
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must be a CPIHelper payload or contain an encoded "data" field',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validation = validateForRequest(req, 'CpiHelperPayload', cpiHelperData);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+
+      logger.info(`Generating test project from POST body`);
+      const { payload } = redactForRequest(req, cpiHelperData);
+      res.set('X-Validation-Errors', String(validation.errors.length));
+      await sendTestProject(res, payload, projectName);
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`Test project error: ${error.message}`);
+
+      res.status(400).json({
+        success: false,
+        message: 'Failed to generate test project',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * GET /sessions
+   * Lists saved capture sessions, newest first
+   */
+  app.get('/sessions', (req, res) => {
+    const captures = captureStore.listCaptures();
+    logger.info(`Listing ${captures.length} capture sessions`);
+
+    res.json({
+      success: true,
+      count: captures.length,
+      sessions: captures,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /sessions/:id
+   * Returns a capture session with its decoded payload and raw encoded string
+   */
+  app.get('/sessions/:id', (req, res) => {
+    const capture = captureStore.getCapture(req.params.id);
+
+    if (!capture) {
+      logger.warn(`Capture session not found: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Capture session not found',
+        id: req.params.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      session: capture,
+      cpiHelperLink: `${CPIHELPER_LINK_BASE}${encodeGroovyString(capture.payload, { logger })}`,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /sessions/:id/files/:name
+   * Downloads one of the files saved for a capture session (e.g. debug.body, script.groovy)
+   */
+  app.get('/sessions/:id/files/:name', (req, res) => {
+    const filePath = captureStore.getCaptureFilePath(req.params.id, req.params.name);
+
+    if (!filePath) {
+      logger.warn(`Capture file not found: ${req.params.id}/${req.params.name}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Capture file not found',
+        id: req.params.id,
+        file: req.params.name,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.download(filePath, `${req.params.id}_${req.params.name}`);
+  });
+
+  /**
+   * POST /sessions/:id/contiva
+   * Re-opens a saved capture session in Contiva IDE
+   */
+  app.post('/sessions/:id/contiva', async (req, res) => {
+    try {
+      const capture = captureStore.getCapture(req.params.id);
+
+      if (!capture) {
+        logger.warn(`Capture session not found: ${req.params.id}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Capture session not found',
+          id: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info(`Re-opening capture session ${capture.id} in Contiva`);
+      const contivaData = toContivaData(capture.payload);
+      const encodedContivaData = await encodeContivaData(contivaData, { logger });
+      const launch = await launchIde(encodedContivaData);
+
+      res.json({
+        success: true,
+        message: launch.launched
+          ? 'Capture session opened in Contiva IDE'
+          : 'Capture session encoded (browser not opened)',
+        id: capture.id,
+        encodedLength: encodedContivaData.length,
+        url: launch.url,
+        launched: launch.launched,
+        browser: launch.browser,
+        warning: launch.error,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error re-opening capture session: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open capture session in Contiva IDE',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * POST /sessions/:id/replay
+   * Sends a saved capture to an HTTP endpoint and stores the responses in the capture folder (replays/<timestamp>.json)
+   * Body (all optional, defaults from the replay config): { url, method, contentType, includeProperties,
+   * propertyPrefix, repeat, headers }
+   */
+  app.post('/sessions/:id/replay', async (req, res) => {
+    const capture = captureStore.getCapture(req.params.id);
+
+    if (!capture) {
+      logger.warn(`Capture session not found: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Capture session not found',
+        id: req.params.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { includeProperties } = req.body;
+    const options = {
+      url: req.body.url || config.replay.url,
+      method: req.body.method || config.replay.method,
+      contentType: req.body.contentType,
+      includeProperties: includeProperties !== undefined
+        ? /^(true|1|on|yes)$/i.test(String(includeProperties))
+        : config.replay.includeProperties,
+      propertyPrefix: req.body.propertyPrefix || config.replay.propertyPrefix,
+      repeat: req.body.repeat !== undefined ? req.body.repeat : 1,
+      headers: req.body.headers && typeof req.body.headers === 'object' ? req.body.headers : {},
+      timeoutMs: config.replay.timeoutMs,
+      logger
+    };
+    if (!options.url) {
+      return res.status(400).json({
+        success: false,
+        message: 'No replay URL: pass "url" in the request body or set replay.url (--replay-url)',
+        timestamp: new Date().toISOString()
+      });
+    }
+    // Besides this machine, only the configured hosts and the host of replay.url may be targeted
+    options.allowedHosts = [...config.replay.allowedHosts, ...(config.replay.url ? [new URL(config.replay.url).host] : [])];
+    let allowed;
+    try {
+      allowed = isReplayTargetAllowed(options.url, options.allowedHosts);
+    } catch (error) {
+      allowed = true; // Invalid URLs are reported by replayCapture below
+    }
+    if (!allowed) {
+      logger.warn(`Rejected replay of ${capture.id} to ${options.url}: host not in replay.allowedHosts`);
+      return res.status(403).json({
+        success: false,
+        message: `Replay target ${new URL(options.url).host} is not allowed`,
+        hint: 'Replays go to this machine only, unless the host is listed in replay.allowedHosts (REPLAY_ALLOWED_HOSTS, --replay-allowed-hosts)',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let result;
+    try {
+      logger.info(`Replaying capture session ${capture.id}`);
+      result = await replayCapture(capture.payload, options);
+    } catch (error) {
+      logger.error(`Replay rejected: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid replay request',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      // Responses can carry secrets too (tokens, cookies), so they are masked with the same rules as captures
+      const responses = result.responses.map((response) => {
+        if (response.error) {
+          return response;
+        }
+        const { payload } = redactForRequest(req, { input: { body: response.body, headers: response.headers, properties: {} } });
+        return { ...response, headers: payload.input.headers, body: payload.input.body };
+      });
+      const record = { ...result, captureId: capture.id, captureRedacted: capture.redacted, responses };
+      const file = `replays/${formatTimestamp(new Date())}.json`;
+      captureStore.addCaptureFiles(capture.id, { [file]: JSON.stringify(record, null, 2) });
+      logger.success(`Replay finished: ${result.summary.succeeded}/${result.summary.attempts} succeeded, saved as ${file}`);
+
+      res.json({
+        success: true,
+        message: result.summary.failed === 0
+          ? 'Capture replayed'
+          : `Capture replayed, ${result.summary.failed} of ${result.summary.attempts} request(s) failed`,
+        id: capture.id,
+        file: file,
+        replay: record,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Error saving replay result: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save replay result',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * GET /sessions/:id/project
+   * Returns a runnable Gradle/Spock test project (ZIP) for a saved capture session
+   */
+  app.get('/sessions/:id/project', async (req, res) => {
+    try {
+      const capture = captureStore.getCapture(req.params.id);
+
+      if (!capture) {
+        logger.warn(`Capture session not found: ${req.params.id}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Capture session not found',
+          id: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info(`Generating test project for capture session ${capture.id}`);
+      await sendTestProject(res, capture.payload, req.query.name || `capture-${capture.id}`);
+    } catch (error) {
+      logger.error(`Test project error: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate test project',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * Summary of one side of a diff
+   */
+  function describeDiffSide(capture) {
+    return capture.id
+      ? { id: capture.id, createdAt: capture.createdAt, source: capture.source, functionName: capture.functionName }
+      : { id: null, source: 'upload', functionName: (capture.payload.script && capture.payload.script.function) || null };
+  }
+
+  /**
+   * Diffs two payloads and sends the result; extra fields are added to the response
+   */
+  function sendDiff(req, res, left, right, extra = {}) {
+    const diff = diffCaptures(left.payload, right.payload, { pretty: req.query.pretty !== 'false' });
+    logger.success(`Compared ${left.id} with ${right.id || 'uploaded payload'}${diff.identical ? ' (identical)' : ''}`);
+
+    res.json({
+      success: true,
+      left: describeDiffSide(left),
+      right: describeDiffSide(right),
+      diff: diff,
+      ...extra,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * GET /sessions/:id/diff/:otherId
+   * Compares two saved capture sessions (left = :id, right = :otherId)
+   */
+  app.get('/sessions/:id/diff/:otherId', (req, res) => {
+    const missing = [req.params.id, req.params.otherId].find((id) => !captureStore.getCapture(id));
+
+    if (missing) {
+      logger.warn(`Capture session not found: ${missing}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Capture session not found',
+        id: missing,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    sendDiff(req, res, captureStore.getCapture(req.params.id), captureStore.getCapture(req.params.otherId));
+  });
+
+  /**
+   * POST /sessions/:id/diff
+   * Compares a saved capture session with an uploaded CPIHelper payload or encoded "data" string
+   */
+  app.post('/sessions/:id/diff', (req, res) => {
+    try {
+      const capture = captureStore.getCapture(req.params.id);
+
+      if (!capture) {
+        logger.warn(`Capture session not found: ${req.params.id}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Capture session not found',
+          id: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { data } = req.body;
+      const uploaded = data ? decodeGroovyString(data, { logger, maxDecodedBytes: DECODED_LIMIT }) : req.body;
+
+      if (!uploaded || !uploaded.input) {
+        logger.error(`Missing "input" or "data" field in POST body`);
+        return res.status(400).json({
+          success: false,
+          message: 'Request body must be a CPIHelper payload or contain an encoded "data" field',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validation = validateForRequest(req, 'CpiHelperPayload', uploaded);
+      if (!validation.valid && validation.strict) {
+        return sendValidationError(res, validation);
+      }
+
+      // Saved captures are redacted, so mask the upload the same way to avoid spurious differences
+      const { payload } = redactForRequest(req, uploaded);
+      sendDiff(req, res, capture, { payload }, { validation });
+    } catch (error) {
+      if (isDecodedTooLarge(error)) {
+        return sendDecodeError(res, error);
+      }
+      logger.error(`Diff error: ${error.message}`);
+      res.status(400).json({
+        success: false,
+        message: 'Failed to compare captures',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * DELETE /sessions/:id
+   * Deletes a saved capture session
+   */
+  app.delete('/sessions/:id', (req, res) => {
+    const deleted = captureStore.deleteCapture(req.params.id);
+
+    if (!deleted) {
+      logger.warn(`Capture session not found: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Capture session not found',
+        id: req.params.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.success(`Deleted capture session ${req.params.id}`);
+    res.json({
+      success: true,
+      message: 'Capture session deleted',
+      id: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Starts (or restarts) watching a capture's workspace folder
+   * Every burst of saves is saved as a new capture (source "workspace") and encoded to a fresh IDE URL,
+   * which is logged, published on GET /events and, with open, opened in the browser
+   */
+  function startWorkspaceWatch(capture, dir, { open, debounceMs }) {
+    stopWorkspaceWatch(capture.id);
+    const watcher = watchWorkspace(dir, {
+      debounceMs,
+      logger,
+      onError: (error) => logger.warn(`Workspace ${capture.id}: ${error.message}`),
+      onChange: async (edited, changedFiles) => {
+        logger.info(`Workspace ${capture.id} changed: ${changedFiles.join(', ')}`);
+        // Raw exports (captured with ?redact=false) stay raw; everything else is masked again
+        const redacted = redactor.enabled && capture.redacted;
+        const payload = redacted ? redactor.redactPayload(edited).payload : edited;
+
+        const saveResult = recordCapture(payload, {
+          encoded: encodeGroovyString(payload, { logger }),
+          source: 'workspace',
+          redacted
+        }, { launching: true });
+        try {
+          const encodedContivaData = await encodeContivaData(toContivaData(payload), { logger });
+          const launch = await launchIde(encodedContivaData, { open });
+          announceCaptureStatus(saveResult, launch);
+          logger.success(`Workspace ${capture.id} → ${launch.url}`);
+        } catch (error) {
+          announceCaptureStatus(saveResult, null, error);
+          throw error;
+        }
+      }
+    });
+    workspaceWatchers.set(capture.id, watcher);
+  }
+
+  function stopWorkspaceWatch(id) {
+    const watcher = workspaceWatchers.get(id);
+    if (!watcher) {
+      return false;
+    }
+    watcher.close();
+    workspaceWatchers.delete(id);
+    return true;
+  }
+
+  /**
+   * POST /sessions/:id/workspace
+   * Exports a capture session to <workspacesDir>/<id> (script.groovy, body, headers.properties, properties.properties);
+   * "watch": true rebuilds the IDE URL on every save, "open": true also opens it in the browser
+   */
+  app.post('/sessions/:id/workspace', (req, res) => {
+    try {
+      const capture = captureStore.getCapture(req.params.id);
+      if (!capture) {
+        logger.warn(`Capture session not found: ${req.params.id}`);
+        return res.status(404).json({
+          success: false,
+          message: 'Capture session not found',
+          id: req.params.id,
+          timestamp: new Date().toISOString()
+        });
+      }
+      const { watch = false, open = false, debounceMs } = req.body || {};
+      if (debounceMs !== undefined && (!Number.isInteger(debounceMs) || debounceMs < 0 || debounceMs > 60000)) {
+        return res.status(400).json({
+          success: false,
+          message: 'debounceMs must be an integer between 0 and 60000',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const dir = path.join(config.dataDump.workspacesDir, capture.id);
+      // Watching our own export would rebuild once for nothing
+      stopWorkspaceWatch(capture.id);
+      const { files } = exportWorkspace(capture.payload, dir, {
+        captureId: capture.id,
+        bodyFormat: config.body.format,
+        logger
+      });
+      if (watch) {
+        startWorkspaceWatch(capture, dir, { open: Boolean(open), debounceMs });
+      }
+      logger.success(`Exported workspace ${dir}${watch ? ' (watching)' : ''}`);
+
+      res.json({
+        success: true,
+        message: watch ? 'Workspace exported, watching for changes' : 'Workspace exported',
+        id: capture.id,
+        dir: dir,
+        files: files,
+        watching: Boolean(watch),
+        open: Boolean(watch && open),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Workspace export failed: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export workspace',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  /**
+   * DELETE /sessions/:id/workspace
+   * Stops watching a workspace; its files are kept
+   */
+  app.delete('/sessions/:id/workspace', (req, res) => {
+    if (!stopWorkspaceWatch(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Workspace is not being watched',
+        id: req.params.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+    logger.info(`Stopped watching workspace ${req.params.id}`);
+    res.json({
+      success: true,
+      message: 'Stopped watching workspace',
+      id: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * GET /events
+   * Live capture feed (Server-Sent Events), see capture-events.js
+   */
+  app.get('/events', captureEvents.handleStream);
+
+  /**
+   * GET /
+   * Welcome page with usage information
+   */
+  app.get('/', (req, res) => {
+    res.send(renderWelcomePage(getRequestBaseUrl(req), { token: config.security.token }));
+  });
+
+  /**
+   * GET /openapi.json
+   * OpenAPI description of every route, including the payload schemas
+   */
+  app.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument({ serverUrl: `${req.protocol}://${req.get('host')}`, version: PACKAGE_VERSION }));
+  });
+
+  /**
+   * ALL /echo
+   * Stand-in endpoint that answers with the request it received; point replays at it to check the mapping
+   * JSON and form bodies are already parsed by the app, so they come back re-serialized
+   * Credentials (Authorization, Cookie, the access token in headers, path or query) are not echoed;
+   * the other headers and the body are masked with the redaction rules like a capture
+   */
+  const echoBody = express.text({ type: () => true, limit: config.limits.body });
+  app.all('/echo', echoBody, (req, res) => {
+    const { headers, removed } = withoutCredentials(req.headers);
+    const body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body || '');
+    const { payload, redacted } = redactForRequest(req, { input: { body, headers, properties: {} } });
+    res.json({
+      method: req.method,
+      path: withoutTokenInUrl(req.originalUrl),
+      headers: payload.input.headers,
+      removedHeaders: removed,
+      body: payload.input.body,
+      redacted: redacted,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Health check endpoint
+   */
+  app.get('/health', (req, res) => {
+    logger.debug(`Health check requested`);
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  });
+
+  /**
+   * 404 handler
+   */
+  app.use((req, res) => {
+    logger.warn(`404 Not Found: ${req.method} ${req.path}`);
+    res.status(404).json({
+      success: false,
+      message: 'Endpoint not found',
+      path: req.path,
+      method: req.method,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Error handler
+   * Oversized and malformed bodies are client errors, reported with the limit that applies
+   */
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large' || err.code === 'LIMIT_FILE_SIZE') {
+      const setting = err.code === 'LIMIT_FILE_SIZE' ? 'limits.upload' : 'limits.body';
+      const limit = config.limits[setting.split('.')[1]];
+      logger.warn(`Request body too large on ${req.method} ${req.path} (${setting} = ${limit})`);
+      return res.status(413).json({
+        success: false,
+        message: `Request body exceeds the configured limit (${setting} = ${limit})`,
+        error: err.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (err.type === 'entity.parse.failed' || err instanceof multer.MulterError) {
+      logger.warn(`Invalid request body on ${req.method} ${req.path}: ${err.message}`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request body',
+        error: err.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.error(`Unhandled error on ${req.method} ${req.path}: ${err.message}`);
+    logger.debug(`Stack: ${err.stack}`);
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: err.message,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  app.locals.cpidebug = {
+    config,
+    sources,
+    logger,
+    captureStore,
+    saveDecodedData,
+    redactor,
+    events: captureEvents,
+    workspaceWatchers
+  };
+  return app;
+}
+
+/**
+ * Prints the startup banner (a single "Server started" entry with logFormat json)
+ *
+ * @param {Object} app - App from createApp
+ * @param {number} port - Port actually bound
+ * @param {Object} [certificate] - HTTPS certificate from resolveCertificate (null for HTTP)
+ */
+function printBanner(app, port, certificate = null) {
+  const { config, sources, logger, redactor } = app.locals.cpidebug;
+  const url = `${certificate ? 'https' : 'http'}://localhost:${port}`;
+
+  if (logger.format === 'json') {
+    // Keep machine-readable output to one entry per line
+    logger.info('Server started', {
+      url,
+      host: config.host,
+      port: port,
+      https: certificate
+        ? {
+          certFile: certificate.certFile,
+          generated: certificate.generated,
+          fingerprint256: certificate.details.fingerprint256,
+          validTo: certificate.details.validTo.toISOString()
+        }
+        : false,
+      configFiles: sources.filter((source) => path.isAbsolute(source)),
+      logLevel: config.logLevel,
+      redaction: redactor.enabled,
+      strictValidation: config.validation.strict,
+      ide: config.ide,
+      scriptLibrary: config.scripts.libraryDir,
+      body: config.body,
+      dataDump: config.dataDump,
+      security: {
+        token: Boolean(config.security.token),
+        corsOrigins: config.security.corsOrigins,
+        allowedHosts: config.security.allowedHosts,
+        rateLimit: config.security.rateLimit,
+        launchesPerMinute: config.security.launchesPerMinute
+      },
+      pid: process.pid
+    });
+    if (!isLoopbackHost(config.host) && !config.security.token) {
+      logger.warn(`Listening on ${config.host} without security.token: anyone on the network can send captures`);
+    }
+    return;
+  }
 
-// Start server
-app.listen(PORT, () => {
   console.log(`\n${'═'.repeat(60)}`);
   console.log('🚀 Groovy Debugger Server Started');
   console.log(`${'═'.repeat(60)}`);
   
   logger.table('Server Information', {
-    'Running at': `http://localhost:${PORT}`,
+    'Running at': url,
+    'Bound to': `${config.host}:${port}`,
+    'HTTPS': certificate
+      ? `${certificate.certFile}${certificate.generated ? ' (self-signed, trust it once)' : ''}`
+      : 'off (--https)',
+    ...(certificate ? { 'SHA-256': certificate.details.fingerprint256 } : {}),
+    'Config': sources.filter((source) => path.isAbsolute(source)).join(', ') || 'none',
+    'Log level': `${config.logLevel} (${config.logFormat})`,
+    'Redaction': redactor.enabled ? (config.redaction.allowBypass ? 'on (?redact=false to bypass)' : 'on') : 'off',
+    'Validation': config.validation.strict ? 'strict (invalid payloads rejected)' : 'report only (?strict=true to reject)',
+    'Access token': config.security.token ? 'required (CPI Helper URL: /token/<token>/debug/)' : 'none',
+    'CORS origins': config.security.corsOrigins.join(', ') || 'same origin only',
+    'Allowed hosts': ['localhost', ...config.security.allowedHosts].join(', ') + ' and the bound address',
+    'Rate limit': config.security.rateLimit.max > 0
+      ? `${config.security.rateLimit.max} requests / ${config.security.rateLimit.windowMs / 1000} s per client`
+      : 'off',
+    'Launch cap': config.security.launchesPerMinute > 0 ? `${config.security.launchesPerMinute} browser launches / min` : 'off',
     'Node Version': process.version,
     'Platform': process.platform,
     'PID': process.pid
   });
+
+  if (!isLoopbackHost(config.host) && !config.security.token) {
+    logger.warn(`Listening on ${config.host} without security.token: anyone on the network can send captures ` +
+      `and launch browsers here (set --token or bind to 127.0.0.1)`);
+  }
   
   console.log(`\n📡 Endpoints:`);
   console.log(`   GET  /debug/:data          - Decode from URL parameter`);
   console.log(`   POST /debug                - Decode from request body`);
-  console.log(`   POST /contiva              - Convert CPIHelper to Contiva & open IDE`);
+  console.log(`   POST /decode               - Detect the format of any encoded string & decode it`);
+  console.log(`   POST /contiva              - Convert CPIHelper (JSON, string or file) to Contiva & open IDE`);
+  console.log(`   GET  /contiva/stage/:data  - Edit body, headers, properties & function before opening the IDE`);
+  console.log(`   POST /contiva/send         - Send the edited staging form to the IDE`);
+  console.log(`   GET  /contiva/test         - Self-test of the Contiva encoding`);
+  console.log(`   POST /contiva/decode       - Decode a Contiva link & save as capture`);
+  console.log(`   POST /cpihelper            - Convert Contiva back to a CPIHelper string`);
+  console.log(`   POST /import               - Rebuild a capture from edited debug.* files`);
+  console.log(`   GET  /project/:data        - Download a Groovy test project (ZIP)`);
+  console.log(`   POST /project              - Download a Groovy test project (ZIP)`);
+  console.log(`   GET  /sessions             - List capture sessions`);
+  console.log(`   GET  /sessions/:id         - Fetch a capture session`);
+  console.log(`   POST /sessions/:id/contiva - Re-open a capture session in Contiva`);
+  console.log(`   GET  /sessions/:id/files/:name - Download a capture file`);
+  console.log(`   POST /sessions/:id/replay  - Send a capture to an HTTP endpoint, save the responses`);
+  console.log(`   GET  /sessions/:id/project - Download a capture's test project (ZIP)`);
+  console.log(`   GET  /sessions/:id/diff/:otherId - Compare two capture sessions`);
+  console.log(`   POST /sessions/:id/diff    - Compare a capture session with an uploaded payload`);
+  console.log(`   DEL  /sessions/:id         - Delete a capture session`);
+  console.log(`   POST /sessions/:id/workspace - Export a capture as an editable folder, optionally watch it`);
+  console.log(`   DEL  /sessions/:id/workspace - Stop watching a workspace`);
+  console.log(`   GET  /events               - Live capture feed (Server-Sent Events)`);
   console.log(`   GET  /                     - Welcome page`);
+  console.log(`   GET  /dashboard/           - Capture dashboard`);
+  console.log(`   GET  /openapi.json         - OpenAPI description and payload schemas`);
+  console.log(`   ALL  /echo                 - Echo the request (stand-in replay target)`);
   console.log(`   GET  /health               - Health check`);
   
+  console.log(`\n🌐 IDE Configuration:`);
+  console.log(`   Target:  ${config.ide.target}${config.ide.baseUrl ? ` (${config.ide.baseUrl})` : ''}`);
+  console.log(`   Browser: ${config.ide.browser}`);
+  console.log(`   Staging: ${config.ide.staging ? 'on (/contiva/:data shows the form, ?stage=false skips it)' : 'off (/contiva/stage/:data or ?stage=true)'}`);
+  console.log(`   Script library: ${config.scripts.libraryDir || 'none (--script-library <dir>)'}`);
+  console.log(`   Replay target:  ${config.replay.url || 'none (--replay-url <url>)'}`);
+  console.log(`   Replay hosts:   this machine${config.replay.allowedHosts.length > 0 ? `, ${config.replay.allowedHosts.join(', ')}` : ' (--replay-allowed-hosts <list>)'}`);
+
   console.log(`\n💾 Data Dump Configuration:`);
-  console.log(`   Base path:  ${DATA_DUMP_BASE}`);
-  console.log(`   Debug folder: ${DATA_DUMP_DEBUG}`);
+  console.log(`   Base path:  ${config.dataDump.baseDir}`);
+  console.log(`   Debug folder: ${config.dataDump.debugDir}`);
+  console.log(`   Properties folder: ${config.dataDump.propertiesDir}`);
+  console.log(`   Sessions folder: ${config.dataDump.sessionsDir}`);
+  console.log(`   Workspaces folder: ${config.dataDump.workspacesDir}`);
   
   console.log(`\n📂 Files saved per request:`);
-  console.log(`   - ${DATA_DUMP_DEBUG}\\debug.body`);
-  console.log(`   - ${DATA_DUMP_DEBUG}\\debug.header`);
-  console.log(`   - ${DATA_DUMP_DEBUG}\\debug.properties`);
+  console.log(`   - ${path.join(config.dataDump.debugDir, `${config.files.baseName}.body`)}  (body format: ${config.body.format})`);
+  if (config.body.typedCopy) {
+    console.log(`   - ${path.join(config.dataDump.debugDir, `${config.files.baseName}.<type>`)}  (xml, json, csv, edi, pdf, ...)`);
+  }
+  console.log(`   - ${path.join(config.dataDump.debugDir, `${config.files.baseName}.header`)}`);
+  console.log(`   - ${path.join(config.dataDump.propertiesDir, `${config.files.baseName}.properties`)}`);
+  console.log(`   - ${path.join(config.dataDump.sessionsDir, config.files.sessionFolder)}${path.sep}  (one folder per capture)`);
   
   console.log(`\n${'═'.repeat(60)}`);
   console.log(`✅ Ready to accept requests\n`);
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n\n👋 Shutting down server gracefully...');
-  logger.info(`Process terminated by user`);
-  process.exit(0);
-});
+}
+
+/**
+ * Creates the app and starts listening on config.port / config.host
+ * With https.enabled the certificate is resolved first (see https-certificate.js)
+ *
+ * @param {Object} [options] - createApp options (env and cwd only read when passed), plus:
+ * @param {boolean} [options.banner=true] - Print the startup banner
+ * @param {boolean} [options.handleSignals=false] - Exit the process on SIGINT (the command line does this)
+ * @returns {Promise<{ app: Object, server: http.Server|https.Server, port: number, url: string,
+ *   certificate: Object|null, close: Function }>}
+ *   Rejects when the certificate cannot be loaded or the port cannot be bound; close() resolves once the
+ *   server has stopped
+ */
+function startServer({ banner = true, handleSignals = false, ...options } = {}) {
+  const app = createApp(options);
+  const { config, logger } = app.locals.cpidebug;
+  const certificate = config.https.enabled
+    ? resolveCertificate({ ...config.https, logger })
+    : Promise.resolve(null);
+
+  return certificate.then((tls) => new Promise((resolve, reject) => {
+    const server = tls ? https.createServer({ cert: tls.cert, key: tls.key }, app) : http.createServer(app);
+    server.listen(config.port, config.host);
+    server.once('error', reject);
+    server.once('listening', () => {
+      // Port 0 picks a free port, so report the one actually bound
+      const { port } = server.address();
+      if (banner) {
+        printBanner(app, port, tls);
+      }
+
+      if (handleSignals) {
+        // Graceful shutdown
+        process.once('SIGINT', () => {
+          logger.info(`Shutting down server gracefully (process terminated by user)`);
+          process.exit(0);
+        });
+      }
+
+      resolve({
+        app,
+        server,
+        port,
+        url: `${tls ? 'https' : 'http'}://localhost:${port}`,
+        certificate: tls,
+        close: () => new Promise((done, fail) => {
+          // Open event streams would keep the server from closing, watchers the process from exiting
+          const { events, workspaceWatchers } = app.locals.cpidebug;
+          events.close();
+          for (const watcher of workspaceWatchers.values()) {
+            watcher.close();
+          }
+          workspaceWatchers.clear();
+          server.close((err) => (err ? fail(err) : done()));
+        })
+      });
+    });
+  }));
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+
+  let loadedConfig;
+  try {
+    loadedConfig = loadConfig({ argv });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (loadedConfig.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  if (loadedConfig.printConfig) {
+    const printed = JSON.stringify({ sources: loadedConfig.sources, config: loadedConfig.config }, null, 2);
+    // The token also appears in the default cpiHelper.linkBase
+    const { token } = loadedConfig.config.security;
+    console.log(token ? printed.split(token).join('********') : printed);
+    process.exit(0);
+  }
+
+  startServer({ argv, env: process.env, cwd: process.cwd(), handleSignals: true }).catch((error) => {
+    console.error(`❌ Could not start server: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createApp,
+  startServer
+};
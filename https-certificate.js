@@ -0,0 +1,172 @@
+/**
+ * HTTPS Certificate
+ * Certificate and key for serving HTTPS: a provided PEM pair, or a self-signed localhost certificate
+ * generated on first start and reused afterwards
+ *
+ * Generated files (https.certDir, default ~/.cpidebug/certs):
+ *   localhost.crt  << Self-signed certificate for localhost, 127.0.0.1 and ::1; trust this one in the browser
+ *   localhost.key  << Its private key (readable by the owner only)
+ *
+ * The certificate is kept across restarts so it only has to be trusted once; a new one is generated when
+ * it has expired. "cpidebug cert" prints its SHA-256 fingerprint to compare with what the browser shows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const selfsigned = require('selfsigned');
+const { getDefaultLogger } = require('./logger');
+
+const CERTIFICATE_FILES = {
+  cert: 'localhost.crt',
+  key: 'localhost.key'
+};
+
+// Browsers reject server certificates valid for longer than 825 days
+const VALIDITY_DAYS = 825;
+
+/**
+ * Reads the details of a PEM certificate that matter for trusting it
+ *
+ * @param {string|Buffer} certPem - PEM certificate
+ * @returns {{ subject: string, subjectAltName: string, validFrom: Date, validTo: Date,
+ *   fingerprint256: string, fingerprint: string }} fingerprint is SHA-1, fingerprint256 SHA-256 (colon-separated hex)
+ * @throws {Error} When certPem is not a certificate
+ */
+function describeCertificate(certPem) {
+  const certificate = new crypto.X509Certificate(certPem);
+  return {
+    subject: certificate.subject,
+    subjectAltName: certificate.subjectAltName || '',
+    validFrom: new Date(certificate.validFrom),
+    validTo: new Date(certificate.validTo),
+    fingerprint256: certificate.fingerprint256,
+    fingerprint: certificate.fingerprint
+  };
+}
+
+/**
+ * Reads a certificate/key pair and checks that they belong together
+ *
+ * @throws {Error} When a file cannot be read or the key does not match the certificate
+ */
+function readCertificatePair(certFile, keyFile) {
+  const cert = fs.readFileSync(certFile);
+  const key = fs.readFileSync(keyFile);
+
+  let certificate;
+  try {
+    certificate = new crypto.X509Certificate(cert);
+  } catch (err) {
+    throw new Error(`${certFile} is not a PEM certificate: ${err.message}`);
+  }
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(key);
+  } catch (err) {
+    throw new Error(`${keyFile} is not a PEM private key: ${err.message}`);
+  }
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new Error(`${keyFile} is not the private key of ${certFile}`);
+  }
+  return { cert, key };
+}
+
+/**
+ * Generates a self-signed certificate for localhost, 127.0.0.1 and ::1
+ *
+ * @returns {Promise<{ cert: string, key: string }>} PEM certificate and private key
+ */
+async function generateCertificate() {
+  const notBeforeDate = new Date();
+  const notAfterDate = new Date(notBeforeDate.getTime() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  const pems = await selfsigned.generate([
+    { name: 'commonName', value: 'localhost' },
+    { name: 'organizationName', value: 'CPIDebugLocal' }
+  ], {
+    keySize: 2048,
+    algorithm: 'sha256',
+    notBeforeDate,
+    notAfterDate,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' }
+        ]
+      }
+    ]
+  });
+  return { cert: pems.cert, key: pems.private };
+}
+
+/**
+ * Resolves the certificate to serve HTTPS with
+ * A provided certFile/keyFile pair is used as it is; otherwise the localhost certificate in certDir is
+ * reused, or generated when it is missing or expired
+ *
+ * @param {Object} options
+ * @param {string} [options.certFile] - PEM certificate (together with keyFile)
+ * @param {string} [options.keyFile] - PEM private key
+ * @param {string} [options.certDir] - Folder for the generated certificate (required without certFile)
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ cert: Buffer, key: Buffer, certFile: string, keyFile: string, generated: boolean,
+ *   created: boolean, details: Object }>} generated: self-signed by this module; created: written just now;
+ *   details: see describeCertificate
+ * @throws {Error} When the files cannot be read or do not form a pair
+ */
+async function resolveCertificate({ certFile = null, keyFile = null, certDir = null, logger = getDefaultLogger() }) {
+  if (certFile || keyFile) {
+    if (!certFile || !keyFile) {
+      throw new Error('A provided certificate needs both certFile and keyFile');
+    }
+    const pair = readCertificatePair(certFile, keyFile);
+    const details = describeCertificate(pair.cert);
+    if (details.validTo < new Date()) {
+      logger.warn(`Certificate ${certFile} expired on ${details.validTo.toISOString()}`);
+    }
+    return { ...pair, certFile, keyFile, generated: false, created: false, details };
+  }
+  if (!certDir) {
+    throw new Error('No certificate: set certFile and keyFile, or certDir for a generated one');
+  }
+
+  const generatedCertFile = path.join(certDir, CERTIFICATE_FILES.cert);
+  const generatedKeyFile = path.join(certDir, CERTIFICATE_FILES.key);
+  if (fs.existsSync(generatedCertFile) && fs.existsSync(generatedKeyFile)) {
+    const pair = readCertificatePair(generatedCertFile, generatedKeyFile);
+    const details = describeCertificate(pair.cert);
+    if (details.validTo > new Date()) {
+      return { ...pair, certFile: generatedCertFile, keyFile: generatedKeyFile, generated: true, created: false, details };
+    }
+    logger.warn(`Certificate ${generatedCertFile} expired on ${details.validTo.toISOString()}, generating a new one (trust it again)`);
+  }
+
+  const pems = await generateCertificate();
+  fs.mkdirSync(certDir, { recursive: true });
+  fs.writeFileSync(generatedKeyFile, pems.key, { mode: 0o600 });
+  fs.writeFileSync(generatedCertFile, pems.cert);
+  logger.info(`Generated self-signed certificate ${generatedCertFile}`);
+
+  return {
+    cert: Buffer.from(pems.cert),
+    key: Buffer.from(pems.key),
+    certFile: generatedCertFile,
+    keyFile: generatedKeyFile,
+    generated: true,
+    created: true,
+    details: describeCertificate(pems.cert)
+  };
+}
+
+module.exports = {
+  CERTIFICATE_FILES,
+  describeCertificate,
+  generateCertificate,
+  resolveCertificate
+};
@@ -0,0 +1,201 @@
+/**
+ * IDE Launcher
+ * Builds IDE URLs from a registry of targets and opens them in a browser
+ *
+ * Browsers are started with spawn and an argument list, never through a shell or cmd.exe,
+ * so nothing in the URL (& | ^ % ...) is interpreted by a shell. On Windows the browser
+ * executable is started from its install folder, since "start" would need cmd.exe.
+ *
+ * Browser choices:
+ *   chrome | firefox | edge   << Named browser
+ *   default                   << The OS default opener (open / xdg-open / FileProtocolHandler)
+ *   none                      << Do not launch anything, only return the URL
+ */
+
+const { spawn } = require('child_process');
+
+// Registry of IDE targets; baseUrl can be overridden per call for self-hosted or staging IDEs
+const IDE_TARGETS = {
+  contiva: {
+    name: 'Contiva IDE',
+    baseUrl: 'https://ide.contiva.com',
+    path: '/cpi/script/debug',
+    param: 'data'
+  }
+};
+
+const BROWSERS = ['chrome', 'firefox', 'edge', 'default', 'none'];
+
+/**
+ * Install locations of a Windows browser below the given folders (environment variables),
+ * followed by the bare executable name in case it is on the PATH
+ */
+function windowsBrowserCandidates(relativePath, folderVariables) {
+  return (env) => [
+    ...folderVariables
+      .filter((name) => env[name])
+      .map((name) => [`${env[name].replace(/\\+$/, '')}\\${relativePath}`, []]),
+    [relativePath.slice(relativePath.lastIndexOf('\\') + 1), []]
+  ];
+}
+
+// Candidate executables per platform (win32: functions of the environment); the first one that starts wins
+const BROWSER_COMMANDS = {
+  darwin: {
+    chrome: [['open', ['-a', 'Google Chrome']]],
+    firefox: [['open', ['-a', 'Firefox']]],
+    edge: [['open', ['-a', 'Microsoft Edge']]],
+    default: [['open', []]]
+  },
+  win32: {
+    chrome: windowsBrowserCandidates('Google\\Chrome\\Application\\chrome.exe', ['LOCALAPPDATA', 'ProgramFiles', 'ProgramFiles(x86)']),
+    firefox: windowsBrowserCandidates('Mozilla Firefox\\firefox.exe', ['ProgramFiles', 'ProgramFiles(x86)']),
+    edge: windowsBrowserCandidates('Microsoft\\Edge\\Application\\msedge.exe', ['ProgramFiles(x86)', 'ProgramFiles']),
+    default: () => [['rundll32.exe', ['url.dll,FileProtocolHandler']]]
+  },
+  linux: {
+    chrome: [['google-chrome', []], ['google-chrome-stable', []], ['chromium', []], ['chromium-browser', []]],
+    firefox: [['firefox', []]],
+    edge: [['microsoft-edge', []], ['microsoft-edge-stable', []]],
+    default: [['xdg-open', []]]
+  }
+};
+
+/**
+ * Adds or replaces an IDE target in the registry
+ *
+ * @param {string} id - Target id used in configuration (e.g. 'contiva')
+ * @param {{name: string, baseUrl: string, path: string, param: string}} target
+ */
+function registerIdeTarget(id, target) {
+  IDE_TARGETS[id] = { ...target };
+}
+
+/**
+ * Looks up an IDE target, applying an optional base URL override
+ *
+ * @param {string} [id='contiva'] - Target id
+ * @param {Object} [overrides] - e.g. { baseUrl: 'https://ide.staging.example.com' }
+ * @returns {Object} Target definition including its id
+ */
+function resolveIdeTarget(id = 'contiva', overrides = {}) {
+  const target = IDE_TARGETS[id];
+  if (!target) {
+    throw new Error(`Unknown IDE target "${id}" (known targets: ${Object.keys(IDE_TARGETS).join(', ')})`);
+  }
+
+  const resolved = { id, ...target };
+  if (overrides.baseUrl) {
+    resolved.baseUrl = overrides.baseUrl;
+  }
+  return resolved;
+}
+
+/**
+ * Builds the IDE URL for an encoded payload
+ *
+ * @param {string} encodedData - Already URL-encoded payload
+ * @param {Object} [options]
+ * @param {string} [options.target='contiva'] - IDE target id
+ * @param {string} [options.baseUrl] - Overrides the target's base URL
+ * @returns {string} Full IDE URL
+ */
+function buildIdeUrl(encodedData, { target = 'contiva', baseUrl } = {}) {
+  const ide = resolveIdeTarget(target, { baseUrl });
+  const base = ide.baseUrl.replace(/\/+$/, '');
+  return `${base}${ide.path}?${ide.param}=${encodedData}`;
+}
+
+/**
+ * Returns the launch candidates ([command, args]) for a browser on the current platform
+ * The URL is always the last argument, unchanged
+ */
+function getLaunchCommands(url, browser, platform = process.platform, env = process.env) {
+  const commands = BROWSER_COMMANDS[platform] || BROWSER_COMMANDS.linux;
+  const candidates = commands[browser];
+  if (!candidates) {
+    throw new Error(`Unknown browser "${browser}" (expected one of: ${BROWSERS.join(', ')})`);
+  }
+
+  const list = typeof candidates === 'function' ? candidates(env) : candidates;
+  return list.map(([command, args]) => [command, [...args, url]]);
+}
+
+/**
+ * Starts a single command detached from the server process
+ * Resolves true once the process has spawned, false if the executable was not found
+ */
+function spawnDetached(command, args) {
+  return new Promise((resolve) => {
+    let child;
+    try {
+      child = spawn(command, args, {
+        detached: true,
+        stdio: 'ignore',
+        windowsHide: true
+      });
+    } catch (error) {
+      resolve({ launched: false, error });
+      return;
+    }
+
+    child.once('error', (error) => resolve({ launched: false, error }));
+    child.once('spawn', () => {
+      child.unref();
+      resolve({ launched: true });
+    });
+  });
+}
+
+/**
+ * Opens a URL in the chosen browser
+ *
+ * @param {string} url - URL to open
+ * @param {Object} [options]
+ * @param {string} [options.browser='chrome'] - One of BROWSERS
+ * @returns {Promise<{launched: boolean, browser: string, command?: string, error?: string}>}
+ */
+async function launchBrowser(url, { browser = 'chrome' } = {}) {
+  if (browser === 'none') {
+    return { launched: false, browser };
+  }
+
+  let lastError = null;
+  for (const [command, args] of getLaunchCommands(url, browser)) {
+    const result = await spawnDetached(command, args);
+    if (result.launched) {
+      return { launched: true, browser, command };
+    }
+    lastError = result.error;
+  }
+
+  return { launched: false, browser, error: lastError ? lastError.message : 'No launch command available' };
+}
+
+/**
+ * Builds the IDE URL for an encoded payload and opens it
+ * Never rejects because of the browser: launch failures are reported in the result
+ *
+ * @param {string} encodedData - Already URL-encoded payload
+ * @param {Object} [options]
+ * @param {string} [options.target='contiva'] - IDE target id
+ * @param {string} [options.baseUrl] - Overrides the target's base URL
+ * @param {string} [options.browser='chrome'] - One of BROWSERS ('none' only returns the URL)
+ * @returns {Promise<{url: string, target: string, browser: string, launched: boolean, error?: string}>}
+ */
+async function openInIde(encodedData, { target = 'contiva', baseUrl, browser = 'chrome' } = {}) {
+  const url = buildIdeUrl(encodedData, { target, baseUrl });
+  const launch = await launchBrowser(url, { browser });
+  return { url, target, ...launch };
+}
+
+module.exports = {
+  IDE_TARGETS,
+  BROWSERS,
+  registerIdeTarget,
+  resolveIdeTarget,
+  buildIdeUrl,
+  getLaunchCommands,
+  launchBrowser,
+  openInIde
+};
@@ -0,0 +1,135 @@
+/**
+ * CPIDebugLocal
+ * Library entry point: the server factory plus the codecs and helpers behind it
+ *
+ * Requiring this module has no side effects (no config loading, no dump directory, no listening socket).
+ *
+ * Exports:
+ *   createApp, startServer                     << Express app factory / listen helper (groovy-server.js)
+ *   decodeAny, detectFormat, registerCodec     << Format detection for any encoded input (codec-registry.js)
+ *   decodeGroovyString, encodeGroovyString     << CPI Helper string ⇄ payload (cpihelper-codec.js)
+ *   cpiHelperToContiva, contivaToCpiHelper     << Payload ⇄ Contiva object
+ *   encodeContivaData, decodeContivaData       << Contiva object ⇄ Contiva string (contiva-encoder.js)
+ *   validatePayload, SCHEMAS                   << JSON Schema validation (payload-schemas.js)
+ *   loadScriptLibrary, withScriptLibraries     << Extra script files for the Contiva archive (script-library.js)
+ *   describeBody, formatBody, encodeBody       << Body type, charset and formatting (body-format.js)
+ *   buildAttachmentFiles, loadAttachmentFolder << Attachment files and manifest (attachments.js)
+ *   createCaptureWriter, createCaptureStore    << Writing and browsing captures on disk
+ *   replayCapture, buildReplayRequest          << Sending captures to HTTP endpoints (capture-replay.js)
+ *   createEventHub, subscribeToCaptures        << Live capture feed, server and client side (GET /events)
+ *   exportWorkspace, watchWorkspace            << Editable workspace folders and watch mode (workspace.js)
+ *   createAccessGuard, createRateLimiter, ...  << Token, Host and navigation checks, CORS allowlist, rate and launch limits (security.js)
+ *   resolveCertificate, describeCertificate    << HTTPS certificate, provided or generated (https-certificate.js)
+ *   createRedactor, createLogger, loadConfig   << Building blocks used by createApp
+ *   getDefaultLogger, setDefaultLogger         << Logger used when a function gets no { logger } option (logger.js)
+ */
+
+const { createApp, startServer } = require('./groovy-server');
+const { DecodeError, decodeAny, detectFormat, isDecodedTooLarge, registerCodec } = require('./codec-registry');
+const {
+  buildCaptureFiles,
+  contivaToCpiHelper,
+  cpiHelperToContiva,
+  decodeGroovyString,
+  encodeGroovyString,
+  extractCpiHelperData
+} = require('./cpihelper-codec');
+const { decodeContivaData, encodeContivaData, extractContivaData } = require('./contiva-encoder');
+const { SCHEMAS, formatFieldErrors, validatePayload } = require('./payload-schemas');
+const { loadScriptLibrary, withScriptLibraries } = require('./script-library');
+const { buildAttachmentFiles, loadAttachmentFolder } = require('./attachments');
+const { buildBodyFiles, decodeBody, describeBody, encodeBody, formatBody } = require('./body-format');
+const { createCaptureWriter } = require('./capture-writer');
+const { createCaptureStore } = require('./capture-store');
+const { diffCaptures } = require('./capture-diff');
+const { buildReplayRequest, replayCapture } = require('./capture-replay');
+const { createEventHub } = require('./capture-events');
+const { subscribeToCaptures } = require('./capture-feed-client');
+const { exportWorkspace, loadWorkspace, watchWorkspace } = require('./workspace');
+const { createRedactor } = require('./redaction');
+const {
+  createAccessGuard,
+  createCorsPolicy,
+  createHostGuard,
+  createLaunchLimiter,
+  createNavigationGuard,
+  createRateLimiter
+} = require('./security');
+const { describeCertificate, resolveCertificate } = require('./https-certificate');
+const { createLogger, getDefaultLogger, setDefaultLogger, silentLogger } = require('./logger');
+const { ConfigError, getDefaults, loadConfig } = require('./config');
+const { parseProperties, stringifyProperties } = require('./properties-format');
+const { buildIdeUrl, openInIde, registerIdeTarget } = require('./ide-launcher');
+const { buildOpenApiDocument } = require('./openapi');
+
+module.exports = {
+  // Server
+  createApp,
+  startServer,
+  buildOpenApiDocument,
+
+  // Formats
+  DecodeError,
+  decodeAny,
+  detectFormat,
+  isDecodedTooLarge,
+  registerCodec,
+  buildCaptureFiles,
+  contivaToCpiHelper,
+  cpiHelperToContiva,
+  decodeGroovyString,
+  encodeGroovyString,
+  extractCpiHelperData,
+  decodeContivaData,
+  encodeContivaData,
+  extractContivaData,
+  loadScriptLibrary,
+  withScriptLibraries,
+  buildBodyFiles,
+  decodeBody,
+  describeBody,
+  encodeBody,
+  formatBody,
+  buildAttachmentFiles,
+  loadAttachmentFolder,
+
+  // Validation
+  SCHEMAS,
+  formatFieldErrors,
+  validatePayload,
+
+  // Captures
+  createCaptureWriter,
+  createCaptureStore,
+  diffCaptures,
+  buildReplayRequest,
+  replayCapture,
+  createEventHub,
+  subscribeToCaptures,
+  exportWorkspace,
+  loadWorkspace,
+  watchWorkspace,
+  parseProperties,
+  stringifyProperties,
+
+  // Building blocks
+  ConfigError,
+  getDefaults,
+  loadConfig,
+  createLogger,
+  getDefaultLogger,
+  setDefaultLogger,
+  silentLogger,
+  createRedactor,
+  createAccessGuard,
+  createCorsPolicy,
+  createHostGuard,
+  createNavigationGuard,
+  createRateLimiter,
+  createLaunchLimiter,
+  resolveCertificate,
+  describeCertificate,
+  buildIdeUrl,
+  openInIde,
+  registerIdeTarget
+};
@@ -0,0 +1,158 @@
+/**
+ * Logger
+ * Leveled logging shared by the server and the library modules
+ *
+ * Formats:
+ *   pretty << Human-readable console output with icons (default)
+ *   json   << One JSON object per line, for piping into log tools
+ *
+ * Levels (most to least severe): error, warn, info, debug; 'silent' disables all output.
+ * Context fields (e.g. a request id) come from child() or from the optional context() hook.
+ *
+ * Library functions take a { logger } option; without one they use the shared default logger
+ * (getDefaultLogger), which is created on first use and can be replaced with setDefaultLogger.
+ */
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_FORMATS = ['pretty', 'json'];
+
+const ICONS = {
+  error: '❌',
+  warn: '⚠️ ',
+  info: 'ℹ️ ',
+  success: '✅',
+  debug: '🔍'
+};
+
+/**
+ * Creates a logger
+ *
+ * @param {Object} [options]
+ * @param {string} [options.level='info'] - error | warn | info | debug | silent
+ * @param {string} [options.format='pretty'] - pretty | json
+ * @param {Object} [options.fields] - Fields added to every entry (json) or shown as a prefix (pretty)
+ * @param {Function} [options.context] - Returns extra fields per entry, e.g. from AsyncLocalStorage
+ * @param {Object} [options.output] - Object with log/error functions (defaults to console)
+ * @returns {Object} Logger with error, warn, info, success, debug, section, table and child
+ */
+function createLogger({
+  level = 'info',
+  format = 'pretty',
+  fields = {},
+  context = null,
+  output = console
+} = {}) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected one of: ${LOG_FORMATS.join(', ')})`);
+  }
+
+  const threshold = LEVELS[level];
+
+  function isLevelEnabled(entryLevel) {
+    return LEVELS[entryLevel] <= threshold;
+  }
+
+  function entryFields() {
+    return { ...fields, ...(context ? context() : null) };
+  }
+
+  function write(entryLevel, icon, msg, extra) {
+    if (!isLevelEnabled(entryLevel)) {
+      return;
+    }
+    const print = entryLevel === 'error' || entryLevel === 'warn' ? output.error : output.log;
+    const allFields = entryFields();
+
+    if (format === 'json') {
+      print(JSON.stringify({
+        time: new Date().toISOString(),
+        level: entryLevel,
+        msg: String(msg).trim(),
+        ...allFields,
+        ...extra
+      }));
+      return;
+    }
+
+    const prefix = allFields.requestId ? `[${allFields.requestId}] ` : '';
+    print(`   ${icon} ${prefix}${msg}`);
+  }
+
+  return {
+    level,
+    format,
+    isLevelEnabled,
+    error: (msg, extra) => write('error', ICONS.error, msg, extra),
+    warn: (msg, extra) => write('warn', ICONS.warn, msg, extra),
+    info: (msg, extra) => write('info', ICONS.info, msg, extra),
+    success: (msg, extra) => write('info', ICONS.success, msg, extra),
+    debug: (msg, extra) => write('debug', ICONS.debug, msg, extra),
+    section: (msg) => {
+      if (!isLevelEnabled('info')) {
+        return;
+      }
+      if (format === 'json') {
+        write('info', '', msg);
+      } else {
+        output.log(`\n${'═'.repeat(60)}\n${msg}\n${'═'.repeat(60)}`);
+      }
+    },
+    table: (title, data) => {
+      if (!isLevelEnabled('info')) {
+        return;
+      }
+      if (format === 'json') {
+        write('info', '', title, { data });
+        return;
+      }
+      output.log(`   📊 ${title}:`);
+      Object.entries(data).forEach(([key, value]) => {
+        output.log(`      ${key}: ${value}`);
+      });
+    },
+    child: (childFields) => createLogger({
+      level,
+      format,
+      fields: { ...fields, ...childFields },
+      context,
+      output
+    })
+  };
+}
+
+// Logger that drops everything, for library users who want no console output
+const silentLogger = createLogger({ level: 'silent' });
+
+// Shared by all library modules; null until first used or set
+let defaultLogger = null;
+
+/**
+ * Returns the logger library functions use when no { logger } option is passed (info level, pretty)
+ */
+function getDefaultLogger() {
+  if (!defaultLogger) {
+    defaultLogger = createLogger({ level: 'info' });
+  }
+  return defaultLogger;
+}
+
+/**
+ * Replaces the default logger for all library modules, e.g. setDefaultLogger(silentLogger)
+ *
+ * @param {Object|null} logger - Logger from createLogger; null restores the built-in default
+ */
+function setDefaultLogger(logger) {
+  defaultLogger = logger;
+}
+
+module.exports = {
+  LEVELS,
+  LOG_FORMATS,
+  createLogger,
+  getDefaultLogger,
+  setDefaultLogger,
+  silentLogger
+};
@@ -0,0 +1,668 @@
+/**
+ * OpenAPI Description
+ * Builds the OpenAPI 3.1 document for every server route, served at GET /openapi.json
+ *
+ * The payload schemas come from payload-schemas.js, so the document always matches
+ * what the endpoints validate against.
+ */
+
+const { BODY_TYPES } = require('./body-format');
+const { SCHEMAS } = require('./payload-schemas');
+const { MAX_REPEAT, REPLAY_METHODS } = require('./capture-replay');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const zip = (description) => ({ description, content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } });
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const queryParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+
+const REDACT_PARAMS = [
+  queryParam('redact', 'false returns and saves raw data unless redaction.allowBypass is false (also the "X-Redact: false" header)', { type: 'boolean' }),
+  { name: 'X-Redact', in: 'header', required: false, description: 'false returns and saves raw data unless redaction.allowBypass is false', schema: { type: 'string' } }
+];
+const STRICT_PARAM = queryParam('strict', 'Overrides validation.strict: reject payloads that do not match the schemas', { type: 'boolean' });
+const PAYLOAD_PARAMS = [...REDACT_PARAMS, STRICT_PARAM];
+const STAGING_PAGE = { description: 'Staging form with the converted data; nothing is sent to the IDE yet', content: { 'text/html': { schema: { type: 'string' } } } };
+
+const ERRORS = {
+  400: json(ref('ErrorResponse'), 'Missing or undecodable input'),
+  422: json({ oneOf: [ref('ValidationErrorResponse'), ref('DecodeErrorResponse')] }, 'Rejected by strict validation, or format not recognized')
+};
+const NOT_FOUND = { 404: json(ref('ErrorResponse'), 'Capture session not found') };
+const TOO_LARGE = { 413: json(ref('ErrorResponse'), 'Body larger than limits.body (or upload larger than limits.upload), or data decompressing to more than 10 × limits.body') };
+
+// Loosely described response shapes; the payload schemas are the strict part
+const DECODE_RESULT = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    data: ref('CpiHelperPayload'),
+    redacted: { type: 'boolean' },
+    validation: ref('ValidationReport'),
+    captureId: { type: ['string', 'null'] },
+    files: { type: ['object', 'null'], description: 'Paths of the latest files: body, typedBody (debug.xml, debug.pdf, ...), header, properties' },
+    timestamp: { type: 'string', format: 'date-time' }
+  }
+};
+const CONTIVA_RESULT = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    captureId: { type: ['string', 'null'] },
+    redacted: { type: 'boolean' },
+    validation: ref('ValidationReport'),
+    contivaData: ref('ContivaData'),
+    encoded: { type: 'string', description: 'First 100 characters of the Contiva string' },
+    encodedLength: { type: 'integer' },
+    url: { type: 'string', description: 'IDE URL' },
+    launched: { type: 'boolean' },
+    browser: { type: 'string' },
+    warning: { type: 'string', description: 'Why the browser could not be opened' }
+  }
+};
+const ENCODED_INPUT = {
+  type: 'object',
+  description: 'Encoded string or link in any format POST /decode detects',
+  properties: {
+    data: { type: 'string' },
+    link: { type: 'string' }
+  }
+};
+
+/**
+ * Copies a payload schema for use as an OpenAPI component ($id is not needed there)
+ */
+function toComponent(schema) {
+  const { $id, ...component } = schema;
+  return component;
+}
+
+/**
+ * Builds the OpenAPI document
+ *
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl] - Base URL listed under "servers" (e.g. http://localhost:4004)
+ * @param {string} [options.version] - API version (package.json version)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument({ serverUrl, version = '1.0.0' } = {}) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'CPIDebugLocal',
+      version,
+      description: 'Receives CPI Helper debug data, saves it for CPIViewer and hands it to the Contiva IDE. ' +
+        'Payloads are validated against the CpiHelperPayload and ContivaData schemas; responses carry a ' +
+        '"validation" report, and strict mode (validation.strict or ?strict=true) rejects invalid payloads with 422. ' +
+        'With security.token set, every route except /health requires the token (401 otherwise); requests from origins ' +
+        'outside security.corsOrigins, with a Host header not naming this machine (security.allowedHosts), or loading a ' +
+        'capture or launch URL from another site other than as a page navigation get 403; clients over security.rateLimit get 429.'
+    },
+    // Only enforced when security.token is set; the empty entry keeps the token optional in this description
+    security: [{}, { bearerToken: [] }, { tokenHeader: [] }, { tokenQuery: [] }],
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths: {
+      '/debug/{data}': {
+        get: {
+          summary: 'Decode a CPI Helper string and save it as a capture',
+          parameters: [pathParam('data', 'CPI Helper string'), ...PAYLOAD_PARAMS],
+          responses: { 200: json(DECODE_RESULT), ...ERRORS }
+        }
+      },
+      '/debug': {
+        post: {
+          summary: 'Decode a CPI Helper string from the body and save it as a capture',
+          parameters: PAYLOAD_PARAMS,
+          requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['data'], properties: { data: { type: 'string' } } } } } },
+          responses: { 200: json(DECODE_RESULT), ...ERRORS, ...TOO_LARGE }
+        }
+      },
+      '/decode': {
+        post: {
+          summary: 'Detect the format of any encoded string or link, decode it and save it as a capture',
+          parameters: PAYLOAD_PARAMS,
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': { schema: { oneOf: [ENCODED_INPUT, ref('CpiHelperPayload'), ref('ContivaData')] } },
+              'text/plain': { schema: { type: 'string' } }
+            }
+          },
+          responses: {
+            200: json({
+              allOf: [DECODE_RESULT, {
+                type: 'object',
+                properties: {
+                  format: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, reason: { type: 'string' } } },
+                  link: { type: ['object', 'null'] },
+                  contivaData: { oneOf: [ref('ContivaData'), { type: 'null' }] }
+                }
+              }]
+            }),
+            ...ERRORS,
+            ...TOO_LARGE
+          }
+        }
+      },
+      '/contiva/{data}': {
+        get: {
+          summary: 'Convert a CPI Helper string to Contiva format, save it and open the IDE (or show the staging form)',
+          parameters: [
+            pathParam('data', 'CPI Helper string'),
+            ...PAYLOAD_PARAMS,
+            queryParam('stage', 'Overrides ide.staging: show the editable staging form instead of opening the IDE', { type: 'boolean' })
+          ],
+          responses: {
+            200: {
+              description: 'Result of opening the IDE, or the staging form (text/html) when staging',
+              content: { 'application/json': { schema: CONTIVA_RESULT }, ...STAGING_PAGE.content }
+            },
+            ...ERRORS
+          }
+        }
+      },
+      '/contiva/stage/{data}': {
+        get: {
+          summary: 'Convert a CPI Helper string, save it and show the staging form to edit it before opening the IDE',
+          parameters: [pathParam('data', 'CPI Helper string'), ...PAYLOAD_PARAMS],
+          responses: { 200: STAGING_PAGE, ...ERRORS }
+        }
+      },
+      '/contiva/stage': {
+        get: {
+          summary: 'Usage hint for a staging link without data',
+          responses: { 400: json(ref('ErrorResponse'), 'Missing CPI Helper data after /contiva/stage/') }
+        }
+      },
+      '/contiva/send': {
+        post: {
+          summary: 'Save the edited Contiva object of the staging form as a capture, encode it and open the IDE',
+          parameters: PAYLOAD_PARAMS,
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['contivaData'],
+                  properties: {
+                    contivaData: ref('ContivaData'),
+                    captureId: { type: ['string', 'null'], description: 'Capture the staging form was opened for' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: json({ allOf: [CONTIVA_RESULT, { type: 'object', properties: { stagedFrom: { type: ['string', 'null'] } } }] }),
+            ...ERRORS,
+            ...TOO_LARGE
+          }
+        }
+      },
+      '/contiva': {
+        post: {
+          summary: 'Same as GET /contiva/{data} for payloads too large for a URL',
+          parameters: PAYLOAD_PARAMS,
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': { schema: { oneOf: [ref('CpiHelperPayload'), ENCODED_INPUT] } },
+              'text/plain': { schema: { type: 'string' } },
+              'multipart/form-data': { schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } } } }
+            }
+          },
+          responses: { 200: json(CONTIVA_RESULT), ...ERRORS, ...TOO_LARGE }
+        }
+      },
+      '/contiva/test': {
+        get: {
+          summary: 'Self-test: encode fixed Contiva data, verify the round trip and open the IDE',
+          responses: { 200: json({ type: 'object' }), 500: json(ref('ErrorResponse'), 'Round trip failed') }
+        }
+      },
+      '/contiva/decode': {
+        post: {
+          summary: 'Decode a Contiva IDE link back into a Contiva object and save it as a capture',
+          parameters: REDACT_PARAMS,
+          requestBody: { required: true, content: { 'application/json': { schema: ENCODED_INPUT } } },
+          responses: {
+            200: json({ allOf: [DECODE_RESULT, { type: 'object', properties: { contivaData: ref('ContivaData') } }] }),
+            ...ERRORS,
+            ...TOO_LARGE
+          }
+        }
+      },
+      '/cpihelper': {
+        post: {
+          summary: 'Convert a Contiva object (or link) back into a CPI Helper string and link',
+          parameters: PAYLOAD_PARAMS,
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    ref('ContivaData'),
+                    { type: 'object', required: ['contivaData'], properties: { contivaData: ref('ContivaData') } },
+                    ENCODED_INPUT
+                  ]
+                }
+              }
+            }
+          },
+          responses: {
+            200: json({
+              allOf: [DECODE_RESULT, {
+                type: 'object',
+                properties: { encoded: { type: 'string' }, encodedLength: { type: 'integer' }, link: { type: 'string' } }
+              }]
+            }),
+            ...ERRORS,
+            ...TOO_LARGE
+          }
+        }
+      },
+      '/import': {
+        post: {
+          summary: 'Rebuild a capture from edited debug.body / debug.header / debug.properties files',
+          parameters: PAYLOAD_PARAMS,
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'string', description: '"latest" (Debug folder) or a session id' },
+                    body: { type: 'string' },
+                    header: { type: 'string', description: '.properties text' },
+                    properties: { type: 'string', description: '.properties text' },
+                    script: { type: 'string' },
+                    functionName: { type: 'string' },
+                    attachments: { ...SCHEMAS.CpiHelperPayload.properties.input.properties.attachments, description: 'Replaces the attachments/ folder' },
+                    openInContiva: { type: 'boolean' }
+                  }
+                }
+              }
+            }
+          },
+          responses: { 200: json(DECODE_RESULT), ...ERRORS, ...NOT_FOUND }
+        }
+      },
+      '/project/{data}': {
+        get: {
+          summary: 'Download a Groovy test project (ZIP) for a CPI Helper string',
+          parameters: [pathParam('data', 'CPI Helper string'), queryParam('name', 'Project name'), ...PAYLOAD_PARAMS],
+          responses: { 200: zip('Gradle/Spock project; X-Validation-Errors holds the number of schema problems'), ...ERRORS }
+        }
+      },
+      '/project': {
+        post: {
+          summary: 'Download a Groovy test project (ZIP) for a payload',
+          parameters: PAYLOAD_PARAMS,
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    ref('CpiHelperPayload'),
+                    { type: 'object', required: ['data'], properties: { data: { type: 'string' }, projectName: { type: 'string' } } }
+                  ]
+                }
+              }
+            }
+          },
+          responses: { 200: zip('Gradle/Spock project; X-Validation-Errors holds the number of schema problems'), ...ERRORS, ...TOO_LARGE }
+        }
+      },
+      '/sessions': {
+        get: {
+          summary: 'List saved capture sessions, newest first',
+          responses: { 200: json({ type: 'object', properties: { count: { type: 'integer' }, sessions: { type: 'array', items: ref('CaptureSummary') } } }) }
+        }
+      },
+      '/sessions/{id}': {
+        get: {
+          summary: 'Fetch a capture session with its payload, encoded string and CPI Helper link',
+          parameters: [pathParam('id', 'Session id')],
+          responses: {
+            200: json({
+              type: 'object',
+              properties: {
+                session: { allOf: [ref('CaptureSummary'), { type: 'object', properties: { payload: ref('CpiHelperPayload') } }] },
+                cpiHelperLink: { type: 'string' }
+              }
+            }),
+            ...NOT_FOUND
+          }
+        },
+        delete: {
+          summary: 'Delete a capture session',
+          parameters: [pathParam('id', 'Session id')],
+          responses: { 200: json({ type: 'object' }), ...NOT_FOUND }
+        }
+      },
+      '/sessions/{id}/files/{name}': {
+        get: {
+          summary: 'Download one file of a capture session (e.g. debug.body, script.groovy)',
+          parameters: [pathParam('id', 'Session id'), pathParam('name', 'File name')],
+          responses: { 200: { description: 'File content', content: { 'text/plain': { schema: { type: 'string' } } } }, ...NOT_FOUND }
+        }
+      },
+      '/sessions/{id}/contiva': {
+        post: {
+          summary: 'Re-open a capture session in the IDE',
+          parameters: [pathParam('id', 'Session id')],
+          responses: { 200: json(CONTIVA_RESULT), ...NOT_FOUND }
+        }
+      },
+      '/sessions/{id}/replay': {
+        post: {
+          summary: 'Send a capture session to an HTTP endpoint and save the responses in the session',
+          parameters: [pathParam('id', 'Session id'), ...REDACT_PARAMS],
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  description: 'Every field defaults to the replay configuration',
+                  properties: {
+                    url: { type: 'string', description: 'Target URL (default replay.url); this machine, the host of replay.url or a host in replay.allowedHosts' },
+                    method: { type: 'string', enum: REPLAY_METHODS },
+                    contentType: { type: 'string', description: 'Content-Type override' },
+                    includeProperties: { type: 'boolean', description: 'Send properties as <propertyPrefix><name> headers' },
+                    propertyPrefix: { type: 'string' },
+                    repeat: { type: 'integer', minimum: 1, maximum: MAX_REPEAT },
+                    headers: { type: 'object', additionalProperties: { type: 'string' }, description: 'Extra headers, applied last' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: json({
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                message: { type: 'string' },
+                id: { type: 'string' },
+                file: { type: 'string', description: 'Saved result, e.g. replays/20250101_120000_000.json' },
+                replay: ref('ReplayResult')
+              }
+            }),
+            400: json(ref('ErrorResponse'), 'No replay URL, or invalid URL, method or repeat count'),
+            403: json(ref('ErrorResponse'), 'Target host not allowed (see replay.allowedHosts)'),
+            ...NOT_FOUND
+          }
+        }
+      },
+      '/sessions/{id}/project': {
+        get: {
+          summary: 'Download the test project (ZIP) for a capture session',
+          parameters: [pathParam('id', 'Session id'), queryParam('name', 'Project name')],
+          responses: { 200: zip('Gradle/Spock project'), ...NOT_FOUND }
+        }
+      },
+      '/sessions/{id}/diff/{otherId}': {
+        get: {
+          summary: 'Compare two capture sessions',
+          parameters: [pathParam('id', 'Left session id'), pathParam('otherId', 'Right session id'), queryParam('pretty', 'false compares bodies without pretty-printing', { type: 'boolean' })],
+          responses: { 200: json(ref('DiffResult')), ...NOT_FOUND }
+        }
+      },
+      '/sessions/{id}/diff': {
+        post: {
+          summary: 'Compare a capture session with an uploaded payload',
+          parameters: [pathParam('id', 'Session id'), ...PAYLOAD_PARAMS],
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: { oneOf: [ref('CpiHelperPayload'), { type: 'object', required: ['data'], properties: { data: { type: 'string' } } }] }
+              }
+            }
+          },
+          responses: {
+            200: json({ allOf: [ref('DiffResult'), { type: 'object', properties: { validation: ref('ValidationReport') } }] }),
+            ...ERRORS,
+            ...NOT_FOUND
+          }
+        }
+      },
+      '/sessions/{id}/workspace': {
+        post: {
+          summary: 'Export a capture session as an editable workspace folder, optionally watching it',
+          description: 'Writes script.groovy, body, headers.properties, properties.properties and workspace.json to ' +
+            '<dataDump.workspacesDir>/<id>. While watched, every burst of saves becomes a new capture (source "workspace") ' +
+            'and a fresh IDE URL, published as capture / capture-status events on GET /events.',
+          parameters: [pathParam('id', 'Session id')],
+          requestBody: {
+            required: false,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    watch: { type: 'boolean', description: 'Rebuild the IDE URL whenever a workspace file is saved' },
+                    open: { type: 'boolean', description: 'Also open every rebuilt URL in ide.browser' },
+                    debounceMs: { type: 'integer', minimum: 0, maximum: 60000, description: 'Quiet time after the last save (default 300)' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: json({
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                id: { type: 'string' },
+                dir: { type: 'string' },
+                files: { type: 'array', items: { type: 'string' } },
+                watching: { type: 'boolean' },
+                open: { type: 'boolean' }
+              }
+            }),
+            400: json(ref('ErrorResponse'), 'Invalid debounceMs'),
+            ...NOT_FOUND
+          }
+        },
+        delete: {
+          summary: 'Stop watching a workspace (its files are kept)',
+          parameters: [pathParam('id', 'Session id')],
+          responses: { 200: json({ type: 'object' }), 404: json(ref('ErrorResponse'), 'Workspace is not being watched') }
+        }
+      },
+      '/events': {
+        get: {
+          summary: 'Live capture feed (Server-Sent Events)',
+          description: 'Each message has "id", "event" (capture or capture-status) and "data" fields; data holds the ' +
+            'event as JSON { id, type, time, data }. capture data is the capture summary plus captureId, source, ' +
+            'redacted and scriptName; capture-status data is { captureId, saved, error, launch }.',
+          parameters: [
+            queryParam('replay', 'Recorded events to send before live ones (0 to events.history)', { type: 'integer', minimum: 0 }),
+            queryParam('lastEventId', 'Send the recorded events after this id (same as the Last-Event-ID header)'),
+            { name: 'Last-Event-ID', in: 'header', required: false, description: 'Set by EventSource when reconnecting', schema: { type: 'string' } }
+          ],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            400: json(ref('ErrorResponse'), 'replay out of range')
+          }
+        }
+      },
+      '/echo': {
+        summary: 'Stand-in target for replays: answers with the request it received',
+        ...Object.fromEntries(['get', 'post', 'put', 'patch', 'delete'].map((method) => [method, {
+          parameters: REDACT_PARAMS,
+          responses: {
+            200: json({
+              type: 'object',
+              properties: {
+                method: { type: 'string' },
+                path: { type: 'string', description: 'Without the access token' },
+                headers: { type: 'object', description: 'Received headers except credentials, masked with the redaction rules' },
+                removedHeaders: { type: 'array', items: { type: 'string' }, description: 'Authorization, Cookie and token headers left out' },
+                body: { type: 'string', description: 'Masked with the redaction rules' },
+                redacted: { type: 'boolean' }
+              }
+            })
+          }
+        }]))
+      },
+      '/': {
+        get: {
+          summary: 'Welcome page with usage information and links to the dashboard and this document',
+          responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: { 200: json({ type: 'object' }) }
+        }
+      },
+      '/health': {
+        get: {
+          summary: 'Health check',
+          responses: {
+            200: json({ type: 'object', properties: { status: { type: 'string' }, uptime: { type: 'number' } } })
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerToken: { type: 'http', scheme: 'bearer', description: 'security.token' },
+        tokenHeader: { type: 'apiKey', in: 'header', name: 'X-CPIDebug-Token' },
+        tokenQuery: { type: 'apiKey', in: 'query', name: 'token', description: 'Also accepted as a /token/<token>/ path prefix' }
+      },
+      schemas: {
+        ...Object.fromEntries(Object.entries(SCHEMAS).map(([name, schema]) => [name, toComponent(schema)])),
+        ValidationReport: {
+          type: 'object',
+          properties: {
+            schema: { type: 'string', enum: Object.keys(SCHEMAS) },
+            valid: { type: 'boolean' },
+            strict: { type: 'boolean' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string', description: 'Dotted field path, "" for the document itself' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        ReplayResult: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            method: { type: 'string' },
+            startedAt: { type: 'string', format: 'date-time' },
+            request: {
+              type: 'object',
+              properties: {
+                headers: { type: 'object', additionalProperties: { type: 'string' } },
+                bodyLength: { type: 'integer' },
+                skippedHeaders: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, reason: { type: 'string' } } } }
+              }
+            },
+            responses: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'integer' },
+                  status: { type: ['integer', 'null'] },
+                  statusText: { type: 'string' },
+                  headers: { type: 'object' },
+                  body: { type: 'string' },
+                  error: { type: 'string', description: 'Network error or timeout' },
+                  durationMs: { type: 'integer' }
+                }
+              }
+            },
+            summary: {
+              type: 'object',
+              properties: { attempts: { type: 'integer' }, succeeded: { type: 'integer' }, failed: { type: 'integer' }, statuses: { type: 'array' } }
+            }
+          }
+        },
+        ErrorResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: false },
+            message: { type: 'string' },
+            error: { type: 'string' },
+            hint: { type: ['string', 'null'], description: 'Suggests POST /decode when the input looks like another format' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        },
+        ValidationErrorResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: false },
+            message: { type: 'string' },
+            validation: { $ref: '#/components/schemas/ValidationReport' }
+          }
+        },
+        DecodeErrorResponse: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: false },
+            message: { type: 'string' },
+            error: { type: 'string' },
+            diagnostics: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { id: { type: 'string' }, name: { type: 'string' }, reason: { type: 'string' }, error: { type: 'string' } }
+              }
+            }
+          }
+        },
+        CaptureSummary: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            source: { type: 'string' },
+            redacted: { type: 'boolean' },
+            functionName: { type: ['string', 'null'] },
+            messageProcessingLogId: { type: ['string', 'null'] },
+            bodyLength: { type: 'integer' },
+            bodyType: { type: 'string', enum: Object.keys(BODY_TYPES), description: 'Detected body type (captures saved before type detection have none)' },
+            headerCount: { type: 'integer' },
+            propertyCount: { type: 'integer' },
+            attachmentCount: { type: 'integer' },
+            scriptLength: { type: 'integer' },
+            encodedLength: { type: 'integer' }
+          }
+        },
+        DiffResult: {
+          type: 'object',
+          properties: {
+            left: { type: 'object' },
+            right: { type: 'object' },
+            diff: {
+              type: 'object',
+              description: 'body, script, headers and properties sections plus a summary (see capture-diff.js)'
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
@@ -0,0 +1,161 @@
+/**
+ * Payload Schemas
+ * JSON Schemas for the CPI Helper payload and the Contiva object, with field-level validation
+ *
+ * Schemas:
+ *   CpiHelperPayload   << { input: { body, headers, properties, attachments? }, script: { code, function, libraries? } }
+ *   ContivaData        << { currentSessionType, scriptInput, script, functionName, headers, properties, libraries?, attachments? }
+ *
+ * Validation reports every problem at once as { path, message } pairs, where path is a
+ * dotted field path (e.g. "input.headers") and "" means the document itself.
+ */
+
+const Ajv = require('ajv');
+const { ATTACHMENT_CONTENT_PATTERN } = require('./attachments');
+const { LIBRARY_NAME_PATTERN } = require('./script-library');
+
+// Groovy method name the IDE calls (processData by default)
+const FUNCTION_NAME_PATTERN = '^[A-Za-z_$][A-Za-z0-9_$]*$';
+
+// Header and property values are usually strings, but CPI Helper passes through whatever the message held
+const NAME_VALUE_MAP = {
+  type: 'object',
+  description: 'Name → value map',
+  additionalProperties: true
+};
+
+// Extra Groovy files shipped with the script (see script-library.js); codeField is "code" or "script"
+function libraryList(codeField) {
+  return {
+    type: 'array',
+    description: 'Additional script files (shared script collections, helper classes)',
+    items: {
+      type: 'object',
+      required: ['name', codeField],
+      properties: {
+        name: { type: 'string', pattern: LIBRARY_NAME_PATTERN.source, description: 'Relative path, e.g. com/acme/Mapper.groovy' },
+        [codeField]: { type: 'string', description: 'Groovy source' }
+      }
+    }
+  };
+}
+
+// Message attachments (see attachments.js); the same shape in both schemas
+const ATTACHMENT_LIST = {
+  type: 'array',
+  description: 'Message attachments',
+  items: {
+    type: 'object',
+    required: ['name', 'content'],
+    properties: {
+      name: { type: 'string', minLength: 1, description: 'Attachment name, e.g. invoice.pdf' },
+      contentType: { type: 'string', description: 'MIME type (default application/octet-stream)' },
+      content: { type: 'string', pattern: ATTACHMENT_CONTENT_PATTERN.source, description: 'Content, Base64-encoded' }
+    }
+  }
+};
+
+const CPIHELPER_PAYLOAD_SCHEMA = {
+  $id: 'CpiHelperPayload',
+  title: 'CPI Helper payload',
+  description: 'Decoded CPI Helper / Groovy IDE string',
+  type: 'object',
+  required: ['input', 'script'],
+  properties: {
+    input: {
+      type: 'object',
+      required: ['body'],
+      properties: {
+        body: { type: 'string', description: 'Message body as text' },
+        headers: NAME_VALUE_MAP,
+        properties: NAME_VALUE_MAP,
+        attachments: ATTACHMENT_LIST
+      }
+    },
+    script: {
+      type: 'object',
+      required: ['code'],
+      properties: {
+        code: { type: 'string', description: 'Groovy script source' },
+        function: { type: 'string', pattern: FUNCTION_NAME_PATTERN, description: 'Function to call (default processData)' },
+        libraries: libraryList('code')
+      }
+    }
+  }
+};
+
+const CONTIVA_DATA_SCHEMA = {
+  $id: 'ContivaData',
+  title: 'Contiva object',
+  description: 'data.json inside the Contiva IDE archive',
+  type: 'object',
+  required: ['currentSessionType', 'scriptInput', 'script', 'functionName', 'headers', 'properties'],
+  properties: {
+    currentSessionType: { type: 'string', description: 'Session type, "groovy" for scripts' },
+    scriptInput: { type: 'string', description: 'Message body as text' },
+    script: { type: 'string', description: 'Groovy script source' },
+    functionName: { type: 'string', pattern: FUNCTION_NAME_PATTERN },
+    headers: NAME_VALUE_MAP,
+    properties: NAME_VALUE_MAP,
+    libraries: libraryList('script'),
+    attachments: ATTACHMENT_LIST
+  }
+};
+
+const SCHEMAS = {
+  CpiHelperPayload: CPIHELPER_PAYLOAD_SCHEMA,
+  ContivaData: CONTIVA_DATA_SCHEMA
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([name, schema]) => [name, ajv.compile(schema)])
+);
+
+/**
+ * Converts an ajv error to { path, message } with a dotted path
+ */
+function toFieldError(error) {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+  const message = error.keyword === 'required' ? 'is required' : error.message;
+  return { path: segments.join('.'), message };
+}
+
+/**
+ * Validates data against one of the schemas
+ *
+ * @param {string} name - Schema name: 'CpiHelperPayload' or 'ContivaData'
+ * @param {*} data - Value to check
+ * @returns {{ valid: boolean, errors: Array<{path: string, message: string}> }}
+ */
+function validatePayload(name, data) {
+  const validate = validators[name];
+  if (!validate) {
+    throw new Error(`Unknown schema "${name}" (known schemas: ${Object.keys(SCHEMAS).join(', ')})`);
+  }
+  if (validate(data)) {
+    return { valid: true, errors: [] };
+  }
+  return { valid: false, errors: validate.errors.map(toFieldError) };
+}
+
+/**
+ * Formats field errors as one line each, e.g. "input.body: must be string"
+ */
+function formatFieldErrors(errors) {
+  return errors.map((error) => `${error.path || '(document)'}: ${error.message}`);
+}
+
+module.exports = {
+  CONTIVA_DATA_SCHEMA,
+  CPIHELPER_PAYLOAD_SCHEMA,
+  SCHEMAS,
+  formatFieldErrors,
+  validatePayload
+};
@@ -0,0 +1,205 @@
+/**
+ * Properties Format
+ * Reads and writes Java .properties files as java.util.Properties store()/load() do
+ *
+ * Writing:
+ *   - "\" and the separators "=", ":", "#", "!" are escaped; spaces in keys and leading spaces in values too
+ *   - Tab, newline, carriage return and form feed become \t \n \r \f
+ *   - Other characters outside printable ASCII become \uXXXX (surrogate pairs as two escapes)
+ *   - Nested objects and arrays are flattened to dotted keys (a.b, list.0), since properties are flat strings
+ *
+ * Reading supports "=", ":" and whitespace separators, "#"/"!" comments, line continuations and all escapes.
+ */
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const CONTROL_ESCAPES = { '\t': '\\t', '\n': '\\n', '\r': '\\r', '\f': '\\f' };
+const UNESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+/**
+ * Formats a date like java.util.Date#toString in UTC: "Wed Jan 14 11:53:18 UTC 2026"
+ */
+function formatJavaDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC ${date.getUTCFullYear()}`;
+}
+
+function toUnicodeEscape(char) {
+  return `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+}
+
+/**
+ * Escapes a key or value (Properties.saveConvert with escapeUnicode)
+ */
+function escapeText(text, isKey) {
+  let result = '';
+  // Iterate UTF-16 code units so astral characters come out as two \u escapes, as in Java
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const code = text.charCodeAt(i);
+
+    if (char === ' ') {
+      result += i === 0 || isKey ? '\\ ' : ' ';
+    } else if (CONTROL_ESCAPES[char]) {
+      result += CONTROL_ESCAPES[char];
+    } else if ('\\=:#!'.includes(char)) {
+      result += `\\${char}`;
+    } else if (code < 0x20 || code > 0x7e) {
+      result += toUnicodeEscape(char);
+    } else {
+      result += char;
+    }
+  }
+  return result;
+}
+
+/**
+ * Writes a comment; embedded line breaks start new comment lines (Properties.writeComments)
+ */
+function formatComment(comment) {
+  return String(comment)
+    .split(/\r\n|\r|\n/)
+    .map((line) => {
+      const escaped = line.replace(/[^\x20-\x7e]/g, (char) => (char.charCodeAt(0) <= 0xff ? char : toUnicodeEscape(char)));
+      return /^[#!]/.test(escaped) ? escaped : `#${escaped}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Flattens nested objects and arrays into dotted keys; null and undefined become empty strings
+ */
+function flattenEntries(obj, prefix = '', entries = []) {
+  for (const [key, value] of Object.entries(obj)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+      flattenEntries(value, fullKey, entries);
+    } else if (value !== null && typeof value === 'object') {
+      entries.push([fullKey, '']);
+    } else {
+      entries.push([fullKey, value == null ? '' : String(value)]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Serializes an object to .properties text
+ *
+ * @param {Object} obj - Entries to write (nested values are flattened to dotted keys)
+ * @param {Object} [options]
+ * @param {string} [options.comment] - Comment written on the first line (e.g. "Header Contents")
+ * @param {Date|false} [options.date] - Date comment as written by Properties.store; false to omit
+ * @returns {string}
+ */
+function stringifyProperties(obj, { comment, date = new Date() } = {}) {
+  const lines = [];
+  if (comment) {
+    lines.push(formatComment(comment));
+  }
+  if (date) {
+    lines.push(`#${formatJavaDate(date)}`);
+  }
+  if (obj !== null && typeof obj === 'object') {
+    for (const [key, value] of flattenEntries(obj)) {
+      lines.push(`${escapeText(key, true)}=${escapeText(value, false)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Splits text into logical lines: comments and blank lines dropped, continuations joined
+ */
+function readLogicalLines(text) {
+  const physical = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const logical = [];
+  let current = null;
+
+  for (const rawLine of physical) {
+    // Leading whitespace is dropped on first and continuation lines alike
+    const line = rawLine.replace(/^[ \t\f]+/, '');
+    if (current === null && (line === '' || line[0] === '#' || line[0] === '!')) {
+      continue;
+    }
+
+    // An odd number of trailing backslashes continues the entry on the next line
+    const trailing = line.match(/\\*$/)[0].length;
+    const continues = trailing % 2 === 1;
+    const content = continues ? line.slice(0, -1) : line;
+
+    current = current === null ? content : current + content;
+    if (!continues) {
+      logical.push(current);
+      current = null;
+    }
+  }
+  if (current !== null) {
+    logical.push(current);
+  }
+  return logical;
+}
+
+/**
+ * Resolves escapes in a key or value (Properties.loadConvert)
+ */
+function unescapeText(text) {
+  return text.replace(/\\(u([0-9a-fA-F]{4})|u|([\s\S]))/g, (all, escape, hex, char) => {
+    if (hex) {
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    if (escape === 'u') {
+      throw new Error(`Malformed \\uxxxx encoding in "${text}"`);
+    }
+    return UNESCAPES[char] || char;
+  });
+}
+
+/**
+ * Parses .properties text into an object of strings (later duplicates win, as in Java)
+ *
+ * @throws {Error} On a malformed \uxxxx escape
+ */
+function parseProperties(text) {
+  const result = {};
+
+  for (const line of readLogicalLines(String(text))) {
+    let keyEnd = 0;
+    let escaped = false;
+    while (keyEnd < line.length) {
+      const char = line[keyEnd];
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '=' || char === ':' || char === ' ' || char === '\t' || char === '\f') {
+        break;
+      }
+      keyEnd++;
+    }
+
+    // Separator: optional whitespace, at most one "=" or ":", optional whitespace
+    let valueStart = keyEnd;
+    while (valueStart < line.length && /[ \t\f]/.test(line[valueStart])) {
+      valueStart++;
+    }
+    if (valueStart < line.length && (line[valueStart] === '=' || line[valueStart] === ':')) {
+      valueStart++;
+      while (valueStart < line.length && /[ \t\f]/.test(line[valueStart])) {
+        valueStart++;
+      }
+    }
+
+    result[unescapeText(line.slice(0, keyEnd))] = unescapeText(line.slice(valueStart));
+  }
+
+  return result;
+}
+
+module.exports = {
+  formatJavaDate,
+  parseProperties,
+  stringifyProperties
+};
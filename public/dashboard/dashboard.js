@@ -0,0 +1,570 @@
+/**
+ * Capture dashboard
+ * Lists saved capture sessions and shows script, body, headers and properties of the selected one.
+ * Talks to the /sessions endpoints of groovy-server.js; no external assets.
+ * API paths are resolved against the folder above the dashboard, so the page works wherever the app is mounted.
+ */
+(function () {
+  'use strict';
+
+  const { highlight, escapeHtml } = window.SyntaxHighlight;
+
+  const state = {
+    captures: [],
+    selectedId: null,
+    detail: null
+  };
+
+  const elements = {
+    list: document.getElementById('captures'),
+    count: document.getElementById('capture-count'),
+    filter: document.getElementById('capture-filter'),
+    detail: document.getElementById('detail'),
+    refresh: document.getElementById('refresh-button'),
+    toast: document.getElementById('toast'),
+    template: document.getElementById('detail-template'),
+    diffTemplate: document.getElementById('diff-template')
+  };
+
+  // Unchanged runs longer than this are collapsed, keeping DIFF_CONTEXT lines around each change
+  const DIFF_CONTEXT = 3;
+
+  // The app root: /dashboard/ lives directly under it (e.g. /cpi/dashboard/ → /cpi/)
+  const BASE_URL = new URL('../', window.location.href);
+
+  // ════════════════════════════════════════════════════════════
+  // 🔌 API
+  // ════════════════════════════════════════════════════════════
+  // "/sessions" → <app root>/sessions
+  function apiUrl(path) {
+    return new URL(path.replace(/^\//, ''), BASE_URL).href;
+  }
+
+  async function api(path, options = {}) {
+    const response = await fetch(apiUrl(path), {
+      headers: { Accept: 'application/json' },
+      ...options
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.success === false) {
+      throw new Error(body.error || body.message || `Request failed with ${response.status}`);
+    }
+    return body;
+  }
+
+  function showToast(message, isError = false) {
+    elements.toast.textContent = message;
+    elements.toast.classList.toggle('error', isError);
+    elements.toast.hidden = false;
+    clearTimeout(showToast.timer);
+    showToast.timer = setTimeout(() => { elements.toast.hidden = true; }, 3500);
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 🧾 BODY FORMATTING
+  // ════════════════════════════════════════════════════════════
+  function detectBodyType(body) {
+    const trimmed = body.trim();
+    if (trimmed.startsWith('<')) {
+      return 'xml';
+    }
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        JSON.parse(trimmed);
+        return 'json';
+      } catch (err) {
+        return 'text';
+      }
+    }
+    return 'text';
+  }
+
+  function prettyPrintXml(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      return xml;
+    }
+
+    const lines = [];
+    const declaration = xml.trim().match(/^<\?xml[^>]*\?>/);
+    if (declaration) {
+      lines.push(declaration[0]);
+    }
+
+    const serializer = new XMLSerializer();
+    const walk = (node, depth) => {
+      const indent = '  '.repeat(depth);
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.nodeValue.trim();
+        if (text) {
+          lines.push(indent + serializer.serializeToString(document.createTextNode(text)));
+        }
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        lines.push(indent + serializer.serializeToString(node));
+        return;
+      }
+
+      const children = Array.from(node.childNodes).filter(
+        (child) => child.nodeType !== Node.TEXT_NODE || child.nodeValue.trim()
+      );
+      const attributes = Array.from(node.attributes)
+        .map((attr) => ` ${attr.name}="${escapeHtml(attr.value)}"`)
+        .join('');
+
+      if (children.length === 0) {
+        lines.push(`${indent}<${node.nodeName}${attributes}/>`);
+      } else if (children.length === 1 && children[0].nodeType === Node.TEXT_NODE) {
+        const text = serializer.serializeToString(document.createTextNode(children[0].nodeValue.trim()));
+        lines.push(`${indent}<${node.nodeName}${attributes}>${text}</${node.nodeName}>`);
+      } else {
+        lines.push(`${indent}<${node.nodeName}${attributes}>`);
+        children.forEach((child) => walk(child, depth + 1));
+        lines.push(`${indent}</${node.nodeName}>`);
+      }
+    };
+    Array.from(doc.childNodes).forEach((node) => walk(node, 0));
+
+    return lines.join('\n');
+  }
+
+  function formatBody(body, type, pretty) {
+    if (!pretty) {
+      return body;
+    }
+    if (type === 'json') {
+      return JSON.stringify(JSON.parse(body), null, 2);
+    }
+    if (type === 'xml') {
+      return prettyPrintXml(body);
+    }
+    return body;
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 📋 CAPTURE LIST
+  // ════════════════════════════════════════════════════════════
+  function formatDate(iso) {
+    return new Date(iso).toLocaleString();
+  }
+
+  function renderList() {
+    const filter = elements.filter.value.trim().toLowerCase();
+    const captures = state.captures.filter((capture) => !filter || [
+      capture.id,
+      capture.functionName,
+      capture.messageProcessingLogId,
+      capture.source
+    ].some((value) => value && String(value).toLowerCase().includes(filter)));
+
+    elements.count.textContent = `${captures.length} of ${state.captures.length}`;
+    elements.list.innerHTML = captures.map((capture) => `
+      <li data-id="${escapeHtml(capture.id)}" class="${capture.id === state.selectedId ? 'selected' : ''}">
+        <div class="capture-title">
+          ${escapeHtml(capture.functionName || 'processData')}
+          <span class="badge">${escapeHtml(capture.source)}</span>
+        </div>
+        <div class="capture-sub">${escapeHtml(formatDate(capture.createdAt))}</div>
+        <div class="capture-sub mono">${escapeHtml(capture.messageProcessingLogId || capture.id)}</div>
+        <div class="capture-sub">
+          Body ${capture.bodyLength} chars${capture.bodyType ? ` (${escapeHtml(capture.bodyType)})` : ''} · ${capture.headerCount} headers · ${capture.propertyCount} properties${capture.attachmentCount ? ` · ${capture.attachmentCount} attachments` : ''}
+        </div>
+      </li>
+    `).join('');
+  }
+
+  async function loadCaptures() {
+    try {
+      const { sessions } = await api('/sessions');
+      state.captures = sessions;
+      renderList();
+    } catch (err) {
+      showToast(`Could not load captures: ${err.message}`, true);
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 🔍 CAPTURE DETAIL
+  // ════════════════════════════════════════════════════════════
+  function renderKeyValues(tbody, values) {
+    const entries = Object.entries(values || {});
+    if (entries.length === 0) {
+      tbody.innerHTML = '<tr><td class="empty" colspan="2">None</td></tr>';
+      return;
+    }
+    tbody.innerHTML = entries.map(([key, value]) => `
+      <tr>
+        <td class="mono">${escapeHtml(key)}</td>
+        <td class="mono">${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value))}</td>
+      </tr>
+    `).join('');
+  }
+
+  function renderBody(container, body, pretty) {
+    const type = detectBodyType(body);
+    const field = (name) => container.querySelector(`[data-field="${name}"]`);
+
+    let formatted = body;
+    try {
+      formatted = formatBody(body, type, pretty);
+    } catch (err) {
+      formatted = body;
+    }
+
+    field('body-type').textContent = `${type.toUpperCase()} · ${body.length} chars`;
+    field('body').innerHTML = body ? highlight(formatted, type) : '<span class="muted">(empty)</span>';
+  }
+
+  function renderDetail() {
+    const { session, cpiHelperLink } = state.detail;
+    const payload = session.payload || {};
+    const input = payload.input || {};
+    const script = payload.script || {};
+    const body = typeof input.body === 'string' ? input.body : JSON.stringify(input.body || '');
+
+    const fragment = elements.template.content.cloneNode(true);
+    const field = (name) => fragment.querySelector(`[data-field="${name}"]`);
+
+    field('title').textContent = `${script.function || 'processData'} · ${formatDate(session.createdAt)}`;
+    field('meta').innerHTML = [
+      `<span>ID: <code>${escapeHtml(session.id)}</code></span>`,
+      `<span>Source: ${escapeHtml(session.source)}</span>`,
+      `<span>${session.redacted ? 'Secrets masked' : 'Raw data'}</span>`,
+      session.messageProcessingLogId
+        ? `<span>MPL: <code>${escapeHtml(session.messageProcessingLogId)}</code></span>`
+        : ''
+    ].join('');
+
+    field('downloads').innerHTML = 'Download: ' + session.files.map((name) => {
+      const href = apiUrl(`/sessions/${encodeURIComponent(session.id)}/files/${encodeURIComponent(name)}`);
+      return `<a href="${href}" download>${escapeHtml(name)}</a>`;
+    }).join('');
+
+    field('function-name').textContent = `Function: ${script.function || 'processData'}`;
+    field('script').innerHTML = highlight(script.code || '', 'groovy');
+
+    renderKeyValues(field('headers'), input.headers);
+    renderKeyValues(field('properties'), input.properties);
+
+    fragment.querySelector('[data-action="project"]').href =
+      apiUrl(`/sessions/${encodeURIComponent(session.id)}/project`);
+
+    elements.detail.innerHTML = '';
+    elements.detail.appendChild(fragment);
+
+    const prettyToggle = elements.detail.querySelector('[data-field="body-pretty"]');
+    renderBody(elements.detail, body, prettyToggle.checked);
+    prettyToggle.addEventListener('change', () => renderBody(elements.detail, body, prettyToggle.checked));
+
+    elements.detail.querySelector('[data-action="contiva"]').addEventListener('click', openInContiva);
+    elements.detail.querySelector('[data-action="copy-link"]').addEventListener('click', () => copyText(cpiHelperLink));
+    elements.detail.querySelector('[data-action="delete"]').addEventListener('click', deleteSelected);
+
+    const compareWith = elements.detail.querySelector('[data-field="compare-with"]');
+    compareWith.insertAdjacentHTML('beforeend', state.captures
+      .filter((capture) => capture.id !== session.id)
+      .map((capture) => `<option value="${escapeHtml(capture.id)}">
+        ${escapeHtml(capture.functionName || 'processData')} · ${escapeHtml(formatDate(capture.createdAt))}
+      </option>`)
+      .join(''));
+    elements.detail.querySelector('[data-action="compare"]').addEventListener('click', () => {
+      if (compareWith.value) {
+        compareWithCapture(compareWith.value);
+      } else {
+        showToast('Choose a capture to compare with', true);
+      }
+    });
+    elements.detail.querySelector('[data-action="compare-payload"]').addEventListener('click', () => {
+      compareWithPayload(elements.detail.querySelector('[data-field="compare-payload"]').value);
+    });
+  }
+
+  async function selectCapture(id) {
+    state.selectedId = id;
+    renderList();
+    if (window.location.hash !== `#${id}`) {
+      history.replaceState(null, '', `#${id}`);
+    }
+
+    try {
+      state.detail = await api(`/sessions/${encodeURIComponent(id)}`);
+      renderDetail();
+    } catch (err) {
+      showToast(`Could not load capture: ${err.message}`, true);
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 🔀 DIFF
+  // ════════════════════════════════════════════════════════════
+
+  /**
+   * Pairs removed/added runs of a line diff into side-by-side rows and collapses long unchanged runs
+   */
+  function toSideBySideRows(lines) {
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    const flushChanges = () => {
+      for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+        rows.push({ left: removed[i] || null, right: added[i] || null, changed: true });
+      }
+      removed = [];
+      added = [];
+    };
+
+    lines.forEach((line) => {
+      if (line.type === 'removed') {
+        removed.push(line);
+      } else if (line.type === 'added') {
+        added.push(line);
+      } else {
+        flushChanges();
+        rows.push({ left: line, right: line, changed: false });
+      }
+    });
+    flushChanges();
+
+    // Keep DIFF_CONTEXT unchanged rows around each change, replace the rest with a marker
+    const keep = rows.map((row, index) => rows
+      .slice(Math.max(0, index - DIFF_CONTEXT), index + DIFF_CONTEXT + 1)
+      .some((near) => near.changed));
+    const collapsed = [];
+    rows.forEach((row, index) => {
+      if (keep[index]) {
+        collapsed.push(row);
+      } else if (collapsed.length === 0 || !collapsed[collapsed.length - 1].skipped) {
+        collapsed.push({ skipped: 1 });
+      } else {
+        collapsed[collapsed.length - 1].skipped += 1;
+      }
+    });
+    return collapsed;
+  }
+
+  function renderLineDiff(container, lines, language) {
+    if (lines.every((line) => line.type === 'equal')) {
+      container.innerHTML = '<div class="diff-identical">No differences</div>';
+      return;
+    }
+    const cell = (line, side) => {
+      if (!line) {
+        return '<td class="line-no blank"></td><td class="blank"></td>';
+      }
+      const number = side === 'left' ? line.oldLine : line.newLine;
+      const type = line.type === 'equal' ? '' : line.type;
+      return `<td class="line-no">${number}</td><td class="${type}">${highlight(line.text, language)}</td>`;
+    };
+
+    container.innerHTML = `<table class="side-by-side"><tbody>${toSideBySideRows(lines).map((row) => (row.skipped
+      ? `<tr class="skipped"><td colspan="4">⋯ ${row.skipped} unchanged line${row.skipped === 1 ? '' : 's'}</td></tr>`
+      : `<tr>${cell(row.left, 'left')}${cell(row.right, 'right')}</tr>`)).join('')}</tbody></table>`;
+  }
+
+  function formatValue(value) {
+    if (value === undefined) {
+      return '';
+    }
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+
+  function renderMapDiff(table, diff) {
+    const rows = [
+      ...diff.changed.map((entry) => ({ status: 'changed', key: entry.key, from: entry.from, to: entry.to })),
+      ...diff.removed.map((entry) => ({ status: 'removed', key: entry.key, from: entry.value })),
+      ...diff.added.map((entry) => ({ status: 'added', key: entry.key, to: entry.value }))
+    ];
+    if (rows.length === 0) {
+      table.innerHTML = `<tbody><tr><td class="empty" colspan="4">No differences (${diff.unchanged} equal)</td></tr></tbody>`;
+      return;
+    }
+    table.innerHTML = `<thead><tr><th></th><th>Name</th><th>Left</th><th>Right</th></tr></thead><tbody>${rows.map((row) => `
+      <tr class="${row.status}">
+        <td class="status">${row.status}</td>
+        <td class="mono">${escapeHtml(row.key)}</td>
+        <td class="mono">${formatValue(row.from)}</td>
+        <td class="mono">${formatValue(row.to)}</td>
+      </tr>
+    `).join('')}</tbody>`;
+  }
+
+  function describeSide(side) {
+    return side.id
+      ? `${side.functionName || 'processData'} · ${side.createdAt ? formatDate(side.createdAt) : side.id}`
+      : 'Pasted payload';
+  }
+
+  function renderDiff({ left, right, diff }) {
+    const fragment = elements.diffTemplate.content.cloneNode(true);
+    const field = (name) => fragment.querySelector(`[data-field="${name}"]`);
+    const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+    const mapCount = (map) => map.added.length + map.removed.length + map.changed.length;
+
+    field('title').textContent = diff.identical ? 'Captures are identical' : 'Capture comparison';
+    field('meta').innerHTML = [
+      `<span>Left: <code>${escapeHtml(describeSide(left))}</code></span>`,
+      `<span>Right: <code>${escapeHtml(describeSide(right))}</code></span>`
+    ].join('');
+
+    field('script-summary').textContent = [
+      count(diff.summary.scriptLines, 'changed line'),
+      diff.summary.functionChanged ? `function ${diff.script.function.old} → ${diff.script.function.new}` : ''
+    ].filter(Boolean).join(' · ');
+    renderLineDiff(field('script'), diff.script.lines, 'groovy');
+
+    field('body-summary').textContent = [
+      diff.body.type.toUpperCase(),
+      count(diff.summary.bodyLines, 'changed line'),
+      diff.body.structure ? count(diff.summary.bodyPaths, 'changed path') : ''
+    ].filter(Boolean).join(' · ');
+    renderLineDiff(field('body'), diff.body.lines, diff.body.type);
+    if (diff.body.structure && mapCount(diff.body.structure) > 0) {
+      renderMapDiff(field('body-structure'), diff.body.structure);
+    } else {
+      field('body-structure').remove();
+    }
+
+    field('headers-summary').textContent = count(diff.summary.headers, 'difference');
+    renderMapDiff(field('headers'), diff.headers);
+    field('properties-summary').textContent = count(diff.summary.properties, 'difference');
+    renderMapDiff(field('properties'), diff.properties);
+
+    elements.detail.innerHTML = '';
+    elements.detail.appendChild(fragment);
+    elements.detail.querySelector('[data-action="back"]').addEventListener('click', renderDetail);
+  }
+
+  async function compareWithCapture(otherId) {
+    try {
+      const id = encodeURIComponent(state.selectedId);
+      renderDiff(await api(`/sessions/${id}/diff/${encodeURIComponent(otherId)}`));
+    } catch (err) {
+      showToast(`Could not compare captures: ${err.message}`, true);
+    }
+  }
+
+  async function compareWithPayload(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      showToast('Paste an encoded string or payload JSON first', true);
+      return;
+    }
+    let body;
+    try {
+      body = trimmed.startsWith('{') ? JSON.parse(trimmed) : { data: trimmed.replace(/^.*\//, '') };
+    } catch (err) {
+      showToast(`Pasted JSON is invalid: ${err.message}`, true);
+      return;
+    }
+    try {
+      renderDiff(await api(`/sessions/${encodeURIComponent(state.selectedId)}/diff`, {
+        method: 'POST',
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }));
+    } catch (err) {
+      showToast(`Could not compare: ${err.message}`, true);
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // ⚡ ACTIONS
+  // ════════════════════════════════════════════════════════════
+  async function openInContiva(event) {
+    const button = event.currentTarget;
+    button.disabled = true;
+    try {
+      const result = await api(`/sessions/${encodeURIComponent(state.selectedId)}/contiva`, { method: 'POST' });
+      if (result.launched) {
+        showToast('Opened in Contiva IDE');
+      } else {
+        // The server could not (or was told not to) launch a browser, so open the URL from here
+        window.open(result.url, '_blank', 'noopener');
+        showToast('Opened Contiva IDE in a new tab');
+      }
+    } catch (err) {
+      showToast(`Could not open Contiva: ${err.message}`, true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (err) {
+      // Clipboard API needs a secure context; fall back to a temporary textarea
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      document.body.appendChild(textarea);
+      textarea.select();
+      document.execCommand('copy');
+      textarea.remove();
+    }
+    showToast('CPI Helper link copied');
+  }
+
+  async function deleteSelected() {
+    const id = state.selectedId;
+    if (!id || !window.confirm(`Delete capture ${id}?`)) {
+      return;
+    }
+    try {
+      await api(`/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      state.selectedId = null;
+      state.detail = null;
+      history.replaceState(null, '', window.location.pathname);
+      elements.detail.innerHTML = '<div class="empty-state"><p>Capture deleted.</p></div>';
+      showToast('Capture deleted');
+      await loadCaptures();
+    } catch (err) {
+      showToast(`Could not delete capture: ${err.message}`, true);
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 📡 LIVE FEED
+  // ════════════════════════════════════════════════════════════
+  // New captures appear without pressing refresh; EventSource reconnects on its own
+  function watchCaptures() {
+    if (!window.EventSource) {
+      return;
+    }
+    const feed = new EventSource(apiUrl('/events'));
+    feed.addEventListener('capture', (message) => {
+      const { data } = JSON.parse(message.data);
+      showToast(`New capture: ${data.functionName || 'processData'} (${data.source})`);
+      loadCaptures();
+    });
+    feed.addEventListener('capture-status', (message) => {
+      const { data } = JSON.parse(message.data);
+      if (!data.saved) {
+        showToast(`Capture could not be saved: ${data.error}`, true);
+      } else if (data.launch && !data.launch.launched) {
+        showToast(`IDE not opened: ${data.launch.error || 'browser could not be started'}`, true);
+      }
+    });
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 🚀 STARTUP
+  // ════════════════════════════════════════════════════════════
+  elements.list.addEventListener('click', (event) => {
+    const item = event.target.closest('li[data-id]');
+    if (item) {
+      selectCapture(item.dataset.id);
+    }
+  });
+  elements.filter.addEventListener('input', renderList);
+  elements.refresh.addEventListener('click', loadCaptures);
+
+  watchCaptures();
+  loadCaptures().then(() => {
+    const id = window.location.hash.slice(1);
+    if (id) {
+      selectCapture(id);
+    }
+  });
+})();
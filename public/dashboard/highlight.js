@@ -0,0 +1,131 @@
+/**
+ * Minimal offline syntax highlighter for the dashboard
+ * Supports Groovy, JSON and XML; emits <span class="tok-*"> markup around escaped text.
+ */
+(function (global) {
+  'use strict';
+
+  const GROOVY_KEYWORDS = [
+    'abstract', 'as', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'continue',
+    'def', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for',
+    'if', 'implements', 'import', 'in', 'instanceof', 'int', 'interface', 'long', 'new', 'null', 'package',
+    'private', 'protected', 'public', 'return', 'short', 'static', 'super', 'switch', 'this', 'throw',
+    'throws', 'trait', 'true', 'try', 'var', 'void', 'while'
+  ];
+
+  // Each rule is [token class or null, sticky regex]; the first rule matching at the current position wins
+  const LANGUAGES = {
+    groovy: [
+      ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+      ['comment', /\/\/[^\n]*/y],
+      ['string', /'''[\s\S]*?(?:'''|$)/y],
+      ['string', /"""[\s\S]*?(?:"""|$)/y],
+      ['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y],
+      ['string', /'(?:\\[\s\S]|[^'\\\n])*'?/y],
+      ['annotation', /@[A-Za-z_][\w.]*/y],
+      ['number', /\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?[gGlLdDfFiI]?/y],
+      ['keyword', new RegExp(`(?:${GROOVY_KEYWORDS.join('|')})(?![\\w$])`, 'y')],
+      ['type', /[A-Z][\w$]*/y],
+      [null, /[A-Za-z_$][\w$]*/y]
+    ],
+    json: [
+      ['key', /"(?:\\.|[^"\\])*"(?=\s*:)/y],
+      ['string', /"(?:\\.|[^"\\])*"?/y],
+      ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+      ['literal', /(?:true|false|null)(?![\w$])/y]
+    ]
+  };
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function wrap(tokenClass, text) {
+    return tokenClass ? `<span class="tok-${tokenClass}">${escapeHtml(text)}</span>` : escapeHtml(text);
+  }
+
+  function highlightWithRules(code, rules) {
+    let html = '';
+    let plain = '';
+    let position = 0;
+
+    while (position < code.length) {
+      let matched = false;
+      for (const [tokenClass, regex] of rules) {
+        regex.lastIndex = position;
+        const match = regex.exec(code);
+        if (match && match[0].length > 0) {
+          html += escapeHtml(plain) + wrap(tokenClass, match[0]);
+          plain = '';
+          position += match[0].length;
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) {
+        plain += code[position];
+        position += 1;
+      }
+    }
+
+    return html + escapeHtml(plain);
+  }
+
+  function highlightXmlTag(tag) {
+    // tag is the full "<...>" text
+    const match = tag.match(/^(<\/?[?!]?)([^\s/>?]*)([\s\S]*?)([?/]?>)$/);
+    if (!match) {
+      return escapeHtml(tag);
+    }
+    const [, open, name, attributes, close] = match;
+    const attributeHtml = attributes.replace(
+      /([^\s=]+)(\s*=\s*)("[^"]*"|'[^']*')|([\s\S])/g,
+      (all, attrName, equals, value, other) => (other !== undefined
+        ? escapeHtml(other)
+        : wrap('attr', attrName) + escapeHtml(equals) + wrap('string', value))
+    );
+    return wrap('tag', open + name) + attributeHtml + wrap('tag', close);
+  }
+
+  function highlightXml(code) {
+    const pattern = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[^>]+>/g;
+    let html = '';
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(code)) !== null) {
+      html += escapeHtml(code.slice(last, match.index));
+      const token = match[0];
+      if (token.startsWith('<!--')) {
+        html += wrap('comment', token);
+      } else if (token.startsWith('<![CDATA[')) {
+        html += wrap('cdata', token);
+      } else {
+        html += highlightXmlTag(token);
+      }
+      last = match.index + token.length;
+    }
+
+    return html + escapeHtml(code.slice(last));
+  }
+
+  /**
+   * Returns highlighted HTML for code in the given language ('groovy', 'json', 'xml'); other languages are only escaped
+   */
+  function highlight(code, language) {
+    const text = code == null ? '' : String(code);
+    if (language === 'xml') {
+      return highlightXml(text);
+    }
+    if (LANGUAGES[language]) {
+      return highlightWithRules(text, LANGUAGES[language]);
+    }
+    return escapeHtml(text);
+  }
+
+  global.SyntaxHighlight = { highlight, escapeHtml };
+})(window);
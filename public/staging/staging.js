@@ -0,0 +1,216 @@
+/**
+ * Staging page
+ * Edits the Contiva object embedded by staging-page.js and posts it to POST /contiva/send.
+ * Nothing is encoded or launched before "Send to IDE"; no external assets.
+ */
+(function () {
+  'use strict';
+
+  const { highlight } = window.SyntaxHighlight;
+
+  const staged = JSON.parse(document.getElementById('staged-data').textContent);
+
+  const elements = {
+    form: document.getElementById('staging-form'),
+    functionName: document.getElementById('function-name'),
+    functionNames: document.getElementById('function-names'),
+    body: document.getElementById('body'),
+    bodySize: document.getElementById('body-size'),
+    bodyFile: document.getElementById('body-file'),
+    headers: document.getElementById('headers'),
+    properties: document.getElementById('properties'),
+    script: document.getElementById('script'),
+    scriptSummary: document.getElementById('script-summary'),
+    result: document.getElementById('result'),
+    toast: document.getElementById('toast')
+  };
+
+  function showToast(message, isError = false) {
+    elements.toast.textContent = message;
+    elements.toast.classList.toggle('error', isError);
+    elements.toast.hidden = false;
+    clearTimeout(showToast.timer);
+    showToast.timer = setTimeout(() => { elements.toast.hidden = true; }, 3500);
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 🧩 FORM
+  // ════════════════════════════════════════════════════════════
+
+  // Functions the IDE can call: def [Message] name(Message message)
+  function findMessageFunctions(script) {
+    const pattern = /\bdef\s+(?:[\w.]+\s+)?([A-Za-z_$][\w$]*)\s*\(\s*(?:[\w.]+\.)?Message\b/g;
+    const names = new Set();
+    let match;
+    while ((match = pattern.exec(script)) !== null) {
+      names.add(match[1]);
+    }
+    return [...names];
+  }
+
+  // Values are usually strings; others (numbers, objects) are shown as JSON and kept as they were unless edited
+  function displayValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  function addRow(tbody, name = '', value = '', original) {
+    const row = document.createElement('tr');
+    row.innerHTML = '<td><input type="text" data-field="name" placeholder="Name"></td>' +
+      '<td><input type="text" data-field="value" placeholder="Value"></td>' +
+      '<td class="remove"><button type="button" data-action="remove" title="Remove">✕</button></td>';
+    row.querySelector('[data-field="name"]').value = name;
+    row.querySelector('[data-field="value"]').value = displayValue(value);
+    if (original !== undefined) {
+      row.original = original;
+    } else {
+      row.classList.add('changed');
+    }
+    tbody.appendChild(row);
+    return row;
+  }
+
+  function fillGrid(tbody, values) {
+    tbody.innerHTML = '';
+    for (const [name, value] of Object.entries(values || {})) {
+      addRow(tbody, name, value, { name, value });
+    }
+  }
+
+  function readGrid(tbody) {
+    const values = {};
+    for (const row of tbody.rows) {
+      const name = row.querySelector('[data-field="name"]').value.trim();
+      if (!name) {
+        continue;
+      }
+      const text = row.querySelector('[data-field="value"]').value;
+      const { original } = row;
+      values[name] = original && text === displayValue(original.value) ? original.value : text;
+    }
+    return values;
+  }
+
+  function updateBodySize() {
+    elements.bodySize.textContent = `${elements.body.value.length} chars`;
+  }
+
+  function fillForm() {
+    const data = staged.contivaData;
+    elements.functionName.value = data.functionName || 'processData';
+    elements.functionNames.innerHTML = '';
+    for (const name of findMessageFunctions(data.script || '')) {
+      const option = document.createElement('option');
+      option.value = name;
+      elements.functionNames.appendChild(option);
+    }
+    elements.body.value = data.scriptInput || '';
+    updateBodySize();
+    fillGrid(elements.headers, data.headers);
+    fillGrid(elements.properties, data.properties);
+    elements.script.innerHTML = highlight(data.script || '', 'groovy');
+
+    const extras = [
+      `${(data.script || '').split('\n').length} lines`,
+      ...(data.libraries ? [`${data.libraries.length} librar${data.libraries.length === 1 ? 'y' : 'ies'}`] : []),
+      ...(data.attachments ? [`${data.attachments.length} attachment(s)`] : [])
+    ];
+    elements.scriptSummary.textContent = `${extras.join(', ')}, sent unchanged`;
+    elements.result.hidden = true;
+  }
+
+  function readForm() {
+    return {
+      ...staged.contivaData,
+      functionName: elements.functionName.value.trim(),
+      scriptInput: elements.body.value,
+      headers: readGrid(elements.headers),
+      properties: readGrid(elements.properties)
+    };
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 🚀 SEND
+  // ════════════════════════════════════════════════════════════
+  function showResult(html, isError) {
+    elements.result.innerHTML = html;
+    elements.result.classList.toggle('error', isError);
+    elements.result.hidden = false;
+  }
+
+  function escapeText(text) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span.innerHTML;
+  }
+
+  async function send(event) {
+    event.preventDefault();
+    const button = elements.form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    try {
+      const response = await fetch(staged.sendUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ contivaData: readForm(), captureId: staged.captureId })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || result.success === false) {
+        const problems = result.validation ? result.validation.errors.map((error) => `${error.path || 'object'}: ${error.message}`) : [];
+        showResult(`<strong>${escapeText(result.error || result.message || `Request failed with ${response.status}`)}</strong>` +
+          (problems.length > 0 ? `<ul>${problems.map((problem) => `<li>${escapeText(problem)}</li>`).join('')}</ul>` : ''), true);
+        return;
+      }
+      const link = `<a href="${escapeText(result.url)}" target="_blank" rel="noopener">${escapeText(result.url)}</a>`;
+      showResult(result.launched
+        ? `Opened in ${escapeText(result.browser)}${result.captureId ? ` (saved as ${escapeText(result.captureId)})` : ''}. ${link}`
+        : `${escapeText(result.warning || 'Browser not opened')}. Open the IDE yourself: ${link}`, !result.launched && result.browser !== 'none');
+      showToast(result.launched ? 'Sent to the IDE' : 'IDE URL ready');
+    } catch (err) {
+      showResult(`<strong>Could not send: ${escapeText(err.message)}</strong>`, true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════
+  // 🔗 EVENTS
+  // ════════════════════════════════════════════════════════════
+  elements.form.addEventListener('submit', send);
+  elements.form.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) {
+      return;
+    }
+    if (button.dataset.action === 'add') {
+      addRow(elements[button.dataset.grid]).querySelector('input').focus();
+    } else if (button.dataset.action === 'remove') {
+      button.closest('tr').remove();
+    } else if (button.dataset.action === 'reset') {
+      fillForm();
+      showToast('Form reset to the received message');
+    }
+  });
+  elements.form.addEventListener('input', (event) => {
+    const row = event.target.closest('tr');
+    if (row) {
+      row.classList.add('changed');
+    }
+    if (event.target === elements.body) {
+      updateBodySize();
+    }
+  });
+  elements.bodyFile.addEventListener('change', () => {
+    const [file] = elements.bodyFile.files;
+    if (!file) {
+      return;
+    }
+    file.text().then((text) => {
+      elements.body.value = text;
+      updateBodySize();
+      showToast(`Body replaced with ${file.name}`);
+    });
+    elements.bodyFile.value = '';
+  });
+
+  fillForm();
+})();
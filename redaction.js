@@ -0,0 +1,490 @@
+/**
+ * Redaction
+ * Masks secrets and personal data in captures before they are saved, logged, returned or sent to the IDE
+ *
+ * Rules:
+ *   headers, properties << Name patterns: "Authorization", "SAP_*" (* = wildcard, case-insensitive)
+ *                          or a regular expression written as "/^x-.*-token$/i"
+ *   jsonPaths           << Selectors for JSON bodies: $.customer.email, $..iban, $.items[*].card, $['odd key']
+ *   xpaths              << Selectors for XML bodies: /Order/Customer/Email, //Iban, //Card/@number, //*
+ *                          (namespace prefixes are ignored; predicates are not supported)
+ *   bodyPatterns        << Regular expressions ("\\b\\d{16}\\b" or "/secret=\\w+/i") replaced anywhere in the body
+ */
+
+// Header/property names masked by default: credentials, cookies and CSRF tokens
+const DEFAULT_SENSITIVE_NAMES = [
+  'Authorization',
+  'Proxy-Authorization',
+  'Cookie',
+  'Set-Cookie',
+  '*token*',
+  '*password*',
+  '*passwd*',
+  '*secret*',
+  '*apikey*',
+  '*api-key*',
+  '*api_key*',
+  '*credential*'
+];
+
+const DEFAULT_REPLACEMENT = '***REDACTED***';
+
+const REGEX_LITERAL = /^\/(.+)\/([dgimsuy]*)$/;
+
+// ════════════════════════════════════════════════════════════
+// 🔤 PATTERNS
+// ════════════════════════════════════════════════════════════
+
+/**
+ * Compiles a header/property name pattern (wildcard string or /regex/flags)
+ */
+function compileNamePattern(pattern) {
+  const literal = pattern.match(REGEX_LITERAL);
+  if (literal) {
+    return new RegExp(literal[1], literal[2].replace('g', ''));
+  }
+  const source = pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compiles a body pattern (plain regex source or /regex/flags); always global so every match is replaced
+ */
+function compileBodyPattern(pattern) {
+  const literal = pattern.match(REGEX_LITERAL);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [pattern, ''];
+  return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+}
+
+// ════════════════════════════════════════════════════════════
+// 🧾 JSON PATH
+// ════════════════════════════════════════════════════════════
+
+/**
+ * Parses a JSONPath subset into steps: .key, ..key, .*, ..*, [n], [*], ['key']
+ */
+function parseJsonPath(selector) {
+  if (!selector.startsWith('$')) {
+    throw new Error(`JSONPath "${selector}" must start with "$"`);
+  }
+  const steps = [];
+  const stepPattern = /^(?:(\.\.?)(\*|[^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\])/;
+  let rest = selector.slice(1);
+
+  while (rest.length > 0) {
+    const match = rest.match(stepPattern);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath syntax in "${selector}" at "${rest}"`);
+    }
+    const [all, dots, name, bracket] = match;
+    if (dots) {
+      steps.push({ descendant: dots === '..', key: name === '*' ? null : name });
+    } else if (bracket === '*') {
+      steps.push({ descendant: false, key: null });
+    } else if (/^\d+$/.test(bracket)) {
+      steps.push({ descendant: false, key: Number(bracket) });
+    } else {
+      steps.push({ descendant: false, key: bracket.slice(1, -1) });
+    }
+    rest = rest.slice(all.length);
+  }
+
+  if (steps.length === 0) {
+    throw new Error(`JSONPath "${selector}" selects the whole document`);
+  }
+  return steps;
+}
+
+function childrenOf(value) {
+  if (Array.isArray(value)) {
+    return value.map((child, index) => ({ parent: value, key: index, value: child }));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.keys(value).map((key) => ({ parent: value, key, value: value[key] }));
+  }
+  return [];
+}
+
+function descendantsOf(value) {
+  return childrenOf(value).flatMap((ref) => [ref, ...descendantsOf(ref.value)]);
+}
+
+/**
+ * Replaces every value selected by the parsed JSONPath; returns the number of replaced values
+ */
+function replaceJsonPath(root, steps, replacement) {
+  let refs = [{ parent: null, key: null, value: root }];
+
+  for (const step of steps) {
+    const candidates = refs.flatMap((ref) => (step.descendant ? descendantsOf(ref.value) : childrenOf(ref.value)));
+    refs = candidates.filter((ref) => step.key === null || String(ref.key) === String(step.key));
+  }
+
+  refs.forEach((ref) => {
+    ref.parent[ref.key] = replacement;
+  });
+  return refs.length;
+}
+
+// ════════════════════════════════════════════════════════════
+// 🏷️  XPATH
+// ════════════════════════════════════════════════════════════
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Parses an XPath subset: /a/b, //b, a/b (same as //a/b), * wildcards and a trailing @attr or @*
+ */
+function parseXPath(selector) {
+  if (/[[\]()|]/.test(selector)) {
+    throw new Error(`XPath "${selector}" uses predicates or functions, which are not supported`);
+  }
+  const normalized = selector.startsWith('/') ? selector : `//${selector}`;
+  const parts = normalized.split(/(\/\/?)/).filter(Boolean);
+  const steps = [];
+  let attribute = null;
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const axis = parts[i];
+    const name = parts[i + 1];
+    if (!name || (axis !== '/' && axis !== '//')) {
+      throw new Error(`Invalid XPath "${selector}"`);
+    }
+    if (name.startsWith('@')) {
+      if (i + 2 < parts.length || axis !== '/') {
+        throw new Error(`XPath "${selector}" may only select an attribute in its last step`);
+      }
+      attribute = localName(name.slice(1));
+    } else {
+      steps.push({ descendant: axis === '//', name: localName(name) });
+    }
+  }
+
+  if (steps.length === 0) {
+    throw new Error(`XPath "${selector}" does not select an element`);
+  }
+  return { steps, attribute };
+}
+
+/**
+ * Checks whether an element path (local names from the root) matches the parsed steps exactly
+ */
+function matchesXPath(steps, elementPath, stepIndex = 0, pathIndex = 0) {
+  if (stepIndex === steps.length) {
+    return pathIndex === elementPath.length;
+  }
+  const step = steps[stepIndex];
+  const nameMatches = (name) => step.name === '*' || step.name === name;
+
+  if (!step.descendant) {
+    return pathIndex < elementPath.length &&
+      nameMatches(elementPath[pathIndex]) &&
+      matchesXPath(steps, elementPath, stepIndex + 1, pathIndex + 1);
+  }
+  for (let k = pathIndex; k < elementPath.length; k++) {
+    if (nameMatches(elementPath[k]) && matchesXPath(steps, elementPath, stepIndex + 1, k + 1)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+const XML_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+
+/**
+ * Masks the text content (elements) and attribute values selected by the parsed XPaths, keeping the
+ * rest of the document byte-for-byte; returns { xml, count }
+ */
+function replaceXPaths(xml, selectors, replacement) {
+  const elementSelectors = selectors.filter((selector) => !selector.attribute);
+  const attributeSelectors = selectors.filter((selector) => selector.attribute);
+  const escaped = replacement.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  const stack = [];
+  let count = 0;
+  let output = '';
+  let last = 0;
+
+  // Text is masked when the element holding it, or any of its ancestors, is selected
+  const insideSelected = () => stack.some((name, depth) => elementSelectors.some(
+    (selector) => matchesXPath(selector.steps, stack.slice(0, depth + 1))
+  ));
+
+  const maskText = (text) => {
+    if (text.trim() === '' || !insideSelected()) {
+      return text;
+    }
+    count++;
+    const leading = text.match(/^\s*/)[0];
+    const trailing = text.match(/\s*$/)[0];
+    return `${leading}${escaped}${trailing}`;
+  };
+
+  let match;
+  XML_TOKEN.lastIndex = 0;
+  while ((match = XML_TOKEN.exec(xml)) !== null) {
+    const [token, closingName, openingName, attributes, selfClosing] = match;
+    output += maskText(xml.slice(last, match.index));
+    last = match.index + token.length;
+
+    if (token.startsWith('<![CDATA[') && insideSelected()) {
+      count++;
+      output += `<![CDATA[${replacement.replace(/]]>/g, '')}]]>`;
+    } else if (token.startsWith('<![CDATA[')) {
+      output += token;
+    } else if (closingName) {
+      stack.pop();
+      output += token;
+    } else if (openingName) {
+      stack.push(localName(openingName));
+      const selected = attributeSelectors.filter((selector) => matchesXPath(selector.steps, stack));
+      const maskedAttributes = selected.length === 0 ? attributes : attributes.replace(
+        /([^\s=]+)(\s*=\s*)("[^"]*"|'[^']*')/g,
+        (all, name, equals, value) => {
+          const isSelected = selected.some((selector) => selector.attribute === '*' || selector.attribute === localName(name));
+          if (!isSelected) {
+            return all;
+          }
+          count++;
+          return `${name}${equals}${value[0]}${escaped}${value[0]}`;
+        }
+      );
+      output += `<${openingName}${maskedAttributes}${selfClosing}>`;
+      if (selfClosing) {
+        stack.pop();
+      }
+    } else {
+      output += token;
+    }
+  }
+
+  return { xml: output + maskText(xml.slice(last)), count };
+}
+
+// ════════════════════════════════════════════════════════════
+// 🛡️  REDACTOR
+// ════════════════════════════════════════════════════════════
+
+/**
+ * Detects whether a body is JSON, XML or plain text
+ */
+function detectBodyType(body) {
+  const trimmed = body.trim();
+  if (trimmed.startsWith('<')) {
+    return 'xml';
+  }
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch (err) {
+      return 'text';
+    }
+  }
+  return 'text';
+}
+
+/**
+ * Compiles redaction rules, collecting problems instead of throwing
+ *
+ * @returns {{ compiled: Object, errors: string[] }}
+ */
+function compileRules(rules = {}) {
+  const errors = [];
+  const compileAll = (key, compile) => {
+    const list = rules[key] || [];
+    if (!Array.isArray(list) || list.some((item) => typeof item !== 'string')) {
+      errors.push(`redaction.${key} must be a list of strings`);
+      return [];
+    }
+    return list.flatMap((item) => {
+      try {
+        return [compile(item)];
+      } catch (err) {
+        errors.push(`redaction.${key}: ${err.message}`);
+        return [];
+      }
+    });
+  };
+
+  const compiled = {
+    headers: compileAll('headers', compileNamePattern),
+    properties: compileAll('properties', compileNamePattern),
+    jsonPaths: compileAll('jsonPaths', parseJsonPath),
+    xpaths: compileAll('xpaths', parseXPath),
+    bodyPatterns: compileAll('bodyPatterns', compileBodyPattern)
+  };
+
+  if (rules.replacement !== undefined && typeof rules.replacement !== 'string') {
+    errors.push('redaction.replacement must be a string');
+  }
+
+  return { compiled, errors };
+}
+
+/**
+ * Returns the problems in a set of redaction rules (empty when valid)
+ */
+function validateRedactionRules(rules) {
+  return compileRules(rules).errors;
+}
+
+/**
+ * Creates a redactor from rules
+ *
+ * @param {Object} [rules]
+ * @param {boolean} [rules.enabled=true] - When false every method returns its input unchanged
+ * @param {string} [rules.replacement] - Text that replaces masked values
+ * @param {string[]} [rules.headers] - Header name patterns
+ * @param {string[]} [rules.properties] - Exchange property name patterns
+ * @param {string[]} [rules.jsonPaths] - JSONPath selectors for JSON bodies
+ * @param {string[]} [rules.xpaths] - XPath selectors for XML bodies
+ * @param {string[]} [rules.bodyPatterns] - Regular expressions for any body
+ * @returns {Object} Redactor with redactPayload, redactBody, redactMap and redactForLog
+ * @throws {Error} When a rule cannot be compiled
+ */
+function createRedactor(rules = {}) {
+  const { compiled, errors } = compileRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid redaction rules:\n  - ${errors.join('\n  - ')}`);
+  }
+  const enabled = rules.enabled !== false;
+  const replacement = typeof rules.replacement === 'string' ? rules.replacement : DEFAULT_REPLACEMENT;
+
+  /**
+   * Masks the values of map entries whose names match one of the patterns
+   */
+  function redactMap(map, patterns) {
+    if (!enabled || !map || typeof map !== 'object') {
+      return { value: map, count: 0 };
+    }
+    let count = 0;
+    const value = {};
+    for (const [name, entry] of Object.entries(map)) {
+      if (patterns.some((pattern) => pattern.test(name))) {
+        value[name] = replacement;
+        count++;
+      } else {
+        value[name] = entry;
+      }
+    }
+    return { value, count };
+  }
+
+  function applyBodyPatterns(text) {
+    let count = 0;
+    const value = compiled.bodyPatterns.reduce((result, pattern) => result.replace(pattern, () => {
+      count++;
+      return replacement;
+    }), text);
+    return { value, count };
+  }
+
+  /**
+   * Masks a message body (string or already-parsed JSON)
+   *
+   * @returns {{ value: *, count: number }} The masked body and the number of masked values
+   */
+  function redactBody(body) {
+    if (!enabled || body == null) {
+      return { value: body, count: 0 };
+    }
+
+    if (typeof body === 'object') {
+      const clone = JSON.parse(JSON.stringify(body));
+      const count = compiled.jsonPaths.reduce((sum, steps) => sum + replaceJsonPath(clone, steps, replacement), 0);
+      return { value: clone, count };
+    }
+
+    let text = String(body);
+    let count = 0;
+    const type = detectBodyType(text);
+
+    if (type === 'json' && compiled.jsonPaths.length > 0) {
+      const parsed = JSON.parse(text);
+      const masked = compiled.jsonPaths.reduce((sum, steps) => sum + replaceJsonPath(parsed, steps, replacement), 0);
+      if (masked > 0) {
+        // Keep pretty-printed bodies pretty and compact bodies compact
+        text = text.includes('\n') ? JSON.stringify(parsed, null, 2) : JSON.stringify(parsed);
+        count += masked;
+      }
+    } else if (type === 'xml' && compiled.xpaths.length > 0) {
+      const result = replaceXPaths(text, compiled.xpaths, replacement);
+      text = result.xml;
+      count += result.count;
+    }
+
+    const patterned = applyBodyPatterns(text);
+    return { value: patterned.value, count: count + patterned.count };
+  }
+
+  /**
+   * Masks headers, properties and body of a decoded CPI Helper payload
+   *
+   * @returns {{ payload: Object, count: number }} A masked copy and the number of masked values
+   */
+  function redactPayload(payload) {
+    if (!enabled || !payload || typeof payload !== 'object' || !payload.input) {
+      return { payload, count: 0 };
+    }
+    const headers = redactMap(payload.input.headers, compiled.headers);
+    const properties = redactMap(payload.input.properties, compiled.properties);
+    const body = redactBody(payload.input.body);
+
+    return {
+      payload: {
+        ...payload,
+        input: {
+          ...payload.input,
+          ...(payload.input.headers !== undefined ? { headers: headers.value } : {}),
+          ...(payload.input.properties !== undefined ? { properties: properties.value } : {}),
+          ...(payload.input.body !== undefined ? { body: body.value } : {})
+        }
+      },
+      count: headers.count + properties.count + body.count
+    };
+  }
+
+  /**
+   * Masks an arbitrary value before it is written to the log: keys matching a header or property
+   * pattern are replaced and body patterns are applied to every string
+   */
+  function redactForLog(value) {
+    if (!enabled) {
+      return value;
+    }
+    const namePatterns = [...compiled.headers, ...compiled.properties];
+    const walk = (node) => {
+      if (typeof node === 'string') {
+        return applyBodyPatterns(node).value;
+      }
+      if (Array.isArray(node)) {
+        return node.map(walk);
+      }
+      if (node !== null && typeof node === 'object') {
+        return Object.fromEntries(Object.entries(node).map(([key, child]) => [
+          key,
+          namePatterns.some((pattern) => pattern.test(key)) ? replacement : walk(child)
+        ]));
+      }
+      return node;
+    };
+    return walk(value);
+  }
+
+  return {
+    enabled,
+    replacement,
+    redactPayload,
+    redactBody,
+    redactMap: (map, kind = 'headers') => redactMap(map, compiled[kind] || []),
+    redactForLog
+  };
+}
+
+module.exports = {
+  DEFAULT_REPLACEMENT,
+  DEFAULT_SENSITIVE_NAMES,
+  createRedactor,
+  detectBodyType,
+  validateRedactionRules
+};
@@ -0,0 +1,140 @@
+/**
+ * Script Library
+ * Extra Groovy files (shared script collections, helper classes) that travel with the main script
+ *
+ * Shapes:
+ *   CPI Helper payload  << script.libraries: [{ name, code }]
+ *   Contiva object      << libraries: [{ name, script }]  (written as scripts/<name> entries of the archive)
+ *
+ * Names are relative paths with forward slashes (e.g. "com/acme/Mapper.groovy"); absolute paths
+ * and ".." segments are rejected so a name can never point outside the folder it is written to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultLogger } = require('./logger');
+
+// Files picked up from a local script-collection folder
+const LIBRARY_EXTENSIONS = ['.groovy', '.gsh'];
+
+// Same rule as the schemas in payload-schemas.js: relative path segments, no "." or ".."
+const LIBRARY_NAME_PATTERN = /^(?!.*(?:^|\/)\.\.?(?:\/|$))[\w.-]+(?:\/[\w.-]+)*$/;
+
+/**
+ * Normalizes a library name to a relative path with forward slashes
+ *
+ * @throws {Error} When the name is empty, absolute or contains "." / ".." segments
+ */
+function normalizeLibraryName(name) {
+  const normalized = String(name || '').replace(/\\/g, '/').replace(/^\.\//, '');
+  if (!LIBRARY_NAME_PATTERN.test(normalized)) {
+    throw new Error(`Invalid script library name ${JSON.stringify(name)} (use a relative path such as "com/acme/Mapper.groovy")`);
+  }
+  return normalized;
+}
+
+/**
+ * Reads every Groovy file below a script-collection folder
+ * Hidden files and folders (.git, .idea, ...) are skipped; names are relative to dir
+ *
+ * @param {string} dir - Local script-collection folder
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger for the files found
+ * @returns {Array<{name: string, code: string}>} Sorted by name
+ * @throws {Error} When dir is not a folder
+ */
+function loadScriptLibrary(dir, { logger = getDefaultLogger() } = {}) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Script library folder not found: ${dir}`);
+  }
+  const libraries = [];
+
+  const walk = (current) => {
+    for (const dirent of fs.readdirSync(current, { withFileTypes: true })) {
+      if (dirent.name.startsWith('.')) {
+        continue;
+      }
+      const filePath = path.join(current, dirent.name);
+      if (dirent.isDirectory()) {
+        walk(filePath);
+      } else if (dirent.isFile() && LIBRARY_EXTENSIONS.includes(path.extname(dirent.name).toLowerCase())) {
+        libraries.push({
+          name: normalizeLibraryName(path.relative(dir, filePath)),
+          code: fs.readFileSync(filePath, 'utf-8')
+        });
+      }
+    }
+  };
+  walk(dir);
+
+  libraries.sort((a, b) => a.name.localeCompare(b.name));
+  logger.debug(`Script library ${dir}: ${libraries.map((library) => library.name).join(', ') || '(empty)'}`);
+  return libraries;
+}
+
+/**
+ * Merges library lists by name; entries of later lists replace earlier ones with the same name
+ *
+ * @param {...Array<{name: string, code: string}>} lists
+ * @returns {Array<{name: string, code: string}>} Sorted by name
+ */
+function mergeLibraries(...lists) {
+  const byName = new Map();
+  for (const list of lists) {
+    for (const library of list || []) {
+      byName.set(normalizeLibraryName(library.name), { ...library, name: normalizeLibraryName(library.name) });
+    }
+  }
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Maps libraries to a file name → content object for writing them below a folder
+ * Libraries with an unusable name are skipped with a warning rather than failing the whole save
+ *
+ * @param {Array<{name: string, code: string}>} libraries
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Folder prepended to every name (default "scripts/")
+ * @param {Object} [options.logger] - Logger for skipped names
+ * @returns {Object<string, string>}
+ */
+function buildLibraryFiles(libraries, { prefix = 'scripts/', logger = getDefaultLogger() } = {}) {
+  const files = {};
+  for (const library of libraries || []) {
+    try {
+      files[`${prefix}${normalizeLibraryName(library.name)}`] = library.code || '';
+    } catch (err) {
+      logger.warn(`Skipping script library: ${err.message}`);
+    }
+  }
+  return files;
+}
+
+/**
+ * Returns a copy of a CPI Helper payload whose script.libraries also holds the given files
+ * Libraries already in the payload win over files with the same name
+ *
+ * @param {Object} cpiHelperData - Decoded CPI Helper payload ({ input, script })
+ * @param {Array<{name: string, code: string}>} libraries - e.g. from loadScriptLibrary()
+ * @returns {Object}
+ */
+function withScriptLibraries(cpiHelperData, libraries) {
+  if (!libraries || libraries.length === 0) {
+    return cpiHelperData;
+  }
+  const script = cpiHelperData.script || {};
+  return {
+    ...cpiHelperData,
+    script: { ...script, libraries: mergeLibraries(libraries, script.libraries) }
+  };
+}
+
+module.exports = {
+  LIBRARY_EXTENSIONS,
+  LIBRARY_NAME_PATTERN,
+  buildLibraryFiles,
+  loadScriptLibrary,
+  mergeLibraries,
+  normalizeLibraryName,
+  withScriptLibraries
+};
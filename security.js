@@ -0,0 +1,377 @@
+/**
+ * Security
+ * Guards for the listener: shared access token, CORS allowlist, per-client rate limit and a cap on browser launches
+ *
+ * Token sources (security.token; the first one present is checked):
+ *   /token/<token>/...         << Path prefix, for the URL entered in CPI Helper (the data is appended to it)
+ *   ?token=<token>             << Query parameter
+ *   Authorization: Bearer <t>  << Header, for scripts and the feed client
+ *   X-CPIDebug-Token: <t>      << Header
+ *   cpidebug_token cookie      << Set once a token arrived in the path or query, so the dashboard and its
+ *                                 EventSource keep working after opening /dashboard/?token=<token>
+ *
+ * Browsers send an Origin header with cross-site fetches and form posts; requests from origins that are
+ * neither this server nor listed in security.corsOrigins are rejected, so other web pages cannot push
+ * captures to a local server.
+ *
+ * The Host header must name this machine (localhost, 127.0.0.1, [::1], the address the connection came in
+ * on, the bind address or security.allowedHosts), so a DNS-rebinding page (Host: evil.example) is rejected
+ * before its Origin can pass as same-origin.
+ *
+ * GET routes that save captures or start a browser only accept top-level navigations (CPI Helper opening
+ * a tab) and requests without Fetch Metadata (curl, scripts); an <img> or no-cors fetch from another site
+ * is rejected, since browsers send no Origin header with those.
+ */
+
+const crypto = require('crypto');
+const { getDefaultLogger } = require('./logger');
+
+const TOKEN_PATH_PREFIX = '/token/';
+const TOKEN_HEADER = 'X-CPIDebug-Token';
+const TOKEN_COOKIE = 'cpidebug_token';
+
+// Characters that survive a URL path segment, a query string and a cookie without escaping
+const TOKEN_PATTERN = /^[A-Za-z0-9._~-]{8,256}$/;
+
+const CORS_METHODS = 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
+const CORS_HEADERS = `Content-Type, Authorization, ${TOKEN_HEADER}, X-Redact, X-Request-Id, Last-Event-ID`;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Request headers that carry credentials, this server's token included; never reflected back (see GET /echo)
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie', TOKEN_HEADER.toLowerCase()];
+
+// Bind addresses that accept connections on every interface; they name no host
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+
+/**
+ * Whether a bind address only accepts connections from this machine
+ */
+function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host) || /^127\./.test(host);
+}
+
+/**
+ * Host name of a Host header without port or IPv6 brackets, lowercase ("[::1]:4004" → "::1")
+ */
+function hostHeaderName(host) {
+  const value = String(host || '').trim().toLowerCase();
+  const bracketed = value.match(/^\[([^\]]*)\]/);
+  return bracketed ? bracketed[1] : value.replace(/:\d*$/, '');
+}
+
+/**
+ * Path for log messages; encoded captures in the path decode to the raw message, so only their length is logged
+ */
+function describePath(req) {
+  return req.path.replace(/[^/]{64,}/g, (segment) => `<${segment.length} chars>`);
+}
+
+/**
+ * Compares two strings in constant time (hashing first so different lengths do not leak either)
+ */
+function tokensMatch(candidate, token) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(candidate), digest(token));
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (err) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Splits request headers into the ones safe to show and the names of the credential headers left out
+ *
+ * @param {Object} headers - e.g. req.headers
+ * @returns {{ headers: Object, removed: string[] }}
+ */
+function withoutCredentials(headers) {
+  const safe = {};
+  const removed = [];
+  for (const [name, value] of Object.entries(headers)) {
+    if (CREDENTIAL_HEADERS.includes(name.toLowerCase())) {
+      removed.push(name);
+    } else {
+      safe[name] = value;
+    }
+  }
+  return { headers: safe, removed };
+}
+
+/**
+ * Removes the access token from a request URL (/token/<token> path segment and token query parameter)
+ */
+function withoutTokenInUrl(url) {
+  const [pathname, query] = url.split(/\?(.*)/s);
+  const path = pathname.replace(/\/token\/[^/]*(?=\/|$)/, '');
+  const params = (query || '').split('&').filter((param) => param !== '' && !/^token(=|$)/.test(param));
+  return `${path || '/'}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * Removes a /token/<token> prefix from req.url and returns the token, or null when there is none
+ */
+function takePathToken(req) {
+  if (!req.url.startsWith(TOKEN_PATH_PREFIX)) {
+    return null;
+  }
+  const rest = req.url.slice(TOKEN_PATH_PREFIX.length);
+  const end = rest.search(/[/?]/);
+  const token = end === -1 ? rest : rest.slice(0, end);
+  const remainder = end === -1 ? '' : rest.slice(end);
+  req.url = remainder.startsWith('/') ? remainder : `/${remainder}`;
+  try {
+    return decodeURIComponent(token);
+  } catch (err) {
+    return token;
+  }
+}
+
+/**
+ * Creates middleware that rejects requests without the shared token (401)
+ *
+ * @param {Object} options
+ * @param {string} options.token - Expected token
+ * @param {string[]} [options.exemptPaths] - Paths served without a token (default ['/health'])
+ * @param {Object} [options.logger]
+ * @returns {Function} Express middleware; mount it before static files and routes
+ */
+function createAccessGuard({ token, exemptPaths = ['/health'], logger = getDefaultLogger() }) {
+  return (req, res, next) => {
+    const fromPath = takePathToken(req);
+    const fromQuery = typeof req.query.token === 'string' ? req.query.token : null;
+    const authorization = req.get('Authorization') || '';
+    const fromHeader = /^Bearer /i.test(authorization) ? authorization.slice(7).trim() : req.get(TOKEN_HEADER);
+    const candidate = fromPath || fromQuery || fromHeader || readCookie(req, TOKEN_COOKIE);
+
+    if (candidate && tokensMatch(candidate, token)) {
+      if (fromPath || fromQuery) {
+        res.cookie(TOKEN_COOKIE, token, { httpOnly: true, sameSite: 'strict', path: '/' });
+      }
+      return next();
+    }
+    if (exemptPaths.includes(req.path)) {
+      return next();
+    }
+
+    logger.warn(`Rejected ${req.method} ${describePath(req)} from ${req.ip}: ${candidate ? 'invalid' : 'missing'} access token`);
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({
+      success: false,
+      message: candidate ? 'Invalid access token' : 'Access token required',
+      hint: `Send it as ${TOKEN_PATH_PREFIX}<token>/..., ?token=<token>, "Authorization: Bearer <token>" or "${TOKEN_HEADER}: <token>"`,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * Creates middleware that rejects requests whose Host header does not name this machine (403)
+ * Accepted: loopback names and addresses, the local address of the connection, the bind address
+ * (unless it is a wildcard such as 0.0.0.0) and the allowed host names
+ *
+ * @param {Object} [options]
+ * @param {string} [options.bindHost] - Address the server listens on (config.host)
+ * @param {string[]} [options.allowedHosts] - Extra host names, e.g. the machine's DNS name with --host 0.0.0.0
+ * @param {Object} [options.logger]
+ * @returns {Function} Express middleware; mount it first
+ */
+function createHostGuard({ bindHost = '127.0.0.1', allowedHosts = [], logger = getDefaultLogger() } = {}) {
+  // Addresses and configured names as they appear in Host headers, without brackets
+  const toName = (address) => String(address).toLowerCase().replace(/^::ffff:/, '').replace(/^\[(.*)\]$/, '$1');
+  const names = new Set([...allowedHosts, ...(WILDCARD_HOSTS.includes(bindHost) ? [] : [bindHost])].map(toName));
+
+  return (req, res, next) => {
+    const host = req.get('Host');
+    const name = hostHeaderName(host);
+    if (name && (isLoopbackHost(name) || name === toName(req.socket.localAddress || '') || names.has(name))) {
+      return next();
+    }
+
+    logger.warn(`Rejected ${req.method} ${describePath(req)} from ${req.ip}: Host ${JSON.stringify(host || '')} is not this machine`);
+    res.status(403).json({
+      success: false,
+      message: host ? `Host ${host} is not allowed` : 'Host header required',
+      hint: 'Use localhost or the server address, or add the name to security.allowedHosts (ALLOWED_HOSTS, --allowed-hosts)',
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * Creates middleware for GET routes that save captures or start a browser (403 for embedded requests)
+ * Passes top-level navigations, same-origin requests, requests the user started directly (typed URL,
+ * bookmark, extension) and requests without Fetch Metadata headers (curl, scripts, older browsers).
+ * Rejects what other web pages load in the background: images, scripts, frames and no-cors fetches.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.logger]
+ * @returns {Function} Express middleware
+ */
+function createNavigationGuard({ logger = getDefaultLogger() } = {}) {
+  return (req, res, next) => {
+    const site = req.get('Sec-Fetch-Site');
+    const mode = req.get('Sec-Fetch-Mode');
+    const dest = req.get('Sec-Fetch-Dest');
+    if (!site || site === 'same-origin' || site === 'none' || (mode === 'navigate' && (!dest || dest === 'document'))) {
+      return next();
+    }
+
+    logger.warn(`Rejected ${req.method} ${describePath(req)} from ${req.ip}: ${site} ${mode || 'request'} for ${dest || 'unknown destination'}`);
+    res.status(403).json({
+      success: false,
+      message: 'This URL saves a capture or opens the IDE; open it as a page, not from another site\'s images, frames or scripts',
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * Creates middleware for the CORS allowlist
+ * Listed origins ("*" for any) get CORS headers and preflight answers; other foreign origins get 403.
+ * Requests without an Origin header (curl, CPI Helper opening a tab) and same-origin requests pass;
+ * same-origin relies on the Host header, so mount createHostGuard before this.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.origins] - e.g. ["chrome-extension://<extension id>"]
+ * @param {Object} [options.logger]
+ * @returns {Function} Express middleware
+ */
+function createCorsPolicy({ origins = [], logger = getDefaultLogger() } = {}) {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (!origin || origin === `${req.protocol}://${req.get('Host')}`) {
+      return next();
+    }
+    if (!origins.includes('*') && !origins.includes(origin)) {
+      logger.warn(`Rejected ${req.method} ${describePath(req)} from origin ${origin}`);
+      return res.status(403).json({
+        success: false,
+        message: `Origin ${origin} is not allowed`,
+        hint: 'Add it to security.corsOrigins (CORS_ORIGINS, --cors-origins)',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set({
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Expose-Headers': 'X-Request-Id, Content-Disposition, Retry-After',
+      Vary: 'Origin'
+    });
+    if (req.method === 'OPTIONS' && req.get('Access-Control-Request-Method')) {
+      res.set({
+        'Access-Control-Allow-Methods': CORS_METHODS,
+        'Access-Control-Allow-Headers': CORS_HEADERS,
+        'Access-Control-Max-Age': '600'
+      });
+      return res.sendStatus(204);
+    }
+    next();
+  };
+}
+
+/**
+ * Creates middleware allowing max requests per client address and window (429 with Retry-After beyond that)
+ *
+ * @param {Object} options
+ * @param {number} options.max - Requests per window
+ * @param {number} [options.windowMs] - Window length (default 60000)
+ * @param {Object} [options.logger]
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ max, windowMs = 60000, logger = getDefaultLogger() }) {
+  const clients = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = clients.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      // Forget clients whose window ended, so the map stays as small as the set of active clients
+      for (const [ip, existing] of clients) {
+        if (existing.resetAt <= now) {
+          clients.delete(ip);
+        }
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      clients.set(req.ip, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - entry.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+    if (entry.count <= max) {
+      return next();
+    }
+
+    if (entry.count === max + 1) {
+      logger.warn(`Rate limit of ${max} requests reached for ${req.ip}, rejecting for ${resetSeconds} s`);
+    }
+    res.set('Retry-After', String(resetSeconds));
+    res.status(429).json({
+      success: false,
+      message: `Too many requests: at most ${max} per ${windowMs / 1000} s`,
+      retryAfter: resetSeconds,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+/**
+ * Creates a counter for browser launches in the last minute
+ *
+ * @param {Object} options
+ * @param {number} options.perMinute - Launches allowed per rolling minute (0 = no cap)
+ * @returns {{ tryAcquire: Function, perMinute: number }} tryAcquire() records a launch and returns true,
+ *   or returns false when the cap is reached
+ */
+function createLaunchLimiter({ perMinute }) {
+  const launches = [];
+  return {
+    perMinute,
+    tryAcquire() {
+      if (perMinute === 0) {
+        return true;
+      }
+      const now = Date.now();
+      while (launches.length > 0 && launches[0] <= now - 60000) {
+        launches.shift();
+      }
+      if (launches.length >= perMinute) {
+        return false;
+      }
+      launches.push(now);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  TOKEN_COOKIE,
+  TOKEN_HEADER,
+  TOKEN_PATH_PREFIX,
+  TOKEN_PATTERN,
+  createAccessGuard,
+  createCorsPolicy,
+  createHostGuard,
+  createLaunchLimiter,
+  createNavigationGuard,
+  createRateLimiter,
+  isLoopbackHost,
+  withoutCredentials,
+  withoutTokenInUrl
+};
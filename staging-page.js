@@ -0,0 +1,145 @@
+/**
+ * Staging Page
+ * Editable form shown by GET /contiva/:data in staging mode, before anything is sent to the IDE
+ *
+ * Form (behaviour in public/staging/staging.js):
+ *   Function     << functionName, with the Message functions found in the script as suggestions
+ *   Body         << scriptInput; can be replaced by a local file
+ *   Headers      << Key/value grid; rows can be edited, added and removed
+ *   Properties   << Same
+ *   Script       << Read-only; libraries and attachments are passed on unchanged
+ *
+ * "Send to IDE" posts the edited Contiva object to POST /contiva/send, which encodes and launches it.
+ * Links, assets and sendUrl start with basePath, the path the app is mounted on (req.baseUrl).
+ * The object is embedded in the page, so nothing is kept on the server between the two requests.
+ */
+
+/**
+ * Escapes text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serializes data for a <script type="application/json"> block; "<" is escaped so the data cannot close the tag
+ */
+function toScriptJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Renders the staging page
+ *
+ * @param {Object} options
+ * @param {Object} options.contivaData - Converted Contiva object to edit
+ * @param {string} options.sendUrl - Where "Send to IDE" posts the edited object
+ * @param {string} [options.basePath=''] - Mount path of the app, e.g. /cpi; prefixed to links and assets
+ * @param {string|null} [options.captureId] - Capture the data was saved as
+ * @param {boolean} [options.redacted] - Whether secrets were masked
+ * @param {Object} [options.validation] - Schema validation result of the received payload
+ * @returns {string} HTML document
+ */
+function renderStagingPage({ contivaData, sendUrl, basePath = '', captureId = null, redacted = false, validation = null }) {
+  const base = escapeHtml(basePath);
+  const functionName = contivaData.functionName || 'processData';
+  const notes = [
+    captureId ? `Saved as <a href="${base}/dashboard/#${encodeURIComponent(captureId)}">${escapeHtml(captureId)}</a>` : 'Not saved',
+    redacted ? 'Secrets masked' : 'Raw data (not redacted)',
+    ...(validation && !validation.valid ? [`⚠️ ${validation.errors.length} schema problem(s) in the received payload`] : [])
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Stage ${escapeHtml(functionName)} for the IDE</title>
+  <link rel="stylesheet" href="${base}/dashboard/dashboard.css">
+  <link rel="stylesheet" href="${base}/staging/staging.css">
+</head>
+<body>
+  <header class="topbar">
+    <h1>🧪 Stage for the IDE</h1>
+    <nav>
+      <a href="${base}/dashboard/">Dashboard</a>
+      <a href="${base}/">API reference</a>
+    </nav>
+  </header>
+
+  <form id="staging-form" class="staging" autocomplete="off">
+    <div class="detail-header">
+      <div>
+        <h2>Adjust the message, then send it to the IDE</h2>
+        <div class="meta">${notes.map((note) => `<span>${note}</span>`).join('')}</div>
+      </div>
+      <div class="actions">
+        <button type="button" data-action="reset">Reset</button>
+        <button type="submit" class="primary">Send to IDE</button>
+      </div>
+    </div>
+
+    <div id="result" class="result" hidden></div>
+
+    <div class="panel">
+      <div class="panel-header">
+        <h3>Function</h3>
+        <span class="muted">Called by the IDE with the message</span>
+      </div>
+      <div class="panel-body">
+        <input type="text" id="function-name" list="function-names" class="mono" required
+          pattern="[A-Za-z_$][A-Za-z0-9_$]*" title="A Groovy method name">
+        <datalist id="function-names"></datalist>
+      </div>
+    </div>
+
+    <div class="panel">
+      <div class="panel-header">
+        <h3>Body</h3>
+        <span class="muted" id="body-size"></span>
+        <label class="file-button button">Replace from file…<input type="file" id="body-file" hidden></label>
+      </div>
+      <textarea id="body" class="code-editor" rows="16" spellcheck="false"></textarea>
+    </div>
+
+    <div class="panel-row">
+      <div class="panel">
+        <div class="panel-header">
+          <h3>Headers</h3>
+          <button type="button" data-action="add" data-grid="headers">+ Add header</button>
+        </div>
+        <table class="kv grid"><tbody id="headers"></tbody></table>
+      </div>
+      <div class="panel">
+        <div class="panel-header">
+          <h3>Properties</h3>
+          <button type="button" data-action="add" data-grid="properties">+ Add property</button>
+        </div>
+        <table class="kv grid"><tbody id="properties"></tbody></table>
+      </div>
+    </div>
+
+    <details class="panel">
+      <summary class="panel-header"><h3>Script</h3><span class="muted" id="script-summary"></span></summary>
+      <pre class="code"><code id="script"></code></pre>
+    </details>
+  </form>
+
+  <div id="toast" class="toast" hidden></div>
+
+  <script type="application/json" id="staged-data">${toScriptJson({ contivaData, sendUrl, captureId })}</script>
+  <script src="${base}/dashboard/highlight.js"></script>
+  <script src="${base}/staging/staging.js"></script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderStagingPage
+};
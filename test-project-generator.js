@@ -0,0 +1,393 @@
+/**
+ * Test Project Generator
+ * Turns a decoded CPI Helper payload into a runnable local Gradle/Spock project (as a ZIP)
+ *
+ * Project layout:
+ *   build.gradle / settings.gradle
+ *   src/main/resources/script/<script>.groovy                         << Captured script, loaded at test time
+ *   src/main/java/com/sap/gateway/ip/core/customdev/util/Message.java << Message stub
+ *   src/main/groovy/com/sap/it/api/msglog/MessageLog*.groovy          << messageLogFactory stub
+ *   src/main/groovy/<library>                                         << Script libraries (script.libraries), if any
+ *   src/test/resources/capture/body.txt, headers.json, properties.json
+ *   src/test/resources/capture/attachments/                           << Attachments plus manifest.json, if any
+ *   src/test/groovy/CapturedMessageSpec.groovy                        << Spock spec running the script
+ *   src/test/groovy/CapturedAttachment.groovy                         << DataSource for the captured attachments
+ *
+ * Files are only generated as text (attachments as their bytes), so the server does not need Groovy or Gradle installed.
+ */
+
+const { createZipBuffer } = require('./contiva-encoder');
+const { buildLibraryFiles } = require('./script-library');
+const { buildAttachmentFiles } = require('./attachments');
+
+const GROOVY_VERSION = '4.0.21';
+const SPOCK_BOM_VERSION = '2.3-groovy-4.0';
+const ACTIVATION_VERSION = '1.2.2';
+
+// Function names end up in generated Groovy source, so only accept plain identifiers
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Turns free text into a safe project / file name
+ */
+function toSafeName(value, fallback) {
+  const name = String(value || '')
+    .replace(/[^A-Za-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return name || fallback;
+}
+
+/**
+ * Quotes a value as a single-quoted Groovy string literal
+ */
+function groovyString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function buildGradleFile() {
+  return `plugins {
+    id 'groovy'
+}
+
+repositories {
+    mavenCentral()
+}
+
+dependencies {
+    implementation 'org.apache.groovy:groovy-all:${GROOVY_VERSION}'
+    // javax.activation.DataHandler for message attachments (no longer part of the JDK)
+    implementation 'jakarta.activation:jakarta.activation-api:${ACTIVATION_VERSION}'
+
+    testImplementation platform('org.spockframework:spock-bom:${SPOCK_BOM_VERSION}')
+    testImplementation 'org.spockframework:spock-core'
+}
+
+test {
+    useJUnitPlatform()
+    testLogging {
+        events 'passed', 'failed'
+        showStandardStreams = true
+    }
+}
+`;
+}
+
+function buildSettingsFile(projectName) {
+  return `rootProject.name = ${groovyString(projectName)}\n`;
+}
+
+function buildMessageStub() {
+  // Java rather than Groovy: a Groovy class defining getProperty(String) would hijack all property access
+  return `package com.sap.gateway.ip.core.customdev.util;
+
+import java.io.ByteArrayInputStream;
+import java.io.InputStream;
+import java.io.Reader;
+import java.io.StringReader;
+import java.nio.charset.StandardCharsets;
+import java.util.LinkedHashMap;
+import java.util.Map;
+import javax.activation.DataHandler;
+
+/**
+ * Minimal local stand-in for the SAP CPI Message class.
+ * Covers the body, header, property and attachment accessors scripts commonly use.
+ */
+public class Message {
+    private Object body;
+    private Map<String, Object> headers = new LinkedHashMap<>();
+    private Map<String, Object> properties = new LinkedHashMap<>();
+    private Map<String, DataHandler> attachments = new LinkedHashMap<>();
+
+    public Object getBody() {
+        return body;
+    }
+
+    @SuppressWarnings("unchecked")
+    public <T> T getBody(Class<T> type) {
+        if (body == null || type.isInstance(body)) {
+            return (T) body;
+        }
+        if (type == String.class) {
+            return (T) (body instanceof byte[] ? new String((byte[]) body, StandardCharsets.UTF_8) : body.toString());
+        }
+        if (type == byte[].class) {
+            return (T) getBody(String.class).getBytes(StandardCharsets.UTF_8);
+        }
+        if (type == Reader.class) {
+            return (T) new StringReader(getBody(String.class));
+        }
+        if (type == InputStream.class) {
+            return (T) new ByteArrayInputStream(getBody(byte[].class));
+        }
+        throw new IllegalArgumentException("Cannot convert body to " + type.getName());
+    }
+
+    public void setBody(Object body) {
+        this.body = body;
+    }
+
+    public Map<String, Object> getHeaders() {
+        return headers;
+    }
+
+    @SuppressWarnings("unchecked")
+    public <T> T getHeader(String name, Class<T> type) {
+        Object value = headers.get(name);
+        if (value == null || type.isInstance(value)) {
+            return (T) value;
+        }
+        if (type == String.class) {
+            return (T) value.toString();
+        }
+        throw new IllegalArgumentException("Cannot convert header " + name + " to " + type.getName());
+    }
+
+    public void setHeader(String name, Object value) {
+        headers.put(name, value);
+    }
+
+    public void setHeaders(Map<String, Object> headers) {
+        this.headers = new LinkedHashMap<>(headers);
+    }
+
+    public Map<String, Object> getProperties() {
+        return properties;
+    }
+
+    public Object getProperty(String name) {
+        return properties.get(name);
+    }
+
+    public void setProperty(String name, Object value) {
+        properties.put(name, value);
+    }
+
+    public void setProperties(Map<String, Object> properties) {
+        this.properties = new LinkedHashMap<>(properties);
+    }
+
+    public Map<String, DataHandler> getAttachments() {
+        return attachments;
+    }
+
+    public void setAttachments(Map<String, DataHandler> attachments) {
+        this.attachments = new LinkedHashMap<>(attachments);
+    }
+}
+`;
+}
+
+function buildMessageLogStub() {
+  return `package com.sap.it.api.msglog
+
+/**
+ * Local stand-in for the CPI message log; attachments are printed instead of stored.
+ */
+class MessageLog {
+    Map<String, String> customProperties = [:]
+
+    void setStringProperty(String name, String value) {
+        customProperties[name] = value
+    }
+
+    void addAttachmentAsString(String name, String text, String mediaType) {
+        println "[MessageLog] attachment '\${name}' (\${mediaType}):"
+        println text
+    }
+
+    void addCustomHeaderProperty(String name, String value) {
+        customProperties[name] = value
+    }
+}
+`;
+}
+
+function buildMessageLogFactoryStub() {
+  return `package com.sap.it.api.msglog
+
+/**
+ * Local stand-in for the messageLogFactory binding available to CPI scripts.
+ */
+class MessageLogFactory {
+    MessageLog getMessageLog(Object message) {
+        return new MessageLog()
+    }
+}
+`;
+}
+
+function buildAttachmentDataSource() {
+  return `import javax.activation.DataSource
+
+/**
+ * In-memory DataSource for a captured attachment (see capture/attachments/manifest.json).
+ */
+class CapturedAttachment implements DataSource {
+    final String name
+    final String contentType
+    private final byte[] content
+
+    CapturedAttachment(String name, String contentType, byte[] content) {
+        this.name = name
+        this.contentType = contentType
+        this.content = content
+    }
+
+    InputStream getInputStream() {
+        return new ByteArrayInputStream(content)
+    }
+
+    OutputStream getOutputStream() {
+        throw new IOException("Captured attachment \${name} is read-only")
+    }
+}
+`;
+}
+
+function buildSpec({ scriptFile, functionName }) {
+  return `import com.sap.gateway.ip.core.customdev.util.Message
+import com.sap.it.api.msglog.MessageLogFactory
+import groovy.json.JsonSlurper
+import javax.activation.DataHandler
+import spock.lang.Specification
+
+/**
+ * Runs the captured script against the captured message.
+ * Add assertions on the resulting body, headers and properties below.
+ */
+class CapturedMessageSpec extends Specification {
+
+    private static final String SCRIPT_PATH = ${groovyString(`src/main/resources/script/${scriptFile}`)}
+    private static final String FUNCTION_NAME = ${groovyString(functionName)}
+
+    private Message loadCapturedMessage() {
+        def message = new Message()
+        message.setBody(resource('body.txt').getText('UTF-8'))
+        message.setHeaders(new JsonSlurper().parse(resource('headers.json')) as Map)
+        message.setProperties(new JsonSlurper().parse(resource('properties.json')) as Map)
+        message.setAttachments(loadAttachments())
+        return message
+    }
+
+    private static Map<String, DataHandler> loadAttachments() {
+        def manifest = resource('attachments/manifest.json')
+        if (manifest == null) {
+            return [:]
+        }
+        return (new JsonSlurper().parse(manifest) as List<Map>).collectEntries { entry ->
+            def content = resource("attachments/\${entry.file}").bytes
+            [(entry.name): new DataHandler(new CapturedAttachment(entry.name, entry.contentType, content))]
+        }
+    }
+
+    private static URL resource(String name) {
+        return CapturedMessageSpec.getResource("/capture/\${name}")
+    }
+
+    private Script loadScript() {
+        def binding = new Binding(messageLogFactory: new MessageLogFactory())
+        return new GroovyShell(binding).parse(new File(SCRIPT_PATH))
+    }
+
+    def 'script processes the captured message'() {
+        given:
+        def message = loadCapturedMessage()
+        def script = loadScript()
+
+        when:
+        def result = script.invokeMethod(FUNCTION_NAME, message)
+
+        then:
+        noExceptionThrown()
+        result != null
+
+        and: 'print the outcome so it can be turned into assertions'
+        println "Body: \${result.getBody(String)}"
+        println "Headers: \${result.getHeaders()}"
+        println "Properties: \${result.getProperties()}"
+        println "Attachments: \${result.getAttachments().keySet()}"
+    }
+}
+`;
+}
+
+function buildReadme({ projectName, scriptFile, functionName }) {
+  return `# ${projectName}
+
+Local test harness generated from a CPI Helper capture.
+
+- \`src/main/resources/script/${scriptFile}\` - captured script (entry point \`${functionName}\`)
+- \`src/test/resources/capture/\` - captured body, headers and properties; attachments in \`attachments/\` (see \`manifest.json\`)
+- \`src/test/groovy/CapturedMessageSpec.groovy\` - Spock spec running the script against the capture
+- \`src/main/java/com/sap/...\`, \`src/main/groovy/com/sap/...\` - stubs for \`Message\` and \`messageLogFactory\`
+- \`src/main/groovy/\` - script libraries shipped with the capture, compiled next to the stubs
+
+## Running
+
+\`\`\`bash
+gradle test
+\`\`\`
+
+Requires a JDK (11+) and Gradle. Run \`gradle wrapper\` once if you want a wrapper checked in.
+`;
+}
+
+/**
+ * Builds the list of project files for a decoded CPI Helper payload
+ *
+ * @param {Object} cpiHelperData - Decoded CPI Helper payload ({ input, script })
+ * @param {Object} [options]
+ * @param {string} [options.projectName] - Name of the Gradle project and ZIP root folder
+ * @returns {{ projectName: string, entries: Array<{name: string, content: string|Buffer}> }}
+ */
+function buildTestProjectFiles(cpiHelperData, { projectName } = {}) {
+  const input = (cpiHelperData && cpiHelperData.input) || {};
+  const script = (cpiHelperData && cpiHelperData.script) || {};
+
+  const functionName = IDENTIFIER_PATTERN.test(script.function || '') ? script.function : 'processData';
+  const name = toSafeName(projectName, 'groovy-capture');
+  const scriptFile = `${toSafeName(script.name, 'script')}.groovy`;
+  const options = { projectName: name, scriptFile, functionName };
+
+  const files = {
+    'build.gradle': buildGradleFile(),
+    'settings.gradle': buildSettingsFile(name),
+    'README.md': buildReadme(options),
+    [`src/main/resources/script/${scriptFile}`]: script.code || '',
+    'src/main/java/com/sap/gateway/ip/core/customdev/util/Message.java': buildMessageStub(),
+    'src/main/groovy/com/sap/it/api/msglog/MessageLog.groovy': buildMessageLogStub(),
+    'src/main/groovy/com/sap/it/api/msglog/MessageLogFactory.groovy': buildMessageLogFactoryStub(),
+    'src/test/resources/capture/body.txt': typeof input.body === 'string' ? input.body : JSON.stringify(input.body || ''),
+    'src/test/resources/capture/headers.json': JSON.stringify(input.headers || {}, null, 2),
+    'src/test/resources/capture/properties.json': JSON.stringify(input.properties || {}, null, 2),
+    'src/test/groovy/CapturedMessageSpec.groovy': buildSpec(options),
+    'src/test/groovy/CapturedAttachment.groovy': buildAttachmentDataSource(),
+    ...buildAttachmentFiles(input.attachments, { prefix: 'src/test/resources/capture/attachments/' }).files,
+    // Script libraries are compiled with the stubs, so the captured script can import their classes
+    ...buildLibraryFiles(script.libraries, { prefix: 'src/main/groovy/' })
+  };
+
+  return {
+    projectName: name,
+    entries: Object.entries(files).map(([file, content]) => ({ name: `${name}/${file}`, content }))
+  };
+}
+
+/**
+ * Generates the test project as a ZIP archive
+ *
+ * @param {Object} cpiHelperData - Decoded CPI Helper payload ({ input, script })
+ * @param {Object} [options] - See buildTestProjectFiles
+ * @returns {Promise<{ projectName: string, zipBuffer: Buffer }>}
+ */
+async function generateTestProject(cpiHelperData, options = {}) {
+  const { projectName, entries } = buildTestProjectFiles(cpiHelperData, options);
+  const zipBuffer = await createZipBuffer(entries);
+  return { projectName, zipBuffer };
+}
+
+module.exports = {
+  buildTestProjectFiles,
+  generateTestProject
+};
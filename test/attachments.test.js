@@ -0,0 +1,162 @@
+/**
+ * Attachments tests
+ * Safe attachment file names, the manifest round trip and attachments carried through every format
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  attachmentsFromManifest,
+  buildAttachmentFiles,
+  clearAttachmentFolder,
+  loadAttachmentFolder
+} = require('../attachments');
+const { decodeContivaData, encodeContivaData } = require('../contiva-encoder');
+const { contivaToCpiHelper, cpiHelperToContiva, decodeGroovyString, encodeGroovyString } = require('../cpihelper-codec');
+const { silentLogger } = require('../logger');
+const { startTestServer } = require('./helpers');
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.from([0, 1, 2, 0xff, 0xfe])]);
+
+const ATTACHMENTS = [
+  { name: 'invoice.pdf', contentType: 'application/pdf', content: PDF.toString('base64') },
+  { name: 'Lieferschein ü.txt', contentType: 'text/plain; charset=UTF-8', content: Buffer.from('Menge: 3').toString('base64') }
+];
+
+const PAYLOAD = {
+  input: { body: '<Order/>', headers: {}, properties: {}, attachments: ATTACHMENTS },
+  script: { code: 'def Message processData(Message message) { message }', function: 'processData' }
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpidebug-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Writes the files of buildAttachmentFiles below a folder
+ */
+function writeFiles(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+}
+
+test('attachment names become plain, unique file names inside the folder', () => {
+  const content = Buffer.from('x').toString('base64');
+  const { files, manifest } = buildAttachmentFiles([
+    { name: '../../etc/passwd', content },
+    { name: '/etc/passwd', content },
+    { name: 'C:\\Temp\\report.csv', content },
+    { name: 'report.csv', content },
+    { name: 'REPORT.csv', content },
+    { name: '.hidden', content },
+    { name: 'manifest.json', content },
+    { name: '..', content }
+  ], { logger: silentLogger });
+
+  assert.deepEqual(manifest.map((entry) => entry.file), [
+    'etc_passwd',
+    'etc_passwd-2',
+    'C_Temp_report.csv',
+    'report.csv',
+    'REPORT-2.csv',
+    'hidden',
+    'manifest-2.json',
+    'attachment'
+  ]);
+  // The manifest keeps the names as captured
+  assert.equal(manifest[0].name, '../../etc/passwd');
+  for (const name of Object.keys(files)) {
+    assert.match(name, /^attachments\/[^/\\]+$/);
+    assert.ok(!name.includes('..'), name);
+  }
+  assert.equal(Object.keys(files).length, manifest.length + 1);
+});
+
+test('attachments without a name or Base64 content are skipped', () => {
+  const { files, manifest } = buildAttachmentFiles([
+    { content: 'eA==' },
+    { name: 'bad.bin', content: 'not base64!' },
+    { name: 'ok.bin', content: 'eA==' }
+  ], { logger: silentLogger });
+
+  assert.deepEqual(manifest, [{ name: 'ok.bin', contentType: 'application/octet-stream', file: 'ok.bin', size: 1 }]);
+  assert.deepEqual(Object.keys(files), ['attachments/ok.bin', 'attachments/manifest.json']);
+  assert.deepEqual(buildAttachmentFiles([], { logger: silentLogger }), { files: {}, manifest: [] });
+});
+
+test('a folder written from the manifest reads back to the same attachments', (t) => {
+  const dir = tempDir(t);
+  const { files, manifest } = buildAttachmentFiles(ATTACHMENTS, { logger: silentLogger });
+  writeFiles(dir, files);
+
+  const folder = path.join(dir, 'attachments');
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(folder, 'manifest.json'), 'utf-8')), manifest);
+  assert.deepEqual(fs.readFileSync(path.join(folder, 'invoice.pdf')), PDF);
+  assert.deepEqual(loadAttachmentFolder(folder, { logger: silentLogger }), ATTACHMENTS);
+
+  // Files the manifest does not list survive clearing; the folder goes once it is empty
+  fs.writeFileSync(path.join(folder, 'notes.txt'), 'mine');
+  clearAttachmentFolder(folder);
+  assert.deepEqual(fs.readdirSync(folder), ['notes.txt']);
+  fs.rmSync(path.join(folder, 'notes.txt'));
+  writeFiles(dir, files);
+  clearAttachmentFolder(folder);
+  assert.ok(!fs.existsSync(folder));
+
+  assert.deepEqual(loadAttachmentFolder(folder, { logger: silentLogger }), []);
+});
+
+test('manifest entries pointing outside the folder or to missing files are skipped', () => {
+  const read = (file) => (file === 'a.bin' ? Buffer.from('a') : null);
+  const attachments = attachmentsFromManifest([
+    { name: 'a', file: 'a.bin' },
+    { name: 'escape', file: '../a.bin' },
+    { name: 'absolute', file: '/a.bin' },
+    { name: 'missing', file: 'b.bin' }
+  ], read, { logger: silentLogger });
+
+  assert.deepEqual(attachments, [{ name: 'a', contentType: 'application/octet-stream', content: 'YQ==' }]);
+  assert.throws(() => attachmentsFromManifest({}, read, { logger: silentLogger }), /must hold a list/);
+});
+
+test('attachments survive CPI Helper → Contiva → CPI Helper', async () => {
+  const cpiHelperString = encodeGroovyString(PAYLOAD, { logger: silentLogger });
+  const contivaData = cpiHelperToContiva(decodeGroovyString(cpiHelperString, { logger: silentLogger }), { logger: silentLogger });
+  assert.deepEqual(contivaData.attachments, ATTACHMENTS);
+
+  // The Contiva archive holds them as attachments/<file> entries, not inside data.json
+  const encoded = await encodeContivaData(contivaData, { logger: silentLogger });
+  const decoded = await decodeContivaData(encoded, { logger: silentLogger });
+  assert.deepEqual(decoded.contivaData.attachments, ATTACHMENTS);
+
+  const back = contivaToCpiHelper(decoded.contivaData, { logger: silentLogger });
+  assert.deepEqual(back.input.attachments, ATTACHMENTS);
+  assert.deepEqual(decodeGroovyString(encodeGroovyString(back, { logger: silentLogger }), { logger: silentLogger }), PAYLOAD);
+});
+
+test('captures save attachments in the session and the Debug folder', async (t) => {
+  const { url, baseDir } = await startTestServer(t);
+  const post = async (payload) => (await fetch(`${url}/debug`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data: encodeGroovyString(payload, { logger: silentLogger }) })
+  })).json();
+
+  const { captureId } = await post(PAYLOAD);
+  const sessionFolder = path.join(baseDir, 'Sessions', captureId, 'attachments');
+  const debugFolder = path.join(baseDir, 'Debug', 'attachments');
+  assert.deepEqual(loadAttachmentFolder(sessionFolder, { logger: silentLogger }), ATTACHMENTS);
+  assert.deepEqual(loadAttachmentFolder(debugFolder, { logger: silentLogger }), ATTACHMENTS);
+
+  // A later capture without attachments leaves no stale ones in the Debug folder
+  const { input, ...rest } = PAYLOAD;
+  await post({ ...rest, input: { ...input, attachments: [] } });
+  assert.ok(!fs.existsSync(debugFolder));
+});
@@ -0,0 +1,147 @@
+/**
+ * Body Format tests
+ * Type and charset detection, formatting and charset encoding of message bodies, and the typed copies on disk
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TYPED_EXTENSIONS, buildBodyFiles, decodeBody, describeBody, encodeBody, formatBody } = require('../body-format');
+const { createCaptureWriter } = require('../capture-writer');
+const { silentLogger } = require('../logger');
+
+const LATIN1_XML = '<?xml version="1.0" encoding="ISO-8859-1"?><Kunde>Müller & Söhne</Kunde>';
+
+// 69 bytes starting with the PDF magic number, Base64-encoded
+const PDF_BASE64 = Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(60)]).toString('base64');
+
+test('the charset comes from the XML declaration, then Content-Type, then CamelCharsetName, then UTF-8', () => {
+  assert.equal(describeBody(LATIN1_XML).charset, 'ISO-8859-1');
+  // The declaration wins over the other sources
+  assert.equal(describeBody(LATIN1_XML, { properties: { CamelCharsetName: 'UTF-16' } }).charset, 'ISO-8859-1');
+
+  assert.equal(describeBody('plain', { headers: { 'content-type': 'text/plain; charset="windows-1252"' } }).charset, 'windows-1252');
+  assert.equal(describeBody('<a/>', { properties: { CamelCharsetName: 'UTF-16' } }).charset, 'UTF-16');
+  assert.equal(describeBody('<a/>', { headers: { CamelCharsetName: 'ISO-8859-1' } }).charset, 'ISO-8859-1');
+  assert.equal(describeBody('<a/>', { headers: { 'Content-Type': 'application/xml' } }).charset, 'UTF-8');
+  assert.equal(describeBody('<a/>').charset, 'UTF-8');
+});
+
+test('body types are detected from the content', () => {
+  const types = {
+    '<a/>': 'xml',
+    ' {"a":1}': 'json',
+    "UNA:+.? 'UNB+UNOC:3": 'edifact',
+    'ISA*00*          *00*': 'x12',
+    'EDI_DC40  100': 'idoc',
+    'a;b;c\n1;2;3\n4;5;6': 'csv',
+    [PDF_BASE64]: 'base64',
+    [Buffer.from('<Order><Id>1</Id></Order>').toString('base64')]: 'base64',
+    'just some words': 'text',
+    'QmFzZTY0': 'text'
+  };
+  for (const [body, type] of Object.entries(types)) {
+    assert.equal(describeBody(body).type, type, body);
+  }
+});
+
+test('Latin-1 and UTF-16 bodies round-trip through encodeBody and decodeBody', () => {
+  const latin1 = encodeBody(LATIN1_XML, 'ISO-8859-1');
+  assert.equal(latin1.fallback, false);
+  assert.equal(latin1.buffer.length, LATIN1_XML.length);
+  assert.equal(latin1.buffer[latin1.buffer.indexOf('M') + 1], 0xfc); // ü as a single byte
+  assert.deepEqual(decodeBody(latin1.buffer), { text: LATIN1_XML, charset: 'ISO-8859-1' });
+
+  const text = 'Grüße 😀';
+  const utf16 = encodeBody(text, 'UTF-16');
+  assert.deepEqual([...utf16.buffer.subarray(0, 2)], [0xff, 0xfe]);
+  assert.deepEqual(decodeBody(utf16.buffer), { text, charset: 'UTF-16' });
+
+  const utf16be = encodeBody(text, 'UTF-16BE');
+  assert.equal(decodeBody(utf16be.buffer, { properties: { CamelCharsetName: 'UTF-16BE' } }).text, text);
+
+  const cp1252 = encodeBody('Preis: 5 €', 'windows-1252');
+  assert.equal(cp1252.buffer.at(-1), 0x80);
+  assert.equal(decodeBody(cp1252.buffer, { properties: { CamelCharsetName: 'windows-1252' } }).text, 'Preis: 5 €');
+});
+
+test('unknown charsets and characters outside the charset fall back to UTF-8', () => {
+  assert.deepEqual(encodeBody('€ ü', 'ISO-8859-1'), { buffer: Buffer.from('€ ü', 'utf-8'), charset: 'UTF-8', fallback: true });
+  assert.equal(encodeBody('ü', 'US-ASCII').fallback, true);
+  assert.equal(encodeBody('x', 'EBCDIC-XYZ').fallback, true);
+
+  const { info, body, warnings } = buildBodyFiles({ input: { body: '<a>€</a>', properties: { CamelCharsetName: 'ISO-8859-1' } } });
+  assert.equal(info.charset, 'ISO-8859-1');
+  assert.equal(info.savedCharset, 'UTF-8');
+  assert.equal(body.toString('utf-8'), '<a>€</a>');
+  assert.match(warnings[0], /saved as UTF-8, charset ISO-8859-1/);
+});
+
+test('XML and JSON are pretty-printed or minified, malformed documents are left as received', () => {
+  assert.deepEqual(formatBody('{"a":[1,2]}', 'json', 'pretty'), { text: '{\n  "a": [\n    1,\n    2\n  ]\n}', formatted: true });
+  assert.deepEqual(formatBody('{ "a" : 1 }', 'json', 'minify'), { text: '{"a":1}', formatted: true });
+  assert.deepEqual(formatBody('<a>\n  <b>x y</b>\n</a>', 'xml', 'minify'), { text: '<a><b>x y</b></a>', formatted: true });
+  assert.equal(formatBody('<a><b>x</b></a>', 'xml', 'pretty').text, '<a>\n  <b>x</b>\n</a>');
+
+  assert.deepEqual(formatBody('<a><b>', 'xml', 'pretty'), { text: '<a><b>', formatted: false, error: 'Unclosed <b>' });
+  assert.equal(formatBody('{"a":', 'json', 'minify').text, '{"a":');
+  assert.deepEqual(formatBody('a,b\n1,2', 'csv', 'pretty'), { text: 'a,b\n1,2', formatted: false });
+  assert.deepEqual(formatBody('{"a": 1}', 'json', 'none'), { text: '{"a": 1}', formatted: false });
+
+  const { body, warnings } = buildBodyFiles({ input: { body: '<a><b>' } }, { format: 'pretty' });
+  assert.equal(body.toString(), '<a><b>');
+  assert.match(warnings[0], /XML could not be formatted: Unclosed <b>/);
+});
+
+test('Base64 bodies of binary content keep the Base64 text and get the decoded bytes as typed copy', () => {
+  const { info, body, typed } = buildBodyFiles({ input: { body: PDF_BASE64 } });
+
+  assert.equal(info.type, 'base64');
+  assert.deepEqual(info.binary, { extension: 'pdf', mediaType: 'application/pdf', bytes: 69 });
+  assert.equal(body.toString(), PDF_BASE64);
+  assert.equal(typed.extension, 'pdf');
+  assert.equal(typed.content.subarray(0, 4).toString(), '%PDF');
+
+  // Long Base64 of unknown binary content is .bin; short tokens stay text
+  const unknown = Buffer.alloc(64, 1).toString('base64');
+  assert.equal(buildBodyFiles({ input: { body: unknown } }).typed.extension, 'bin');
+  assert.equal(describeBody('AAECAwQFBgc=').type, 'text');
+});
+
+test('typed copies use the extension of the body type, and text bodies have none', () => {
+  assert.equal(buildBodyFiles({ input: { body: '<a/>' } }).typed.extension, 'xml');
+  assert.equal(buildBodyFiles({ input: { body: '{}' } }).typed.extension, 'json');
+  assert.equal(buildBodyFiles({ input: { body: "UNB+UNOC:3'" } }).typed.extension, 'edi');
+  assert.equal(buildBodyFiles({ input: { body: 'hello' } }).typed, null);
+  assert.equal(buildBodyFiles({ input: { body: '<a/>' } }, { typedCopy: false }).typed, null);
+
+  assert.ok(TYPED_EXTENSIONS.includes('pdf') && TYPED_EXTENSIONS.includes('bin'));
+  assert.ok(!TYPED_EXTENSIONS.includes('b64') && !TYPED_EXTENSIONS.includes('txt'));
+});
+
+test('the typed copy of an earlier capture is removed when the body type changes', (t) => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpidebug-test-'));
+  t.after(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+  const debugDir = path.join(baseDir, 'Debug');
+  const writer = createCaptureWriter({
+    dataDump: { debugDir, propertiesDir: debugDir, sessionsDir: path.join(baseDir, 'Sessions') },
+    logger: silentLogger
+  });
+  const capture = (body) => writer.saveDecodedData({
+    input: { body, headers: {}, properties: {} },
+    script: { code: '', function: 'processData' }
+  });
+
+  assert.equal(capture(LATIN1_XML).success, true);
+  assert.deepEqual(fs.readFileSync(path.join(debugDir, 'debug.body')), Buffer.from(LATIN1_XML, 'latin1'));
+  assert.ok(fs.existsSync(path.join(debugDir, 'debug.xml')));
+
+  capture('{"a":1}');
+  assert.ok(fs.existsSync(path.join(debugDir, 'debug.json')));
+  assert.ok(!fs.existsSync(path.join(debugDir, 'debug.xml')));
+
+  capture('plain text');
+  assert.deepEqual(fs.readdirSync(debugDir).filter((name) => name.startsWith('debug.')).sort(), ['debug.body', 'debug.header', 'debug.properties']);
+});
@@ -0,0 +1,146 @@
+/**
+ * Capture Diff tests
+ * diffCaptures on payloads, and the diff routes of the server on saved captures
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffBodies, diffCaptures } = require('../capture-diff');
+const { encodeGroovyString } = require('../cpihelper-codec');
+const { silentLogger } = require('../logger');
+const { startTestServer } = require('./helpers');
+
+const SCRIPT = 'def Message processData(Message message) {\n    return message\n}';
+
+function payload({ body = '', headers = {}, properties = {}, code = SCRIPT, fn = 'processData' } = {}) {
+  return { input: { body, headers, properties }, script: { code, function: fn } };
+}
+
+const LEFT = payload({
+  body: '{"order":{"id":1,"items":["a","b"]}}',
+  headers: { 'Content-Type': 'application/json', SAP_Sender: 'ERP', Removed: 'x' },
+  properties: { Tenant: 'dev', Count: '3' }
+});
+const RIGHT = payload({
+  body: '{"order":{"id":2,"items":["a","b","c"]}}',
+  headers: { 'Content-Type': 'application/json', SAP_Sender: 'CRM', Added: 'y' },
+  properties: { Tenant: 'dev', Count: '4', Mode: 'test' },
+  code: SCRIPT.replace('return message', 'message.setBody("x")\n    return message'),
+  fn: 'handle'
+});
+
+test('header and property differences are reported as added, removed and changed', () => {
+  const diff = diffCaptures(LEFT, RIGHT);
+
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.headers, {
+    added: [{ key: 'Added', value: 'y' }],
+    removed: [{ key: 'Removed', value: 'x' }],
+    changed: [{ key: 'SAP_Sender', from: 'ERP', to: 'CRM' }],
+    unchanged: 1
+  });
+  assert.deepEqual(diff.properties, {
+    added: [{ key: 'Mode', value: 'test' }],
+    removed: [],
+    changed: [{ key: 'Count', from: '3', to: '4' }],
+    unchanged: 1
+  });
+  assert.equal(diff.summary.headers, 3);
+  assert.equal(diff.summary.properties, 2);
+});
+
+test('JSON bodies get a path diff and a pretty-printed line diff', () => {
+  const { body, summary } = diffCaptures(LEFT, RIGHT);
+
+  assert.equal(body.type, 'json');
+  assert.deepEqual(body.structure.changed, [{ key: '$.order.id', from: 1, to: 2 }]);
+  assert.deepEqual(body.structure.added, [{ key: '$.order.items[2]', value: 'c' }]);
+  assert.ok(body.lines.some((line) => line.type === 'removed' && line.text === '    "id": 1,'));
+  assert.ok(body.lines.some((line) => line.type === 'added' && line.text === '    "id": 2,'));
+  assert.equal(summary.bodyPaths, 2);
+
+  // Without pretty printing the one-line bodies differ in their only line
+  const raw = diffCaptures(LEFT, RIGHT, { pretty: false }).body;
+  assert.deepEqual(raw.lines.map((line) => line.type), ['removed', 'added']);
+});
+
+test('XML bodies are compared by path, malformed XML as plain text', () => {
+  const xml = diffBodies('<Order id="1"><Item>a</Item></Order>', '<Order id="2"><Item>a</Item><Item>b</Item></Order>');
+  assert.equal(xml.type, 'xml');
+  assert.deepEqual(xml.structure.changed, [{ key: '/Order/@id', from: '1', to: '2' }]);
+  assert.deepEqual(xml.structure.added, [{ key: '/Order/Item[2]', value: 'b' }]);
+
+  const malformed = diffBodies('<a><b>1</b>', '<a><b>2</b>');
+  assert.equal(malformed.type, 'text');
+  assert.equal(malformed.structure, null);
+  assert.deepEqual(malformed.lines.map((line) => [line.type, line.text]), [['removed', '<a><b>1</b>'], ['added', '<a><b>2</b>']]);
+});
+
+test('script changes include the function name and line numbers', () => {
+  const { script, summary } = diffCaptures(LEFT, RIGHT);
+
+  assert.equal(script.identical, false);
+  assert.deepEqual(script.function, { old: 'processData', new: 'handle' });
+  assert.equal(summary.functionChanged, true);
+  assert.deepEqual(
+    script.lines.filter((line) => line.type !== 'equal').map((line) => [line.type, line.oldLine, line.newLine]),
+    [['added', null, 2]]
+  );
+});
+
+test('identical captures have an empty summary', () => {
+  const diff = diffCaptures(LEFT, JSON.parse(JSON.stringify(LEFT)));
+
+  assert.equal(diff.identical, true);
+  assert.deepEqual(diff.summary, { scriptLines: 0, functionChanged: false, bodyLines: 0, bodyPaths: 0, headers: 0, properties: 0 });
+  assert.equal(diff.body.identical, true);
+  assert.equal(diff.script.identical, true);
+});
+
+test('the diff routes compare saved captures and uploads, and answer 404 for unknown ids', async (t) => {
+  const { url } = await startTestServer(t);
+  const save = async (data) => {
+    const response = await fetch(`${url}/debug`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ data: encodeGroovyString(data, { logger: silentLogger }) })
+    });
+    return (await response.json()).captureId;
+  };
+  const left = await save(LEFT);
+  const right = await save(RIGHT);
+
+  const saved = await (await fetch(`${url}/sessions/${left}/diff/${right}`)).json();
+  assert.equal(saved.left.id, left);
+  assert.equal(saved.right.id, right);
+  assert.equal(saved.diff.identical, false);
+  assert.deepEqual(saved.diff.headers.changed, [{ key: 'SAP_Sender', from: 'ERP', to: 'CRM' }]);
+
+  const same = await (await fetch(`${url}/sessions/${left}/diff/${left}`)).json();
+  assert.equal(same.diff.identical, true);
+
+  const upload = await fetch(`${url}/sessions/${left}/diff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(LEFT)
+  });
+  const uploaded = await upload.json();
+  assert.equal(upload.status, 200);
+  assert.equal(uploaded.right.source, 'upload');
+  assert.equal(uploaded.diff.identical, true);
+
+  for (const [method, route, id] of [
+    ['GET', `/sessions/unknown/diff/${right}`, 'unknown'],
+    ['GET', `/sessions/${left}/diff/unknown`, 'unknown'],
+    ['POST', '/sessions/unknown/diff', 'unknown']
+  ]) {
+    const response = await fetch(`${url}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: method === 'POST' ? JSON.stringify(LEFT) : undefined
+    });
+    const result = await response.json();
+    assert.equal(response.status, 404, route);
+    assert.equal(result.id, id);
+  }
+});
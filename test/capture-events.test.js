@@ -0,0 +1,171 @@
+/**
+ * Capture Events tests
+ * The event hub, GET /events with Last-Event-ID replay, and the reconnecting feed client
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventHub, formatEvent } = require('../capture-events');
+const { parseMessage, subscribeToCaptures } = require('../capture-feed-client');
+const { encodeGroovyString } = require('../cpihelper-codec');
+const { silentLogger } = require('../logger');
+const { startTestServer } = require('./helpers');
+
+const PAYLOAD = {
+  input: { body: '<Order/>', headers: {}, properties: {} },
+  script: { code: 'def Message processData(Message message) { message }', function: 'processData' }
+};
+
+/**
+ * Resolves once check() returns a truthy value; rejects after timeoutMs
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const result = check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() - started > timeoutMs) {
+      throw new Error(`Timed out after ${timeoutMs} ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Opens GET /events and collects the events it streams
+ */
+async function openStream(url, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${url}/events`, { headers, signal: controller.signal });
+  const events = [];
+  const reading = (async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const message of blocks.map(parseMessage).filter(Boolean)) {
+        events.push({ wireId: message.id, ...JSON.parse(message.data) });
+      }
+    }
+  })().catch(() => {});
+  return {
+    response,
+    events,
+    close: async () => {
+      controller.abort();
+      await reading;
+    }
+  };
+}
+
+async function postCapture(url) {
+  const response = await fetch(`${url}/debug`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data: encodeGroovyString(PAYLOAD, { logger: silentLogger }) })
+  });
+  return (await response.json()).captureId;
+}
+
+test('events are formatted as SSE messages and parsed back', () => {
+  const event = { id: 'abc-1', type: 'capture', time: '2026-01-01T00:00:00.000Z', data: { captureId: 'x' } };
+  const message = parseMessage(formatEvent(event).trim());
+  assert.deepEqual(message, { id: 'abc-1', event: 'capture', data: JSON.stringify(event) });
+
+  assert.equal(parseMessage(': ping'), null);
+  assert.deepEqual(parseMessage('data: a\ndata: b'), { id: null, event: 'message', data: 'a\nb' });
+});
+
+test('the hub replays events after a Last-Event-ID, or all of them for an unknown id', () => {
+  const hub = createEventHub({ historySize: 3, logger: silentLogger });
+  const events = [1, 2, 3, 4].map((n) => hub.publish('capture', { n }));
+
+  assert.deepEqual(hub.recent().map((event) => event.data.n), []);
+  assert.deepEqual(hub.recent({ count: 2 }).map((event) => event.data.n), [3, 4]);
+  assert.deepEqual(hub.recent({ lastEventId: events[2].id }).map((event) => event.data.n), [4]);
+  // Event 1 fell out of the history of 3, and ids of another run are unknown
+  assert.deepEqual(hub.recent({ lastEventId: events[0].id }).map((event) => event.data.n), [2, 3, 4]);
+  assert.deepEqual(hub.recent({ lastEventId: 'other-7' }).map((event) => event.data.n), [2, 3, 4]);
+
+  const received = [];
+  const unsubscribe = hub.subscribe((event) => received.push(event.data.n), { count: 1 });
+  hub.publish('capture', { n: 5 });
+  unsubscribe();
+  hub.publish('capture', { n: 6 });
+  assert.deepEqual(received, [4, 5]);
+});
+
+test('GET /events streams captures and resumes after a Last-Event-ID', async (t) => {
+  const { url } = await startTestServer(t, {}, { mountPath: '/cpi' });
+
+  const stream = await openStream(url);
+  assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+  const first = await postCapture(url);
+  const capture = await waitFor(() => stream.events.find((event) => event.type === 'capture'));
+  const status = await waitFor(() => stream.events.find((event) => event.type === 'capture-status'));
+  await stream.close();
+
+  assert.equal(capture.wireId, capture.id);
+  assert.equal(capture.data.captureId, first);
+  assert.equal(capture.data.source, 'debug');
+  assert.equal(capture.data.functionName, 'processData');
+  assert.deepEqual(status.data, { captureId: first, saved: true, error: null, launch: null });
+
+  // Captured while disconnected; the reconnect replays exactly the missed events
+  const second = await postCapture(url);
+  const resumed = await openStream(url, { 'Last-Event-ID': status.id });
+  await waitFor(() => resumed.events.length >= 2);
+  await resumed.close();
+  assert.deepEqual(resumed.events.map((event) => [event.type, event.data.captureId]), [
+    ['capture', second],
+    ['capture-status', second]
+  ]);
+
+  const replayed = await openStream(url);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await replayed.close();
+  assert.deepEqual(replayed.events, [], 'no backlog without Last-Event-ID or ?replay');
+
+  const invalid = await fetch(`${url}/events?replay=-1`);
+  assert.equal(invalid.status, 400);
+});
+
+test('the feed client reconnects with the last event id and misses nothing', async (t) => {
+  const { app, url } = await startTestServer(t);
+  const received = [];
+  const errors = [];
+  let opened = 0;
+
+  const feed = subscribeToCaptures(url, {
+    types: ['capture'],
+    retryMs: 300,
+    onOpen: () => { opened++; },
+    onEvent: (event) => received.push(event),
+    onError: (error) => errors.push(error.message)
+  });
+  t.after(() => feed.close());
+
+  await waitFor(() => opened === 1);
+  const first = await postCapture(url);
+  await waitFor(() => received.length === 1);
+  assert.equal(received[0].data.captureId, first);
+  // Filtered capture-status events still move the resume point
+  await waitFor(() => feed.lastEventId !== received[0].id);
+
+  // The server drops every stream; a capture arrives before the client is back (300 ms later)
+  app.locals.cpidebug.events.close();
+  await waitFor(() => errors.length === 1);
+  assert.deepEqual(errors, ['Capture feed closed by the server']);
+  const second = await postCapture(url);
+  assert.equal(opened, 1);
+  await waitFor(() => received.length === 2);
+  assert.equal(opened, 2);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assert.deepEqual(received.map((event) => event.data.captureId), [first, second]);
+  assert.equal(new Set(received.map((event) => event.id)).size, 2);
+});
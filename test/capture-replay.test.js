@@ -0,0 +1,145 @@
+/**
+ * Capture Replay tests
+ * Replays against a local stand-in server (http.createServer on port 0) that records every request
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { silentLogger } = require('../logger');
+const { buildReplayRequest, isReplayTargetAllowed, replayCapture } = require('../capture-replay');
+
+const CAPTURE = {
+  input: {
+    body: '<Order id="42"><Customer>Jürgen</Customer></Order>',
+    headers: {
+      'Content-Type': 'application/xml; charset=UTF-8',
+      SAP_Sender: 'ERP',
+      CamelHttpUri: 'http://internal/route',
+      'Content-Length': '999'
+    },
+    properties: { Tenant: 'dev', Count: 3 }
+  },
+  script: { code: '', function: 'processData' }
+};
+
+/**
+ * Starts a server that records method, URL, headers and body of each request and answers 201 (or status)
+ */
+async function startStandIn(status = 201) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(status, { 'Content-Type': 'text/plain', 'X-Attempt': String(requests.length) });
+      res.end(`received ${requests.length}`);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/iflow?mode=test`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test('replays body, headers and properties to the target, repeat times', async (t) => {
+  const standIn = await startStandIn();
+  t.after(standIn.close);
+
+  const result = await replayCapture(CAPTURE, {
+    url: standIn.url,
+    method: 'put',
+    includeProperties: true,
+    headers: { 'X-Env': 'local' },
+    repeat: 3,
+    logger: silentLogger
+  });
+
+  assert.equal(standIn.requests.length, 3);
+  for (const request of standIn.requests) {
+    assert.equal(request.method, 'PUT');
+    assert.equal(request.url, '/iflow?mode=test');
+    assert.equal(request.headers['content-type'], 'application/xml; charset=UTF-8');
+    assert.equal(request.headers.sap_sender, 'ERP');
+    assert.equal(request.headers['x-property-tenant'], 'dev');
+    assert.equal(request.headers['x-property-count'], '3');
+    assert.equal(request.headers['x-env'], 'local');
+    assert.equal(request.headers.camelhttpuri, undefined);
+    assert.equal(request.headers['content-length'], String(Buffer.byteLength(CAPTURE.input.body)));
+    assert.equal(request.body.toString('utf-8'), CAPTURE.input.body);
+  }
+
+  assert.equal(result.method, 'PUT');
+  assert.deepEqual(result.responses.map((response) => [response.attempt, response.status, response.body]), [
+    [1, 201, 'received 1'],
+    [2, 201, 'received 2'],
+    [3, 201, 'received 3']
+  ]);
+  assert.equal(result.responses[2].headers['x-attempt'], '3');
+  assert.deepEqual(result.summary, { attempts: 3, succeeded: 3, failed: 0, statuses: [201] });
+  assert.deepEqual(result.request.skippedHeaders.map((skipped) => skipped.name).sort(), ['CamelHttpUri', 'Content-Length']);
+});
+
+test('properties are not sent unless asked for, and GET has no body', async (t) => {
+  const standIn = await startStandIn();
+  t.after(standIn.close);
+
+  await replayCapture(CAPTURE, { url: standIn.url, method: 'GET', logger: silentLogger });
+
+  const [request] = standIn.requests;
+  assert.equal(request.method, 'GET');
+  assert.equal(request.body.length, 0);
+  assert.equal(request.headers['x-property-tenant'], undefined);
+});
+
+test('the body is sent in the charset of the Content-Type override', async (t) => {
+  const standIn = await startStandIn();
+  t.after(standIn.close);
+
+  await replayCapture(CAPTURE, { url: standIn.url, contentType: 'text/xml; charset=ISO-8859-1', logger: silentLogger });
+
+  const [request] = standIn.requests;
+  assert.equal(request.headers['content-type'], 'text/xml; charset=ISO-8859-1');
+  assert.deepEqual(request.body, Buffer.from(CAPTURE.input.body, 'latin1'));
+});
+
+test('error statuses and unreachable targets are recorded per attempt', async (t) => {
+  const standIn = await startStandIn(500);
+  t.after(standIn.close);
+
+  const failing = await replayCapture(CAPTURE, { url: standIn.url, repeat: 2, logger: silentLogger });
+  assert.deepEqual(failing.summary, { attempts: 2, succeeded: 0, failed: 2, statuses: [500] });
+
+  // A port that was just released has nothing listening
+  const closed = await startStandIn();
+  await closed.close();
+  const unreachable = await replayCapture(CAPTURE, { url: closed.url, logger: silentLogger });
+  assert.equal(unreachable.responses[0].status, null);
+  assert.ok(unreachable.responses[0].error);
+});
+
+test('targets other than this machine need allowedHosts', async () => {
+  assert.equal(isReplayTargetAllowed('http://localhost:8080/x'), true);
+  assert.equal(isReplayTargetAllowed('http://127.0.0.1/x'), true);
+  assert.equal(isReplayTargetAllowed('http://[::1]:8080/x'), true);
+  assert.equal(isReplayTargetAllowed('https://example.com/x'), false);
+  assert.equal(isReplayTargetAllowed('http://mock.internal:8080/', ['mock.internal']), true);
+  assert.equal(isReplayTargetAllowed('http://mock.internal:8080/', ['mock.internal:9090']), false);
+  assert.equal(isReplayTargetAllowed('https://mock.internal/', ['MOCK.internal:443']), true);
+  assert.equal(isReplayTargetAllowed('https://example.com/', ['*']), true);
+
+  await assert.rejects(
+    replayCapture(CAPTURE, { url: 'https://example.com/collect', logger: silentLogger }),
+    /Replay target example\.com is not allowed/
+  );
+});
+
+test('invalid URLs, methods and repeat counts are rejected before sending', async () => {
+  await assert.rejects(replayCapture(CAPTURE, { url: 'not a url', logger: silentLogger }), /Invalid replay URL/);
+  await assert.rejects(replayCapture(CAPTURE, { url: 'ftp://localhost/', logger: silentLogger }), /must use http or https/);
+  await assert.rejects(replayCapture(CAPTURE, { url: 'http://localhost/', repeat: 0, logger: silentLogger }), /repeat must be/);
+  assert.throws(() => buildReplayRequest(CAPTURE, { method: 'TRACE' }), /Unsupported method "TRACE"/);
+});
@@ -0,0 +1,91 @@
+/**
+ * Config tests
+ * Config files and overrides that set a section to something other than an object, and what createApp reads
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, loadConfig } = require('../config');
+const { createApp } = require('../groovy-server');
+
+function withProjectConfig(name, text, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpidebug-config-'));
+  try {
+    fs.writeFileSync(path.join(dir, name), text);
+    return run(dir, path.join(dir, name));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a section set to null in a YAML file names the file and the key', () => {
+  for (const section of ['events', 'security', 'dataDump', 'https']) {
+    withProjectConfig('cpidebug.config.yaml', `port: 4010\n${section}: null\n`, (dir, file) => {
+      assert.throws(
+        () => loadConfig({ cwd: dir, homeDir: dir, env: {} }),
+        (err) => err instanceof ConfigError && err.message === `Config file ${file}: ${section} must be an object (got null)`
+      );
+    });
+  }
+});
+
+test('nested sections are checked too', () => {
+  withProjectConfig('cpidebug.config.json', JSON.stringify({ security: { rateLimit: 100 } }), (dir, file) => {
+    assert.throws(
+      () => loadConfig({ cwd: dir, homeDir: dir, env: {} }),
+      { name: 'ConfigError', message: `Config file ${file}: security.rateLimit must be an object (got number 100)` }
+    );
+  });
+  withProjectConfig('cpidebug.config.yaml', 'redaction:\n  - a\n', (dir, file) => {
+    assert.throws(() => loadConfig({ cwd: dir, homeDir: dir, env: {} }), { message: `Config file ${file}: redaction must be an object (got a list)` });
+  });
+});
+
+test('overrides are checked like config files', () => {
+  const dir = os.tmpdir();
+  assert.throws(
+    () => loadConfig({ cwd: dir, homeDir: dir, env: {}, overrides: { events: null } }),
+    { name: 'ConfigError', message: 'Config overrides: events must be an object (got null)' }
+  );
+});
+
+test('empty objects and null leaf values still load', () => {
+  withProjectConfig('cpidebug.config.yaml', 'security:\n  rateLimit: {}\n  token: null\nide:\n  baseUrl: null\n', (dir) => {
+    const { config } = loadConfig({ cwd: dir, homeDir: dir, env: {} });
+    assert.equal(config.security.rateLimit.max, 300);
+    assert.equal(config.security.token, null);
+  });
+});
+
+test('createApp reads no environment or config files unless env and cwd are passed', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpidebug-config-'));
+  const previous = { cwd: process.cwd(), BODY_LIMIT: process.env.BODY_LIMIT };
+  fs.writeFileSync(path.join(dir, 'cpidebug.config.json'), JSON.stringify({ port: 4321 }));
+  process.chdir(dir);
+  process.env.BODY_LIMIT = '1kb';
+  t.after(() => {
+    process.chdir(previous.cwd);
+    if (previous.BODY_LIMIT === undefined) {
+      delete process.env.BODY_LIMIT;
+    } else {
+      process.env.BODY_LIMIT = previous.BODY_LIMIT;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const dataDump = { baseDir: path.join(dir, 'captures') };
+
+  const embedded = createApp({ config: { dataDump } }).locals.cpidebug;
+  assert.equal(embedded.config.port, 4004);
+  assert.equal(embedded.config.limits.body, '10mb');
+  assert.deepEqual(embedded.sources.filter((source) => path.isAbsolute(source)), []);
+
+  const configured = createApp({ config: { dataDump }, env: process.env, cwd: dir }).locals.cpidebug;
+  assert.equal(configured.config.port, 4321);
+  assert.equal(configured.config.limits.body, '1kb');
+  for (const app of [embedded, configured]) {
+    app.events.close();
+  }
+});
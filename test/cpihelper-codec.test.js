@@ -0,0 +1,139 @@
+/**
+ * CPI Helper Codec tests
+ * Round trips between the CPI Helper string, the CPI Helper payload and the Contiva object
+ *
+ *   decodeGroovyString(encodeGroovyString(x))     << must give back x
+ *   contivaToCpiHelper(cpiHelperToContiva(x))     << must give back x (bodyFormat none)
+ *   CPI Helper string → Contiva string → back     << full path through contiva-encoder.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createLogger, setDefaultLogger, silentLogger } = require('../logger');
+const {
+  contivaToCpiHelper,
+  cpiHelperToContiva,
+  decodeGroovyString,
+  encodeGroovyString,
+  extractCpiHelperData
+} = require('../cpihelper-codec');
+const { decodeContivaData, encodeContivaData } = require('../contiva-encoder');
+
+const options = { logger: silentLogger };
+
+const SCRIPT = 'import com.sap.gateway.ip.core.customdev.util.Message\n\ndef Message processData(Message message) {\n    return message\n}\n';
+
+function payload(input, script = {}) {
+  return {
+    input: { body: '', headers: {}, properties: {}, ...input },
+    script: { code: SCRIPT, function: 'processData', ...script }
+  };
+}
+
+const CASES = {
+  'plain JSON body': payload({
+    body: '{ "order": 4711 }',
+    headers: { 'Content-Type': 'application/json', SAP_MessageProcessingLogID: 'AGlnwRPCOT1y6HLEfkmHVDXWnnu0' },
+    properties: { TestingProp: 'conf2' }
+  }),
+  'non-ASCII body, headers and properties': payload({
+    body: '<Kunde name="Jürgen Müßig">Grüße aus Köln – 東京 ✓ 🚀</Kunde>',
+    headers: { 'X-Städte': 'Zürich, Malmö' },
+    properties: { 'Übersetzung': 'Ελληνικά, العربية, עברית' }
+  }),
+  'empty headers and properties': payload({ body: 'just a body' }),
+  'empty body': payload({}),
+  'multi-line values and special characters': payload({
+    body: 'line 1\r\nline 2\n\ttabbed \\ backslash "quotes" \u0000 nul',
+    headers: { 'a=b': 'x:y', '#comment': '!bang' },
+    properties: { multi: 'first\nsecond' }
+  }),
+  'libraries and attachments': payload(
+    { body: 'main', attachments: [{ name: 'invoice.pdf', contentType: 'application/pdf', content: 'JVBERi0xLjQK' }] },
+    { function: 'handle', libraries: [{ name: 'Helpers.groovy', code: 'class Helpers {}\n' }] }
+  )
+};
+
+test('decodeGroovyString(encodeGroovyString(x)) gives back x', async (t) => {
+  for (const [name, data] of Object.entries(CASES)) {
+    await t.test(name, () => {
+      const encoded = encodeGroovyString(data, options);
+      assert.match(encoded, /^[A-Za-z0-9_-]+$/, 'URL-safe Base64 without padding');
+      assert.deepEqual(decodeGroovyString(encoded, options), data);
+    });
+  }
+});
+
+test('contivaToCpiHelper(cpiHelperToContiva(x)) gives back x', async (t) => {
+  for (const [name, data] of Object.entries(CASES)) {
+    await t.test(name, () => {
+      const contiva = cpiHelperToContiva(data, options);
+      assert.equal(contiva.scriptInput, data.input.body);
+      assert.equal(contiva.functionName, data.script.function);
+      assert.deepEqual(contivaToCpiHelper(contiva, options), data);
+    });
+  }
+});
+
+test('missing fields are filled with defaults', () => {
+  assert.deepEqual(contivaToCpiHelper({}, options), {
+    input: { body: '', headers: {}, properties: {} },
+    script: { code: '', function: 'processData' }
+  });
+  assert.deepEqual(cpiHelperToContiva({}, options), {
+    currentSessionType: 'groovy',
+    scriptInput: '',
+    script: '',
+    functionName: 'processData',
+    headers: {},
+    properties: {}
+  });
+});
+
+test('large payloads survive the round trip', () => {
+  // Random text, so Deflate cannot shrink it to almost nothing
+  const body = crypto.randomBytes(768 * 1024).toString('base64');
+  const headers = {};
+  for (let i = 0; i < 500; i++) {
+    headers[`X-Header-${i}`] = `value ${i} – ${'ä'.repeat(i % 50)}`;
+  }
+  const data = payload({ body, headers, properties: { size: String(body.length) } });
+
+  const encoded = encodeGroovyString(data, options);
+  assert.deepEqual(decodeGroovyString(encoded, options), data);
+  assert.deepEqual(contivaToCpiHelper(cpiHelperToContiva(data, options), options), data);
+});
+
+test('CPI Helper link → Contiva string → CPI Helper string gives back the payload', async (t) => {
+  for (const [name, data] of Object.entries(CASES)) {
+    await t.test(name, async () => {
+      const link = `http://localhost:4004/debug/${encodeGroovyString(data, options)}`;
+      const contiva = cpiHelperToContiva(decodeGroovyString(extractCpiHelperData(link), options), options);
+
+      const { contivaData } = await decodeContivaData(await encodeContivaData(contiva, options), options);
+      const back = decodeGroovyString(encodeGroovyString(contivaToCpiHelper(contivaData, options), options), options);
+      assert.deepEqual(back, data);
+    });
+  }
+});
+
+test('decodeGroovyString rejects strings that are not raw Deflate data', () => {
+  assert.throws(() => decodeGroovyString('not-a-cpi-helper-string', options));
+});
+
+test('conversions print nothing at the default info level', (t) => {
+  const lines = [];
+  const output = { log: (line) => lines.push(line), error: (line) => lines.push(line) };
+  setDefaultLogger(createLogger({ level: 'info', output }));
+  t.after(() => setDefaultLogger(null));
+
+  const data = CASES['plain JSON body'];
+  const decoded = decodeGroovyString(encodeGroovyString(data));
+  contivaToCpiHelper(cpiHelperToContiva(decoded, { bodyFormat: 'none' }));
+  assert.deepEqual(lines, []);
+
+  // The steps are still there at debug level
+  decodeGroovyString(encodeGroovyString(data), { logger: createLogger({ level: 'debug', output }) });
+  assert.ok(lines.some((line) => line.includes('Parsed JSON')));
+});
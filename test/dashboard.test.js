@@ -0,0 +1,45 @@
+/**
+ * Dashboard tests
+ * The dashboard's assets and the API paths it resolves, with the app mounted under a path
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { get, startTestServer } = require('./helpers');
+
+const DASHBOARD_DIR = path.join(__dirname, '..', 'public', 'dashboard');
+
+test('the dashboard and the API it calls work under a mount path', async (t) => {
+  const { url } = await startTestServer(t, {}, { mountPath: '/cpi' });
+  const dashboardUrl = `${url}/dashboard/`;
+
+  const page = await get(dashboardUrl);
+  assert.equal(page.status, 200);
+  for (const [, link] of page.body.matchAll(/(?:href|src)="([^"#]+)"/g)) {
+    assert.equal((await get(new URL(link, dashboardUrl).href)).status, 200, link);
+  }
+
+  // Same resolution as apiUrl() in dashboard.js
+  const baseUrl = new URL('../', dashboardUrl);
+  assert.equal(baseUrl.pathname, '/cpi/');
+  const sessions = await get(new URL('sessions', baseUrl).href, { Accept: 'application/json' });
+  assert.equal(sessions.status, 200);
+  assert.deepEqual(JSON.parse(sessions.body).sessions, []);
+
+  // The event stream stays open, so only its status and type are checked
+  const controller = new AbortController();
+  const events = await fetch(new URL('events', baseUrl), { signal: controller.signal });
+  assert.equal(events.status, 200);
+  assert.match(events.headers.get('content-type'), /^text\/event-stream/);
+  controller.abort();
+});
+
+test('dashboard scripts and markup use no root-absolute URLs', () => {
+  for (const file of ['dashboard.js', 'index.html']) {
+    const source = fs.readFileSync(path.join(DASHBOARD_DIR, file), 'utf-8');
+    assert.doesNotMatch(source, /(?:fetch|EventSource)\(\s*['"`]\//, file);
+    assert.doesNotMatch(source, /(?:href|src)\s*=\s*['"`]\//, file);
+  }
+});
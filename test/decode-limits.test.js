@@ -0,0 +1,112 @@
+/**
+ * Decode limit tests
+ * Small encoded inputs that inflate beyond maxDecodedBytes are rejected, not inflated
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { silentLogger } = require('../logger');
+const { MAX_DECODED_BYTES, createZipBuffer, decodeContivaData } = require('../contiva-encoder');
+const { decodeGroovyString } = require('../cpihelper-codec');
+const { DecodeError, decodeAny } = require('../codec-registry');
+const { listCaptures, startTestServer } = require('./helpers');
+
+const MB = 1024 * 1024;
+
+const CONTIVA_FIELDS = { currentSessionType: 'groovy', functionName: 'processData', script: '', headers: {}, properties: {} };
+
+/**
+ * Contiva string (URL-encoded Base64 of gzip) for the given bytes
+ */
+function toContivaString(bytes) {
+  return encodeURIComponent(zlib.gzipSync(bytes).toString('base64'));
+}
+
+/**
+ * CPI Helper string (URL-safe Base64 of raw Deflate) for the given bytes
+ */
+function toCpiHelperString(bytes) {
+  return zlib.deflateRawSync(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// 4 MB of zeros gzip / deflate to about 4 KB
+const GZIP_BOMB = toContivaString(Buffer.alloc(4 * MB));
+const DEFLATE_BOMB = toCpiHelperString(Buffer.alloc(4 * MB));
+
+test('gzip data beyond maxDecodedBytes is rejected', async () => {
+  await assert.rejects(
+    decodeContivaData(GZIP_BOMB, { logger: silentLogger, maxDecodedBytes: MB }),
+    (error) => error.code === 'ERR_BUFFER_TOO_LARGE' && /exceeds 1048576 bytes/.test(error.message)
+  );
+});
+
+test('ZIP entries count against maxDecodedBytes together', async () => {
+  // The archive itself is small; its data.json inflates to 2 MB
+  const zip = await createZipBuffer([
+    { name: 'data.json', content: JSON.stringify({ ...CONTIVA_FIELDS, scriptInput: 'x'.repeat(2 * MB) }) }
+  ]);
+  assert.ok(zip.length < 64 * 1024);
+
+  await assert.rejects(
+    decodeContivaData(toContivaString(zip), { logger: silentLogger, maxDecodedBytes: MB }),
+    { code: 'ERR_BUFFER_TOO_LARGE' }
+  );
+  // Within the limit the same archive decodes
+  const { contivaData } = await decodeContivaData(toContivaString(zip), { logger: silentLogger, maxDecodedBytes: 4 * MB });
+  assert.equal(contivaData.scriptInput.length, 2 * MB);
+});
+
+test('decodeAny reports oversized data as a 413 DecodeError without trying other formats', async () => {
+  await assert.rejects(decodeAny(GZIP_BOMB, { logger: silentLogger, maxDecodedBytes: MB }), (error) => {
+    assert.ok(error instanceof DecodeError);
+    assert.equal(error.status, 413);
+    assert.deepEqual(error.diagnostics.map((diagnostic) => diagnostic.id), ['contiva']);
+    return true;
+  });
+});
+
+test('raw Deflate data beyond maxDecodedBytes is rejected, by default beyond MAX_DECODED_BYTES', () => {
+  assert.throws(
+    () => decodeGroovyString(DEFLATE_BOMB, { logger: silentLogger, maxDecodedBytes: MB }),
+    (error) => error.code === 'ERR_BUFFER_TOO_LARGE' && /exceeds 1048576 bytes/.test(error.message)
+  );
+
+  // About 100 KB that would inflate to more than the default cap
+  const bomb = toCpiHelperString(Buffer.alloc(MAX_DECODED_BYTES + MB));
+  assert.ok(bomb.length < 200 * 1024);
+  assert.throws(() => decodeGroovyString(bomb, { logger: silentLogger }), { code: 'ERR_BUFFER_TOO_LARGE' });
+});
+
+test('decodeAny reports an oversized CPI Helper string as a 413 DecodeError', async () => {
+  await assert.rejects(decodeAny(DEFLATE_BOMB, { logger: silentLogger, maxDecodedBytes: MB }), (error) => {
+    assert.ok(error instanceof DecodeError);
+    assert.equal(error.status, 413);
+    assert.equal(error.diagnostics.at(-1).id, 'cpihelper');
+    return true;
+  });
+});
+
+test('the server derives the limit from limits.body and answers 413', async (t) => {
+  // 64 KB body limit → 640 KB of decoded data
+  const { url, baseDir } = await startTestServer(t, { limits: { body: '64kb' } });
+
+  for (const [route, body] of [['/decode', { data: GZIP_BOMB }], ['/contiva/decode', { data: GZIP_BOMB }], ['/cpihelper', { data: GZIP_BOMB }]]) {
+    const response = await fetch(`${url}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    assert.equal(response.status, 413, route);
+    assert.match(result.message, /exceeds the limit of 655360 bytes \(10 × limits\.body\)/);
+  }
+
+  for (const route of [`/debug/${DEFLATE_BOMB}`, `/contiva/${DEFLATE_BOMB}`, `/project/${DEFLATE_BOMB}`]) {
+    const response = await fetch(`${url}${route}`);
+    assert.equal(response.status, 413, route.slice(0, 10));
+  }
+  const post = await fetch(`${url}/decode`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: DEFLATE_BOMB });
+  assert.equal(post.status, 413);
+  assert.deepEqual(listCaptures(baseDir), []);
+});
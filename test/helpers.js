@@ -0,0 +1,84 @@
+/**
+ * Test helpers
+ * Servers on a free port with captures in a temporary folder, no browser and no console output
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createApp, startServer } = require('../groovy-server');
+
+/**
+ * Config for a test server: port 0, temporary baseDir, browser none, silent logs
+ */
+function testConfig(baseDir, config = {}) {
+  return { port: 0, dataDump: { baseDir }, ide: { browser: 'none' }, logLevel: 'silent', ...config };
+}
+
+/**
+ * Starts a server with the given config overrides; stopped and cleaned up after the test
+ *
+ * @param {Object} t - node:test context
+ * @param {Object} [config] - Config overrides
+ * @param {Object} [options]
+ * @param {string} [options.mountPath] - Mount createApp() on this path of a host Express app instead
+ * @returns {Promise<Object>} { app, url, port, baseDir }; url includes the mount path
+ */
+async function startTestServer(t, config = {}, { mountPath = null } = {}) {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpidebug-test-'));
+  const removeBaseDir = () => fs.rmSync(baseDir, { recursive: true, force: true });
+
+  if (!mountPath) {
+    const server = await startServer({ config: testConfig(baseDir, config), env: {}, argv: [], cwd: baseDir, banner: false });
+    t.after(async () => {
+      await server.close();
+      removeBaseDir();
+    });
+    return { ...server, baseDir };
+  }
+
+  const app = createApp({ config: testConfig(baseDir, config), env: {}, argv: [], cwd: baseDir });
+  const host = express();
+  host.use(mountPath, app);
+  const server = http.createServer(host);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(async () => {
+    app.locals.cpidebug.events.close();
+    await new Promise((resolve) => server.close(resolve));
+    removeBaseDir();
+  });
+  const { port } = server.address();
+  return { app, port, url: `http://localhost:${port}${mountPath}`, baseDir };
+}
+
+/**
+ * GET with full control over the headers (fetch does not let callers set Host)
+ */
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Capture folders under Sessions/, oldest first
+ */
+function listCaptures(baseDir) {
+  const sessions = path.join(baseDir, 'Sessions');
+  return fs.existsSync(sessions)
+    ? fs.readdirSync(sessions, { withFileTypes: true }).filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort()
+    : [];
+}
+
+module.exports = {
+  get,
+  listCaptures,
+  startTestServer,
+  testConfig
+};
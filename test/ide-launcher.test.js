@@ -0,0 +1,57 @@
+/**
+ * IDE Launcher tests
+ * Launch candidates per platform; the URL must reach the browser as one unchanged argument
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildIdeUrl, getLaunchCommands } = require('../ide-launcher');
+
+// Characters with a meaning for cmd.exe or a POSIX shell
+const URL_WITH_METACHARACTERS = 'https://ide.example.com/debug?data=a%2Bb&x=1|2^3"4"<5>(6)!7%PATH%;$(id)`id`';
+
+const WINDOWS_ENV = {
+  LOCALAPPDATA: 'C:\\Users\\dev\\AppData\\Local',
+  ProgramFiles: 'C:\\Program Files\\',
+  'ProgramFiles(x86)': 'C:\\Program Files (x86)'
+};
+
+test('Windows browsers are started directly, never through cmd.exe', () => {
+  for (const browser of ['chrome', 'firefox', 'edge', 'default']) {
+    const commands = getLaunchCommands(URL_WITH_METACHARACTERS, browser, 'win32', WINDOWS_ENV);
+    assert.ok(commands.length > 0);
+    for (const [command, args] of commands) {
+      assert.doesNotMatch(command, /cmd(\.exe)?$/i, `${browser}: ${command}`);
+      assert.equal(args[args.length - 1], URL_WITH_METACHARACTERS);
+    }
+  }
+});
+
+test('Windows candidates come from the install folders, then the PATH', () => {
+  assert.deepEqual(getLaunchCommands('u', 'chrome', 'win32', WINDOWS_ENV).map(([command]) => command), [
+    'C:\\Users\\dev\\AppData\\Local\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+    'chrome.exe'
+  ]);
+  assert.deepEqual(getLaunchCommands('u', 'edge', 'win32', {}), [['msedge.exe', ['u']]]);
+  assert.deepEqual(getLaunchCommands('u', 'default', 'win32', {}), [['rundll32.exe', ['url.dll,FileProtocolHandler', 'u']]]);
+});
+
+test('macOS and Linux pass the URL as the last argument, unchanged', () => {
+  for (const platform of ['darwin', 'linux']) {
+    for (const browser of ['chrome', 'firefox', 'edge', 'default']) {
+      for (const [, args] of getLaunchCommands(URL_WITH_METACHARACTERS, browser, platform)) {
+        assert.equal(args[args.length - 1], URL_WITH_METACHARACTERS);
+      }
+    }
+  }
+});
+
+test('unknown browsers are rejected', () => {
+  assert.throws(() => getLaunchCommands('u', 'netscape', 'linux'), /Unknown browser "netscape"/);
+});
+
+test('buildIdeUrl appends the encoded data to the target URL', () => {
+  assert.equal(buildIdeUrl('abc%2B', { baseUrl: 'https://ide.example.com/' }), 'https://ide.example.com/cpi/script/debug?data=abc%2B');
+});
@@ -0,0 +1,69 @@
+/**
+ * OpenAPI tests
+ * The document served at /openapi.json describes every route the app registers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOpenApiDocument } = require('../openapi');
+const { SCHEMAS } = require('../payload-schemas');
+const { startTestServer } = require('./helpers');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * "METHOD /path" for every route of an Express app, with :params written as {params}
+ * app.all() routes count as the methods OpenAPI can describe
+ */
+function registeredRoutes(app) {
+  return app._router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) => {
+      const methods = layer.route.methods._all ? HTTP_METHODS : Object.keys(layer.route.methods);
+      const routePath = layer.route.path.replace(/:(\w+)/g, '{$1}');
+      return methods.filter((method) => HTTP_METHODS.includes(method)).map((method) => `${method.toUpperCase()} ${routePath}`);
+    })
+    .sort();
+}
+
+function documentedRoutes(document) {
+  return Object.entries(document.paths)
+    .flatMap(([routePath, item]) => Object.keys(item).filter((key) => HTTP_METHODS.includes(key)).map((method) => `${method.toUpperCase()} ${routePath}`))
+    .sort();
+}
+
+test('every registered route is documented, and every documented route exists', async (t) => {
+  const { app, url } = await startTestServer(t);
+  const routes = registeredRoutes(app);
+  assert.ok(routes.length > 30);
+
+  const document = await (await fetch(`${url}/openapi.json`)).json();
+  assert.deepEqual(documentedRoutes(document), routes);
+  // The server URL follows the Host the document was requested with
+  assert.deepEqual(document.servers, [{ url }]);
+});
+
+test('path parameters are declared and every $ref resolves', () => {
+  const document = buildOpenApiDocument({ serverUrl: 'http://localhost:4004', version: '9.9.9' });
+  assert.equal(document.info.version, '9.9.9');
+  assert.deepEqual(document.servers, [{ url: 'http://localhost:4004' }]);
+
+  for (const [routePath, item] of Object.entries(document.paths)) {
+    const names = [...routePath.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+    for (const method of Object.keys(item).filter((key) => HTTP_METHODS.includes(key))) {
+      const declared = (item[method].parameters || []).filter((param) => param.in === 'path').map((param) => param.name);
+      assert.deepEqual(declared.sort(), [...names].sort(), `${method} ${routePath}`);
+      assert.ok(item[method].responses, `${method} ${routePath}`);
+    }
+  }
+
+  const refs = [...JSON.stringify(document).matchAll(/"\$ref":"#\/components\/schemas\/(\w+)"/g)].map((match) => match[1]);
+  assert.ok(refs.length > 0);
+  for (const name of new Set(refs)) {
+    assert.ok(document.components.schemas[name], name);
+  }
+  for (const name of Object.keys(SCHEMAS)) {
+    assert.equal(document.components.schemas[name].$id, undefined, name);
+    assert.deepEqual(document.components.schemas[name].required, SCHEMAS[name].required);
+  }
+});
@@ -0,0 +1,86 @@
+/**
+ * Payload Schemas tests
+ * Field-level errors of the CpiHelperPayload and ContivaData schemas, and strict validation in the server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeGroovyString } = require('../cpihelper-codec');
+const { silentLogger } = require('../logger');
+const { formatFieldErrors, validatePayload } = require('../payload-schemas');
+const { startTestServer } = require('./helpers');
+
+const VALID = {
+  input: { body: '<a/>', headers: { SAP_Sender: 'ERP' }, properties: {} },
+  script: { code: 'def Message processData(Message message) { message }', function: 'processData' }
+};
+
+test('a valid payload has no errors', () => {
+  assert.deepEqual(validatePayload('CpiHelperPayload', VALID), { valid: true, errors: [] });
+  assert.deepEqual(validatePayload('ContivaData', {
+    currentSessionType: 'groovy',
+    scriptInput: '',
+    script: '',
+    functionName: 'processData',
+    headers: {},
+    properties: {},
+    libraries: [{ name: 'com/acme/Helpers.groovy', script: '' }]
+  }), { valid: true, errors: [] });
+});
+
+test('every invalid field is reported with its dotted path', () => {
+  const { valid, errors } = validatePayload('CpiHelperPayload', {
+    input: { headers: [], attachments: [{ name: '', content: 'not base64!' }] },
+    script: { code: 1, function: '1st', libraries: [{ name: '../escape.groovy', code: '' }] }
+  });
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map((error) => error.path), [
+    'input.body',
+    'input.headers',
+    'input.attachments.0.name',
+    'input.attachments.0.content',
+    'script.code',
+    'script.function',
+    'script.libraries.0.name'
+  ]);
+  assert.deepEqual(formatFieldErrors(errors).slice(0, 2), ['input.body: is required', 'input.headers: must be object']);
+  assert.equal(formatFieldErrors(errors)[4], 'script.code: must be string');
+});
+
+test('missing fields and wrong document types are named', () => {
+  assert.deepEqual(formatFieldErrors(validatePayload('ContivaData', {}).errors), [
+    'currentSessionType: is required',
+    'scriptInput: is required',
+    'script: is required',
+    'functionName: is required',
+    'headers: is required',
+    'properties: is required'
+  ]);
+  assert.deepEqual(formatFieldErrors(validatePayload('CpiHelperPayload', 'text').errors), ['(document): must be object']);
+  assert.throws(() => validatePayload('Unknown', {}), /Unknown schema "Unknown"/);
+});
+
+test('the server reports validation errors, and rejects them with 422 when strict', async (t) => {
+  const { url } = await startTestServer(t);
+  const invalid = { ...VALID, script: { ...VALID.script, function: 'process-data' } };
+  const data = encodeGroovyString(invalid, { logger: silentLogger });
+  const post = async (query) => {
+    const response = await fetch(`${url}/debug${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ data })
+    });
+    return { status: response.status, result: await response.json() };
+  };
+
+  const lenient = await post('');
+  assert.equal(lenient.status, 200);
+  assert.equal(lenient.result.validation.valid, false);
+  assert.deepEqual(lenient.result.validation.errors.map((error) => error.path), ['script.function']);
+
+  const strict = await post('?strict=true');
+  assert.equal(strict.status, 422);
+  assert.equal(strict.result.message, 'Payload does not match the CpiHelperPayload schema');
+  assert.deepEqual(strict.result.validation, { ...lenient.result.validation, strict: true });
+});
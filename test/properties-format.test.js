@@ -0,0 +1,104 @@
+/**
+ * Properties Format tests
+ * Output as java.util.Properties#store writes it, and input as Properties#load reads it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatJavaDate, parseProperties, stringifyProperties } = require('../properties-format');
+
+// Entries only: no comment, no date line
+function entries(obj) {
+  return stringifyProperties(obj, { date: false });
+}
+
+test('backslashes and separators are escaped in keys and values', () => {
+  assert.equal(entries({ 'a\\b': 'c\\d' }), 'a\\\\b=c\\\\d');
+  assert.equal(entries({ 'key=1': 'x=y' }), 'key\\=1=x\\=y');
+  assert.equal(entries({ 'key:1': 'http://host:80' }), 'key\\:1=http\\://host\\:80');
+  assert.equal(entries({ '#key': '#value', '!key': 'a!b' }), '\\#key=\\#value\n\\!key=a\\!b');
+});
+
+test('spaces are escaped in keys and at the start of values only', () => {
+  assert.equal(entries({ 'my key': ' leading and inner ' }), 'my\\ key=\\ leading and inner ');
+  assert.equal(entries({ ' lead': 'v' }), '\\ lead=v');
+});
+
+test('control characters become \\t \\n \\r \\f, other non-ASCII characters \\uXXXX', () => {
+  assert.equal(entries({ text: 'line 1\nline 2\tend\r\f' }), 'text=line 1\\nline 2\\tend\\r\\f');
+  assert.equal(entries({ latin: 'Jürgen' }), 'latin=J\\u00FCrgen');
+  assert.equal(entries({ 'Prüfung€': 'Ωμέγα' }), 'Pr\\u00FCfung\\u20AC=\\u03A9\\u03BC\\u03AD\\u03B3\\u03B1');
+  // Astral characters are written as their two UTF-16 code units, as Java does
+  assert.equal(entries({ emoji: '😀' }), 'emoji=\\uD83D\\uDE00');
+  assert.equal(entries({ bell: '\u0007' }), 'bell=\\u0007');
+});
+
+test('comment and date lines are written like Properties#store', () => {
+  const date = new Date(Date.UTC(2026, 0, 14, 11, 53, 18));
+  assert.equal(formatJavaDate(date), 'Wed Jan 14 11:53:18 UTC 2026');
+  assert.equal(
+    stringifyProperties({ a: '1' }, { comment: 'Header Contents\nsecond line', date }),
+    '#Header Contents\n#second line\n#Wed Jan 14 11:53:18 UTC 2026\na=1'
+  );
+});
+
+test('nested objects are flattened to dotted keys, null to empty strings', () => {
+  assert.equal(entries({ a: { b: 1, c: [true, 'x'] }, d: null, e: {} }), 'a.b=1\na.c.0=true\na.c.1=x\nd=\ne=');
+});
+
+test('parse accepts "=", ":" and whitespace separators and skips comments', () => {
+  const text = [
+    '# comment',
+    '! other comment',
+    '',
+    'equals = one',
+    'colon:two',
+    'space three',
+    '  indented\t=\tfour',
+    'empty=',
+    'novalue',
+    'double==x'
+  ].join('\r\n');
+  assert.deepEqual(parseProperties(text), {
+    equals: 'one',
+    colon: 'two',
+    space: 'three',
+    indented: 'four',
+    empty: '',
+    novalue: '',
+    double: '=x'
+  });
+});
+
+test('parse resolves escapes and joins continuation lines', () => {
+  assert.deepEqual(parseProperties('my\\ key=a\\=b\\:c\\#d\\\\e\\tf\\ng \\u00FC\\u20AC\\uD83D\\uDE00'), {
+    'my key': 'a=b:c#d\\e\tf\ng ü€😀'
+  });
+  assert.deepEqual(parseProperties('list = one, \\\n        two, \\\n   three\nnext=1'), {
+    list: 'one, two, three',
+    next: '1'
+  });
+  // An even number of trailing backslashes is an escaped backslash, not a continuation
+  assert.deepEqual(parseProperties('path=C:\\\\\nnext=1'), { path: 'C:\\', next: '1' });
+  // Unknown escapes drop the backslash; later duplicates win
+  assert.deepEqual(parseProperties('a=\\q\na=2'), { a: '2' });
+  assert.deepEqual(parseProperties('\uFEFFbom=\\q'), { bom: 'q' });
+});
+
+test('parse rejects malformed \\u escapes', () => {
+  assert.throws(() => parseProperties('a=\\u12'), /Malformed \\uxxxx encoding/);
+});
+
+test('stringify → parse gives back the entries', () => {
+  const original = {
+    'Content-Type': 'application/xml; charset=UTF-8',
+    'key with spaces': '  leading spaces, trailing  ',
+    'a=b:c#d!e': 'x=y:z#!',
+    backslash: 'C:\\temp\\new',
+    multiline: 'first\nsecond\r\nthird\ttabbed',
+    unicode: 'Jürgen € Ωμέγα 😀',
+    empty: '',
+    '': 'empty key'
+  };
+  assert.deepEqual(parseProperties(stringifyProperties(original, { comment: 'Round trip ü' })), original);
+});
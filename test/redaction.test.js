@@ -0,0 +1,162 @@
+/**
+ * Redaction tests
+ * Rules of createRedactor, and masked captures, responses and /echo output of the server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { encodeGroovyString } = require('../cpihelper-codec');
+const { silentLogger } = require('../logger');
+const { DEFAULT_REPLACEMENT, createRedactor, validateRedactionRules } = require('../redaction');
+const { listCaptures, startTestServer } = require('./helpers');
+
+const RULES = {
+  headers: ['Authorization', 'SAP_*', '/^x-.*-key$/i'],
+  properties: ['*password*'],
+  jsonPaths: ['$.customer.email', '$..iban'],
+  xpaths: ['//Iban', '//Card/@number'],
+  bodyPatterns: ['\\b\\d{16}\\b']
+};
+
+const SECRETS = ['Basic dXNlcjpwYXNz', 'ERP-4711', 'abc-123', 'hunter2', 'DE89370400440532013000', '4111111111111111'];
+
+const PAYLOAD = {
+  input: {
+    body: '<Order><Card number="4111111111111111"/><Iban>DE89370400440532013000</Iban><Note>keep me</Note></Order>',
+    headers: { Authorization: 'Basic dXNlcjpwYXNz', SAP_Sender: 'ERP-4711', 'X-Api-Key': 'abc-123', 'Content-Type': 'application/xml' },
+    properties: { DbPassword: 'hunter2', Tenant: 'dev' }
+  },
+  script: { code: 'def Message processData(Message message) { message }', function: 'processData' }
+};
+
+test('header and property name patterns mask matching entries only', () => {
+  const redactor = createRedactor(RULES);
+  const { payload, count } = redactor.redactPayload(PAYLOAD);
+
+  assert.deepEqual(payload.input.headers, {
+    Authorization: DEFAULT_REPLACEMENT,
+    SAP_Sender: DEFAULT_REPLACEMENT,
+    'X-Api-Key': DEFAULT_REPLACEMENT,
+    'Content-Type': 'application/xml'
+  });
+  assert.deepEqual(payload.input.properties, { DbPassword: DEFAULT_REPLACEMENT, Tenant: 'dev' });
+  // 3 headers, 1 property, the Iban element and the card attribute
+  assert.equal(count, 6);
+  // The input is left untouched
+  assert.equal(PAYLOAD.input.headers.SAP_Sender, 'ERP-4711');
+});
+
+test('JSONPath, XPath and body patterns mask the body and keep its layout', () => {
+  const redactor = createRedactor({ ...RULES, replacement: '[x]' });
+
+  const json = redactor.redactBody('{"customer":{"email":"a@b.c","name":"A"},"accounts":[{"iban":"DE1"},{"iban":"DE2"}]}');
+  assert.equal(json.value, '{"customer":{"email":"[x]","name":"A"},"accounts":[{"iban":"[x]"},{"iban":"[x]"}]}');
+  assert.equal(json.count, 3);
+
+  const xml = redactor.redactBody(PAYLOAD.input.body);
+  assert.equal(xml.value, '<Order><Card number="[x]"/><Iban>[x]</Iban><Note>keep me</Note></Order>');
+
+  const text = redactor.redactBody('card 4111111111111111, order 12345');
+  assert.deepEqual(text, { value: 'card [x], order 12345', count: 1 });
+});
+
+test('disabled redaction returns its input, invalid rules are reported', () => {
+  const redactor = createRedactor({ ...RULES, enabled: false });
+  assert.equal(redactor.redactPayload(PAYLOAD).payload, PAYLOAD);
+  assert.deepEqual(redactor.redactForLog({ Authorization: 'x' }), { Authorization: 'x' });
+
+  assert.deepEqual(validateRedactionRules({ jsonPaths: ['customer.email'], bodyPatterns: ['('], headers: 'SAP_*' }), [
+    'redaction.headers must be a list of strings',
+    'redaction.jsonPaths: JSONPath "customer.email" must start with "$"',
+    'redaction.bodyPatterns: Invalid regular expression: /(/g: Unterminated group'
+  ]);
+  assert.throws(() => createRedactor({ xpaths: ['//a[1]'] }), /Invalid redaction rules/);
+});
+
+/**
+ * Posts a payload to /debug, optionally with ?redact=false
+ */
+async function capture(url, query = '') {
+  const response = await fetch(`${url}/debug${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ data: encodeGroovyString(PAYLOAD, { logger: silentLogger }) })
+  });
+  return { status: response.status, text: await response.text() };
+}
+
+/**
+ * Text of every file written for the captures (session folders and the latest Debug files)
+ */
+function writtenFiles(baseDir) {
+  const files = [];
+  const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      walk(file);
+    } else {
+      files.push({ file: path.relative(baseDir, file), text: fs.readFileSync(file, 'utf-8') });
+    }
+  });
+  walk(baseDir);
+  return files;
+}
+
+test('saved files and responses hold no configured secret', async (t) => {
+  const { url, baseDir } = await startTestServer(t, { redaction: RULES });
+
+  const { status, text } = await capture(url);
+  assert.equal(status, 200);
+  assert.equal(JSON.parse(text).redacted, true);
+
+  const files = writtenFiles(baseDir);
+  assert.ok(files.some((entry) => entry.file === path.join('Debug', 'debug.header')));
+  assert.ok(files.some((entry) => entry.file.endsWith('encoded.txt')));
+  for (const secret of SECRETS) {
+    assert.ok(!text.includes(secret), `response holds ${secret}`);
+    for (const { file, text: content } of files) {
+      assert.ok(!content.includes(secret), `${file} holds ${secret}`);
+    }
+  }
+  const header = fs.readFileSync(path.join(baseDir, 'Debug', 'debug.header'), 'utf-8');
+  assert.match(header, /^SAP_Sender=\*\*\*REDACTED\*\*\*$/m);
+  assert.match(header, /^Content-Type=application\/xml$/m);
+});
+
+test('/echo masks configured headers and body values', async (t) => {
+  const { url } = await startTestServer(t, { redaction: RULES });
+
+  const response = await fetch(`${url}/echo`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/xml', SAP_Sender: 'ERP-4711', 'X-Partner-Key': 'abc-123', 'X-Env': 'local' },
+    body: PAYLOAD.input.body
+  });
+  const echo = await response.json();
+  assert.equal(echo.redacted, true);
+  assert.equal(echo.headers.sap_sender, DEFAULT_REPLACEMENT);
+  assert.equal(echo.headers['x-partner-key'], DEFAULT_REPLACEMENT);
+  assert.equal(echo.headers['x-env'], 'local');
+  assert.equal(echo.body, `<Order><Card number="${DEFAULT_REPLACEMENT}"/><Iban>${DEFAULT_REPLACEMENT}</Iban><Note>keep me</Note></Order>`);
+});
+
+test('?redact=false keeps raw data only while redaction.allowBypass is true', async (t) => {
+  const allowed = await startTestServer(t, { redaction: RULES });
+  const raw = await capture(allowed.url, '?redact=false');
+  assert.equal(JSON.parse(raw.text).redacted, false);
+  const [rawCapture] = listCaptures(allowed.baseDir);
+  const rawHeader = fs.readFileSync(path.join(allowed.baseDir, 'Sessions', rawCapture, 'debug.header'), 'utf-8');
+  assert.match(rawHeader, /^SAP_Sender=ERP-4711$/m);
+
+  const locked = await startTestServer(t, { redaction: { ...RULES, allowBypass: false } });
+  const masked = await capture(locked.url, '?redact=false');
+  assert.equal(JSON.parse(masked.text).redacted, true);
+  for (const { file, text } of writtenFiles(locked.baseDir)) {
+    assert.ok(!text.includes('ERP-4711'), file);
+  }
+
+  const echo = await (await fetch(`${locked.url}/echo`, { headers: { 'X-Redact': 'false', SAP_Sender: 'ERP-4711' } })).json();
+  assert.equal(echo.redacted, true);
+  assert.equal(echo.headers.sap_sender, DEFAULT_REPLACEMENT);
+});
@@ -0,0 +1,97 @@
+/**
+ * Security tests
+ * Guards of a server started on a free port with startServer (no browser, captures in a temporary folder)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeGroovyString } = require('../cpihelper-codec');
+const { silentLogger } = require('../logger');
+const { withoutCredentials, withoutTokenInUrl } = require('../security');
+const { get, listCaptures, startTestServer } = require('./helpers');
+
+const TOKEN = 'test-token-0123456789';
+
+const CAPTURE = encodeGroovyString({
+  input: { body: '<a/>', headers: {}, properties: {} },
+  script: { code: 'def Message processData(Message message) { message }', function: 'processData' }
+}, { logger: silentLogger });
+
+// What a page on another site sends for <img src="http://localhost:<port>/...">
+const IMAGE_LOAD = { 'Sec-Fetch-Site': 'cross-site', 'Sec-Fetch-Mode': 'no-cors', 'Sec-Fetch-Dest': 'image' };
+// What the browser sends when CPI Helper opens the URL in a new tab
+const TAB_OPEN = { 'Sec-Fetch-Site': 'cross-site', 'Sec-Fetch-Mode': 'navigate', 'Sec-Fetch-Dest': 'document' };
+
+test('credentials are left out of echoed headers and URLs', () => {
+  assert.deepEqual(withoutCredentials({ Authorization: 'Bearer x', cookie: 'a=b', 'x-cpidebug-token': 't', 'x-other': '1' }), {
+    headers: { 'x-other': '1' },
+    removed: ['Authorization', 'cookie', 'x-cpidebug-token']
+  });
+  assert.equal(withoutTokenInUrl('/token/secret/echo?a=1&token=secret&b=2'), '/echo?a=1&b=2');
+  assert.equal(withoutTokenInUrl('/cpi/echo?token=secret'), '/cpi/echo');
+  assert.equal(withoutTokenInUrl('/echo?tokens=1'), '/echo?tokens=1');
+});
+
+test('GET /echo does not reflect the access token or other credentials', async (t) => {
+  const { url } = await startTestServer(t, { security: { token: TOKEN } });
+
+  const response = await fetch(`${url}/token/${TOKEN}/echo?x=1&token=${TOKEN}`, {
+    headers: { Authorization: 'Bearer abc', 'X-CPIDebug-Token': TOKEN, Cookie: `cpidebug_token=${TOKEN}`, 'X-Env': 'local' }
+  });
+  assert.equal(response.status, 200);
+  const text = await response.text();
+  assert.ok(!text.includes(TOKEN), text);
+  assert.ok(!text.includes('Bearer abc'), text);
+
+  const echo = JSON.parse(text);
+  assert.equal(echo.path, '/echo?x=1');
+  assert.equal(echo.headers['x-env'], 'local');
+  assert.deepEqual(echo.removedHeaders.sort(), ['authorization', 'cookie', 'x-cpidebug-token']);
+});
+
+test('Host headers that do not name this machine are rejected (DNS rebinding)', async (t) => {
+  const { url, port } = await startTestServer(t, { security: { allowedHosts: ['cpidebug.example.com'] } });
+
+  const rebound = await get(`${url}/sessions`, { Host: `evil.example:${port}`, Origin: `http://evil.example:${port}` });
+  assert.equal(rebound.status, 403);
+  assert.match(JSON.parse(rebound.body).message, /Host evil\.example:\d+ is not allowed/);
+
+  for (const host of [`localhost:${port}`, `127.0.0.1:${port}`, `[::1]:${port}`, 'LOCALHOST', `cpidebug.example.com:${port}`]) {
+    assert.equal((await get(`${url}/sessions`, { Host: host })).status, 200, host);
+  }
+  // Same origin as far as the Host header goes, so the CORS policy lets it through
+  assert.equal((await get(`${url}/sessions`, { Host: `localhost:${port}`, Origin: `http://localhost:${port}` })).status, 200);
+});
+
+test('the bind address is accepted as Host, wildcard addresses are not', async (t) => {
+  const { url, port } = await startTestServer(t, { host: '0.0.0.0' });
+  assert.equal((await get(`${url}/health`, { Host: `0.0.0.0:${port}` })).status, 403);
+  assert.equal((await get(`${url}/health`, { Host: `127.0.0.1:${port}` })).status, 200);
+});
+
+test('capture and launch URLs cannot be loaded by other sites in the background', async (t) => {
+  const { url, baseDir } = await startTestServer(t);
+
+  for (const route of [`/debug/${CAPTURE}`, `/contiva/${CAPTURE}`, `/contiva/stage/${CAPTURE}`, '/contiva/test']) {
+    const response = await get(`${url}${route}`, IMAGE_LOAD);
+    assert.equal(response.status, 403, route);
+  }
+  assert.equal(listCaptures(baseDir).length, 0);
+
+  assert.equal((await get(`${url}/debug/${CAPTURE}`, TAB_OPEN)).status, 200);
+  assert.equal((await get(`${url}/contiva/${CAPTURE}`, TAB_OPEN)).status, 200);
+  assert.equal((await get(`${url}/debug/${CAPTURE}`)).status, 200, 'no Fetch Metadata (curl, scripts)');
+  assert.equal((await get(`${url}/debug/${CAPTURE}`, { ...IMAGE_LOAD, 'Sec-Fetch-Site': 'same-origin' })).status, 200);
+  assert.equal(listCaptures(baseDir).length, 4);
+
+  // Read-only routes are not affected
+  assert.equal((await get(`${url}/sessions`, IMAGE_LOAD)).status, 200);
+});
+
+test('with a token, requests without it are rejected before anything is saved', async (t) => {
+  const { url, baseDir } = await startTestServer(t, { security: { token: TOKEN } });
+
+  assert.equal((await get(`${url}/debug/${CAPTURE}`, TAB_OPEN)).status, 401);
+  assert.equal((await get(`${url}/token/${TOKEN}/debug/${CAPTURE}`, TAB_OPEN)).status, 200);
+  assert.equal(listCaptures(baseDir).length, 1);
+});
@@ -0,0 +1,81 @@
+/**
+ * Staging tests
+ * The staging form of GET /contiva/stage/:data and its POST /contiva/send, standalone and mounted under a path
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeGroovyString } = require('../cpihelper-codec');
+const { silentLogger } = require('../logger');
+const { renderStagingPage } = require('../staging-page');
+const { get, startTestServer } = require('./helpers');
+
+const CAPTURE = encodeGroovyString({
+  input: { body: '<a/>', headers: { SAP_Sender: 'ERP' }, properties: {} },
+  script: { code: 'def Message processData(Message message) { message }', function: 'processData' }
+}, { logger: silentLogger });
+
+/**
+ * Data embedded in the staging page (<script id="staged-data">)
+ */
+function readStagedData(html) {
+  const match = html.match(/<script type="application\/json" id="staged-data">(.*?)<\/script>/s);
+  return JSON.parse(match[1]);
+}
+
+/**
+ * Root-relative href and src values of a page
+ */
+function pageLinks(html) {
+  return [...html.matchAll(/(?:href|src)="(\/[^"#]*)/g)].map((match) => match[1]);
+}
+
+test('links, assets and the send URL start with the base path', () => {
+  const html = renderStagingPage({
+    contivaData: { functionName: 'processData' },
+    sendUrl: '/cpi/contiva/send',
+    basePath: '/cpi',
+    captureId: 'abc'
+  });
+  assert.deepEqual(pageLinks(html).filter((link) => !link.startsWith('/cpi/')), []);
+  assert.ok(html.includes('href="/cpi/dashboard/#abc"'));
+});
+
+for (const mountPath of [null, '/cpi']) {
+  test(`the staging form loads its assets and sends to the IDE (${mountPath ? `mounted on ${mountPath}` : 'standalone'})`, async (t) => {
+    const { url } = await startTestServer(t, {}, { mountPath });
+    const origin = new URL(url).origin;
+
+    const page = await get(`${url}/contiva/stage/${CAPTURE}`);
+    assert.equal(page.status, 200);
+    for (const link of pageLinks(page.body)) {
+      assert.equal((await get(`${origin}${link}`)).status, 200, link);
+    }
+
+    const staged = readStagedData(page.body);
+    assert.equal(staged.sendUrl, `${mountPath || ''}/contiva/send`);
+    const response = await fetch(`${origin}${staged.sendUrl}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contivaData: staged.contivaData, captureId: staged.captureId })
+    });
+    const result = await response.json();
+    assert.equal(response.status, 200, result.message);
+    assert.equal(result.stagedFrom, staged.captureId);
+    assert.equal(result.launched, false);
+  });
+}
+
+test('GET /contiva/stage/ without data answers 400 with a usage hint', async (t) => {
+  const { url } = await startTestServer(t);
+
+  for (const route of ['/contiva/stage/', '/contiva/stage']) {
+    const response = await get(`${url}${route}`);
+    const result = JSON.parse(response.body);
+    assert.equal(response.status, 400, route);
+    assert.equal(result.message, 'Missing CPI Helper data after /contiva/stage/');
+    assert.match(result.hint, /\/contiva\/stage\/<data>/);
+  }
+  // With data, the same path shows the staging form
+  assert.equal((await get(`${url}/contiva/stage/${CAPTURE}`)).status, 200);
+});
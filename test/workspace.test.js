@@ -0,0 +1,174 @@
+/**
+ * Workspace tests
+ * Export → edit → load round trips of a workspace folder, and the debounced watcher
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { silentLogger } = require('../logger');
+const { WORKSPACE_FILES, exportWorkspace, isWorkspace, loadWorkspace, watchWorkspace } = require('../workspace');
+
+const PAYLOAD = {
+  input: {
+    body: '<Kunde>Müller</Kunde>',
+    headers: { 'Content-Type': 'application/xml', SAP_Sender: 'ERP' },
+    properties: { CamelCharsetName: 'ISO-8859-1', Tenant: 'dev' },
+    attachments: [{ name: 'invoice.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.4').toString('base64') }]
+  },
+  script: {
+    name: 'Mapping.groovy',
+    function: 'processData',
+    code: 'def Message processData(Message message) {\n    return message\n}',
+    libraries: [{ name: 'com/acme/Helpers.groovy', code: 'class Helpers {}' }]
+  }
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cpidebug-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Resolves once check() returns a truthy value; rejects after timeoutMs
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error(`Timed out after ${timeoutMs} ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('an exported workspace loads back to the same payload', (t) => {
+  const dir = path.join(tempDir(t), 'ws');
+  exportWorkspace(PAYLOAD, dir, { captureId: 'abc', logger: silentLogger });
+
+  assert.ok(isWorkspace(dir));
+  // The body keeps its charset on disk
+  assert.deepEqual(fs.readFileSync(path.join(dir, WORKSPACE_FILES.body)), Buffer.from(PAYLOAD.input.body, 'latin1'));
+  assert.ok(fs.existsSync(path.join(dir, 'scripts', 'com', 'acme', 'Helpers.groovy')));
+  assert.ok(fs.existsSync(path.join(dir, 'attachments', 'manifest.json')));
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, WORKSPACE_FILES.meta), 'utf-8'));
+  assert.equal(meta.captureId, 'abc');
+  assert.deepEqual(meta.libraries, ['com/acme/Helpers.groovy']);
+
+  assert.deepEqual(loadWorkspace(dir, { logger: silentLogger }), PAYLOAD);
+});
+
+test('edits made in the folder show up in the loaded payload', (t) => {
+  const dir = tempDir(t);
+  exportWorkspace(PAYLOAD, dir, { logger: silentLogger });
+
+  const code = 'def Message processData(Message message) {\n    message.setBody("Größe")\n    return message\n}';
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.script), code);
+  fs.appendFileSync(path.join(dir, WORKSPACE_FILES.headers), '\nSAP_Receiver=CRM\n');
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.body), Buffer.from('<Kunde>Jürgen</Kunde>', 'latin1'));
+  fs.writeFileSync(path.join(dir, 'scripts', 'Extra.groovy'), 'class Extra {}');
+  fs.rmSync(path.join(dir, 'attachments'), { recursive: true });
+
+  const edited = loadWorkspace(dir, { logger: silentLogger });
+  assert.equal(edited.script.code, code);
+  assert.equal(edited.input.headers.SAP_Receiver, 'CRM');
+  assert.equal(edited.input.body, '<Kunde>Jürgen</Kunde>');
+  assert.deepEqual(edited.script.libraries.map((library) => library.name).sort(), ['Extra.groovy', 'com/acme/Helpers.groovy']);
+  assert.equal(edited.input.attachments, undefined);
+});
+
+test('exporting again replaces the libraries and attachments of the previous export only', (t) => {
+  const dir = tempDir(t);
+  exportWorkspace(PAYLOAD, dir, { logger: silentLogger });
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'mine');
+  const outside = path.join(path.dirname(dir), `${path.basename(dir)}-outside.groovy`);
+  fs.writeFileSync(outside, 'keep');
+  t.after(() => fs.rmSync(outside, { force: true }));
+
+  // A hand-edited workspace.json must not make the next export delete files outside scripts/
+  const metaPath = path.join(dir, WORKSPACE_FILES.meta);
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+  fs.writeFileSync(metaPath, JSON.stringify({ ...meta, libraries: [...meta.libraries, `../../${path.basename(outside)}`] }));
+
+  const { input, script } = PAYLOAD;
+  exportWorkspace({
+    input: { ...input, attachments: [] },
+    script: { ...script, libraries: [{ name: 'Renamed.groovy', code: 'class Renamed {}' }] }
+  }, dir, { logger: silentLogger });
+
+  assert.ok(!fs.existsSync(path.join(dir, 'scripts', 'com', 'acme', 'Helpers.groovy')));
+  assert.ok(fs.existsSync(path.join(dir, 'scripts', 'Renamed.groovy')));
+  assert.ok(!fs.existsSync(path.join(dir, 'attachments')));
+  assert.ok(fs.existsSync(path.join(dir, 'notes.txt')));
+  assert.ok(fs.existsSync(outside));
+});
+
+test('folders without workspace files are rejected', (t) => {
+  const dir = tempDir(t);
+  assert.throws(() => loadWorkspace(dir, { logger: silentLogger }), /Not a workspace/);
+  assert.throws(() => watchWorkspace(dir, { onChange: () => {}, logger: silentLogger }), /export one first/);
+});
+
+test('the watcher rebuilds once per burst of saves and ignores editor files', async (t) => {
+  const dir = tempDir(t);
+  exportWorkspace(PAYLOAD, dir, { logger: silentLogger });
+  const changes = [];
+  const errors = [];
+  const watcher = watchWorkspace(dir, {
+    debounceMs: 100,
+    logger: silentLogger,
+    onChange: (payload, files) => changes.push({ payload, files }),
+    onError: (error) => errors.push(error)
+  });
+  t.after(() => watcher.close());
+
+  // Swap files and backups never trigger a rebuild
+  fs.writeFileSync(path.join(dir, '.script.groovy.swp'), 'x');
+  fs.writeFileSync(path.join(dir, 'script.groovy~'), 'x');
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.deepEqual(changes, []);
+
+  // An editor saving in steps: truncate, then write twice
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.script), '');
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.script), 'def Message processData(Message message) {');
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.script), 'def Message processData(Message message) { message }');
+  fs.writeFileSync(path.join(dir, 'scripts', 'Extra.groovy'), 'class Extra {}');
+  await waitFor(() => changes.length === 1);
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  assert.equal(changes.length, 1);
+  assert.deepEqual(changes[0].files, ['script.groovy', 'scripts/Extra.groovy']);
+  assert.equal(changes[0].payload.script.code, 'def Message processData(Message message) { message }');
+  assert.deepEqual(errors, []);
+
+  // After close() saves are no longer picked up
+  watcher.close();
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.script), 'closed');
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(changes.length, 1);
+});
+
+test('a file that cannot be parsed goes to onError and the next save is picked up', async (t) => {
+  const dir = tempDir(t);
+  exportWorkspace(PAYLOAD, dir, { logger: silentLogger });
+  const changes = [];
+  const errors = [];
+  const watcher = watchWorkspace(dir, {
+    debounceMs: 100,
+    logger: silentLogger,
+    onChange: (payload) => changes.push(payload),
+    onError: (error) => errors.push(error.message)
+  });
+  t.after(() => watcher.close());
+
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.meta), '{ half written');
+  await waitFor(() => errors.length === 1);
+  assert.match(errors[0], /workspace\.json is not valid JSON/);
+
+  fs.writeFileSync(path.join(dir, WORKSPACE_FILES.meta), JSON.stringify({ functionName: 'handle' }));
+  await waitFor(() => changes.length === 1);
+  assert.equal(changes[0].script.function, 'handle');
+});
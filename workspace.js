@@ -0,0 +1,238 @@
+/**
+ * Workspace
+ * A capture written as a plain folder, to keep editing its script in your own editor, and a watcher
+ * that rebuilds the payload whenever one of the files is saved
+ *
+ * Layout:
+ *   <dir>/script.groovy          << script.code
+ *   <dir>/body                   << input.body, in its own charset (see body-format.js)
+ *   <dir>/headers.properties     << input.headers
+ *   <dir>/properties.properties  << input.properties
+ *   <dir>/workspace.json         << Function and script name, source capture id, exported library names
+ *   <dir>/scripts/<name>         << script.libraries; new .groovy files added here are picked up too
+ *   <dir>/attachments/           << input.attachments with manifest.json (see attachments.js)
+ *
+ * Only these files trigger the watcher, so editor backups and swap files (script.groovy~, .swp) are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDefaultLogger } = require('./logger');
+const { decodeBody } = require('./body-format');
+const { buildCaptureFiles } = require('./cpihelper-codec');
+const { parseProperties } = require('./properties-format');
+const { LIBRARY_EXTENSIONS, LIBRARY_NAME_PATTERN, buildLibraryFiles, loadScriptLibrary } = require('./script-library');
+const { ATTACHMENT_FOLDER, buildAttachmentFiles, clearAttachmentFolder, loadAttachmentFolder } = require('./attachments');
+
+const WORKSPACE_FILES = {
+  script: 'script.groovy',
+  body: 'body',
+  headers: 'headers.properties',
+  properties: 'properties.properties',
+  meta: 'workspace.json'
+};
+const LIBRARY_FOLDER = 'scripts/';
+
+// Editors often save in several steps (truncate, write, rename); one rebuild per burst is enough
+const DEFAULT_DEBOUNCE_MS = 300;
+
+/**
+ * Whether a folder holds an exported workspace
+ */
+function isWorkspace(dir) {
+  return fs.existsSync(path.join(dir, WORKSPACE_FILES.meta));
+}
+
+function readMeta(dir) {
+  const metaPath = path.join(dir, WORKSPACE_FILES.meta);
+  if (!fs.existsSync(metaPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${WORKSPACE_FILES.meta} is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Writes a payload as a workspace folder
+ * Exporting into an existing workspace replaces its files; libraries and attachments of the previous
+ * export are removed first so renamed ones do not linger
+ *
+ * @param {Object} payload - Decoded CPI Helper payload
+ * @param {string} dir - Workspace folder (created if missing)
+ * @param {Object} [options]
+ * @param {string} [options.captureId] - Capture the workspace was exported from (kept in workspace.json)
+ * @param {string} [options.bodyFormat] - none | pretty | minify (default none)
+ * @param {Object} [options.logger]
+ * @returns {{ dir: string, files: string[] }} Paths of the written files
+ */
+function exportWorkspace(payload, dir, { captureId = null, bodyFormat = 'none', logger = getDefaultLogger() } = {}) {
+  const content = buildCaptureFiles(payload, { bodyFormat, typedCopy: false, logger });
+  const script = payload.script || {};
+
+  if (isWorkspace(dir)) {
+    const previous = readMeta(dir);
+    for (const name of Array.isArray(previous.libraries) ? previous.libraries : []) {
+      // workspace.json can be edited by hand, so only names that stay inside scripts/ are removed
+      if (typeof name === 'string' && LIBRARY_NAME_PATTERN.test(name)) {
+        fs.rmSync(path.join(dir, LIBRARY_FOLDER, name), { force: true });
+      }
+    }
+    clearAttachmentFolder(path.join(dir, path.basename(ATTACHMENT_FOLDER)));
+  }
+
+  const libraryFiles = buildLibraryFiles(content.libraries, { prefix: LIBRARY_FOLDER, logger });
+  const files = {
+    [WORKSPACE_FILES.script]: content.script,
+    [WORKSPACE_FILES.body]: content.body,
+    [WORKSPACE_FILES.headers]: content.header,
+    [WORKSPACE_FILES.properties]: content.properties,
+    ...libraryFiles,
+    ...buildAttachmentFiles(content.attachments, { logger }).files,
+    [WORKSPACE_FILES.meta]: JSON.stringify({
+      captureId,
+      functionName: script.function || 'processData',
+      scriptName: script.name || null,
+      libraries: Object.keys(libraryFiles).map((name) => name.slice(LIBRARY_FOLDER.length)),
+      exportedAt: new Date().toISOString()
+    }, null, 2)
+  };
+
+  const written = Object.entries(files).map(([name, fileContent]) => {
+    const filePath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, fileContent);
+    return filePath;
+  });
+  logger.debug(`Workspace exported to ${dir} (${written.length} files)`);
+  return { dir, files: written };
+}
+
+/**
+ * Rebuilds a CPI Helper payload from a workspace folder
+ * Missing files count as empty; the body is decoded with the charset of its headers/properties
+ *
+ * @param {string} dir - Workspace folder
+ * @param {Object} [options]
+ * @param {Object} [options.logger]
+ * @returns {Object} CPI Helper payload ({ input, script })
+ * @throws {Error} When dir holds none of the workspace files, or a file cannot be parsed
+ */
+function loadWorkspace(dir, { logger = getDefaultLogger() } = {}) {
+  const filePath = (name) => path.join(dir, name);
+  if (!Object.values(WORKSPACE_FILES).some((name) => fs.existsSync(filePath(name)))) {
+    throw new Error(`Not a workspace: ${dir} (no ${WORKSPACE_FILES.script}, ${WORKSPACE_FILES.body} or ${WORKSPACE_FILES.meta})`);
+  }
+  const read = (name) => (fs.existsSync(filePath(name)) ? fs.readFileSync(filePath(name)) : null);
+
+  const meta = readMeta(dir);
+  const header = read(WORKSPACE_FILES.headers);
+  const properties = read(WORKSPACE_FILES.properties);
+  const headers = header ? parseProperties(header.toString('utf-8')) : {};
+  const propertyValues = properties ? parseProperties(properties.toString('utf-8')) : {};
+  const body = read(WORKSPACE_FILES.body);
+  const script = read(WORKSPACE_FILES.script);
+
+  const libraryDir = filePath(LIBRARY_FOLDER);
+  const libraries = fs.existsSync(libraryDir) ? loadScriptLibrary(libraryDir, { logger }) : [];
+  const attachments = loadAttachmentFolder(filePath(path.basename(ATTACHMENT_FOLDER)), { logger });
+
+  return {
+    input: {
+      body: body ? decodeBody(body, { headers, properties: propertyValues }).text : '',
+      headers,
+      properties: propertyValues,
+      ...(attachments.length > 0 ? { attachments } : {})
+    },
+    script: {
+      ...(meta.scriptName ? { name: meta.scriptName } : {}),
+      function: meta.functionName || 'processData',
+      code: script ? script.toString('utf-8') : '',
+      ...(libraries.length > 0 ? { libraries } : {})
+    }
+  };
+}
+
+/**
+ * Whether a path relative to the workspace folder is one of the files loadWorkspace reads
+ */
+function isWorkspaceFile(relativePath) {
+  const name = relativePath.split(path.sep).join('/');
+  if (Object.values(WORKSPACE_FILES).includes(name)) {
+    return true;
+  }
+  const baseName = path.posix.basename(name);
+  if (baseName.startsWith('.')) {
+    return false;
+  }
+  if (name.startsWith(LIBRARY_FOLDER)) {
+    return LIBRARY_EXTENSIONS.includes(path.posix.extname(name).toLowerCase());
+  }
+  return name.startsWith(ATTACHMENT_FOLDER);
+}
+
+/**
+ * Watches a workspace folder and calls onChange with the rebuilt payload after each burst of saves
+ * Rebuilds run one after the other; a file that cannot be read (e.g. half-written properties) goes to onError
+ * and the next save is picked up as usual
+ *
+ * @param {string} dir - Workspace folder
+ * @param {Object} options
+ * @param {Function} options.onChange - async (payload, changedFiles) => void
+ * @param {Function} [options.onError] - Called with load, onChange and watcher errors
+ * @param {number} [options.debounceMs] - Quiet time after the last save before rebuilding (default 300)
+ * @param {Object} [options.logger]
+ * @returns {{ dir: string, close: Function }}
+ * @throws {Error} When dir is not a workspace
+ */
+function watchWorkspace(dir, { onChange, onError = () => {}, debounceMs = DEFAULT_DEBOUNCE_MS, logger = getDefaultLogger() }) {
+  if (!isWorkspace(dir)) {
+    throw new Error(`Not a workspace: ${dir} (no ${WORKSPACE_FILES.meta}, export one first)`);
+  }
+  const changed = new Set();
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const rebuild = () => {
+    const files = [...changed].sort();
+    changed.clear();
+    queue = queue.then(async () => {
+      logger.debug(`Workspace ${dir} changed: ${files.join(', ')}`);
+      try {
+        await onChange(loadWorkspace(dir, { logger }), files);
+      } catch (err) {
+        onError(err);
+      }
+    });
+  };
+
+  const watcher = fs.watch(dir, { recursive: true }, (eventType, fileName) => {
+    if (!fileName || !isWorkspaceFile(fileName)) {
+      return;
+    }
+    changed.add(fileName.split(path.sep).join('/'));
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, debounceMs);
+  });
+  watcher.on('error', onError);
+  logger.debug(`Watching workspace ${dir}`);
+
+  return {
+    dir,
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE_MS,
+  WORKSPACE_FILES,
+  exportWorkspace,
+  isWorkspace,
+  loadWorkspace,
+  watchWorkspace
+};